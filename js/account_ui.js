@@ -25,6 +25,23 @@ import { renderAccountSecurityView as renderAccountSecurityAccountView } from '.
 import { renderArchiveView as renderArchiveAccountView } from './components/account_archive_view.js';
 import { renderFriendsView as renderFriendsAccountView } from './components/account_friends_view.js';
 import { renderExportView as renderExportAccountView } from './components/account_export_view.js';
+import { renderTrashView as renderTrashAccountView } from './components/account_trash_view.js';
+import { isTrashed } from './core/trash.js';
+import { renderImportPreviewView, renderRestoreBackupView, renderClippingsImportView, renderIsbnImportView } from './components/account_import_view.js';
+import { buildBackup, parseBackup, sanitizeBackupBooks } from './core/backup_core.js';
+import { readRecoveredBooks, clearRecoveredBooks, consumeRecoveryRestoreParam } from './core/recovery_handoff.js';
+import { renderCsvExportView } from './components/account_csv_export_view.js';
+import { buildCsvExport, filterForExport } from './core/csv_export.js';
+import { parseGoodreadsCsv } from './core/goodreads_import.js';
+import { parseStoryGraphCsv } from './core/storygraph_import.js';
+import { parseLibraryThingExport } from './core/librarything_import.js';
+import { parseKindleClippings, planClippingImport } from './core/kindle_clippings.js';
+import { parseIsbnList, lookupIsbns } from './core/isbn_import.js';
+import { resizeImageToBase64 } from './core/image_utils.js';
+import { buildShelfHtml, inlineFontUrls, SHELF_EXPORT_FONTS } from './components/shelf_html_export.js';
+import { buildMarkdownVault } from './core/markdown_export.js';
+import { buildZip } from './core/zip_core.js';
+import { buildIcs } from './core/ics_export.js';
 import {
   humanizePasskeySigninError,
   promptStalePasskeyRepair,
@@ -69,6 +86,9 @@ const passkeySupportProbe = createPasskeySupportProbe({
 async function performLogout() {
   stopSync();
   await tarnService.logout();
+  // Every other tab signs out too (core/tab_sync.js) — told once the session
+  // is gone from localStorage, so their reload can't restore it.
+  window.bookishApp?.announceSessionChange?.('signed-out');
   subscription.resetStatus();
 
   // Clear the account-key reminder counter + flags so a different user
@@ -287,6 +307,7 @@ async function completePostCreateAccount(content, { email, displayName, accountK
   } catch (err) {
     console.warn('[Bookish:AccountUI] post-signup scope hygiene failed:', err?.message || err);
   }
+  window.bookishApp?.announceSessionChange?.('signed-in');
 
   transientState.justCreated = true;
   transientState.createdTime = Date.now();
@@ -321,6 +342,9 @@ function finishPostCreateAccount() {
   friendsRouter.maybeOpenPendingAcceptModal().catch(err =>
     console.warn('[Bookish:AccountUI] friends invite handler failed:', err?.message || err)
   );
+  maybeOpenRecoveryRestore().catch(err =>
+    console.warn('[Bookish:AccountUI] recovery restore failed:', err?.message || err)
+  );
 }
 
 // ============================================================================
@@ -378,6 +402,8 @@ function completePostSignIn() {
     } catch (err) {
       console.warn('[Bookish:AccountUI] sign-in scope hygiene failed:', err?.message || err);
     }
+    // The other tabs reload into this account once its scope is settled.
+    window.bookishApp?.announceSessionChange?.('signed-in');
     closeAccountModal();
     startSync();
     uiStatusManager.refresh();
@@ -388,6 +414,10 @@ function completePostSignIn() {
     friendsRouter.maybeOpenPendingAcceptModal().catch(err =>
       console.warn('[Bookish:AccountUI] friends invite handler failed:', err?.message || err)
     );
+    // A library handed over by forever.html waits for sign-in.
+    maybeOpenRecoveryRestore().catch(err =>
+      console.warn('[Bookish:AccountUI] recovery restore failed:', err?.message || err)
+    );
     // Phase 5: engagement-milestone reminder. init() is idempotent
     // within a page life — the session counter only increments on the
     // first call. Banner is rendered only when shouldShow() returns
@@ -472,7 +502,184 @@ function showFriendsView(content) {
 function showExportView(content) {
   renderExportAccountView(content, {
     onBack: () => renderAccountPanel(content),
-    onExportCsv: exportBooksToCSV,
+    onExportCsv: () => showCsvExportView(content),
+    onExportBackup: exportBackup,
+    onExportHtml: exportShelfHtml,
+    onExportMarkdown: exportMarkdownVault,
+    onExportCalendar: exportCalendar,
+    onRestoreBackup: file => showRestoreBackup(content, file),
+    onImportFile: (source, file) => showLibraryImport(content, source, file),
+    onImportIsbns: () => showIsbnImport(content),
+  });
+}
+
+// Trash: restore and purge go through BookRepository (core/trash.js); the
+// view re-renders from the repo after each one.
+function showTrashView(content) {
+  const repo = window.bookishApp?.getBookRepo?.();
+  const rerender = () => showTrashView(content);
+  renderTrashAccountView(content, {
+    onBack: () => renderAccountPanel(content),
+    getTrash: () => repo ? repo.getTrash() : [],
+    onRestore: async (id) => {
+      await repo.restore(id);
+      rerender();
+    },
+    onPurge: async (id) => {
+      const confirmed = await confirmDialog({
+        title: 'Delete this book forever?',
+        body: 'It will be removed from all your devices, along with its notes and rating. This can’t be undone.',
+        confirmLabel: 'Delete forever',
+      });
+      if (!confirmed) return;
+      await repo.delete(id);
+      rerender();
+    },
+    onEmptyTrash: async () => {
+      const confirmed = await confirmDialog({
+        title: 'Empty the Trash?',
+        body: 'Every book in the Trash will be removed from all your devices. This can’t be undone.',
+        confirmLabel: 'Empty Trash',
+      });
+      if (!confirmed) return;
+      for (const entry of repo.getTrash()) await repo.delete(entry.bookId || entry.id);
+      rerender();
+    },
+  });
+}
+
+const LIBRARY_IMPORTERS = {
+  goodreads: { label: 'Goodreads', parse: parseGoodreadsCsv },
+  storygraph: { label: 'StoryGraph', parse: parseStoryGraphCsv },
+  librarything: { label: 'LibraryThing', parse: parseLibraryThingExport },
+};
+
+async function showLibraryImport(content, source, file) {
+  if (source === 'kindle') return showKindleClippingsImport(content, file);
+  const importer = LIBRARY_IMPORTERS[source];
+  if (!importer) return;
+  const { rows, skipped, report } = importer.parse(await file.text());
+  if (!rows.length) throw new Error('No books found in that file.');
+  showImportPreview(content, { sourceLabel: importer.label, rows, skipped, report });
+}
+
+// Shared by every library importer: preview → accept/skip → BookRepository
+// creates, with the repo's `progress` event driving the sheet's bar.
+function showImportPreview(content, { sourceLabel, rows, skipped, report }) {
+  const repo = window.bookishApp?.getBookRepo?.();
+  if (!repo) throw new Error('Your library is still loading. Try again in a moment.');
+  renderImportPreviewView(content, {
+    sourceLabel,
+    rows,
+    skipped,
+    report,
+    onBack: () => showExportView(content),
+    onDone: () => closeAccountModal(),
+    onImport: payloads => repo.importBooks(payloads),
+    subscribeProgress: fn => repo.on('progress', fn),
+  });
+}
+
+// Kindle highlights don't create rows — they land in existing books' notes —
+// so they get their own sheet and repo method instead of the preview above.
+async function showKindleClippingsImport(content, file) {
+  const books = parseKindleClippings(await file.text());
+  if (!books.length) throw new Error('No highlights found in that file.');
+  const repo = window.bookishApp?.getBookRepo?.();
+  if (!repo) throw new Error('Your library is still loading. Try again in a moment.');
+  renderClippingsImportView(content, {
+    plan: planClippingImport(books, repo.getAll()),
+    onBack: () => showExportView(content),
+    onDone: () => closeAccountModal(),
+    onImport: items => repo.importClippings(items),
+    subscribeProgress: fn => repo.on('progress', fn),
+  });
+}
+
+// Bulk ISBN import: OpenLibrary lookups run through the same fetch/resize
+// the cover pipeline uses, then the accepted payloads go through importBooks.
+function showIsbnImport(content) {
+  const repo = window.bookishApp?.getBookRepo?.();
+  if (!repo) return;
+  renderIsbnImportView(content, {
+    parse: parseIsbnList,
+    onBack: () => showExportView(content),
+    onDone: () => closeAccountModal(),
+    onLookup: (isbns, onProgress) => lookupIsbns(isbns, { onProgress, deps: { resizeFn: resizeImageToBase64 } }),
+    onImport: payloads => repo.importBooks(payloads),
+    subscribeProgress: fn => repo.on('progress', fn),
+  });
+}
+
+async function showRestoreBackup(content, file) {
+  const { books, exportedAt } = parseBackup(await file.text());
+  if (!books.length) throw new Error('That backup has no books in it.');
+  const repo = window.bookishApp?.getBookRepo?.();
+  if (!repo) throw new Error('Your library is still loading. Try again in a moment.');
+  renderRestoreBackupView(content, {
+    books,
+    exportedAt,
+    onBack: () => showExportView(content),
+    onDone: () => closeAccountModal(),
+    onRestore: list => repo.restoreBackup(list),
+    subscribeProgress: fn => repo.on('progress', fn),
+  });
+}
+
+// Library recovered by forever.html (core/recovery_handoff.js). Shown once
+// the user is signed in — into an existing account or one just created. The
+// stash is deleted as soon as the restore has run; one that is never
+// restored expires on its own (re-running the recovery page hands it over
+// again).
+async function maybeOpenRecoveryRestore() {
+  const stash = await readRecoveredBooks();
+  if (!stash || !tarnService.isLoggedIn()) return false;
+  const repo = await waitForBookRepo(10000);
+  if (!repo) return false;
+  const books = sanitizeBackupBooks(stash.books);
+  if (!books.length) {
+    await clearRecoveredBooks();
+    return false;
+  }
+  openAccountModal();
+  const content = document.getElementById('accountModalContent');
+  if (!content) return false;
+  renderRestoreBackupView(content, {
+    books,
+    exportedAt: stash.recoveredAt,
+    title: 'Restore recovered library',
+    dateLabel: 'Recovered',
+    onBack: () => renderAccountPanel(content),
+    onDone: () => closeAccountModal(),
+    onRestore: async list => {
+      const counts = await repo.restoreBackup(list);
+      await clearRecoveredBooks();
+      return counts;
+    },
+    subscribeProgress: fn => repo.on('progress', fn),
+  });
+  return true;
+}
+
+// Startup (app.js, once auth state is known): arriving from forever.html's
+// handoff. Signed out, the sign-in sheet opens first and the restore follows
+// completePostSignIn / finishPostCreateAccount.
+export async function handleRecoveryRestoreOnStartup() {
+  if (!consumeRecoveryRestoreParam()) return;
+  if (tarnService.isLoggedIn()) await maybeOpenRecoveryRestore();
+  else openAccountModal('signin');
+}
+
+function waitForBookRepo(timeoutMs) {
+  return new Promise(resolve => {
+    const start = Date.now();
+    const tick = () => {
+      const repo = window.bookishApp?.getBookRepo?.();
+      if (repo) { resolve(repo); return; }
+      if (Date.now() - start > timeoutMs) { resolve(null); return; }
+      setTimeout(tick, 100);
+    };
+    tick();
   });
 }
 
@@ -486,6 +693,7 @@ function accountHubViewDeps(content) {
       else if (view === 'friends') showFriendsView(content);
       else if (view === 'archive') showArchiveView(content);
       else if (view === 'export') showExportView(content);
+      else if (view === 'trash') showTrashView(content);
     },
     onLogout: async () => {
       closeAccountModal();
@@ -949,42 +1157,118 @@ function normalizePastedPhrase(raw) {
 // CSV EXPORT
 // ============================================================================
 
-function exportBooksToCSV() {
-  const books = window.bookishCache?.getAllActive?.();
-  if (!books || typeof books.then !== 'function') {
-    alert('No books to export');
-    return;
-  }
+const CSV_EXPORT_PREFS_KEY = 'bookish.csvExportPrefs';
 
-  books.then(entries => {
-    if (!entries.length) { alert('No books to export'); return; }
-
-    const headers = ['Title', 'Author', 'Date Read', 'Rating', 'Format', 'Notes'];
-    const rows = entries.map(e => [
-      csvEscape(e.title || ''),
-      csvEscape(e.author || ''),
-      csvEscape(msToDateInputUtc(e.dateRead)),
-      e.rating || '',
-      csvEscape(e.format || ''),
-      csvEscape(e.notes || ''),
-    ]);
-
-    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'bookish-export.csv';
-    a.click();
-    URL.revokeObjectURL(url);
+// Column / date-format / delimiter choices persist per device (like
+// field_prefs.js); filters are per-export and always start open.
+function loadCsvExportPrefs() {
+  try { return JSON.parse(localStorage.getItem(CSV_EXPORT_PREFS_KEY) || '{}') || {}; }
+  catch { return {}; }
+}
+
+function saveCsvExportPrefs({ columns, dateFormat, delimiter }) {
+  try { localStorage.setItem(CSV_EXPORT_PREFS_KEY, JSON.stringify({ columns, dateFormat, delimiter })); }
+  catch { /* storage unavailable — the choice just won't stick */ }
+}
+
+// What every export reads: the library as shown, without the Trash — a
+// deleted book mustn't turn up in a file, least of all the shared HTML shelf.
+async function libraryForExport() {
+  const repo = window.bookishApp?.getBookRepo?.();
+  if (repo) return repo.getAll();
+  const entries = await window.bookishCache?.getAllActive?.();
+  return (entries || []).filter(e => !isTrashed(e));
+}
+
+async function showCsvExportView(content) {
+  const entries = await libraryForExport();
+  if (!entries?.length) { alert('No books to export'); return; }
+  renderCsvExportView(content, {
+    entries,
+    prefs: loadCsvExportPrefs(),
+    onBack: () => showExportView(content),
+    onDownload: ({ columns, dateFormat, delimiter, filters }) => {
+      saveCsvExportPrefs({ columns, dateFormat, delimiter });
+      const csv = buildCsvExport(filterForExport(entries, filters), { columns, dateFormat, delimiter });
+      const tsv = delimiter === 'tab';
+      downloadBlob(
+        new Blob([csv], { type: tsv ? 'text/tab-separated-values' : 'text/csv' }),
+        tsv ? 'bookish-export.tsv' : 'bookish-export.csv',
+      );
+    },
   });
 }
 
-function csvEscape(str) {
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
+// ============================================================================
+// JSON BACKUP
+// ============================================================================
+
+async function exportBackup() {
+  const entries = await libraryForExport();
+  if (!entries?.length) { alert('No books to back up'); return; }
+  const backup = buildBackup(entries);
+  const stamp = msToDateInputUtc(backup.exportedAt);
+  downloadBlob(new Blob([JSON.stringify(backup)], { type: 'application/json' }), `bookish-backup-${stamp}.json`);
+}
+
+async function exportMarkdownVault() {
+  const entries = await libraryForExport();
+  if (!entries?.length) { alert('No books to export'); return; }
+  const zip = buildZip(buildMarkdownVault(entries));
+  downloadBlob(new Blob([zip], { type: 'application/zip' }), `bookish-markdown-${msToDateInputUtc(Date.now())}.zip`);
+}
+
+async function exportCalendar() {
+  const entries = await libraryForExport();
+  const now = Date.now();
+  const { ics, count } = buildIcs(entries || [], { now });
+  if (!count) { alert('No reading dates to export yet'); return; }
+  downloadBlob(new Blob([ics], { type: 'text/calendar' }), `bookish-reading-${msToDateInputUtc(now)}.ics`);
+}
+
+// Standalone HTML shelf. The stylesheet and fonts are fetched at export time
+// (same URLs the app itself loads, so the service worker serves them
+// offline) and inlined, making the file fully self-contained.
+async function exportShelfHtml({ includePrivate = false } = {}) {
+  const entries = await libraryForExport();
+  if (!entries?.length) throw new Error('No books to export.');
+  const cssUrl = new URL('css/styles.css', document.baseURI);
+  const cssResp = await fetch(cssUrl);
+  if (!cssResp.ok) throw new Error('Couldn’t load the shelf styles. Check your connection and try again.');
+  const fonts = {};
+  await Promise.all(SHELF_EXPORT_FONTS.map(async path => {
+    try {
+      const resp = await fetch(new URL(path, cssUrl));
+      if (resp.ok) fonts[path] = await blobToDataUrl(await resp.blob());
+    } catch { /* a missing font just falls back to the system face */ }
+  }));
+  const now = Date.now();
+  const name = tarnService.displayName() || '';
+  const html = buildShelfHtml(entries, {
+    stylesheet: inlineFontUrls(await cssResp.text(), fonts),
+    title: name ? `${name}’s Bookish shelf` : 'My Bookish shelf',
+    includePrivate,
+    now,
+  });
+  downloadBlob(new Blob([html], { type: 'text/html' }), `bookish-shelf-${msToDateInputUtc(now)}.html`);
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 // Expose for app.js
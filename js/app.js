@@ -1,13 +1,13 @@
 // Bookish app.js (pure serverless variant)
 
-import { initSyncManager, startSync, stopSync, getSyncStatusForUI, triggerSyncNow, markDirty } from './sync_manager.js';
+import { initSyncManager, startSync, stopSync, getSyncStatusForUI, triggerSyncNow, markDirty, markInitialSyncDone, setSyncLeader, isSyncLeader } from './sync_manager.js';
 import * as tarnService from './core/tarn_service.js';
 import uiStatusManager from './ui_status_manager.js';
-import { getAccountStatus } from './account_ui.js';
+import { getAccountStatus, handleRecoveryRestoreOnStartup } from './account_ui.js';
 import { resizeImageToBase64 } from './core/image_utils.js';
 import { BookRepository, READING_STATUS, normalizeReadingStatus } from './core/book_repository.js';
 import { coverFitMode } from './core/search_core.js';
-import { buildDisplayList, getYearList, getNearestPopulatedYear } from './core/shelf_filter.js';
+import { buildDisplayList, getYearList, getNearestPopulatedYear, DNF_GROUP } from './core/shelf_filter.js';
 import { deriveBookId, dateStringToMsNoonUtc, msToDateInputUtc, formatDateReadDisplay, formatMonthYearDisplay } from './core/id_core.js';
 import { pushOverlayState, popOverlayState, consumeSuppressFlag, isStandalone } from './core/overlay_history.js';
 import { haptic } from './core/haptic.js';
@@ -25,13 +25,39 @@ import { debugLog } from './core/debug_log.js';
 import { wireFriendGlyphTrigger, refreshFriendGlyphTrigger } from './components/friend_glyph_trigger.js';
 import { buildCardHTML as sharedBuildCardHTML, buildCardDetails as sharedBuildCardDetails, generatedCoverColor as sharedGeneratedCoverColor, escapeHtml as sharedEscapeHtml } from './components/book_card.js';
 import { renderPipOverlay } from './components/friend_pip.js';
-import { getMatchingFriendBookEntries as friendsGetMatchingFriendBookEntries, primeFriendLibraryCache as friendsPrimeFriendLibraryCache, invalidateFriendLibraryCache as friendsInvalidateLibraryCache, maybePollConnectionsOnSyncCycle as friendsMaybePollConnections } from './core/friends.js';
+import { listConnections as friendsListConnections, getMatchingFriendBookEntries as friendsGetMatchingFriendBookEntries, primeFriendLibraryCache as friendsPrimeFriendLibraryCache, invalidateFriendLibraryCache as friendsInvalidateLibraryCache, maybePollConnectionsOnSyncCycle as friendsMaybePollConnections } from './core/friends.js';
 import { openFriendBookDetail } from './components/friend_book_detail.js';
 import { installShareSeedProvider, reconcileConnectionShares, publicBookIdsFrom } from './core/friends_backfill.js';
-import { setStatusLine, showMarkAsReadUndoToast, showStatusToast, showSubscriptionSuccessToast, showUpdateReadyToast } from './components/status_helpers.js';
-import { createWtrDrawerController, sortWtrList } from './components/wtr_drawer.js';
+import { setStatusLine, showActionToast, showMarkAsReadUndoToast, showStatusToast, showSubscriptionSuccessToast, showUpdateReadyToast } from './components/status_helpers.js';
+import { createWtrDrawerController, sortWtrList, getWtrEntryKey } from './components/wtr_drawer.js';
+import { createSeriesDrawerController } from './components/series_drawer.js';
+import { seriesKey } from './core/series.js';
 import { activeEntryCount as countActiveEntries, createOmniboxController } from './components/omnibox_controller.js';
-import { openConfirmDialog } from './components/confirm_dialog.js';
+import { openConfirmDialog, isConfirmDialogOpen } from './components/confirm_dialog.js';
+import { openPromptDialog, isPromptDialogOpen } from './components/prompt_dialog.js';
+import { readHistoryOf, readYears } from './core/read_history.js';
+import { renderReadHistoryPanel } from './components/read_history_panel.js';
+import { renderContributorsPanel } from './components/contributors_panel.js';
+import { withAuthors } from './core/contributors.js';
+import { EDITION_FIELDS, sanitizeEditionMeta, formatDuration, parseDurationInput } from './core/edition_meta.js';
+import { SyncedCollection } from './core/synced_collection.js';
+import { sanitizeQuoteInput, quotesForBook, isSharedQuote } from './core/quotes.js';
+import { renderQuotesPanel } from './components/quotes_panel.js';
+import { createQuotesDrawerController } from './components/quotes_drawer.js';
+import { MAX_LIST_NAME_LENGTH, sanitizeListInput, isSharedList, compareLists, findListByName, withBookAdded, withBookRemoved } from './core/lists.js';
+import { renderListsPanel } from './components/lists_panel.js';
+import { createListsDrawerController } from './components/lists_drawer.js';
+import { sanitizeLoanInput, loansForBook, currentLoan, outstandingLoans, isOverdue, describeLoan, todayNoonUtc } from './core/loans.js';
+import { renderLoansPanel, loanDatesText } from './components/loans_panel.js';
+import { renderHistoryPanel } from './components/history_panel.js';
+import { suggestDeviceLabel } from './components/account_passkey_settings.js';
+import { createLoansDrawerController } from './components/loans_drawer.js';
+import { displayNameForConnection } from './components/friend_strip.js';
+import { openMergeConflictSheet, refreshMergeConflictSheet, closeMergeConflictSheet, isMergeConflictSheetOpen } from './components/merge_conflict_sheet.js';
+import { createBatchSelectController } from './components/batch_select.js';
+import { batchPatchFor, describeBatch } from './core/batch_edit.js';
+import { createTabSync } from './core/tab_sync.js';
+import { parseProgressInput, progressInputValue, formatProgress } from './core/reading_progress.js';
 import { retryPendingProvisioning } from './components/account_auth_flows.js';
 import { deleteTarnSdkLocalDbs } from './core/local_db_reset.js';
 import { setLastSyncedDlk } from './core/account_scope.js';
@@ -91,12 +117,35 @@ const nudgeCreateAccountBtn = document.getElementById('nudgeCreateAccountBtn');
 // --- Optional fields (Tap to Track) ---
 const optFieldsZone = document.getElementById('optionalFieldsZone');
 const optionalChipsEl = document.getElementById('optionalChips');
+const readHistoryPanelEl = document.getElementById('readHistoryPanel');
+const contributorsPanelEl = document.getElementById('contributorsPanel');
+const quotesPanelEl = document.getElementById('quotesPanel');
+const quotesHeaderBtn = document.getElementById('quotesHeaderBtn');
+const listsPanelEl = document.getElementById('listsPanel');
+const loansPanelEl = document.getElementById('loansPanel');
+const loansHeaderBtn = document.getElementById('loansHeaderBtn');
+const loansBadgeEl = document.getElementById('loansBadge');
+const conflictNoticeEl = document.getElementById('conflictNotice');
+const historyPanelEl = document.getElementById('historyPanel');
+const dnfStopPointInput = document.getElementById('dnfStopPointInput');
+const dnfStopPointRow = document.querySelector('.detail-row[data-field="dnfStopPoint"]');
 const starRatingEl = document.getElementById('starRating');
 const ratingInput = document.getElementById('ratingInput');
 const ownedToggle = document.getElementById('ownedToggle');
 const ownedLabel = document.getElementById('ownedLabel');
 const tagsInputEl = document.getElementById('tagsInput');
 const tagsPillsEl = document.getElementById('tagsPills');
+const seriesInput = document.getElementById('seriesInput');
+const seriesPositionInput = document.getElementById('seriesPositionInput');
+const seriesViewLink = document.getElementById('seriesViewLink');
+// Edition fields (core/edition_meta.js), keyed by record field.
+const editionInputs = {
+  pageCount: document.getElementById('pageCountInput'),
+  publisher: document.getElementById('publisherInput'),
+  publishYear: document.getElementById('publishYearInput'),
+  language: document.getElementById('languageInput'),
+  durationMinutes: document.getElementById('durationInput'),
+};
 const placardTitle = document.getElementById('placardTitle');
 const placardAuthor = document.getElementById('placardAuthor');
 // Use explicit form element lookups for title/author. `form.title` collides
@@ -118,10 +167,11 @@ const addBookCommitBtn = document.getElementById('addBookCommitBtn');
 const dateReadLabelEl = document.getElementById('dateReadLabel');
 const formatRow = document.querySelector('.detail-row[data-field="format"]');
 const dateRow = document.querySelector('.detail-row[data-field="dateRead"]');
-const OPTIONAL_FIELDS = ['notes','rating','owned','tags'];
+const OPTIONAL_FIELDS = ['notes','rating','owned','tags','series','edition'];
 
 // --- Reading status (constants imported from book_repository.js) ---
 const wtrHeaderBtn = document.getElementById('wtrHeaderBtn');
+const selectHeaderBtn = document.getElementById('selectHeaderBtn');
 const wtrBadge = document.getElementById('wtrBadge');
 const wtrOverlay = document.getElementById('wtrOverlay');
 const wtrBackdrop = document.getElementById('wtrBackdrop');
@@ -222,6 +272,11 @@ function clearOptionalFieldValue(name){
   } else if(name === 'notes'){
     if(notesInput) notesInput.value = '';
     autoGrowNotes();
+  } else if(name === 'series'){
+    if(seriesInput) seriesInput.value = '';
+    if(seriesPositionInput) seriesPositionInput.value = '';
+  } else if(name === 'edition'){
+    _fillEditionInputs({});
   }
 }
 function persistOptionalFieldChange(){
@@ -231,7 +286,7 @@ function persistOptionalFieldChange(){
 }
 function initOptionalFields(entry){
   OPTIONAL_FIELDS.forEach(name=>{
-    const hasData = entry && ((name==='notes' && entry.notes) || (name==='rating' && entry.rating) || (name==='owned' && entry.owned) || (name==='tags' && entry.tags));
+    const hasData = entry && ((name==='notes' && entry.notes) || (name==='rating' && entry.rating) || (name==='owned' && entry.owned) || (name==='tags' && entry.tags) || (name==='series' && entry.series) || (name==='edition' && Object.keys(sanitizeEditionMeta(entry)).length));
     // Show if the book has data OR the user has opted-in via preference (#104)
     const shouldShow = !!hasData || getFieldPref(name);
     showOptionalField(name, shouldShow);
@@ -273,6 +328,9 @@ function resetOptionalFields(){
   if(ownedToggle){ ownedToggle.checked=false; if(ownedLabel) ownedLabel.textContent='No'; }
   if(tagsInputEl){ tagsInputEl.value=''; }
   if(tagsPillsEl){ tagsPillsEl.innerHTML=''; }
+  if(seriesInput){ seriesInput.value=''; }
+  if(seriesPositionInput){ seriesPositionInput.value=''; }
+  _fillEditionInputs({});
 }
 function populateOptionalFields(entry){
   resetOptionalFields();
@@ -284,6 +342,11 @@ function populateOptionalFields(entry){
     tagsPillsEl.innerHTML='';
     entry.tags.split(',').map(t=>t.trim()).filter(Boolean).forEach(t=>addTagPill(t));
   }
+  if(entry.series){
+    seriesInput.value=entry.series;
+    seriesPositionInput.value=entry.seriesPosition ?? '';
+  }
+  _fillEditionInputs(sanitizeEditionMeta(entry));
 }
 function getOptionalFieldValues(){
   const vals={};
@@ -292,8 +355,40 @@ function getOptionalFieldValues(){
   if(ownedToggle?.checked) vals.owned=true;
   const tags=collectTags();
   if(tags) vals.tags=tags;
+  const series=(seriesInput?.value||'').trim();
+  if(series){
+    vals.series=series;
+    const pos=parseFloat(seriesPositionInput?.value);
+    if(Number.isFinite(pos) && pos>=0) vals.seriesPosition=pos;
+  }
+  Object.assign(vals, _editionFormValues());
   return vals;
 }
+/** Set the edition inputs; with `onlyKnown`, fields the meta lacks keep their value. */
+function _fillEditionInputs(meta, { onlyKnown = false } = {}){
+  for(const field of EDITION_FIELDS){
+    const input = editionInputs[field];
+    if(!input || (onlyKnown && meta[field] == null)) continue;
+    input.value = field === 'durationMinutes' ? formatDuration(meta[field]) : (meta[field] ?? '');
+  }
+}
+function _editionFormValues(){
+  const raw = {};
+  for(const field of EDITION_FIELDS) raw[field] = editionInputs[field]?.value || '';
+  raw.durationMinutes = parseDurationInput(raw.durationMinutes);
+  return sanitizeEditionMeta(raw);
+}
+/**
+ * Fill the edition details from a search result or a chosen edition
+ * (book_search.js). Fields it doesn't know keep what the form has.
+ */
+function applyEditionMeta(meta){
+  const known = sanitizeEditionMeta(meta);
+  if(!Object.keys(known).length) return;
+  _fillEditionInputs(known, { onlyKnown: true });
+  showOptionalField('edition', true);
+  form.dispatchEvent(new Event('input', {bubbles:true}));
+}
 function collectTags(){
   const pills=[...tagsPillsEl.querySelectorAll('.tag-pill')].map(p=>p.dataset.tag);
   const pending=(tagsInputEl?.value||'').split(',').map(t=>t.trim()).filter(Boolean);
@@ -448,6 +543,14 @@ function resetMobileBookSheetViewport(){
 let entries=[];
 // Book repository — single owner of all book data operations
 let bookRepo = null;
+// Quotes — their own synced collection (core/synced_collection.js)
+let quoteRepo = null;
+// Reader-made lists — the same kind of collection as quotes
+let listRepo = null;
+// Books lent out and borrowed — never shared (core/loans.js)
+let loanRepo = null;
+// The app's other open tabs: one sync leader, changes shared (core/tab_sync.js)
+let tabSync = null;
 // §6.6 backfill: SDK client captured once for the boot-time share
 // reconciliation, plus a one-shot guard so it runs only on the first
 // populated sync.
@@ -510,6 +613,8 @@ function openModalWithHero(entry, cardEl){
 }
 
 function openModal(entry, forceIntent){
+  // Opening the modal that's already open just refills it (a History revert).
+  const alreadyOpen = modal.classList.contains('active');
   _formSubmitting = false;
   modal.classList.add('active');
   document.body.classList.add('modal-open');
@@ -547,6 +652,8 @@ function openModal(entry, forceIntent){
     } else if(rs === READING_STATUS.READING){
       const ts = entry.readingStartedAt;
       form.dateRead.value = ts ? new Date(ts).toISOString().slice(0,10) : (msToDateInputUtc(entry.dateRead) || todayStr);
+    } else if(rs === READING_STATUS.DNF){
+      form.dateRead.value = msToDateInputUtc(entry.dnfAt) || todayStr;
     } else {
       form.dateRead.value = msToDateInputUtc(entry.dateRead) || todayStr;
     }
@@ -554,6 +661,14 @@ function openModal(entry, forceIntent){
     form.dateRead.value = new Date().toISOString().slice(0,10);
   }
   if(notesInput) notesInput.value = entry?.notes || '';
+  if(dnfStopPointInput) dnfStopPointInput.value = entry?.dnfStopPoint || '';
+  _renderReadHistory(entry);
+  _renderContributors(entry);
+  _renderQuotes(entry);
+  _renderBookLists(entry);
+  _renderLoans(entry);
+  _renderHistory(entry);
+  _renderConflictNotice(entry);
   initOptionalFields(entry);
   populateOptionalFields(entry);
   // Per-book privacy (#129). Mirror the entry's `is_private` into all three
@@ -591,7 +706,7 @@ function openModal(entry, forceIntent){
   // when the entry has no work_key (legacy/manual entries).
   const workKey = entry?.work_key || '';
   if(window.bookSearch?.handleModalOpen) window.bookSearch.handleModalOpen(workKey);
-  pushOverlayState('modal');
+  if(!alreadyOpen) pushOverlayState('modal');
   setTimeout(()=>{
     if(notesInput){ notesInput.style.height='auto'; notesInput.style.height=Math.max(60,notesInput.scrollHeight)+'px'; }
     // In add mode, focus title placard on desktop only. On mobile, automatic
@@ -711,6 +826,28 @@ function attachPrivacyLockOverlay(cardEl, entry){
   wrap.appendChild(lock);
 }
 
+// --- Library-card loan badge ---
+//
+// Owner-only like the lock: a small "Lent" tag in the top-right corner of
+// the cover while the book is lent out, "Overdue" once it's past its due
+// date. Borrowed books carry no badge — they're on the reader's shelf.
+// Same idempotent drop-and-reinsert as attachPrivacyLockOverlay.
+function attachLoanBadge(cardEl, entry){
+  if(!cardEl) return;
+  const wrap = cardEl.querySelector('.cover-wrap');
+  if(!wrap) return;
+  const existing = wrap.querySelector('.loan-badge');
+  if(existing) existing.remove();
+  const loan = loanRepo && entry?.bookId ? currentLoan(loanRepo.getAll(), entry.bookId) : null;
+  if(!loan || loan.direction !== 'lent') return;
+  const overdue = isOverdue(loan);
+  const badge = document.createElement('div');
+  badge.className = 'loan-badge' + (overdue ? ' loan-badge-overdue' : '');
+  badge.textContent = overdue ? 'Overdue' : 'Lent';
+  badge.title = `${describeLoan(loan)} · ${loanDatesText(loan)}`;
+  wrap.appendChild(badge);
+}
+
 /** Auto-grow a single-row textarea (#114 placards). */
 function _autoGrowPlacard(el){
   if(!el) return;
@@ -762,6 +899,7 @@ function _hasRequiredTitle(){
 function _addCommitLabel(status){
   if(status === READING_STATUS.READING) return 'Add as Reading';
   if(status === READING_STATUS.READ) return 'Add as Read';
+  if(status === READING_STATUS.DNF) return 'Add as Did Not Finish';
   return 'Add to Want to Read';
 }
 
@@ -795,6 +933,9 @@ function _stampStatusTransitionDates(newStatus, prevStatus){
   if(newStatus === READING_STATUS.READ && prevStatus !== READING_STATUS.READ){
     if(form.dateRead) form.dateRead.value = todayIso;
   }
+  if(newStatus === READING_STATUS.DNF && prevStatus !== READING_STATUS.DNF){
+    if(form.dateRead) form.dateRead.value = todayIso;
+  }
 }
 
 function setReadingStatus(status, opts){
@@ -833,7 +974,12 @@ function applyIntentUI(intent){
     dateRow.dataset.hidden = 'true';
   }
   if(dateReadLabelEl){
-    dateReadLabelEl.textContent = isReading ? 'Started' : 'Finished';
+    dateReadLabelEl.textContent = isReading ? 'Started' : intent === READING_STATUS.DNF ? 'Stopped' : 'Finished';
+  }
+  if(dnfStopPointRow){
+    // Stop point is only asked for once the book is marked did-not-finish.
+    if(intent === READING_STATUS.DNF) delete dnfStopPointRow.dataset.hidden;
+    else dnfStopPointRow.dataset.hidden = 'true';
   }
   if(dateInput){
     dateInput.readOnly = false;
@@ -841,6 +987,8 @@ function applyIntentUI(intent){
     if(isReading){
       const ts = entry?.readingStartedAt;
       if(!dateInput.value) dateInput.value = ts ? new Date(ts).toISOString().slice(0,10) : new Date().toISOString().slice(0,10);
+    } else if(intent === READING_STATUS.DNF){
+      if(!dateInput.value) dateInput.value = msToDateInputUtc(entry?.dnfAt) || new Date().toISOString().slice(0,10);
     } else if(!isWtr){
       if(!dateInput.value) dateInput.value = msToDateInputUtc(entry?.dateRead) || new Date().toISOString().slice(0,10);
     }
@@ -852,7 +1000,8 @@ function applyIntentUI(intent){
 const STATUS_MICROCOPY = {
   [READING_STATUS.WANT_TO_READ]: 'Moved to Want to Read',
   [READING_STATUS.READING]: 'Moved to Reading',
-  [READING_STATUS.READ]: 'Marked as Read'
+  [READING_STATUS.READ]: 'Marked as Read',
+  [READING_STATUS.DNF]: 'Marked as Did Not Finish — it stays on your shelf'
 };
 function _showStatusMicrocopy(status){
   if(!statusMicrocopyEl) return;
@@ -883,13 +1032,14 @@ function _summaryDateValueForStatus(status, entry){
   if(formValue) return formValue;
   if(status === READING_STATUS.READING) return entry?.readingStartedAt ? new Date(entry.readingStartedAt).toISOString().slice(0,10) : '';
   if(status === READING_STATUS.READ) return msToDateInputUtc(entry?.dateRead) || '';
+  if(status === READING_STATUS.DNF) return msToDateInputUtc(entry?.dnfAt) || '';
   return '';
 }
 
 function _renderSummaryDateSegment(kind, label, value){
   const ms = _dateInputToSummaryMs(value);
   if(ms == null) return '';
-  const ariaLabel = kind === 'started' ? 'Edit start date' : 'Edit finish date';
+  const ariaLabel = kind === 'started' ? 'Edit start date' : kind === 'stopped' ? 'Edit date stopped' : 'Edit finish date';
   if(_summaryDateEditing === kind){
     return `<input type="date" class="summary-date-input" data-edit-date="${kind}" aria-label="${ariaLabel}" value="${escapeHtml(value)}">`;
   }
@@ -918,6 +1068,11 @@ function _renderSummaryRow(){
     const finishedSeg = _renderSummaryDateSegment('finished', 'Finished', currentDateValue);
     if(finishedSeg) segs.push(finishedSeg);
   }
+  if(status === READING_STATUS.DNF){
+    if(startedMs) segs.push(`<span class="summary-seg summary-static-seg">Started ${escapeHtml(_formatDayMonthYear(startedMs))}</span>`);
+    const stoppedSeg = _renderSummaryDateSegment('stopped', 'Stopped', currentDateValue);
+    if(stoppedSeg) segs.push(stoppedSeg);
+  }
   if(!segs.length){
     summaryRowEl.innerHTML='';
     summaryRowEl.classList.add('is-empty');
@@ -935,7 +1090,8 @@ function _startSummaryDateEdit(which){
   const status = readingStatusInput?.value || READING_STATUS.WANT_TO_READ;
   const canEditStarted = which === 'started' && status === READING_STATUS.READING;
   const canEditFinished = which === 'finished' && status === READING_STATUS.READ;
-  if(!canEditStarted && !canEditFinished) return;
+  const canEditStopped = which === 'stopped' && status === READING_STATUS.DNF;
+  if(!canEditStarted && !canEditFinished && !canEditStopped) return;
   _summaryDateEditing = which;
   _renderSummaryRow();
   requestAnimationFrame(()=>{
@@ -1040,7 +1196,24 @@ function closeModal(fromPopstate = false){
     }
   }
 }
-function clearBooks(){ if(bookRepo) bookRepo.clear(); else { entries=[]; render(); } }
+function clearBooks(){
+  if(quoteRepo) quoteRepo.clear();
+  if(listRepo) listRepo.clear();
+  if(loanRepo) loanRepo.clear();
+  if(bookRepo) bookRepo.clear(); else { entries=[]; render(); }
+}
+// Signing out or in reaches every tab: account_ui.js announces it, and the
+// other tabs drop what they show and reload into the new session (the Tarn
+// session lives in localStorage, so a reload picks it up).
+function announceSessionChange(state){
+  if(tabSync) tabSync.post('session', { state });
+}
+function onSessionChangedElsewhere({ state }){
+  debugLog('[Bookish] Session changed in another tab:', state);
+  stopSync();
+  if(state === 'signed-out') clearBooks();
+  location.reload();
+}
 function dismissTransientUi(){
   const active = document.activeElement;
   if(active && typeof active.blur === 'function') active.blur();
@@ -1055,7 +1228,7 @@ function dismissTransientUi(){
   }
   document.body.classList.remove('empty-omnibox-active');
 }
-window.bookishApp={ openModal, clearBooks, showCoverLoaded, clearCoverPreview, render, changeReadingStatus, showShelfSkeletons, clearShelfSkeletons, getActiveEntryCount: ()=>activeEntryCount(), showStatusToast, dismissTransientUi, _autoSaveIfDirty: ()=>_autoSaveIfDirty(),
+window.bookishApp={ openModal, clearBooks, announceSessionChange, showCoverLoaded, clearCoverPreview, applyEditionMeta, render, changeReadingStatus, showShelfSkeletons, clearShelfSkeletons, getActiveEntryCount: ()=>activeEntryCount(), getBookRepo: ()=>bookRepo, showStatusToast, dismissTransientUi, _autoSaveIfDirty: ()=>_autoSaveIfDirty(),
   // Test-only: synchronously inject an entry into the in-memory list and
   // re-render. Used by browser tests that need a deterministic card without
   // reaching through the network-bound search-and-save flow. NEVER called
@@ -1070,12 +1243,16 @@ function currentFormState(){ return JSON.stringify({
   format: form.format.value,
   dateRead: form.dateRead.value,
   readingStatus: readingStatusInput?.value||READING_STATUS.WANT_TO_READ,
+  dnfStopPoint: (dnfStopPointInput?.value||'').trim(),
   cover: coverPreview.dataset.b64||'',
   coverCrop: serializeCoverCrop(coverPreview.dataset.crop||''),
   notes: (notesInput?.value||'').trim(),
   rating: ratingInput?.value||'',
   owned: ownedToggle?.checked?'1':'',
   tags: collectTags(),
+  series: (seriesInput?.value||'').trim(),
+  seriesPosition: seriesPositionInput?.value||'',
+  edition: EDITION_FIELDS.map(field => (editionInputs[field]?.value||'').trim()).join('|'),
   // Per-book privacy (#129) — included so flipping the lock toggle or the
   // add-form checkbox marks the form dirty and triggers the standard save
   // path. Without this, the auto-save would treat a privacy flip as a no-op.
@@ -1163,6 +1340,10 @@ async function _autoSaveIfDirty(){
     shouldSaveAgain = currentFormState() !== savedState;
     if(!shouldSaveAgain) _showAutosaveSaved();
     _renderSummaryRow();
+    // A status/date change can add or move a read; an author edit
+    // rewrites the contributors' author roles.
+    _renderReadHistory(bookRepo?.getById(priorTxid));
+    _renderContributors(bookRepo?.getById(priorTxid));
     return true;
   } catch(err){
     console.warn('[Bookish] auto-save failed:', err?.message||err);
@@ -1185,6 +1366,317 @@ async function _autoSaveIfDirty(){
   }
 }
 
+// --- Re-reads panel (book-detail page) ---
+// Adding/removing a read can move dateRead, so pending form edits are saved
+// first and the date field + dirty snapshot are refreshed from the result.
+function _renderReadHistory(entry){
+  if(!readHistoryPanelEl) return;
+  if(!entry){ readHistoryPanelEl.replaceChildren(); return; }
+  const key = entry.txid || entry.id;
+  const afterChange = () => {
+    const updated = bookRepo?.getById(key);
+    if(!updated || form.priorTxid.value !== key) return;
+    if(normalizeReadingStatus(updated) === READING_STATUS.READ && readingStatusInput?.value === READING_STATUS.READ){
+      form.dateRead.value = msToDateInputUtc(updated.dateRead) || '';
+    }
+    snapshotOriginal();
+    updateDirty();
+    _renderSummaryRow();
+    _renderReadHistory(updated);
+  };
+  renderReadHistoryPanel(readHistoryPanelEl, entry, {
+    onAdd: async (read) => {
+      if(!bookRepo) return;
+      await _autoSaveIfDirty();
+      await bookRepo.addRead(key, read);
+      haptic();
+      afterChange();
+    },
+    onRemove: async (index) => {
+      if(!bookRepo) return;
+      // Saving pending edits first can add a read; find this one again by date.
+      const date = readHistoryOf(entry)[index]?.date;
+      await _autoSaveIfDirty();
+      const current = bookRepo.getById(key);
+      const at = current ? readHistoryOf(current).findIndex(r => r.date === date) : -1;
+      if(at >= 0) await bookRepo.removeRead(key, at);
+      afterChange();
+    },
+  });
+}
+
+// --- Contributors panel (book-detail page) ---
+// A new list re-derives the display author, so pending form edits are saved
+// first and the author placard + dirty snapshot are refreshed from the result.
+function _renderContributors(entry){
+  if(!contributorsPanelEl) return;
+  if(!entry){ contributorsPanelEl.replaceChildren(); return; }
+  const key = entry.txid || entry.id;
+  renderContributorsPanel(contributorsPanelEl, entry, {
+    onChange: async (contributors) => {
+      if(!bookRepo) return;
+      await _autoSaveIfDirty();
+      await bookRepo.update(key, { contributors });
+      const updated = bookRepo.getById(key);
+      if(!updated || form.priorTxid.value !== key) return;
+      if(authorInput) authorInput.value = updated.author || '';
+      _autoGrowPlacard(placardAuthor);
+      snapshotOriginal();
+      updateDirty();
+      _renderContributors(updated);
+    },
+  });
+}
+
+// --- Quotes panel (book-detail page) ---
+// Quotes are records of their own keyed by the book's bookId, so nothing here
+// touches the form; a book that hasn't been saved yet has no quotes panel.
+function _renderQuotes(entry){
+  if(!quotesPanelEl) return;
+  const bookId = entry?.bookId;
+  if(!bookId || !quoteRepo){ quotesPanelEl.replaceChildren(); return; }
+  renderQuotesPanel(quotesPanelEl, quotesForBook(quoteRepo.getAll(), bookId), {
+    onAdd: async (input) => {
+      const quote = sanitizeQuoteInput(input);
+      if(!quote.text) throw new Error('Enter the passage.');
+      await quoteRepo.create({ bookId, ...quote });
+      haptic();
+      _renderQuotes(entry);
+    },
+    onShareChange: (quoteId, shared) => quoteRepo.update(quoteId, { shared }),
+    onDelete: (quoteId) => _deleteQuote(quoteId),
+    onOpenAll: () => {
+      _autoSaveIfDirty();
+      closeModal();
+      quotesDrawerController.open();
+    },
+  });
+}
+
+async function _deleteQuote(quoteId){
+  if(!quoteRepo) return;
+  const confirmed = await openConfirmDialog({
+    title: 'Delete this quote?',
+    body: 'It will be removed from all your devices.',
+    confirmLabel: 'Delete',
+    destructive: true,
+  });
+  if(confirmed) await quoteRepo.delete(quoteId);
+}
+
+// A sync or another quote's upload re-renders the open book's panel — unless
+// the reader is mid-capture or mid-search there, which a re-render would wipe.
+function _onQuotesChange(quotes){
+  if(quotesHeaderBtn) quotesHeaderBtn.style.display = quotes.length ? '' : 'none';
+  if(quotesDrawerController.isOpen()) quotesDrawerController.render();
+  if(!modal.classList.contains('active') || !quotesPanelEl) return;
+  const busy = quotesPanelEl.querySelector('.quotes-form:not([hidden])') || quotesPanelEl.querySelector('.quotes-search-input')?.value;
+  if(!busy) _renderQuotes(bookRepo?.getById(form.priorTxid.value));
+}
+
+// --- Lists (book-detail panel + lists drawer) ---
+// Lists point at books by bookId (core/lists.js). Names are unique ignoring
+// case: "New list…" under a name that's taken adds to that list instead.
+
+function _promptListName({ title, initialValue = '', confirmLabel = 'Save' }){
+  return openPromptDialog({
+    title,
+    initialValue,
+    placeholder: 'Book club 2026',
+    confirmLabel,
+    maxLength: MAX_LIST_NAME_LENGTH,
+  });
+}
+
+/** New list, optionally with a first book. Resolves to its listId, or null. */
+async function _createList(bookId = null){
+  if(!listRepo) return null;
+  const value = await _promptListName({ title: 'New list', confirmLabel: 'Create' });
+  const { name } = sanitizeListInput({ name: value });
+  if(!name) return null;
+  const existing = findListByName(listRepo.getAll(), name);
+  if(existing){
+    if(bookId) await listRepo.update(existing.listId, { bookIds: withBookAdded(existing, bookId) });
+    showStatusToast(bookId ? `Added to "${existing.name}"` : `You already have "${existing.name}"`);
+    return existing.listId;
+  }
+  const list = await listRepo.create({ name, bookIds: bookId ? [bookId] : [] });
+  haptic();
+  return list.listId;
+}
+
+async function _renameList(list){
+  const value = await _promptListName({ title: 'Rename list', initialValue: list.name });
+  const { name } = sanitizeListInput({ name: value });
+  if(!name || name === list.name) return;
+  if(findListByName(listRepo.getAll(), name, list.listId)){
+    showStatusToast(`You already have a list called "${name}"`, { durationMs: 3000 });
+    return;
+  }
+  await listRepo.update(list.listId, { name });
+}
+
+/** Resolves to true when the list was deleted. */
+async function _deleteList(list){
+  const confirmed = await openConfirmDialog({
+    title: `Delete "${list.name}"?`,
+    body: 'Only the list goes — its books stay on your shelf.',
+    confirmLabel: 'Delete',
+    destructive: true,
+  });
+  if(!confirmed) return false;
+  await listRepo.delete(list.listId);
+  return true;
+}
+
+function _updateList(listId, patch){
+  const next = { ...patch };
+  if('description' in next) next.description = sanitizeListInput({ description: next.description }).description;
+  return listRepo.update(listId, next);
+}
+
+function _renderBookLists(entry){
+  if(!listsPanelEl) return;
+  const bookId = entry?.bookId;
+  if(!bookId || !listRepo){ listsPanelEl.replaceChildren(); return; }
+  const withList = (listId, change) => {
+    const list = listRepo.getById(listId);
+    return list ? listRepo.update(listId, { bookIds: change(list, bookId) }) : undefined;
+  };
+  renderListsPanel(listsPanelEl, listRepo.getAll(), bookId, {
+    onAdd: (listId) => withList(listId, withBookAdded),
+    onRemove: (listId) => withList(listId, withBookRemoved),
+    onCreate: () => _createList(bookId),
+    onOpenList: (listId) => {
+      _autoSaveIfDirty();
+      closeModal();
+      listsDrawerController.open(listId);
+    },
+  });
+}
+
+function _onListsChange(){
+  if(listsDrawerController.isOpen()) listsDrawerController.render();
+  if(modal.classList.contains('active')) _renderBookLists(bookRepo?.getById(form.priorTxid.value));
+}
+
+// --- Loans (book-detail panel + "On loan" view) ---
+// The friend picker only fills in the name; nothing about a loan is ever
+// published, to that friend or anyone.
+
+async function _loanFriends(){
+  const connections = await friendsListConnections();
+  return (connections || [])
+    .filter(c => c?.share_pub)
+    .map(c => ({ sharePub: c.share_pub, name: displayNameForConnection(c) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function _returnLoan(loanId){
+  return loanRepo.update(loanId, { returnedAt: todayNoonUtc() }).then(() => haptic());
+}
+
+async function _deleteLoan(loanId){
+  const confirmed = await openConfirmDialog({
+    title: 'Delete this loan?',
+    body: 'It will be removed from all your devices. To record that the book came back, use Returned instead.',
+    confirmLabel: 'Delete',
+    destructive: true,
+  });
+  if(confirmed) await loanRepo.delete(loanId);
+}
+
+function _renderLoans(entry){
+  if(!loansPanelEl) return;
+  const bookId = entry?.bookId;
+  if(!bookId || !loanRepo){ loansPanelEl.replaceChildren(); return; }
+  renderLoansPanel(loansPanelEl, loansForBook(loanRepo.getAll(), bookId), {
+    getFriends: _loanFriends,
+    onAdd: async (input) => {
+      const { fields, error } = sanitizeLoanInput(input);
+      if(error) throw new Error(error);
+      await loanRepo.create({ bookId, ...fields });
+      haptic();
+    },
+    onReturn: (loanId) => _returnLoan(loanId),
+    onDelete: (loanId) => _deleteLoan(loanId),
+  });
+}
+
+function _updateLoansHeader(loans){
+  const { overdue, lent, borrowed } = outstandingLoans(loans);
+  const open = overdue.length + lent.length + borrowed.length;
+  if(loansHeaderBtn) loansHeaderBtn.style.display = open ? '' : 'none';
+  if(loansBadgeEl){
+    loansBadgeEl.textContent = overdue.length ? String(overdue.length) : '';
+    loansBadgeEl.style.display = overdue.length ? '' : 'none';
+  }
+}
+
+// Card badges follow the loans, so every change re-renders the shelf. The
+// panel re-renders unless a new loan is mid-entry there.
+function _onLoansChange(loans){
+  _updateLoansHeader(loans);
+  render();
+  if(!modal.classList.contains('active') || !loansPanelEl) return;
+  if(!loansPanelEl.querySelector('.loans-form:not([hidden])')) _renderLoans(bookRepo?.getById(form.priorTxid.value));
+}
+
+// --- Edit history panel (book-detail page) ---
+// A revert can touch any field, so pending form edits are saved first and
+// the whole form is refilled from the reverted book afterwards.
+
+function _renderHistory(entry, { expanded = false } = {}){
+  if(!historyPanelEl) return;
+  if(!entry?.bookId || !bookRepo){ historyPanelEl.replaceChildren(); return; }
+  const key = entry.txid || entry.id;
+  renderHistoryPanel(historyPanelEl, {
+    expanded,
+    loadHistory: () => bookRepo.getHistory(key),
+    onRevert: async (versionId, field) => {
+      await _autoSaveIfDirty();
+      await bookRepo.revertHistory(key, versionId, field);
+      haptic();
+      const updated = bookRepo.getById(key);
+      if(!updated || form.priorTxid.value !== key) return;
+      openModal(updated);
+      _renderHistory(updated, { expanded: true });
+    },
+  });
+}
+
+// --- Concurrent-edit conflicts ---
+// Sync merges edits made on two devices field by field (core/field_merge.js);
+// what it can't merge waits, with this device's value in place, for the
+// reader to pick in the conflict sheet.
+
+function _openConflictSheet(){
+  if(!bookRepo) return;
+  openMergeConflictSheet({
+    getConflicts: () => bookRepo.getConflicts(),
+    onResolve: (bookId, group, choice) => bookRepo.resolveConflict(bookId, group, choice),
+  });
+}
+
+function _renderConflictNotice(entry){
+  if(conflictNoticeEl) conflictNoticeEl.hidden = !entry?._conflicts?.length;
+}
+
+// The form holds the values in question — save and close it before the
+// sheet changes them underneath.
+conflictNoticeEl?.addEventListener('click', () => {
+  _autoSaveIfDirty();
+  closeModal();
+  _openConflictSheet();
+});
+
+function _onBookConflicts(books){
+  refreshMergeConflictSheet();
+  if(!books.length || isMergeConflictSheetOpen()) return;
+  const message = books.length === 1 ? `"${books[0].title || 'A book'}" was edited on two devices` : `${books.length} books were edited on two devices`;
+  showActionToast(message, { actionLabel: 'Review', onAction: _openConflictSheet, durationMs: 8000 });
+}
+
 /** Build the persistence payload from current form state (for auto-save). */
 function _buildPayloadFromForm(){
   const rsValue = readingStatusInput?.value || READING_STATUS.WANT_TO_READ;
@@ -1200,6 +1692,10 @@ function _buildPayloadFromForm(){
     if(ms != null) payload.dateRead = ms;
   } else if(rsValue === READING_STATUS.READING){
     payload.readingStartedAt = dateVal ? new Date(dateVal+'T00:00:00').getTime() : Date.now();
+  } else if(rsValue === READING_STATUS.DNF){
+    const ms = dateStringToMsNoonUtc(dateVal);
+    if(ms != null) payload.dnfAt = ms;
+    payload.dnfStopPoint = (dnfStopPointInput?.value||'').trim();
   }
   if(coverPreview.dataset.b64){
     payload.coverImage = coverPreview.dataset.b64;
@@ -1222,6 +1718,9 @@ function _buildPayloadFromForm(){
   payload.rating = optVals.rating || 0;
   payload.owned = !!optVals.owned;
   payload.tags = optVals.tags || '';
+  payload.series = optVals.series || '';
+  payload.seriesPosition = optVals.seriesPosition ?? '';
+  for(const field of EDITION_FIELDS) payload[field] = optVals[field] ?? '';
   // Per-book privacy (#129). Always forward an explicit boolean so the
   // BookRepository edit path can detect public→private and private→public
   // transitions to fan out the correct share-log call (publish / unpublish).
@@ -1250,7 +1749,7 @@ function _bindAutoSaveBlur(el){
     });
   }
 }
-[placardTitle, placardAuthor, form.format, form.dateRead, notesInput, ratingInput, ownedToggle, tagsInputEl].forEach(_bindAutoSaveBlur);
+[placardTitle, placardAuthor, form.format, form.dateRead, notesInput, ratingInput, ownedToggle, tagsInputEl, dnfStopPointInput, seriesInput, seriesPositionInput, ...Object.values(editionInputs)].forEach(_bindAutoSaveBlur);
 
 // Summary-row segment click → activate/scroll to the editor for that field
 summaryRowEl?.addEventListener('click', e=>{
@@ -1261,7 +1760,7 @@ summaryRowEl?.addEventListener('click', e=>{
     activateField('rating');
     const firstStar = starRatingEl?.querySelector('.star');
     firstStar?.focus?.();
-  } else if(which === 'started' || which === 'finished'){
+  } else if(which === 'started' || which === 'finished' || which === 'stopped'){
     _startSummaryDateEdit(which);
   }
 });
@@ -1270,7 +1769,7 @@ summaryRowEl?.addEventListener('keydown', e=>{
   if(!seg) return;
   if(e.key !== 'Enter' && e.key !== ' ') return;
   const which = seg.dataset.edit;
-  if(which !== 'started' && which !== 'finished') return;
+  if(which !== 'started' && which !== 'finished' && which !== 'stopped') return;
   e.preventDefault();
   _startSummaryDateEdit(which);
 });
@@ -1435,6 +1934,8 @@ window.addEventListener('popstate', () => {
   // Close topmost visible overlay (search takeover > notes > modal > account > friends > wtr)
   if (omniboxController.isSearchTakeoverActive()) {
     closeSearchTakeover(true);
+  } else if (isMergeConflictSheetOpen()) {
+    closeMergeConflictSheet(true);
   } else if (notesOverlay && notesOverlay.style.display === 'flex') {
     closeNotesOverlay(true);
   } else if (modal && modal.classList.contains('active')) {
@@ -1454,8 +1955,19 @@ window.addEventListener('popstate', () => {
       // Friends drawer (#122) — stack peer of WTR. Closed via popstate so the
       // PWA system back button dismisses it just like any other overlay.
       import('./components/friends_drawer.js').then(m => m.closeFriendsDrawer(true)).catch(() => {});
+    } else if (seriesDrawerController.isOpen()) {
+      seriesDrawerController.close(true);
+    } else if (quotesDrawerController.isOpen()) {
+      quotesDrawerController.close(true);
+    } else if (listsDrawerController.isOpen()) {
+      listsDrawerController.close(true);
+    } else if (loansDrawerController.isOpen()) {
+      loansDrawerController.close(true);
     } else if (wtrOverlay && wtrOverlay.style.display === 'block') {
       closeWtrDrawer(true);
+    } else if (batchSelectController.isActive('shelf')) {
+      // Under every drawer: a shelf selection's back entry came first.
+      batchSelectController.exit(true);
     }
   }
 });
@@ -1509,7 +2021,6 @@ export function hideAccountNudge(){
 const generatedCoverColor = sharedGeneratedCoverColor;
 
 // --- Render ---
-function markDeletingVisual(entry){ entry._deleting=true; entry._committed=false; const key=entry.txid||entry.id||''; const el=key?document.querySelector('.card[data-txid="'+key+'"]'):null; if(el){ el.classList.add('deleting'); el.style.pointerEvents='none'; el.style.opacity='0.35'; } }
 
 // buildCardDetails + buildCardHTML live in components/book_card.js (#123).
 // Local aliases preserve the rest of app.js.
@@ -1534,8 +2045,8 @@ const buildCardHTML = sharedBuildCardHTML;
  *
  * Idempotent: drops any existing `.friend-pip-overlay` first, then appends a
  * fresh one if there are matches. Safe to call on every render; the
- * underlying match cache is keyed by work_key so repeated calls cost a
- * single Map lookup per card.
+ * underlying match caches are keyed by work_key and by title + author, so
+ * repeated calls cost a few Map lookups per card.
  */
 function attachFriendPips(cardEl, entry){
   if(!cardEl) return;
@@ -1549,9 +2060,8 @@ function attachFriendPips(cardEl, entry){
   const existing = wrap.querySelector('.friend-pip-overlay');
   if(existing) existing.remove();
 
-  const wk = entry && typeof entry.work_key === 'string' ? entry.work_key : '';
-  if(!wk) return;
-  const matchEntries = friendsGetMatchingFriendBookEntries(wk);
+  // Matched on work_key, or on title + any of the book's authors.
+  const matchEntries = entry ? friendsGetMatchingFriendBookEntries(entry) : [];
   if(!matchEntries.length) return;
 
   // The pip component takes a flat connection list; we keep the per-friend
@@ -1580,7 +2090,7 @@ function attachFriendPips(cardEl, entry){
 
 /** Quick fingerprint for change detection — avoids unnecessary innerHTML rewrites */
 function entryFingerprint(e){
-  return (e.txid||e.id||'')+'\t'+(e.title||'')+'\t'+(e.author||'')+'\t'+(e.dateRead||'')+'\t'+(e.readingStartedAt||'')+'\t'+(e.createdAt||'')+'\t'+(e._deleting?'1':'0')+'\t'+(e.format||'')+'\t'+(e.readingStatus||'')+'\t'+(e.rating||'')+'\t'+(e.is_private===true?'p':'_');
+  return (e.txid||e.id||'')+'\t'+(e.title||'')+'\t'+(e.author||'')+'\t'+(e.dateRead||'')+'\t'+(e.readingStartedAt||'')+'\t'+(e.createdAt||'')+'\t'+(e._deleting?'1':'0')+'\t'+(e.format||'')+'\t'+(e.readingStatus||'')+'\t'+(e.rating||'')+'\t'+(e.is_private===true?'p':'_')+'\t'+(e.progressUnit||'')+'\t'+(e.progressValue??'')+'\t'+(e.progressTotal||'')+'\t'+(e.dnfAt||'')+'\t'+(e.dnfStopPoint||'');
 }
 
 function cardCoverChanged(card, e){
@@ -1661,19 +2171,28 @@ function render(){
   const readingList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.READING);
   const readList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.READ);
   const wantList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.WANT_TO_READ);
+  // Did-not-finish books stay on the shelf; groupByYear gives them their own section.
+  const dnfList = visible.filter(e => normalizeReadingStatus(e) === READING_STATUS.DNF);
 
   // Sort each list
   readingList.sort((a,b)=> (b.readingStartedAt||b.createdAt||0) - (a.readingStartedAt||a.createdAt||0));
   readList.sort((a,b)=>{ const da=a.dateRead||0; const db=b.dateRead||0; if(da!==db) return db - da; return (b.createdAt||0)-(a.createdAt||0); });
   sortWtrList(wantList);
 
-  // Main grid shows: reading first, then read
-  const shelfEntries = [...readingList, ...readList];
+  // Main grid shows: reading first, then read, then did-not-finish
+  const shelfEntries = [...readingList, ...readList, ...dnfList];
 
   wtrDrawerController.updateHeader(wantList, { hasShelfEntries: shelfEntries.length > 0 });
+  if(selectHeaderBtn) selectHeaderBtn.style.display = shelfEntries.length ? '' : 'none';
+  batchSelectController.prune(new Set(visible.map(getWtrEntryKey)));
 
   // Update WTR drawer if open
   if(wtrDrawerController.isOpen()) renderWtrDrawer(wantList);
+  if(wtrSeriesLink) wtrSeriesLink.style.display = seriesDrawerController.hasSeries() ? '' : 'none';
+  if(seriesDrawerController.isOpen()) seriesDrawerController.render();
+  if(quotesDrawerController.isOpen()) quotesDrawerController.render();
+  if(listsDrawerController.isOpen()) listsDrawerController.render();
+  if(loansDrawerController.isOpen()) loansDrawerController.render();
 
   if(!shelfEntries.length && !wantList.length){
     const syncStatus = getSyncStatusForUI();
@@ -1759,7 +2278,11 @@ function render(){
     if(yearHeader && activeYear){
       const count = displayEntries.length;
       const yearDisplay = activeYear === 'Undated' ? 'Undated' : activeYear;
-      if(yearLabelEl) yearLabelEl.textContent = `${yearDisplay} \u00B7 ${count} book${count===1?'':'s'}`;
+      // Re-reads: a book finished twice this year is one book, two reads.
+      const finishedBooks = activeYear === 'Undated' ? count : displayEntries.filter(e => readYears(e).has(activeYear)).length;
+      const reads = yearList.find(item => item.year === activeYear)?.reads ?? finishedBooks;
+      const rereads = Math.max(0, reads - finishedBooks);
+      if(yearLabelEl) yearLabelEl.textContent = `${yearDisplay} \u00B7 ${count} book${count===1?'':'s'}${rereads ? ` \u00B7 ${rereads} re-read${rereads===1?'':'s'}` : ''}`;
       yearHeader.style.display = yearList.length > 0 ? '' : 'none';
 
       // Render spines into the panel (even if closed, so they're ready)
@@ -1782,7 +2305,7 @@ function render(){
       return;
     }
     // No populated years remain — show empty message
-    cardsEl.innerHTML = `<div class="year-empty"><div class="year-empty-icon" aria-hidden="true"><span></span><span></span><span></span></div>No books in ${activeYear === 'Undated' ? 'Undated' : activeYear} yet</div>`;
+    cardsEl.innerHTML = `<div class="year-empty"><div class="year-empty-icon" aria-hidden="true"><span></span><span></span><span></span></div>No books in ${activeYear} yet</div>`;
     return;
   }
 
@@ -1807,6 +2330,7 @@ function render(){
     desiredKeys.add(key);
     const fp = entryFingerprint(e) + (e._wtrResult ? '\twtr' : '');
     const isReading = normalizeReadingStatus(e) === READING_STATUS.READING;
+    const isDnf = normalizeReadingStatus(e) === READING_STATUS.DNF;
     // Cards expose title + author via aria-label so screen readers and
     // keyboard focus announcements work without visible text below the cover.
     const ariaLabel = (e.title || 'Untitled') + (e.author ? ` by ${e.author}` : '');
@@ -1820,12 +2344,14 @@ function render(){
         card.dataset.fmt=fmtVariant;
         card.dataset.format=rawFmt;
         if(isReading) card.dataset.reading='true'; else delete card.dataset.reading;
+        if(isDnf) card.dataset.dnf='true'; else delete card.dataset.dnf;
         card.setAttribute('role', 'button');
         card.setAttribute('tabindex', '0');
         card.setAttribute('aria-label', ariaLabel);
         card.innerHTML=buildCardHTML(e, e._wtrResult, { showActions: true });
         attachFriendPips(card, e);
         attachPrivacyLockOverlay(card, e);
+        attachLoanBadge(card, e);
         card.dataset._fp=fp;
         rememberCardCover(card, e);
         if(e._deleting){ card.style.pointerEvents='none'; card.style.opacity='0.35'; }
@@ -1834,9 +2360,10 @@ function render(){
         // Re-attach pips on every render even when fp is unchanged; the
         // friend-library cache may have repainted since last render and the
         // matching set could have grown / shrunk without the entry itself
-        // changing. Cheap: getMatchingFriendBookEntries is a Map.get.
+        // changing. Cheap: getMatchingFriendBookEntries is a few Map lookups.
         attachFriendPips(card, e);
         attachPrivacyLockOverlay(card, e);
+        attachLoanBadge(card, e);
       }
     } else {
       card=document.createElement('div');
@@ -1847,18 +2374,29 @@ function render(){
       card.dataset.fmt=fmtVariant;
       card.dataset.format=rawFmt;
       if(isReading) card.dataset.reading='true';
+      if(isDnf) card.dataset.dnf='true';
       card.setAttribute('role', 'button');
       card.setAttribute('tabindex', '0');
       card.setAttribute('aria-label', ariaLabel);
       card.innerHTML=buildCardHTML(e, e._wtrResult, { showActions: true });
       attachFriendPips(card, e);
       attachPrivacyLockOverlay(card, e);
+      attachLoanBadge(card, e);
       card.dataset._fp=fp;
       rememberCardCover(card, e);
       if(e._deleting){ card.style.pointerEvents='none'; card.style.opacity='0.35'; }
     }
+    card.dataset.selectKey=getWtrEntryKey(e);
+    _paintCardSelection(card);
     card.onclick=(ev)=>{
       if(e._deleting) return;
+      // Selecting: a tap toggles the card, whatever it landed on.
+      if(batchSelectController.isActive('shelf')){
+        ev.stopPropagation();
+        ev.preventDefault();
+        batchSelectController.toggle(card.dataset.selectKey);
+        return;
+      }
       // Inline mark-as-read button shortcut — bypasses the detail-view open.
       const markBtn = ev.target.closest?.('.card-mark-read');
       if(markBtn){
@@ -1867,12 +2405,24 @@ function render(){
         handleInlineMarkRead(e, markBtn.dataset.markReadKey || (e.txid||e.id||''));
         return;
       }
+      const progressBtn = ev.target.closest?.('.card-progress-update');
+      if(progressBtn){
+        ev.stopPropagation();
+        ev.preventDefault();
+        handleInlineProgressUpdate(e, progressBtn.dataset.progressKey || (e.txid||e.id||''));
+        return;
+      }
       openModalWithHero(e, card);
     };
     // Keyboard activation: Enter/Space opens detail (matches role="button" affordance).
     card.onkeydown=(ev)=>{
       if(e._deleting) return;
       if(ev.key !== 'Enter' && ev.key !== ' ') return;
+      if(batchSelectController.isActive('shelf')){
+        ev.preventDefault();
+        batchSelectController.toggle(card.dataset.selectKey);
+        return;
+      }
       // If focus is on the mark-read affordance (span with role="button"), fire
       // mark-as-read directly. Spans don't get native Enter/Space → click, so
       // we have to dispatch the action ourselves.
@@ -1883,6 +2433,13 @@ function render(){
         handleInlineMarkRead(e, markEl.dataset.markReadKey || (e.txid||e.id||''));
         return;
       }
+      const progressEl = ev.target?.closest?.('.card-progress-update');
+      if(progressEl){
+        ev.preventDefault();
+        ev.stopPropagation();
+        handleInlineProgressUpdate(e, progressEl.dataset.progressKey || (e.txid||e.id||''));
+        return;
+      }
       ev.preventDefault();
       openModalWithHero(e, card);
     };
@@ -1946,9 +2503,237 @@ const wtrDrawerController = createWtrDrawerController({
   onStartReading: (key) => changeReadingStatus(key, READING_STATUS.READING),
   onOpenEntry: (entry) => openModal(entry),
   onAddBook: () => openModal(null, READING_STATUS.WANT_TO_READ),
+  isSelecting: () => batchSelectController.isActive('wtr'),
+  isSelected: (key) => batchSelectController.isSelected(key),
+  onSelectMode: (on) => { if(on) batchSelectController.enter('wtr'); else batchSelectController.exit(); },
+  onToggleSelect: (entry) => batchSelectController.toggle(getWtrEntryKey(entry)),
+  onClose: () => batchSelectController.exit(),
   documentRef: document,
 });
 
+// --- Multi-select (components/batch_select.js) ---
+// Selection is keyed like the cards and Reading List rows (getWtrEntryKey);
+// the batch itself goes through BookRepository by each book's own key.
+const batchSelectController = createBatchSelectController({
+  refs: {
+    bar: document.getElementById('batchBar'),
+    count: document.getElementById('batchCount'),
+    menu: document.getElementById('batchMenu'),
+    doneBtn: document.getElementById('batchDone'),
+    progress: document.getElementById('batchProgress'),
+    progressFill: document.getElementById('batchProgressFill'),
+    progressText: document.getElementById('batchProgressText'),
+  },
+  getEntry: _entryBySelectKey,
+  onApply: _applyBatch,
+  onDelete: _deleteBatch,
+  promptTag: () => openPromptDialog({ title: 'Add a tag', placeholder: 'e.g. book club', confirmLabel: 'Add', maxLength: 64 }),
+  onSelectionChange: _paintBatchSelection,
+  pushOverlayState,
+  popOverlayState,
+  documentRef: document,
+});
+
+selectHeaderBtn?.addEventListener('click', () => {
+  if(batchSelectController.isActive('shelf')) batchSelectController.exit();
+  else batchSelectController.enter('shelf');
+});
+
+function _entryBySelectKey(key){
+  return entries.find(e => getWtrEntryKey(e) === key);
+}
+
+function _batchBookIds(keys){
+  return keys.map(_entryBySelectKey).filter(Boolean).map(e => e.bookId || e.id);
+}
+
+function _paintCardSelection(card){
+  const selecting = batchSelectController.isActive('shelf');
+  const selected = selecting && batchSelectController.isSelected(card.dataset.selectKey);
+  card.classList.toggle('card-selected', selected);
+  if(selecting) card.setAttribute('aria-pressed', selected ? 'true' : 'false');
+  else card.removeAttribute('aria-pressed');
+}
+
+function _paintBatchSelection({ source } = {}){
+  const selecting = source === 'shelf';
+  document.body.classList.toggle('batch-selecting', selecting);
+  selectHeaderBtn?.setAttribute('aria-pressed', selecting ? 'true' : 'false');
+  cardsEl.querySelectorAll('.card[data-select-key]').forEach(_paintCardSelection);
+  if(wtrDrawerController.isOpen()) wtrDrawerController.render();
+}
+
+async function _applyBatch(op, keys){
+  if(!bookRepo) return;
+  haptic();
+  try {
+    const changed = await bookRepo.updateMany(_batchBookIds(keys), entry => batchPatchFor(entry, op));
+    showStatusToast(describeBatch(op, changed.length));
+  } catch (err) {
+    console.warn('[Bookish] batch edit failed:', err?.message || err);
+    showStatusToast('Could not update the selected books');
+  }
+}
+
+// Batch delete is the Trash, as for one book: Undo brings the lot back.
+async function _deleteBatch(keys){
+  if(!bookRepo) return false;
+  const ids = _batchBookIds(keys);
+  if(!ids.length) return false;
+  const books = ids.length === 1 ? 'this book' : `these ${ids.length} books`;
+  const confirmed = await openConfirmDialog({
+    title: `Delete ${books}?`,
+    body: `${ids.length === 1 ? 'It moves' : 'They move'} to the Trash, where you can restore ${ids.length === 1 ? 'it' : 'them'} for 30 days from Account → Trash.`,
+    confirmLabel: 'Delete',
+    destructive: true,
+  });
+  if(!confirmed) return false;
+  haptic();
+  const trashed = bookRepo.trashMany(ids);
+  showActionToast(ids.length === 1 ? 'Moved to Trash' : `Moved ${ids.length} books to Trash`, { actionLabel: 'Undo', onAction: () => bookRepo.restoreMany(ids) });
+  await trashed;
+  return true;
+}
+
+// --- Series view ---
+// A "Find & add" on a missing volume searches for it and remembers which
+// series/number it was for, so the book added from that search arrives with
+// its series filled in. Typing a different search drops the hint.
+let _pendingSeriesHint = null;
+const seriesDrawerController = createSeriesDrawerController({
+  refs: {
+    overlay: document.getElementById('seriesOverlay'),
+    backdrop: document.getElementById('seriesBackdrop'),
+    drawer: document.getElementById('seriesDrawer'),
+    closeBtn: document.getElementById('seriesClose'),
+    titleEl: document.getElementById('seriesTitle'),
+    listEl: document.getElementById('seriesList'),
+    emptyEl: document.getElementById('seriesEmpty'),
+    showAllBtn: document.getElementById('seriesShowAll'),
+  },
+  getEntries: () => entries,
+  pushOverlayState,
+  popOverlayState,
+  attachSwipeDismiss,
+  isTouchDevice,
+  onOpenEntry: (entry) => openModal(entry),
+  onFindMissing: ({ series, seriesPosition }) => {
+    const query = `${series} book ${seriesPosition}`;
+    _pendingSeriesHint = { series, seriesPosition, query };
+    omniboxController.searchFor(query);
+  },
+  documentRef: document,
+});
+const wtrSeriesLink = document.getElementById('wtrSeriesLink');
+wtrSeriesLink?.addEventListener('click', () => { closeWtrDrawer(); seriesDrawerController.open(); });
+seriesViewLink?.addEventListener('click', () => {
+  const name = (seriesInput?.value || '').trim();
+  if(!name) return;
+  _autoSaveIfDirty();
+  closeModal();
+  seriesDrawerController.open(name);
+});
+
+// Quotes view: every saved passage, grouped by book.
+const quotesDrawerController = createQuotesDrawerController({
+  refs: {
+    overlay: document.getElementById('quotesOverlay'),
+    backdrop: document.getElementById('quotesBackdrop'),
+    drawer: document.getElementById('quotesDrawer'),
+    closeBtn: document.getElementById('quotesClose'),
+    searchInput: document.getElementById('quotesSearch'),
+    listEl: document.getElementById('quotesList'),
+    emptyEl: document.getElementById('quotesEmpty'),
+  },
+  getQuotes: () => quoteRepo ? quoteRepo.getAll() : [],
+  getBook: (bookId) => entries.find(e => e.bookId === bookId) || null,
+  pushOverlayState,
+  popOverlayState,
+  attachSwipeDismiss,
+  isTouchDevice,
+  onOpenEntry: (entry) => openModal(entry),
+  onShareChange: (quoteId, shared) => quoteRepo.update(quoteId, { shared }),
+  onDelete: (quoteId) => _deleteQuote(quoteId),
+  documentRef: document,
+});
+quotesHeaderBtn?.addEventListener('click', () => quotesDrawerController.open());
+
+// Lists view: the reader's lists, then one list's books in its own order.
+const listsDrawerController = createListsDrawerController({
+  refs: {
+    overlay: document.getElementById('listsOverlay'),
+    backdrop: document.getElementById('listsBackdrop'),
+    drawer: document.getElementById('listsDrawer'),
+    closeBtn: document.getElementById('listsClose'),
+    backBtn: document.getElementById('listsBack'),
+    titleEl: document.getElementById('listsTitle'),
+    detailEl: document.getElementById('listsDetail'),
+    descriptionInput: document.getElementById('listsDescription'),
+    sharedInput: document.getElementById('listsShared'),
+    renameBtn: document.getElementById('listsRename'),
+    deleteBtn: document.getElementById('listsDelete'),
+    listEl: document.getElementById('listsList'),
+    emptyEl: document.getElementById('listsEmpty'),
+    newBtn: document.getElementById('listsNew'),
+  },
+  getLists: () => listRepo ? listRepo.getAll() : [],
+  getBook: (bookId) => entries.find(e => e.bookId === bookId) || null,
+  pushOverlayState,
+  popOverlayState,
+  attachSwipeDismiss,
+  haptic,
+  isTouchDevice,
+  onOpenEntry: (entry) => openModal(entry),
+  onNewList: () => _createList(),
+  onRename: (list) => _renameList(list),
+  onUpdate: (listId, patch) => _updateList(listId, patch),
+  onDelete: (list) => _deleteList(list),
+  documentRef: document,
+});
+document.getElementById('wtrListsLink')?.addEventListener('click', () => { closeWtrDrawer(); listsDrawerController.open(); });
+
+// "On loan" view: outstanding loans, overdue first.
+const loansDrawerController = createLoansDrawerController({
+  refs: {
+    overlay: document.getElementById('loansOverlay'),
+    backdrop: document.getElementById('loansBackdrop'),
+    drawer: document.getElementById('loansDrawer'),
+    closeBtn: document.getElementById('loansClose'),
+    listEl: document.getElementById('loansList'),
+    emptyEl: document.getElementById('loansEmpty'),
+  },
+  getLoans: () => loanRepo ? loanRepo.getAll() : [],
+  getBook: (bookId) => entries.find(e => e.bookId === bookId) || null,
+  pushOverlayState,
+  popOverlayState,
+  attachSwipeDismiss,
+  isTouchDevice,
+  onOpenEntry: (entry) => openModal(entry),
+  onReturn: (loanId) => _returnLoan(loanId),
+  documentRef: document,
+});
+loansHeaderBtn?.addEventListener('click', () => loansDrawerController.open());
+omniboxInput?.addEventListener('input', () => {
+  if(_pendingSeriesHint && !omniboxInput.value.trim().toLowerCase().startsWith(_pendingSeriesHint.query.toLowerCase())) _pendingSeriesHint = null;
+});
+
+/** Fill the add form's series from a search result or a pending series-view hint. */
+function _prefillSeries(meta){
+  const hint = _pendingSeriesHint;
+  _pendingSeriesHint = null;
+  let series = meta?.series || '';
+  let position = meta?.seriesPosition;
+  if(hint && (!series || seriesKey(series) === seriesKey(hint.series))){
+    series = hint.series;
+    position = hint.seriesPosition;
+  }
+  if(!series || !seriesInput) return;
+  seriesInput.value = series;
+  if(seriesPositionInput) seriesPositionInput.value = position ?? '';
+  showOptionalField('series', true);
+  form.dispatchEvent(new Event('input', {bubbles:true}));
+}
+
 function openWtrDrawer(){ wtrDrawerController.open(); }
 function closeWtrDrawer(fromPopstate = false){ wtrDrawerController.close(fromPopstate); }
 function renderWtrDrawer(wantList){ wtrDrawerController.render(wantList); }
@@ -2033,6 +2818,7 @@ function openOmniboxApiResult(meta){
       window.bookSearch.selectItunes({
         title: meta.title || '',
         author: meta.author || '',
+        contributors: meta.contributors || [],
         artwork: meta.artwork || meta.coverUrl || '',
         olWorkKeys: meta.work_key ? [meta.work_key] : []
       });
@@ -2040,6 +2826,7 @@ function openOmniboxApiResult(meta){
       window.bookSearch.selectWork({
         title: meta.title || '',
         author: meta.author || '',
+        contributors: meta.contributors || [],
         cover_url: meta.coverUrl || '',
         key: meta.work_key || ''
       });
@@ -2048,6 +2835,8 @@ function openOmniboxApiResult(meta){
       if(authorInput) authorInput.value = meta.author || '';
       form.dispatchEvent(new Event('input', {bubbles:true}));
     }
+    _prefillSeries(meta);
+    applyEditionMeta(meta.edition);
     resetMobileBookSheetViewport();
   }, 50);
 }
@@ -2055,8 +2844,10 @@ function openOmniboxApiResult(meta){
 function openOmniboxManualAdd(query){
   openModal(null, READING_STATUS.WANT_TO_READ);
   setTimeout(()=>{
-    if(titleInput && query) titleInput.value = query;
+    const hint = _pendingSeriesHint;
+    if(titleInput && query && !(hint && query === hint.query)) titleInput.value = query;
     form.dispatchEvent(new Event('input', {bubbles:true}));
+    _prefillSeries(null);
   }, 50);
 }
 
@@ -2498,7 +3289,7 @@ function spineBookLayout(year, count){
 function spineWidth(year, count){
   const books = spineBookLayout(year, count);
   const bookWidth = books.reduce((sum, book)=>sum + book.width, 0) + Math.max(0, books.length - 1);
-  const labelWidth = year === 'Undated' ? 18 : 24;
+  const labelWidth = year === 'Undated' ? 18 : year === DNF_GROUP ? 28 : 24;
   return Math.max(32, Math.ceil(Math.max(bookWidth + 4, labelWidth + 6)));
 }
 
@@ -2513,7 +3304,7 @@ function renderSpineBooks(year, count, colorOffset, entries = []){
     const entry = entries[j];
     const book = document.createElement('span');
     book.className = 'spine-book';
-    book.dataset.bookTone = year === 'Undated' ? 'undated' : String((colorOffset + j) % SPINE_COLORS);
+    book.dataset.bookTone = (year === 'Undated' || year === DNF_GROUP) ? 'undated' : String((colorOffset + j) % SPINE_COLORS);
     if(entry?.txid || entry?.id) book.dataset.sourceEntry = entry.txid || entry.id;
     book.style.setProperty('--spine-book-width', `${width}px`);
     book.style.setProperty('--spine-book-height', `${58 - shortness}px`);
@@ -2552,7 +3343,7 @@ function renderSpineNav(yearList, activeYear){
     const label = year === 'Undated' ? 'Undated' : year;
     btn.setAttribute('aria-label', `${label}, ${count} book${count===1?'':'s'}`);
     btn.title = `${label} \u00B7 ${count} book${count===1?'':'s'}`;
-    const colorKey = year === 'Undated' ? 'undated' : String(i % SPINE_COLORS);
+    const colorKey = (year === 'Undated' || year === DNF_GROUP) ? 'undated' : String(i % SPINE_COLORS);
     btn.dataset.spineColor = colorKey;
     btn.style.width = `${spineWidth(year, count)}px`;
     btn.appendChild(renderSpineBooks(year, count, i, yearEntries));
@@ -2560,7 +3351,7 @@ function renderSpineNav(yearList, activeYear){
     // Year text — horizontal, centered over the visible spine cluster.
     const txt = document.createElement('span');
     txt.className = 'spine-label';
-    txt.textContent = year === 'Undated' ? '?' : year;
+    txt.textContent = year === 'Undated' ? '?' : year === DNF_GROUP ? 'DNF' : year;
     btn.appendChild(txt);
 
     btn.tabIndex = year === activeYear ? 0 : -1;
@@ -2616,11 +3407,18 @@ spineStrip?.addEventListener('keydown', (ev)=>{
 // through the detail view. The showMarkAsReadToastWithUndo helper above is
 // retained for any future callers (e.g. detail-view bulk actions).
 
-// ESC closes WTR drawer
+// ESC closes conflict sheet / multi-select / WTR drawer / series view / quotes view / lists view / loans view
 document.addEventListener('keydown', (e)=>{
-  if(e.key === 'Escape' && wtrOverlay && wtrOverlay.style.display !== 'none'){
-    closeWtrDrawer();
-  }
+  if(e.key !== 'Escape') return;
+  if(isConfirmDialogOpen() || isPromptDialogOpen()) return;
+  if(isMergeConflictSheetOpen()) closeMergeConflictSheet();
+  else if(batchSelectController.isActive('wtr')) batchSelectController.exit();
+  else if(seriesDrawerController.isOpen()) seriesDrawerController.close();
+  else if(quotesDrawerController.isOpen()) quotesDrawerController.close();
+  else if(listsDrawerController.isOpen()) listsDrawerController.close();
+  else if(loansDrawerController.isOpen()) loansDrawerController.close();
+  else if(wtrOverlay && wtrOverlay.style.display !== 'none') closeWtrDrawer();
+  else if(batchSelectController.isActive('shelf') && !modal?.classList.contains('active')) batchSelectController.exit();
 });
 
 // Status selector event listener (#114: with side effects + auto-save in view mode)
@@ -2664,11 +3462,45 @@ async function handleInlineMarkRead(entry, key){
     readingStatus: entry.readingStatus,
     dateRead: entry.dateRead,
     readingStartedAt: entry.readingStartedAt,
+    readHistory: entry.readHistory,
   };
   await bookRepo.changeStatus(key, READING_STATUS.READ);
   showMarkAsReadToastWithUndo(key, snapshot);
 }
 
+// --- Inline progress update (% / + control on currently-reading cards) ---
+// One free-text field: "120", "120/320", "45%", "3h 20m of 11h".
+async function handleInlineProgressUpdate(entry, key){
+  if(!bookRepo || !key || !entry) return;
+  const audio = entry.format === 'audio' || entry.format === 'audiobook';
+  const value = await openPromptDialog({
+    title: 'Update progress',
+    body: audio
+      ? 'Time listened, e.g. "3h 20m" or "3:20 / 11:00", or a percent.'
+      : 'Page, e.g. "120" or "120 / 320", or a percent like "45%".',
+    initialValue: progressInputValue(entry),
+    placeholder: audio ? '3h 20m' : '120 / 320',
+    confirmLabel: 'Save',
+    maxLength: 32,
+  });
+  if(value == null) return;
+  const current = bookRepo.getById(key);
+  if(!current) return;
+  const progress = parseProgressInput(value, current);
+  if(!progress){
+    showStatusToast(`Couldn't use "${value}" as progress`, { durationMs: 3000 });
+    return;
+  }
+  haptic();
+  try {
+    await bookRepo.updateProgress(key, progress);
+    showStatusToast(`Progress: ${formatProgress(progress)}`);
+  } catch(err){
+    console.warn('[Bookish] Progress update failed:', err.message);
+    showStatusToast('Could not save progress');
+  }
+}
+
 // --- Auth check ---
 function isAuthenticated() {
   return tarnService.isLoggedIn();
@@ -2678,7 +3510,15 @@ function isAuthenticated() {
 
 async function syncBooksFromTarn() {
   if (!bookRepo) return;
-  await bookRepo.sync();
+  // A failed books pull rethrows for the sync banner; the collections sync
+  // anyway (their own failures are reported, never thrown).
+  try {
+    await bookRepo.sync();
+  } finally {
+    if (quoteRepo) await quoteRepo.sync();
+    if (listRepo) await listRepo.sync();
+    if (loanRepo) await loanRepo.sync();
+  }
 }
 
 async function createServerless(payload) {
@@ -2699,12 +3539,14 @@ async function editServerless(priorTxid, payload) {
   await bookRepo.update(priorTxid, payload);
 }
 
+// Deleting moves the book to the Trash (core/trash.js); Undo takes it
+// straight back out, and Account → Trash keeps it for 30 days.
 async function deleteServerless(priorTxid) {
   if (!bookRepo) return;
-  const entry = bookRepo.getById(priorTxid);
-  if (entry) markDeletingVisual(entry);
   uiStatusManager.refresh();
-  await bookRepo.delete(priorTxid);
+  const trashed = bookRepo.trash(priorTxid);
+  showActionToast('Moved to Trash', { actionLabel: 'Undo', onAction: () => bookRepo.restore(priorTxid) });
+  await trashed;
 }
 
 function flushPendingBookEdits(){
@@ -2734,6 +3576,10 @@ function _buildSubmitPayloadFromForm(priorTxid){
     if(ms != null) payload.dateRead = ms;
   } else if(rsValue === READING_STATUS.READING){
     payload.readingStartedAt = dateVal ? new Date(dateVal+'T00:00:00').getTime() : Date.now();
+  } else if(rsValue === READING_STATUS.DNF){
+    const ms = dateStringToMsNoonUtc(dateVal);
+    if(ms != null) payload.dnfAt = ms;
+    payload.dnfStopPoint = (dnfStopPointInput?.value||'').trim();
   }
   if(coverPreview.dataset.b64){
     payload.coverImage = coverPreview.dataset.b64;
@@ -2757,11 +3603,17 @@ function _buildSubmitPayloadFromForm(priorTxid){
     payload.rating = optVals.rating || 0;
     payload.owned = !!optVals.owned;
     payload.tags = optVals.tags || '';
+    payload.series = optVals.series || '';
+    payload.seriesPosition = optVals.seriesPosition ?? '';
+    for(const field of EDITION_FIELDS) payload[field] = optVals[field] ?? '';
     if(!notesVal) payload.notes = '';
   } else {
     if(optVals.rating) payload.rating = optVals.rating;
     if(optVals.owned) payload.owned = optVals.owned;
     if(optVals.tags) payload.tags = optVals.tags;
+    if(optVals.series) payload.series = optVals.series;
+    if(optVals.seriesPosition != null) payload.seriesPosition = optVals.seriesPosition;
+    for(const field of EDITION_FIELDS) if(optVals[field] != null) payload[field] = optVals[field];
   }
 
   // Friend-matching identifiers: capture from search state for new books only.
@@ -2771,6 +3623,8 @@ function _buildSubmitPayloadFromForm(priorTxid){
       const meta=window.bookSearch.getSearchMeta()||{};
       if(meta.work_key) payload.work_key=meta.work_key;
       if(meta.isbn13) payload.isbn13=meta.isbn13;
+      // Keep the result's translators/narrators; the author field may have been edited.
+      if(meta.contributors?.length) payload.contributors=withAuthors(meta.contributors, payload.author);
     }catch(err){ /* non-fatal: friend-matching is optional */ }
   }
   // Per-book privacy (#129). The hidden #isPrivateInput is the single source
@@ -2800,7 +3654,7 @@ function commitEntryForm(){
   const rsValue = readingStatusInput?.value || READING_STATUS.WANT_TO_READ;
   const payload = _buildSubmitPayloadFromForm(priorTxid);
   uiStatusManager.refresh();
-  const toastMsg = rsValue === READING_STATUS.WANT_TO_READ ? 'Added to Want to Read' : rsValue === READING_STATUS.READING ? 'Added to Currently Reading' : (!priorTxid ? 'Added to Shelf' : null);
+  const toastMsg = rsValue === READING_STATUS.WANT_TO_READ ? 'Added to Want to Read' : rsValue === READING_STATUS.READING ? 'Added to Currently Reading' : rsValue === READING_STATUS.DNF ? 'Added to Did Not Finish' : (!priorTxid ? 'Added to Shelf' : null);
   haptic();
   if(priorTxid){
     closeModal();
@@ -2819,7 +3673,7 @@ form.addEventListener('submit', ev => {
 deleteBtn?.addEventListener('click', async ()=>{
   const txid=form.priorTxid.value; if(!txid) return;
   haptic();
-  const confirmed = await openConfirmDialog({ title: 'Delete this book?', body: 'It will be removed from your shelf, along with any notes and rating.', confirmLabel: 'Delete', destructive: true });
+  const confirmed = await openConfirmDialog({ title: 'Delete this book?', body: 'It moves to the Trash, where you can restore it for 30 days from Account → Trash.', confirmLabel: 'Delete', destructive: true });
   if(!confirmed) return;
   closeModal(); await deleteServerless(txid);
 });
@@ -2900,6 +3754,20 @@ async function initCacheLayer(){
     await window.bookishCache.migrateUnscopedEntries(bootScope);
     if (bootDlk) setLastSyncedDlk(bootDlk);
 
+    // Stored records up to the current schema version (every scope; see
+    // core/schema_migrations.js). On failure the records stay as they were —
+    // the SDK migrates whatever it reads from the remote as well.
+    try {
+      await window.bookishCache.runSchemaMigrations();
+    } catch (err) {
+      console.warn('[Bookish] schema migration failed:', err?.message || err);
+    }
+
+    // Coordinate with the app's other open tabs before anything can sync:
+    // only the elected leader runs the sync loop (core/tab_sync.js).
+    tabSync = createTabSync({ onLeaderChange: setSyncLeader });
+    setSyncLeader(tabSync.isLeader());
+
     // Create the BookRepository — single owner of all book data operations.
     // deriveBookId is required for the schema-first SDK (every record needs a
     // primary key); the form never sets bookId so the repo derives one on save.
@@ -2908,6 +3776,9 @@ async function initCacheLayer(){
       tarnService,
       deriveBookId,
       onDirty: markDirty,
+      deviceLabel: suggestDeviceLabel(),
+      onLocalChange: () => tabSync.announce('books'),
+      isSyncLeader,
     });
 
     // Wire repository events to UI
@@ -2935,8 +3806,46 @@ async function initCacheLayer(){
       else { appError = null; }
       uiStatusManager.refresh();
     });
+    bookRepo.on('conflicts', _onBookConflicts);
+    // Quotes are private unless the reader shares one (isSharedQuote).
+    quoteRepo = new SyncedCollection({
+      collection: 'quotes',
+      cache: window.bookishCache,
+      tarnService,
+      isShared: isSharedQuote,
+      onDirty: markDirty,
+      onLocalChange: () => tabSync.announce('quotes'),
+    });
+    quoteRepo.on('change', _onQuotesChange);
+    quoteRepo.on('error', ({ message }) => console.warn('[Bookish] quotes:', message));
+    listRepo = new SyncedCollection({
+      collection: 'lists',
+      cache: window.bookishCache,
+      tarnService,
+      isShared: isSharedList,
+      compare: compareLists,
+      onDirty: markDirty,
+      onLocalChange: () => tabSync.announce('lists'),
+    });
+    listRepo.on('change', _onListsChange);
+    listRepo.on('error', ({ message }) => console.warn('[Bookish] lists:', message));
+    // No isShared: loans stay on the reader's own devices.
+    loanRepo = new SyncedCollection({
+      collection: 'loans',
+      cache: window.bookishCache,
+      tarnService,
+      onDirty: markDirty,
+      onLocalChange: () => tabSync.announce('loans'),
+    });
+    loanRepo.on('change', _onLoansChange);
+    loanRepo.on('error', ({ message }) => console.warn('[Bookish] loans:', message));
     bookRepo.on('progress', (items) => {
-      if (items) dbg('sync progress:', items);
+      if (items?.phase === 'batch') {
+        batchSelectController.showProgress(items);
+        // The batch's uploads are settled: the header's "Uploading…" count
+        // follows (BookRepository._uploadBatch emits no second change).
+        if (items.done) uiStatusManager.refresh();
+      } else if (items) dbg('sync progress:', items);
     });
 
     // Sync-progress banner: only meaningful on a fresh-device first-sync of
@@ -2981,6 +3890,11 @@ async function initCacheLayer(){
 
     // Load cached books immediately for instant display
     await bookRepo.loadFromCache();
+    await quoteRepo.loadFromCache();
+    await listRepo.loadFromCache();
+    await loanRepo.loadFromCache();
+    // Conflicts left unsettled last time wait in the cache.
+    if (bookRepo.getConflicts().length) _onBookConflicts(bookRepo.getConflicts());
     debugLog('[Bookish] Loaded', entries.length, 'books from cache');
     showAccountNudge();
 
@@ -2992,7 +3906,33 @@ async function initCacheLayer(){
       // inside listIncomingRequests polls — without this, invites never
       // become connections). Cadence gating lives in friends.js.
       onConnectionPoll: friendsMaybePollConnections,
+      onCycleComplete: () => tabSync.post('synced'),
+      relayToLeader: (request) => tabSync.post('sync-request', { request }),
+    });
+
+    // The other tabs: a changed library or collection is re-read; the
+    // leader's finished cycle means new books, quotes, lists and loans may
+    // be in the cache.
+    const reloadOnAnnounce = (type, repo) => tabSync.on(type, () => {
+      repo.reloadFromCache().catch(err => console.warn(`[Bookish] reload of ${type} after another tab's change failed:`, err?.message || err));
+    });
+    reloadOnAnnounce('books', bookRepo);
+    reloadOnAnnounce('quotes', quoteRepo);
+    reloadOnAnnounce('lists', listRepo);
+    reloadOnAnnounce('loans', loanRepo);
+    tabSync.on('synced', () => {
+      if (!tarnService.isLoggedIn()) return;
+      markInitialSyncDone();
+      Promise.all([bookRepo.reloadFromCache(), quoteRepo.reloadFromCache(), listRepo.reloadFromCache(), loanRepo.reloadFromCache()])
+        .catch(err => console.warn('[Bookish] reload after sync in another tab failed:', err?.message || err))
+        .finally(() => uiStatusManager.refresh());
+    });
+    tabSync.on('sync-request', ({ request }) => {
+      if (!isSyncLeader()) return;
+      if (request === 'sync') triggerSyncNow();
+      else markDirty();
     });
+    tabSync.on('session', onSessionChangedElsewhere);
 
     // Only start sync loop if user is logged in
     if (tarnService.isLoggedIn()) {
@@ -3047,6 +3987,10 @@ async function initCacheLayer(){
         console.warn('[Bookish] Friends signup prompt failed:', err?.message || err)
       );
     }
+    // Library handed over by the forever.html recovery page (?restore=recovered).
+    handleRecoveryRestoreOnStartup().catch(err =>
+      console.warn('[Bookish] Recovery restore failed:', err?.message || err)
+    );
   } catch(err) {
     console.error('[Bookish] IndexedDB failed to initialize:', err);
     // Fail fast with clear error message
@@ -3151,7 +4095,7 @@ window.addEventListener('bookish:friend-libraries-refreshed', () => {
 // Today this returns immediately with friendCount=0 because publish-on-save
 // (#8) hasn't shipped, but the wiring is correct for the moment it does.
 friendsPrimeFriendLibraryCache().catch(() => { /* logged inside */ });
-window.addEventListener('online',()=>{ uiStatusManager.refresh(); if(bookRepo) bookRepo.replayPending(); });
+window.addEventListener('online',()=>{ uiStatusManager.refresh(); if(bookRepo && isSyncLeader()) bookRepo.replayPending(); });
 
 // Expose sync manager methods for account UI and release tests (triggerSyncNow)
 window.bookishSyncManager = { getSyncStatus: getSyncStatusForUI, triggerSyncNow };
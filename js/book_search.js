@@ -2,8 +2,9 @@
 // Lightweight module to search OpenLibrary and populate the entry form
 import { cleanTitle, filterCoverMatches, extractISBN10s, amazonCoverUrl, olCoverByISBN, coverFitMode, coverSortComparator, convertISBN13to10 } from './core/search_core.js';
 import { resizeImageToBase64 } from './core/image_utils.js';
-import { buildOLEditions, filterEnglishRawEditions, insertByRank, buildCoverEdition, fetchAndValidateCover } from './core/cover_pipeline.js';
+import { buildOLEditions, filterEnglishRawEditions, insertByRank, buildCoverEdition, fetchAndValidateCover, editionMetaByIsbn10 } from './core/cover_pipeline.js';
 import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCrop, serializeCoverCrop } from './core/cover_crop.js';
+import { contributorsFromNames, displayAuthor } from './core/contributors.js';
 (function(){
   const form=document.getElementById('entryForm'); if(!form) return; const coverPreview=document.getElementById('coverPreview'); const tileCoverClick=document.getElementById('tileCoverClick');
   const titleInput=form.elements?.namedItem('title');
@@ -31,7 +32,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
   let editions=[]; let editionIndex=0; let coverOnlyMode=false; let itunesCoverState=null;
   // Captured at search-result selection time and read by the form save handler.
   // Reset whenever the search state is cleared. See window.bookSearch.getSearchMeta().
-  let currentWorkKey=''; let currentIsbn13='';
+  let currentWorkKey=''; let currentIsbn13=''; let currentContributors=[];
   let coverBrowseState=null;
   let coverBrowseGeneration=0;
   function pickIsbn13(isbnList){
@@ -152,6 +153,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
   function applyCoverBrowseSelection(){
     if(!coverBrowseState) return;
     if(coverPreview.style.display!=='block' || !coverPreview.dataset.b64) return;
+    if(coverBrowseState.edition) window.bookishApp?.applyEditionMeta?.(coverBrowseState.edition);
     markDirty();
     finishCoverBrowseMode({ restore:false, restoreActions:true });
     if(isExistingBookEdit() && window.bookishApp?._autoSaveIfDirty){
@@ -165,7 +167,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
   function showCoverNav(){ prevBtn.style.display='flex'; nextBtn.style.display='flex'; editionInfo.style.display='block'; if(changeCoverLink) changeCoverLink.style.display='none'; if(coverActionsEl) coverActionsEl.style.display='none'; }
   function hideCoverNav(){ prevBtn.style.display='none'; nextBtn.style.display='none'; editionInfo.style.display='none'; }
   function clearSearchState(){
-    currentWorkKey=''; currentIsbn13='';
+    currentWorkKey=''; currentIsbn13=''; currentContributors=[];
     editions=[]; editionIndex=0; coverOnlyMode=false; itunesCoverState=null;
     if(coverBrowseState) finishCoverBrowseMode({ restore:false });
     else showCoverBrowseChrome(false);
@@ -178,6 +180,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
   function selectWork(meta){ editions=[]; editionIndex=0; coverOnlyMode=false; hideCoverNav();
     currentWorkKey=(meta&&typeof meta.key==='string')?meta.key:'';
     currentIsbn13=pickIsbn13(meta&&meta.isbn);
+    currentContributors=Array.isArray(meta?.contributors)?meta.contributors:[];
     if(window.bookishApp?.clearCoverPreview) window.bookishApp.clearCoverPreview();
     populateFromBasic(meta);
     if(!currentWorkKey){
@@ -354,6 +357,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
     // otherwise win the top slot even when the user typed an English query).
     const englishRaw=filterEnglishRawEditions(rawEntries);
     const isbn10s=extractISBN10s(englishRaw);
+    const editionByIsbn=editionMetaByIsbn10(englishRaw);
     console.info('[Bookish:Covers] OL editions: %d entries, %d OL covers, %d ISBN-10s', rawEntries.length, baseEditions.filter(e=>e.cover_url).length, isbn10s.length);
     const seenFingerprints=new Set();
     const amazonPromises=isbn10s.map(isbn=>{
@@ -363,6 +367,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
         if(result.fingerprint && seenFingerprints.has(result.fingerprint)) return;
         if(result.fingerprint) seenFingerprints.add(result.fingerprint);
         const ed=buildCoverEdition(result, meta);
+        ed.edition=editionByIsbn.get(isbn);
         insertByRank(editions, ed);
       });
     });
@@ -376,6 +381,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
         if(result.fingerprint) seenFingerprints.add(result.fingerprint);
         seenCovers.add(url);
         const ed=buildCoverEdition(result, meta);
+        ed.edition=editionByIsbn.get(isbn);
         insertByRank(editions, ed);
       });
     });
@@ -423,6 +429,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
   async function selectItunes(payload){ editions=[]; editionIndex=0; hideCoverNav();
     currentWorkKey=(payload&&Array.isArray(payload.olWorkKeys)&&payload.olWorkKeys.length)?String(payload.olWorkKeys[0]||''):'';
     currentIsbn13='';
+    currentContributors=Array.isArray(payload?.contributors)?payload.contributors:[];
     if(window.bookishApp?.clearCoverPreview) window.bookishApp.clearCoverPreview();
     // clearCoverPreview baked "Add cover" markup into the placeholder. We're
     // about to fetch covers, so immediately swap to the loading skeleton state
@@ -481,7 +488,7 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
     // is defined in the IIFE scope — function declarations hoist, but defensive.)
     if(typeof isAdjusting === 'function' && isAdjusting()) return;
     const ed=editions[editionIndex];
-    if(!coverOnlyMode){ let changed=false; if(ed.title && titleInput){ titleInput.value=cleanTitle(ed.title); changed=true; } if(ed.author_name&&ed.author_name.length&&authorInput){ authorInput.value=ed.author_name.join(', '); changed=true; } if(changed) markDirty(); }
+    if(!coverOnlyMode){ let changed=false; if(ed.title && titleInput){ titleInput.value=cleanTitle(ed.title); changed=true; } if(ed.author_name&&ed.author_name.length&&authorInput){ currentContributors=contributorsFromNames(ed.author_name); authorInput.value=displayAuthor(currentContributors); changed=true; } if(changed) markDirty(); }
     if(ed._coverData) {
       const cd=ed._coverData;
       coverPreview.src=cd.dataUrl; coverPreview.style.display='block'; coverPreview.dataset.b64=cd.base64; coverPreview.dataset.mime=cd.mime; coverPreview.dataset.fit=coverFitMode(cd.width, cd.height); setPreviewCrop(null); if(tileCoverClick) tileCoverClick.style.setProperty('--cover-url',`url('${cd.dataUrl}')`); const ph=document.getElementById('coverPlaceholder'); if(ph) ph.style.display='none'; if(window.bookishApp?.showCoverLoaded) window.bookishApp.showCoverLoaded(); if(window.__bookishRefreshAdjustBtn) window.__bookishRefreshAdjustBtn(); markDirty();
@@ -544,13 +551,22 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
     } }
   // #114: in-modal search input + results were deleted. No input/result listeners.
   // Edition arrows still operate on `editions` populated by browseCoversForEntry().
+  // Choosing a different edition with the arrows also takes its page count,
+  // publisher, year and language (fields it doesn't know keep their value).
+  // The first cover is picked for us, so only a chosen one applies; while
+  // browsing an existing book's covers it waits for "Use this cover".
+  function applyChosenEditionMeta(){
+    const meta=editions[editionIndex]?.edition;
+    if(coverBrowseState){ coverBrowseState.edition=meta||null; return; }
+    if(meta) window.bookishApp?.applyEditionMeta?.(meta);
+  }
   prevBtn.addEventListener('click',(e)=>{
     e.stopPropagation();
-    if(editionIndex>0){ editionIndex--; applyEdition(); _autoSaveCoverChange(); }
+    if(editionIndex>0){ editionIndex--; applyEdition(); applyChosenEditionMeta(); _autoSaveCoverChange(); }
   });
   nextBtn.addEventListener('click',(e)=>{
     e.stopPropagation();
-    if(editionIndex<editions.length-1){ editionIndex++; applyEdition(); _autoSaveCoverChange(); }
+    if(editionIndex<editions.length-1){ editionIndex++; applyEdition(); applyChosenEditionMeta(); _autoSaveCoverChange(); }
   });
   function _autoSaveCoverChange(){
     if(isCoverBrowsePending()) return;
@@ -1048,8 +1064,9 @@ import { applyCoverCropToImage, MAX_COVER_ZOOM, MIN_COVER_ZOOM, normalizeCoverCr
      * Returns identifiers captured from the most recent search-result selection.
      * Consumed by the form submit handler in app.js to persist friend-matching keys.
      * Returns empty strings when the user hasn't picked a search result (e.g. manual entry).
-     * @returns {{ work_key: string, isbn13: string }}
+     * `contributors` is the credited-names list of the picked result (core/contributors.js).
+     * @returns {{ work_key: string, isbn13: string, contributors: Array<{name: string, role: string}> }}
      */
-    getSearchMeta(){ return { work_key: currentWorkKey || '', isbn13: currentIsbn13 || '' }; }
+    getSearchMeta(){ return { work_key: currentWorkKey || '', isbn13: currentIsbn13 || '', contributors: currentContributors }; }
   };
 })();
@@ -2,6 +2,8 @@
 import { computeContentHash as coreComputeContentHash, detectDuplicate as coreDetectDuplicate, applyRemote as coreApplyRemote, compactDuplicates as coreCompactDuplicates } from './core/cache_core.js';
 import { GUEST_SCOPE, matchesActiveScope, isAdoptableGuestEntry, shouldPruneEntry } from './core/scope_core.js';
 import { debugLog } from './core/debug_log.js';
+import { migrateRecord, summarizeMigrations } from './core/schema_migrations.js';
+import { historyOverflow } from './core/edit_history.js';
 
 (function(){
   const DB_NAME='bookish';
@@ -10,9 +12,17 @@ import { debugLog } from './core/debug_log.js';
   // entries are tagged lazily at boot via migrateUnscopedEntries() — the
   // upgrade handler can't know the session state because initCache() runs
   // before tarnService.init() (see initCacheLayer in app.js).
-  const DB_VERSION=2;
+  // v3: the `records` store for the smaller synced collections (quotes),
+  // managed by core/synced_collection.js. Keyed `${collection}:${id}` with
+  // an index on collection; scoped like entries.
+  // v4: the `history` store — the per-book edit journal
+  // (core/edit_history.js), indexed on bookId and scope. Local only,
+  // never synced.
+  const DB_VERSION=4;
   const ENTRY_STORE='entries';
   const OPS_STORE='ops'; // future use (queued mutations)
+  const RECORD_STORE='records';
+  const HISTORY_STORE='history';
 
   // The account scope stamped on writes and filtered on reads. 'guest'
   // until app.js / account_ui.js thread the real scope in via
@@ -43,6 +53,15 @@ import { debugLog } from './core/debug_log.js';
         if(!db.objectStoreNames.contains(OPS_STORE)){
           db.createObjectStore(OPS_STORE,{keyPath:'id'});
         }
+        if(!db.objectStoreNames.contains(RECORD_STORE)){
+          const recordStore=db.createObjectStore(RECORD_STORE,{keyPath:'key'});
+          recordStore.createIndex('collection','collection',{unique:false});
+        }
+        if(!db.objectStoreNames.contains(HISTORY_STORE)){
+          const historyStore=db.createObjectStore(HISTORY_STORE,{keyPath:'id'});
+          historyStore.createIndex('bookId','bookId',{unique:false});
+          historyStore.createIndex('scope','scope',{unique:false});
+        }
       };
       req.onsuccess=()=>res(req.result);
       req.onerror=()=>rej(req.error);
@@ -142,9 +161,14 @@ import { debugLog } from './core/debug_log.js';
 
   /** Shared readwrite walk: visit(value) returns 'delete', an updated
    *  object to put back, or undefined (no change). Resolves with the
-   *  number of entries changed. */
-  function walkEntriesRW(visit){
-    return withStore('readwrite', ENTRY_STORE, store=> new Promise(r=>{
+   *  number of entries changed. Synced-collection records and the edit
+   *  journal follow the same scope rules as books, so every walk covers
+   *  all three stores. */
+  async function walkEntriesRW(visit){
+    return (await walkStoreRW(ENTRY_STORE, visit)) + (await walkStoreRW(RECORD_STORE, visit)) + (await walkStoreRW(HISTORY_STORE, visit));
+  }
+  function walkStoreRW(storeName, visit){
+    return withStore('readwrite', storeName, store=> new Promise(r=>{
       let changed=0; const req=store.openCursor();
       req.onsuccess=e=>{
         const cur=e.target.result;
@@ -186,6 +210,72 @@ import { debugLog } from './core/debug_log.js';
     return adopted;
   }
 
+  // --- Schema migrations (core/schema_migrations.js) ---
+
+  /** Run the schema's migrations over every stored record — books and
+   *  synced-collection records, in every scope. Idempotent: a record
+   *  already in shape is left alone. With { dryRun: true }
+   *  nothing is written and the report says what would change; from
+   *  DevTools: await window.bookishCache.runSchemaMigrations({ dryRun: true }) */
+  async function runSchemaMigrations({ dryRun=false }={}){
+    const results=[];
+    const visit=(collection, v, id)=>{
+      const result=migrateRecord(collection, v);
+      results.push({ collection, id, result });
+      return result.changed && !dryRun ? result.record : undefined;
+    };
+    await walkStoreRW(ENTRY_STORE, v=> visit('books', v, v.bookId || v.id));
+    await walkStoreRW(RECORD_STORE, v=> visit(v.collection, v, v.key));
+    const report=summarizeMigrations(results);
+    if(!dryRun && report.transformed) debugLog('[Bookish:Cache] schema migration → v'+report.targetVersion+':', report.transformed, 'rewritten');
+    return report;
+  }
+
+  // --- Synced-collection records (core/synced_collection.js) ---
+  // Stored with the local bookkeeping the collection keeps (status, pending,
+  // remoteBacked, _eid); `key` and `collection` are added here.
+  function recordKey(collection, id){ return collection+':'+id; }
+  async function listRecords(collection){
+    return withStore('readonly', RECORD_STORE, store=> new Promise(r=>{
+      const out=[]; const req=store.index('collection').openCursor(IDBKeyRange.only(collection));
+      req.onsuccess=e=>{ const cur=e.target.result; if(cur){ if(matchesActiveScope(cur.value, activeScope)) out.push(cur.value); cur.continue(); } else r(out); };
+    }));
+  }
+  async function putRecord(collection, id, rec){
+    rec.collection=collection; rec.key=recordKey(collection, id); rec.scope=activeScope;
+    return withStore('readwrite', RECORD_STORE, store=> store.put(rec));
+  }
+  async function deleteRecord(collection, id){ if(!id) return; return withStore('readwrite', RECORD_STORE, store=> store.delete(recordKey(collection, id))); }
+
+  // --- Edit journal (core/edit_history.js) ---
+  // One version, or a batch edit's array of them — written, and the
+  // active scope's journal trimmed to HISTORY_LIMITS, in one transaction
+  // either way. Other accounts' versions are neither read nor counted.
+  async function addHistory(version){
+    const versions=Array.isArray(version) ? version : [version];
+    versions.forEach(v=>{ v.scope=activeScope; });
+    return withStore('readwrite', HISTORY_STORE, store=> new Promise(r=>{
+      versions.forEach(v=> store.put(v));
+      const req=store.index('scope').getAll(IDBKeyRange.only(activeScope));
+      req.onsuccess=()=>{ for(const id of historyOverflow(req.result)) store.delete(id); r(); };
+      req.onerror=()=>r();
+    }));
+  }
+  async function listHistory(bookId){
+    if(!bookId) return [];
+    return withStore('readonly', HISTORY_STORE, store=> new Promise(r=>{
+      const out=[]; const req=store.index('bookId').openCursor(IDBKeyRange.only(bookId));
+      req.onsuccess=e=>{ const cur=e.target.result; if(cur){ if(matchesActiveScope(cur.value, activeScope)) out.push(cur.value); cur.continue(); } else r(out); };
+    }));
+  }
+  async function deleteHistory(bookId){
+    if(!bookId) return;
+    return withStore('readwrite', HISTORY_STORE, store=> new Promise(r=>{
+      const req=store.index('bookId').openCursor(IDBKeyRange.only(bookId));
+      req.onsuccess=e=>{ const cur=e.target.result; if(cur){ if(matchesActiveScope(cur.value, activeScope)) cur.delete(); cur.continue(); } else r(); };
+    }));
+  }
+
   // --- Ops queue (minimal) ---
   async function queueOp(op){
     if((op?.type === 'edit' || op?.type === 'delete') && op.bookId){
@@ -201,6 +291,20 @@ import { debugLog } from './core/debug_log.js';
     await withStore('readwrite', OPS_STORE, store=> store.put(op));
     return op.id;
   }
+  // queueOp() for a batch: same per-book dedupe, one transaction.
+  async function queueOps(newOps){
+    if(!newOps?.length) return [];
+    const ops = await listOps();
+    const now = Date.now();
+    newOps.forEach((op, i)=>{
+      const existing = op.bookId && ops.find(o => o.type === op.type && o.bookId === op.bookId);
+      if(existing){ op.id = existing.id; op.createdAt = existing.createdAt; }
+      if(!op.id) op.id='op-'+now.toString(36)+i.toString(36)+Math.random().toString(36).slice(2,6);
+      op.createdAt=op.createdAt||now;
+    });
+    await withStore('readwrite', OPS_STORE, store=>{ newOps.forEach(op=> store.put(op)); });
+    return newOps.map(op=> op.id);
+  }
   async function listOps(){
     return withStore('readonly', OPS_STORE, store=> new Promise(r=>{ const out=[]; const req=store.openCursor(); req.onsuccess=e=>{ const cur=e.target.result; if(cur){ out.push(cur.value); cur.continue(); } else { out.sort((a,b)=>a.createdAt-b.createdAt); r(out); } }; }));
   }
@@ -220,18 +324,23 @@ import { debugLog } from './core/debug_log.js';
   async function clearAll(){
     const db=await openDB();
     return new Promise((res,rej)=>{
-      const tx=db.transaction([ENTRY_STORE, OPS_STORE], 'readwrite');
+      const tx=db.transaction([ENTRY_STORE, OPS_STORE, RECORD_STORE, HISTORY_STORE], 'readwrite');
       tx.oncomplete=()=>res();
       tx.onerror=()=>rej(tx.error);
       tx.onabort=()=>rej(tx.error);
       tx.objectStore(ENTRY_STORE).clear();
       tx.objectStore(OPS_STORE).clear();
+      tx.objectStore(RECORD_STORE).clear();
+      tx.objectStore(HISTORY_STORE).clear();
     });
   }
 
   window.bookishCache={
     initCache,getAllActive,putEntry,bulkPut,applyRemote,findByTxid,markTombstoned,removeOldTombstones,listAllRaw,computeContentHash,detectDuplicate,deleteById,compactDuplicates,replaceProvisional,
-    queueOp,listOps,removeOp,removeEditOp,removeDeleteOp,clearAll,
-    setActiveScope,getActiveScope,migrateUnscopedEntries,pruneOtherScopes,adoptGuestEntries
+    queueOp,queueOps,listOps,removeOp,removeEditOp,removeDeleteOp,clearAll,
+    listRecords,putRecord,deleteRecord,
+    addHistory,listHistory,deleteHistory,
+    setActiveScope,getActiveScope,migrateUnscopedEntries,pruneOtherScopes,adoptGuestEntries,
+    runSchemaMigrations
   };
 })();
@@ -0,0 +1,127 @@
+import { renderAccountSubView } from './account_subview.js';
+import { escapeHtml } from './book_card.js';
+import { READING_STATUS } from '../core/reading_status.js';
+import {
+  CSV_EXPORT_COLUMNS,
+  CSV_DATE_FORMATS,
+  CSV_DELIMITERS,
+  DEFAULT_CSV_COLUMNS,
+  filterForExport,
+  exportFilterOptions,
+} from '../core/csv_export.js';
+
+const SVG_DOWNLOAD = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`;
+
+const STATUS_CHOICES = [
+  { value: READING_STATUS.READ, label: 'Read' },
+  { value: READING_STATUS.READING, label: 'Reading' },
+  { value: READING_STATUS.WANT_TO_READ, label: 'Want to Read' },
+  { value: READING_STATUS.DNF, label: 'Did Not Finish' },
+];
+
+function optionsHtml(choices, selected) {
+  return choices.map(({ value, label }) =>
+    `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`
+  ).join('');
+}
+
+/**
+ * CSV export sheet: column picker, status/year/tag filters, date format and
+ * delimiter. `prefs` seeds columns/dateFormat/delimiter (filters always start
+ * open); `onDownload({columns, dateFormat, delimiter, filters})` builds and
+ * saves the file.
+ */
+export function renderCsvExportView(content, {
+  entries = [],
+  prefs = {},
+  onBack,
+  onDownload,
+} = {}) {
+  const selectedCols = new Set(prefs.columns?.length ? prefs.columns : DEFAULT_CSV_COLUMNS);
+  const { years, tags } = exportFilterOptions(entries);
+  const dateFormat = CSV_DATE_FORMATS[prefs.dateFormat] ? prefs.dateFormat : 'iso';
+  const delimiter = CSV_DELIMITERS[prefs.delimiter] ? prefs.delimiter : 'comma';
+
+  renderAccountSubView(content, {
+    view: 'csv-export',
+    title: 'CSV export',
+    subtitle: 'Choose what goes in the spreadsheet.',
+    bodyHtml: `
+      <div class="account-data-import account-subview-section csv-export-sheet">
+        <fieldset class="csv-export-group">
+          <legend class="account-security-subtitle">Columns</legend>
+          <div class="csv-export-checks">
+            ${CSV_EXPORT_COLUMNS.map(c => `
+              <label class="csv-export-check"><input type="checkbox" name="csvColumn" value="${escapeHtml(c.key)}"${selectedCols.has(c.key) ? ' checked' : ''} /> ${escapeHtml(c.label)}</label>
+            `).join('')}
+          </div>
+        </fieldset>
+        <fieldset class="csv-export-group">
+          <legend class="account-security-subtitle">Books</legend>
+          <div class="csv-export-checks">
+            ${STATUS_CHOICES.map(s => `
+              <label class="csv-export-check"><input type="checkbox" name="csvStatus" value="${s.value}" checked /> ${s.label}</label>
+            `).join('')}
+          </div>
+          <div class="csv-export-selects">
+            <label>Year
+              <select id="csvYear">${optionsHtml([{ value: '', label: 'All years' }, ...years.map(y => ({ value: y, label: y }))], '')}</select>
+            </label>
+            <label>Tag
+              <select id="csvTag"${tags.length ? '' : ' disabled'}>${optionsHtml([{ value: '', label: 'Any tag' }, ...tags.map(t => ({ value: t, label: t }))], '')}</select>
+            </label>
+          </div>
+        </fieldset>
+        <fieldset class="csv-export-group">
+          <legend class="account-security-subtitle">File</legend>
+          <div class="csv-export-selects">
+            <label>Dates
+              <select id="csvDateFormat">${optionsHtml(Object.entries(CSV_DATE_FORMATS).map(([value, f]) => ({ value, label: f.label })), dateFormat)}</select>
+            </label>
+            <label>Separator
+              <select id="csvDelimiter">${optionsHtml(Object.entries(CSV_DELIMITERS).map(([value, d]) => ({ value, label: d.label })), delimiter)}</select>
+            </label>
+          </div>
+        </fieldset>
+        <div class="account-security-actions">
+          <button type="button" id="csvDownloadBtn" class="account-panel-sub-btn">${SVG_DOWNLOAD} <span id="csvDownloadLabel"></span></button>
+        </div>
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => wireCsvExport(panel, { entries, onDownload }),
+  });
+}
+
+function wireCsvExport(panel, { entries, onDownload }) {
+  const label = panel.querySelector('#csvDownloadLabel');
+  const btn = panel.querySelector('#csvDownloadBtn');
+  const checked = name => [...panel.querySelectorAll(`input[name="${name}"]:checked`)].map(i => i.value);
+
+  const readOptions = () => ({
+    columns: checked('csvColumn'),
+    dateFormat: panel.querySelector('#csvDateFormat')?.value || 'iso',
+    delimiter: panel.querySelector('#csvDelimiter')?.value || 'comma',
+    filters: {
+      statuses: checked('csvStatus'),
+      year: panel.querySelector('#csvYear')?.value || '',
+      tag: panel.querySelector('#csvTag')?.value || '',
+    },
+  });
+
+  const refresh = () => {
+    const opts = readOptions();
+    // No status ticked means no books, not "all" (unlike filterForExport's empty default).
+    const count = opts.filters.statuses.length ? filterForExport(entries, opts.filters).length : 0;
+    if (label) label.textContent = `Download ${count} book${count === 1 ? '' : 's'}`;
+    if (btn) btn.disabled = count === 0 || opts.columns.length === 0;
+  };
+  panel.querySelectorAll('input, select').forEach(el => el.addEventListener('change', refresh));
+  refresh();
+
+  btn?.addEventListener('click', () => {
+    const opts = readOptions();
+    if (!opts.columns.length || !opts.filters.statuses.length) return;
+    onDownload?.(opts);
+  });
+}
@@ -2,28 +2,154 @@ import { renderAccountSubView } from './account_subview.js';
 
 const SVG_DOWNLOAD = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`;
 
+// Library importers offered in the view; `source` is what onImportFile receives.
+const IMPORT_SOURCES = [
+  { id: 'importGoodreads', source: 'goodreads', label: 'Goodreads CSV', accept: '.csv,text/csv' },
+  { id: 'importStoryGraph', source: 'storygraph', label: 'StoryGraph CSV', accept: '.csv,text/csv' },
+  { id: 'importLibraryThing', source: 'librarything', label: 'LibraryThing export', accept: '.tsv,.txt,.csv,.json,text/tab-separated-values,text/csv,application/json' },
+  { id: 'importKindle', source: 'kindle', label: 'Kindle highlights', accept: '.txt,text/plain' },
+];
+
 export function renderExportView(content, {
   onBack,
   onExportCsv,
+  onExportBackup,
+  onExportHtml,
+  onExportMarkdown,
+  onExportCalendar,
+  onRestoreBackup,
+  onImportFile,
+  onImportIsbns,
 } = {}) {
   renderAccountSubView(content, {
     view: 'export',
     title: 'Data Export',
-    subtitle: 'Download a simple CSV copy of your reading list.',
+    subtitle: 'Back up your library, download a spreadsheet, or bring books in from elsewhere.',
     bodyHtml: `
-      <div class="account-data-export account-subview-section">
+      <div class="account-data-export account-subview-section account-security-block">
+        <div class="account-security-subtitle">Full backup</div>
+        <div class="account-security-desc">A JSON file with everything about every book — covers, tags, privacy, reading dates and all. Restoring it adds back missing books and keeps whichever copy of each book is newer.</div>
+        <div class="account-security-actions">
+          <button type="button" id="exportBackupBtn" class="btn secondary account-csv-btn">
+            ${SVG_DOWNLOAD} Download backup
+          </button>
+          <button type="button" id="restoreBackupBtn" class="btn secondary account-csv-btn">Restore from backup</button>
+          <input type="file" id="restoreBackupFile" accept=".json,application/json" hidden />
+        </div>
+        <div id="restoreBackupError" class="account-security-error" hidden></div>
+      </div>
+      <div class="account-data-export account-subview-section account-security-block">
         <div class="account-security-subtitle">CSV export</div>
-        <div class="account-security-desc">Includes title, author, date read, rating, format, and notes for every active book on this device.</div>
+        <div class="account-security-desc">A spreadsheet of the books on this device. Pick the columns, filter by status, year or tag, and choose the date format and separator.</div>
         <div class="account-security-actions">
           <button id="exportCsvBtn" class="btn secondary account-csv-btn">
             ${SVG_DOWNLOAD} Export CSV
           </button>
         </div>
       </div>
+      <div class="account-data-export account-subview-section account-security-block">
+        <div class="account-security-subtitle">Web page</div>
+        <div class="account-security-desc">A single HTML file of your shelf, covers included, that opens in any browser. Good for publishing or emailing a snapshot — no app or account needed to view it.</div>
+        <label class="csv-export-check"><input type="checkbox" id="exportHtmlPrivate" /> Include private books</label>
+        <div class="account-security-actions">
+          <button type="button" id="exportHtmlBtn" class="btn secondary account-csv-btn">
+            ${SVG_DOWNLOAD} Download web page
+          </button>
+        </div>
+        <div id="exportHtmlError" class="account-security-error" hidden></div>
+      </div>
+      <div class="account-data-export account-subview-section account-security-block">
+        <div class="account-security-subtitle">Markdown notes</div>
+        <div class="account-security-desc">A zip of Markdown files for Obsidian or any notes app — one note per book with its details as properties and your notes as the body, covers alongside, and an index for each year. Unzip a new export over the old one to update it in place.</div>
+        <div class="account-security-actions">
+          <button type="button" id="exportMarkdownBtn" class="btn secondary account-csv-btn">
+            ${SVG_DOWNLOAD} Download Markdown
+          </button>
+        </div>
+      </div>
+      <div class="account-data-export account-subview-section account-security-block">
+        <div class="account-security-subtitle">Calendar</div>
+        <div class="account-security-desc">Your reading timeline as an .ics file — each book spans the days you read it. Importing a newer export into the same calendar updates the events rather than doubling them.</div>
+        <div class="account-security-actions">
+          <button type="button" id="exportCalendarBtn" class="btn secondary account-csv-btn">
+            ${SVG_DOWNLOAD} Download calendar
+          </button>
+        </div>
+      </div>
+      <div class="account-data-export account-subview-section account-security-block">
+        <div class="account-security-subtitle">Import from another app</div>
+        <div class="account-security-desc">Choose the library export you downloaded from Goodreads, StoryGraph, or LibraryThing, or the <em>My Clippings.txt</em> file from your Kindle. Cataloguing a shelf? Paste the ISBNs from a barcode scanner. You'll see every book before anything is added.</div>
+        <div class="account-security-actions">
+          ${IMPORT_SOURCES.map(src => `
+            <button type="button" id="${src.id}Btn" class="btn secondary account-csv-btn">${src.label}</button>
+            <input type="file" id="${src.id}File" accept="${src.accept}" hidden />
+          `).join('')}
+          <button type="button" id="importIsbnsBtn" class="btn secondary account-csv-btn">ISBN list</button>
+        </div>
+        <div id="importFileError" class="account-security-error" hidden></div>
+      </div>
     `,
     onBack,
     onAfterRender: panel => {
       panel.querySelector('#exportCsvBtn')?.addEventListener('click', () => onExportCsv?.());
+      panel.querySelector('#exportBackupBtn')?.addEventListener('click', () => onExportBackup?.());
+      panel.querySelector('#exportMarkdownBtn')?.addEventListener('click', () => onExportMarkdown?.());
+      panel.querySelector('#exportCalendarBtn')?.addEventListener('click', () => onExportCalendar?.());
+      const htmlBtn = panel.querySelector('#exportHtmlBtn');
+      htmlBtn?.addEventListener('click', async () => {
+        const errorEl = panel.querySelector('#exportHtmlError');
+        if (errorEl) errorEl.hidden = true;
+        htmlBtn.disabled = true;
+        try {
+          await onExportHtml?.({ includePrivate: !!panel.querySelector('#exportHtmlPrivate')?.checked });
+        } catch (err) {
+          if (errorEl) {
+            errorEl.textContent = err?.message || 'Couldn’t build the web page.';
+            errorEl.hidden = false;
+          }
+        } finally {
+          htmlBtn.disabled = false;
+        }
+      });
+      panel.querySelector('#importIsbnsBtn')?.addEventListener('click', () => onImportIsbns?.());
+      wireImportFilePicker(panel, {
+        buttonSelector: '#restoreBackupBtn',
+        inputSelector: '#restoreBackupFile',
+        errorSelector: '#restoreBackupError',
+        onFile: onRestoreBackup,
+      });
+      for (const src of IMPORT_SOURCES) {
+        wireImportFilePicker(panel, {
+          buttonSelector: `#${src.id}Btn`,
+          inputSelector: `#${src.id}File`,
+          errorSelector: '#importFileError',
+          onFile: file => onImportFile?.(src.source, file),
+        });
+      }
     },
   });
 }
+
+// A button that opens a hidden file input; the chosen file goes to `onFile`.
+// `onFile` may throw (e.g. "not a Goodreads export") — the message is shown
+// under the button and the input is reset so the same file can be re-picked.
+function wireImportFilePicker(panel, { buttonSelector, inputSelector, errorSelector, onFile }) {
+  const input = panel.querySelector(inputSelector);
+  const errorEl = panel.querySelector(errorSelector);
+  panel.querySelector(buttonSelector)?.addEventListener('click', () => input?.click());
+  input?.addEventListener('change', async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    if (errorEl) errorEl.hidden = true;
+    try {
+      await onFile?.(file);
+    } catch (err) {
+      if (errorEl) {
+        errorEl.textContent = err?.message || 'Couldn’t read that file.';
+        errorEl.hidden = false;
+      }
+    } finally {
+      input.value = '';
+    }
+  });
+}
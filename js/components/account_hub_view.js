@@ -63,7 +63,14 @@ export function renderAccountHub(content, {
         <button type="button" class="account-hub-row" data-account-view="export">
           <span class="account-hub-row-main">
             <span class="account-hub-row-title">Data Export</span>
-            <span class="account-hub-row-desc">Download a CSV copy of your library</span>
+            <span class="account-hub-row-desc">Download a CSV copy or import your library</span>
+          </span>
+          <span class="account-hub-chevron" aria-hidden="true">&rarr;</span>
+        </button>
+        <button type="button" class="account-hub-row" data-account-view="trash">
+          <span class="account-hub-row-main">
+            <span class="account-hub-row-title">Trash</span>
+            <span class="account-hub-row-desc">Deleted books, kept for 30 days</span>
           </span>
           <span class="account-hub-chevron" aria-hidden="true">&rarr;</span>
         </button>
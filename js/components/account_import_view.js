@@ -0,0 +1,604 @@
+import { renderAccountSubView } from './account_subview.js';
+import { escapeHtml } from './book_card.js';
+import { READING_STATUS } from '../core/reading_status.js';
+import { formatDateReadDisplay } from '../core/id_core.js';
+
+const ISBN_FORMAT_OPTIONS = [['print', 'Print'], ['ebook', 'Ebook'], ['audio', 'Audio']];
+
+const STATUS_LABELS = {
+  [READING_STATUS.READ]: 'Read',
+  [READING_STATUS.READING]: 'Reading',
+  [READING_STATUS.WANT_TO_READ]: 'Want to Read',
+  [READING_STATUS.DNF]: 'Did not finish',
+};
+
+function importRowHtml({ line, payload }, index) {
+  const meta = [STATUS_LABELS[payload.readingStatus] || 'Read'];
+  if (payload.dateRead != null) meta.push(formatDateReadDisplay(payload.dateRead));
+  if (payload.rating) meta.push('★'.repeat(payload.rating));
+  if (payload.tags) meta.push(payload.tags);
+  return `
+    <label class="import-preview-row" data-import-index="${index}">
+      <input type="checkbox" class="import-preview-check" data-import-index="${index}" checked />
+      <span class="import-preview-main">
+        <span class="import-preview-title">${escapeHtml(payload.title)}</span>
+        ${payload.author ? `<span class="import-preview-author">${escapeHtml(payload.author)}</span>` : ''}
+        <span class="import-preview-meta">${meta.map(escapeHtml).join(' · ')}</span>
+      </span>
+      <span class="import-preview-line" aria-label="Row ${line}">#${line}</span>
+    </label>
+  `;
+}
+
+/**
+ * "What didn't come across" — columns the importer has no field for, source
+ * statuses Bookish has no shelf for, and fractional ratings that were
+ * rounded. Empty string when everything mapped cleanly.
+ */
+function importReportHtml(report) {
+  if (!report) return '';
+  const items = [];
+  for (const { name, filled } of report.unmappedColumns || []) {
+    items.push(`<li><strong>${escapeHtml(name)}</strong> (${filled} book${filled === 1 ? '' : 's'})</li>`);
+  }
+  for (const [status, count] of Object.entries(report.unknownStatuses || {})) {
+    items.push(`<li>Status <strong>${escapeHtml(status)}</strong> on ${count} book${count === 1 ? '' : 's'} — filed by read date instead</li>`);
+  }
+  if (report.roundedRatings) {
+    items.push(`<li>${report.roundedRatings} rating${report.roundedRatings === 1 ? '' : 's'} rounded to whole stars</li>`);
+  }
+  if (!items.length) return '';
+  return `
+    <details class="import-report">
+      <summary>Not imported from ${escapeHtml(report.source || 'this file')}</summary>
+      <ul class="import-report-list">${items.join('')}</ul>
+    </details>
+  `;
+}
+
+/**
+ * Preview sheet shared by the library importers: one row per parsed book,
+ * each with an accept/skip checkbox, then a progress bar while the accepted
+ * rows are created.
+ *
+ * `subscribeProgress(fn)` must return an unsubscribe function; it is how the
+ * BookRepository `progress` event reaches the bar (only `phase: 'import'`
+ * payloads are used).
+ */
+export function renderImportPreviewView(content, {
+  sourceLabel = 'Import',
+  rows = [],
+  skipped = [],
+  report,
+  onBack,
+  onImport,
+  onDone,
+  subscribeProgress,
+} = {}) {
+  const skippedNote = skipped.length
+    ? `<div class="account-security-desc">${skipped.length} row${skipped.length === 1 ? '' : 's'} without a title will be skipped.</div>`
+    : '';
+  renderAccountSubView(content, {
+    view: 'import',
+    title: `Import from ${sourceLabel}`,
+    subtitle: 'Choose which books to add to your library.',
+    bodyHtml: `
+      <div class="account-data-import account-subview-section">
+        <div class="import-preview-toolbar">
+          <span class="import-preview-count" id="importPreviewCount"></span>
+          <button type="button" id="importSelectAllBtn" class="account-security-tertiary-btn">Select all</button>
+          <button type="button" id="importSelectNoneBtn" class="account-security-tertiary-btn">Select none</button>
+        </div>
+        ${skippedNote}
+        ${importReportHtml(report)}
+        <div class="import-preview-list" id="importPreviewList">
+          ${rows.map(importRowHtml).join('')}
+        </div>
+        ${PROGRESS_HTML}
+        <div class="account-security-actions">
+          <button type="button" id="importConfirmBtn" class="account-panel-sub-btn"></button>
+        </div>
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => wireImportPreview(panel, { rows, onImport, onDone, subscribeProgress }),
+  });
+}
+
+function wireImportPreview(panel, { rows, onImport, onDone, subscribeProgress }) {
+  const checks = [...panel.querySelectorAll('.import-preview-check')];
+  const countEl = panel.querySelector('#importPreviewCount');
+  const confirmBtn = panel.querySelector('#importConfirmBtn');
+  const progressText = panel.querySelector('#importProgressText');
+
+  const selected = () => checks.filter(c => c.checked).map(c => rows[Number(c.dataset.importIndex)]);
+  const refresh = () => {
+    const n = selected().length;
+    if (countEl) countEl.textContent = `${n} of ${rows.length} selected`;
+    if (confirmBtn) {
+      confirmBtn.textContent = n === 1 ? 'Import 1 book' : `Import ${n} books`;
+      confirmBtn.disabled = n === 0;
+    }
+  };
+  checks.forEach(c => c.addEventListener('change', refresh));
+  panel.querySelector('#importSelectAllBtn')?.addEventListener('click', () => { checks.forEach(c => { c.checked = true; }); refresh(); });
+  panel.querySelector('#importSelectNoneBtn')?.addEventListener('click', () => { checks.forEach(c => { c.checked = false; }); refresh(); });
+  refresh();
+
+  let phase = 'preview';
+  confirmBtn?.addEventListener('click', async () => {
+    if (phase === 'done') { onDone?.(); return; }
+    if (phase !== 'preview') return;
+    const accepted = selected();
+    if (!accepted.length) return;
+    phase = 'importing';
+    confirmBtn.disabled = true;
+    checks.forEach(c => { c.disabled = true; });
+    const unsubscribe = followImportProgress(panel, subscribeProgress, 'Importing');
+    try {
+      const result = await onImport?.(accepted.map(r => r.payload));
+      if (progressText) progressText.textContent = importSummary(result);
+      phase = 'done';
+      confirmBtn.textContent = 'Done';
+    } catch (err) {
+      if (progressText) progressText.textContent = err?.message || 'Import failed.';
+      phase = 'preview';
+      checks.forEach(c => { c.disabled = false; });
+    } finally {
+      unsubscribe?.();
+      confirmBtn.disabled = false;
+    }
+  });
+}
+
+function clippingRowHtml({ book, entry, fresh }, index) {
+  const count = `${fresh.length} highlight${fresh.length === 1 ? '' : 's'}`;
+  let meta;
+  if (entry && !fresh.length) meta = 'Already imported';
+  else if (entry) meta = `Adds ${count} to ${entry.title || 'this book'}`;
+  else meta = `Not in your library — add as a new book with ${count}`;
+  const disabled = entry && !fresh.length;
+  return `
+    <label class="import-preview-row${disabled ? ' is-disabled' : ''}" data-import-index="${index}">
+      <input type="checkbox" class="import-preview-check" data-import-index="${index}"${entry && !disabled ? ' checked' : ''}${disabled ? ' disabled' : ''} />
+      <span class="import-preview-main">
+        <span class="import-preview-title">${escapeHtml(book.title)}</span>
+        ${book.author ? `<span class="import-preview-author">${escapeHtml(book.author)}</span>` : ''}
+        <span class="import-preview-meta">${escapeHtml(meta)}</span>
+      </span>
+    </label>
+  `;
+}
+
+/**
+ * Preview sheet for a Kindle clippings file: one row per book in the file.
+ * Books matched to the shelf are ticked and show how many new highlights
+ * they gain; books that aren't on the shelf start unticked (ticking one
+ * creates it); books whose highlights are all in their notes already can't
+ * be selected.
+ *
+ * `onImport(items)` receives `[{book, createIfMissing}]` for the ticked rows.
+ */
+export function renderClippingsImportView(content, {
+  plan = [],
+  onBack,
+  onImport,
+  onDone,
+  subscribeProgress,
+} = {}) {
+  renderAccountSubView(content, {
+    view: 'import',
+    title: 'Import Kindle highlights',
+    subtitle: 'Highlights and notes are added to each book’s notes.',
+    bodyHtml: `
+      <div class="account-data-import account-subview-section">
+        <div class="import-preview-toolbar">
+          <span class="import-preview-count" id="importPreviewCount"></span>
+        </div>
+        <div class="import-preview-list" id="importPreviewList">
+          ${plan.map(clippingRowHtml).join('')}
+        </div>
+        ${PROGRESS_HTML}
+        <div class="account-security-actions">
+          <button type="button" id="importConfirmBtn" class="account-panel-sub-btn"></button>
+        </div>
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => {
+      const checks = [...panel.querySelectorAll('.import-preview-check')];
+      const countEl = panel.querySelector('#importPreviewCount');
+      const confirmBtn = panel.querySelector('#importConfirmBtn');
+      const progressText = panel.querySelector('#importProgressText');
+      const selectable = checks.filter(c => !c.disabled);
+      const selected = () => selectable.filter(c => c.checked).map(c => plan[Number(c.dataset.importIndex)]);
+      const refresh = () => {
+        const picked = selected();
+        const highlights = picked.reduce((n, p) => n + p.fresh.length, 0);
+        if (countEl) countEl.textContent = `${picked.length} of ${selectable.length} books selected`;
+        if (confirmBtn) {
+          confirmBtn.textContent = highlights === 1 ? 'Import 1 highlight' : `Import ${highlights} highlights`;
+          confirmBtn.disabled = highlights === 0;
+        }
+      };
+      selectable.forEach(c => c.addEventListener('change', refresh));
+      refresh();
+
+      let phase = 'preview';
+      confirmBtn?.addEventListener('click', async () => {
+        if (phase === 'done') { onDone?.(); return; }
+        if (phase !== 'preview') return;
+        const picked = selected();
+        if (!picked.length) return;
+        phase = 'importing';
+        confirmBtn.disabled = true;
+        selectable.forEach(c => { c.disabled = true; });
+        const unsubscribe = followImportProgress(panel, subscribeProgress, 'Importing');
+        try {
+          const result = await onImport?.(picked.map(p => ({ book: p.book, createIfMissing: !p.entry })));
+          if (progressText) progressText.textContent = clippingsSummary(result);
+          phase = 'done';
+          confirmBtn.textContent = 'Done';
+        } catch (err) {
+          if (progressText) progressText.textContent = err?.message || 'Import failed.';
+          phase = 'preview';
+          selectable.forEach(c => { c.disabled = false; });
+        } finally {
+          unsubscribe?.();
+          confirmBtn.disabled = false;
+        }
+      });
+    },
+  });
+}
+
+const PROGRESS_HTML = `
+  <div class="import-progress" id="importProgress" hidden role="status" aria-live="polite">
+    <span class="import-progress-text" id="importProgressText"></span>
+    <div class="sync-progress-bar"><div class="sync-progress-fill" id="importProgressFill"></div></div>
+  </div>
+`;
+
+// Show the progress block at "<verb> <loaded> of <total>".
+function setImportProgress(panel, verb, loaded, total) {
+  const progressEl = panel.querySelector('#importProgress');
+  const progressText = panel.querySelector('#importProgressText');
+  const progressFill = panel.querySelector('#importProgressFill');
+  if (progressEl) progressEl.hidden = false;
+  if (progressText) progressText.textContent = `${verb} ${loaded} of ${total}`;
+  const pct = total > 0 ? Math.round((loaded / total) * 100) : 0;
+  if (progressFill) progressFill.style.width = `${pct}%`;
+}
+
+// Show the progress block and drive it from BookRepository `progress`
+// events (`phase: 'import'`). Returns the unsubscribe function.
+function followImportProgress(panel, subscribeProgress, verb) {
+  const progressEl = panel.querySelector('#importProgress');
+  if (progressEl) progressEl.hidden = false;
+  return subscribeProgress?.(event => {
+    if (event?.phase !== 'import') return;
+    setImportProgress(panel, verb, event.loaded, event.total);
+  });
+}
+
+function isbnRowHtml({ isbn, payload }, index) {
+  return `
+    <label class="import-preview-row" data-import-index="${index}">
+      <input type="checkbox" class="import-preview-check" data-import-index="${index}" checked />
+      <span class="import-preview-main">
+        <span class="import-preview-title">${escapeHtml(payload.title)}</span>
+        ${payload.author ? `<span class="import-preview-author">${escapeHtml(payload.author)}</span>` : ''}
+        <span class="import-preview-meta">${payload.coverImage ? 'With cover' : 'No cover found'}</span>
+      </span>
+      <span class="import-preview-line">${escapeHtml(isbn.isbn13)}</span>
+    </label>
+  `;
+}
+
+/**
+ * Bulk ISBN sheet: paste (or load a file of) ISBNs, pick the shelf they go
+ * on and their format, look them up, then tick which results to add. ISBNs that didn't
+ * resolve stay listed with a Retry button; retried hits join the results.
+ *
+ *   - parse(text) → {isbns, invalid, repeated} (isbn_import.parseIsbnList)
+ *   - onLookup(isbns, onProgress) → {resolved, unresolved} (isbn_import.lookupIsbns)
+ *   - onImport(payloads) → importBooks() counts; payloads already carry
+ *     `owned: true` and the chosen readingStatus and format
+ */
+export function renderIsbnImportView(content, {
+  parse,
+  onBack,
+  onLookup,
+  onImport,
+  onDone,
+  subscribeProgress,
+} = {}) {
+  const statusOptions = [READING_STATUS.WANT_TO_READ, READING_STATUS.READING, READING_STATUS.READ]
+    .map(s => `<option value="${s}">${STATUS_LABELS[s]}</option>`).join('');
+  const formatOptions = ISBN_FORMAT_OPTIONS
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  renderAccountSubView(content, {
+    view: 'isbn-import',
+    title: 'Import ISBNs',
+    subtitle: 'Paste a list from a barcode scanner, one per line.',
+    bodyHtml: `
+      <div class="account-data-import account-subview-section">
+        <div id="isbnInputStep">
+          <textarea id="isbnListInput" class="isbn-import-input" rows="8" placeholder="9780441013593&#10;0-7653-2635-0" spellcheck="false" autocapitalize="off" autocomplete="off"></textarea>
+          <div class="import-preview-toolbar">
+            <span class="import-preview-count" id="isbnParseCount"></span>
+            <button type="button" id="isbnFileBtn" class="account-security-tertiary-btn">Load from file</button>
+            <input type="file" id="isbnFileInput" accept=".txt,.csv,text/plain,text/csv" hidden />
+          </div>
+          <div class="csv-export-selects">
+            <label>Add to
+              <select id="isbnStatusSelect">${statusOptions}</select>
+            </label>
+            <label>Format
+              <select id="isbnFormatSelect">${formatOptions}</select>
+            </label>
+          </div>
+          <div class="account-security-desc">Every book is marked as owned.</div>
+        </div>
+        <div id="isbnResultsStep" hidden>
+          <div class="import-preview-toolbar">
+            <span class="import-preview-count" id="importPreviewCount"></span>
+          </div>
+          <div class="import-preview-list" id="importPreviewList"></div>
+          <div id="isbnUnresolved" class="import-report" hidden>
+            <div class="account-security-desc" id="isbnUnresolvedText"></div>
+            <ul class="import-report-list" id="isbnUnresolvedList"></ul>
+            <button type="button" id="isbnRetryBtn" class="account-security-tertiary-btn">Retry</button>
+          </div>
+        </div>
+        ${PROGRESS_HTML}
+        <div class="account-security-actions">
+          <button type="button" id="importConfirmBtn" class="account-panel-sub-btn"></button>
+        </div>
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => wireIsbnImport(panel, { parse, onLookup, onImport, onDone, subscribeProgress }),
+  });
+}
+
+function wireIsbnImport(panel, { parse, onLookup, onImport, onDone, subscribeProgress }) {
+  const input = panel.querySelector('#isbnListInput');
+  const parseCount = panel.querySelector('#isbnParseCount');
+  const statusSelect = panel.querySelector('#isbnStatusSelect');
+  const formatSelect = panel.querySelector('#isbnFormatSelect');
+  const inputStep = panel.querySelector('#isbnInputStep');
+  const resultsStep = panel.querySelector('#isbnResultsStep');
+  const list = panel.querySelector('#importPreviewList');
+  const countEl = panel.querySelector('#importPreviewCount');
+  const unresolvedEl = panel.querySelector('#isbnUnresolved');
+  const retryBtn = panel.querySelector('#isbnRetryBtn');
+  const confirmBtn = panel.querySelector('#importConfirmBtn');
+  const progressEl = panel.querySelector('#importProgress');
+  const progressText = panel.querySelector('#importProgressText');
+
+  let parsed = { isbns: [], invalid: [], repeated: 0 };
+  let resolved = [];
+  let unresolved = [];
+  // input → looking-up → results → importing → done
+  let phase = 'input';
+
+  const checks = () => [...list.querySelectorAll('.import-preview-check')];
+  const selected = () => checks().filter(c => c.checked).map(c => resolved[Number(c.dataset.importIndex)]);
+
+  const refreshInput = () => {
+    parsed = parse(input?.value || '');
+    const n = parsed.isbns.length;
+    const notes = [`${n} ISBN${n === 1 ? '' : 's'}`];
+    if (parsed.invalid.length) notes.push(`${parsed.invalid.length} not valid`);
+    if (parsed.repeated) notes.push(`${parsed.repeated} repeated`);
+    if (parseCount) parseCount.textContent = notes.join(' · ');
+    confirmBtn.textContent = n === 1 ? 'Look up 1 ISBN' : `Look up ${n} ISBNs`;
+    confirmBtn.disabled = n === 0;
+  };
+
+  const refreshResults = () => {
+    const n = selected().length;
+    if (countEl) countEl.textContent = `${n} of ${resolved.length} selected`;
+    confirmBtn.textContent = n === 1 ? 'Add 1 book' : `Add ${n} books`;
+    confirmBtn.disabled = n === 0;
+  };
+
+  const renderResults = () => {
+    const wasChecked = new Map(checks().map(c => [Number(c.dataset.importIndex), c.checked]));
+    list.innerHTML = resolved.map(isbnRowHtml).join('');
+    checks().forEach(c => {
+      const prior = wasChecked.get(Number(c.dataset.importIndex));
+      if (prior === false) c.checked = false;
+      c.addEventListener('change', refreshResults);
+    });
+    if (unresolvedEl) unresolvedEl.hidden = unresolved.length === 0;
+    const text = panel.querySelector('#isbnUnresolvedText');
+    if (text) text.textContent = `${unresolved.length} ISBN${unresolved.length === 1 ? '' : 's'} couldn’t be found on OpenLibrary:`;
+    const ul = panel.querySelector('#isbnUnresolvedList');
+    if (ul) ul.innerHTML = unresolved.map(i => `<li>${escapeHtml(i.isbn13)}</li>`).join('');
+    if (retryBtn) retryBtn.textContent = unresolved.length === 1 ? 'Retry 1 ISBN' : `Retry ${unresolved.length} ISBNs`;
+    refreshResults();
+  };
+
+  const lookup = async isbns => {
+    const result = await onLookup?.(isbns, (done, total) => setImportProgress(panel, 'Looking up', done, total));
+    if (progressEl) progressEl.hidden = true;
+    return result || { resolved: [], unresolved: isbns };
+  };
+
+  input?.addEventListener('input', refreshInput);
+  const fileInput = panel.querySelector('#isbnFileInput');
+  panel.querySelector('#isbnFileBtn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file || !input) return;
+    const text = await file.text();
+    input.value = input.value.trim() ? `${input.value.trim()}\n${text}` : text;
+    refreshInput();
+  });
+  refreshInput();
+
+  retryBtn?.addEventListener('click', async () => {
+    if (phase !== 'results' || !unresolved.length) return;
+    phase = 'looking-up';
+    retryBtn.disabled = true;
+    confirmBtn.disabled = true;
+    try {
+      const again = await lookup(unresolved);
+      resolved = resolved.concat(again.resolved);
+      unresolved = again.unresolved;
+    } finally {
+      phase = 'results';
+      retryBtn.disabled = false;
+      renderResults();
+    }
+  });
+
+  confirmBtn?.addEventListener('click', async () => {
+    if (phase === 'done') { onDone?.(); return; }
+    if (phase === 'input') {
+      if (!parsed.isbns.length) return;
+      phase = 'looking-up';
+      confirmBtn.disabled = true;
+      if (input) input.disabled = true;
+      try {
+        ({ resolved, unresolved } = await lookup(parsed.isbns));
+      } catch (err) {
+        if (progressText) progressText.textContent = err?.message || 'Lookup failed.';
+        phase = 'input';
+        if (input) input.disabled = false;
+        confirmBtn.disabled = false;
+        return;
+      }
+      phase = 'results';
+      if (inputStep) inputStep.hidden = true;
+      if (resultsStep) resultsStep.hidden = false;
+      renderResults();
+      return;
+    }
+    if (phase !== 'results') return;
+    const accepted = selected();
+    if (!accepted.length) return;
+    const readingStatus = statusSelect?.value || READING_STATUS.WANT_TO_READ;
+    const format = formatSelect?.value || 'print';
+    phase = 'importing';
+    confirmBtn.disabled = true;
+    if (retryBtn) retryBtn.disabled = true;
+    checks().forEach(c => { c.disabled = true; });
+    const unsubscribe = followImportProgress(panel, subscribeProgress, 'Importing');
+    try {
+      const result = await onImport?.(accepted.map(r => ({ ...r.payload, owned: true, readingStatus, format })));
+      if (progressText) progressText.textContent = importSummary(result);
+      phase = 'done';
+      confirmBtn.textContent = 'Done';
+      if (unresolvedEl) unresolvedEl.hidden = true;
+    } catch (err) {
+      if (progressText) progressText.textContent = err?.message || 'Import failed.';
+      phase = 'results';
+      if (retryBtn) retryBtn.disabled = false;
+      checks().forEach(c => { c.disabled = false; });
+    } finally {
+      unsubscribe?.();
+      confirmBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Restore sheet for a parsed backup file. No per-row choice: a restore is
+ * all-or-nothing, and books already on the shelf are only overwritten when
+ * the backup copy is newer (BookRepository.restoreBackup). `title` and
+ * `dateLabel` let the same sheet front a library recovered by forever.html.
+ */
+export function renderRestoreBackupView(content, {
+  books = [],
+  exportedAt = null,
+  title = 'Restore from backup',
+  dateLabel = 'Backup from',
+  onBack,
+  onRestore,
+  onDone,
+  subscribeProgress,
+} = {}) {
+  const when = exportedAt ? formatDateReadDisplay(exportedAt) : '';
+  const count = `${books.length} book${books.length === 1 ? '' : 's'}`;
+  renderAccountSubView(content, {
+    view: 'restore',
+    title,
+    subtitle: when ? `${dateLabel} ${when} · ${count}` : count,
+    bodyHtml: `
+      <div class="account-data-import account-subview-section">
+        <div class="account-security-desc">Books missing from your library are added back. Books you already have are replaced only where the backup's copy is newer — nothing is deleted.</div>
+        ${PROGRESS_HTML}
+        <div class="account-security-actions">
+          <button type="button" id="restoreConfirmBtn" class="account-panel-sub-btn">Restore ${escapeHtml(count)}</button>
+        </div>
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => {
+      const btn = panel.querySelector('#restoreConfirmBtn');
+      const progressText = panel.querySelector('#importProgressText');
+      let phase = 'ready';
+      btn?.addEventListener('click', async () => {
+        if (phase === 'done') { onDone?.(); return; }
+        if (phase !== 'ready') return;
+        phase = 'restoring';
+        btn.disabled = true;
+        const unsubscribe = followImportProgress(panel, subscribeProgress, 'Restoring');
+        try {
+          const result = await onRestore?.(books);
+          if (progressText) progressText.textContent = restoreSummary(result);
+          phase = 'done';
+          btn.textContent = 'Done';
+        } catch (err) {
+          if (progressText) progressText.textContent = err?.message || 'Restore failed.';
+          phase = 'ready';
+        } finally {
+          unsubscribe?.();
+          btn.disabled = false;
+        }
+      });
+    },
+  });
+}
+
+/**
+ * One-line summary after a restore: "Added 3 · Updated 12 · 240 already up to date".
+ * @param {{added?: number, updated?: number, unchanged?: number, duplicates?: number, failed?: number}} [result]
+ * @returns {string}
+ */
+export function restoreSummary({ added = 0, updated = 0, unchanged = 0, duplicates = 0, failed = 0 } = {}) {
+  const parts = [`Added ${added}`, `Updated ${updated}`];
+  if (unchanged) parts.push(`${unchanged} already up to date`);
+  if (duplicates) parts.push(`${duplicates} already on your shelf`);
+  if (failed) parts.push(`${failed} couldn’t be restored`);
+  return parts.join(' · ');
+}
+
+/**
+ * One-line summary after an import: "Added 40 books · 2 already on your shelf".
+ * @param {{added?: number, duplicates?: number, failed?: number}} [result]
+ * @returns {string}
+ */
+export function importSummary({ added = 0, duplicates = 0, failed = 0 } = {}) {
+  const parts = [`Added ${added} book${added === 1 ? '' : 's'}`];
+  if (duplicates) parts.push(`${duplicates} already on your shelf`);
+  if (failed) parts.push(`${failed} couldn’t be added`);
+  return parts.join(' · ');
+}
+
+/**
+ * One-line summary after a clippings import: "Added 42 highlights to 5 books · 1 new book".
+ * @param {{updated?: number, added?: number, highlights?: number, failed?: number}} [result]
+ * @returns {string}
+ */
+export function clippingsSummary({ updated = 0, added = 0, highlights = 0, failed = 0 } = {}) {
+  const books = updated + added;
+  const parts = [`Added ${highlights} highlight${highlights === 1 ? '' : 's'} to ${books} book${books === 1 ? '' : 's'}`];
+  if (added) parts.push(`${added} new book${added === 1 ? '' : 's'}`);
+  if (failed) parts.push(`${failed} couldn’t be updated`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,87 @@
+import { renderAccountSubView } from './account_subview.js';
+import { escapeHtml } from './book_card.js';
+import { formatDateReadDisplay } from '../core/id_core.js';
+import { TRASH_RETENTION_DAYS, daysLeftInTrash } from '../core/trash.js';
+
+// Account → Trash: deleted books, each with Restore and Delete forever, and
+// Empty Trash for the lot. Books are purged on their own after
+// TRASH_RETENTION_DAYS (core/trash.js). The view only renders and reports
+// intent; account_ui.js acts through BookRepository and re-renders.
+
+function daysLeftText(entry, now) {
+  const days = daysLeftInTrash(entry, now);
+  if (!days) return 'deleted for good today';
+  return `${days} day${days === 1 ? '' : 's'} left`;
+}
+
+function trashItemHtml(entry, now) {
+  const key = escapeHtml(entry.bookId || entry.id);
+  return `<li class="account-trash-item">
+      <div class="account-trash-item-info">
+        <div class="account-trash-item-title">${escapeHtml(entry.title || 'Untitled')}</div>
+        ${entry.author ? `<div class="account-trash-item-author">${escapeHtml(entry.author)}</div>` : ''}
+        <div class="account-trash-item-meta">Deleted ${escapeHtml(formatDateReadDisplay(entry.trashedAt))} · ${escapeHtml(daysLeftText(entry, now))}</div>
+      </div>
+      <div class="account-trash-item-actions">
+        <button type="button" class="btn secondary" data-trash-restore="${key}">Restore</button>
+        <button type="button" class="btn secondary account-trash-purge" data-trash-purge="${key}">Delete forever</button>
+      </div>
+    </li>`;
+}
+
+export function renderTrashView(content, {
+  onBack,
+  getTrash = () => [],
+  onRestore,
+  onPurge,
+  onEmptyTrash,
+  now = Date.now(),
+} = {}) {
+  const items = getTrash() || [];
+  renderAccountSubView(content, {
+    view: 'trash',
+    title: 'Trash',
+    subtitle: `Deleted books stay here for ${TRASH_RETENTION_DAYS} days, on all your devices, then they're gone for good.`,
+    bodyHtml: `
+      <div class="account-trash account-subview-section">
+        ${items.length
+          ? `<ul class="account-trash-list">${items.map(e => trashItemHtml(e, now)).join('')}</ul>`
+          : '<p class="account-trash-empty">Trash is empty.</p>'}
+        <div id="trashError" class="account-security-error" hidden></div>
+        ${items.length ? `<div class="account-security-actions">
+          <button type="button" id="emptyTrashBtn" class="btn secondary account-trash-purge">Empty Trash</button>
+        </div>` : ''}
+      </div>
+    `,
+    onBack,
+    onAfterRender: panel => wireTrashSection(panel, { onRestore, onPurge, onEmptyTrash }),
+  });
+}
+
+function wireTrashSection(content, { onRestore, onPurge, onEmptyTrash } = {}) {
+  const errorEl = content.querySelector('#trashError');
+  const run = (btn, action, fallback) => {
+    btn.disabled = true;
+    if (errorEl) errorEl.hidden = true;
+    Promise.resolve(action())
+      .catch(err => {
+        if (errorEl) {
+          errorEl.textContent = err?.message || fallback;
+          errorEl.hidden = false;
+        }
+      })
+      .finally(() => { btn.disabled = false; });
+  };
+
+  content.querySelector('.account-trash-list')?.addEventListener('click', (event) => {
+    const restoreBtn = event.target.closest('[data-trash-restore]');
+    if (restoreBtn) {
+      run(restoreBtn, () => onRestore?.(restoreBtn.dataset.trashRestore), 'Could not restore the book.');
+      return;
+    }
+    const purgeBtn = event.target.closest('[data-trash-purge]');
+    if (purgeBtn) run(purgeBtn, () => onPurge?.(purgeBtn.dataset.trashPurge), 'Could not delete the book.');
+  });
+  const emptyBtn = content.querySelector('#emptyTrashBtn');
+  emptyBtn?.addEventListener('click', () => run(emptyBtn, () => onEmptyTrash?.(), 'Could not empty the Trash.'));
+}
@@ -0,0 +1,234 @@
+// batch_select.js — Multi-select on the shelf and in the Reading List.
+//
+// "Select" turns a tap on a card (or a Reading List row) into a toggle, and
+// brings up a bar along the bottom with what can be done to the selection:
+// move it to a shelf, add or remove a tag, hide it from or show it to
+// friends, set its format or whether it's owned, or delete it. Each action
+// is one batch (core/batch_edit.js) — app.js applies it through
+// BookRepository.updateMany() / trashMany(), and feeds the repository's
+// `progress` events back here for the one "Saving n of m" indicator.
+//
+// A selection belongs to where it started. On the shelf it takes a back
+// entry of its own; in the Reading List it rides the drawer's, and closing
+// the drawer ends it. The controller only tracks the selection, renders the
+// bar and reports intent.
+
+import { escapeHtml } from './book_card.js';
+import { READING_STATUS } from '../core/reading_status.js';
+import { BATCH_FORMATS, selectionTags } from '../core/batch_edit.js';
+
+const STATUS_OPTIONS = [
+  [READING_STATUS.WANT_TO_READ, 'Want to Read'],
+  [READING_STATUS.READING, 'Currently Reading'],
+  [READING_STATUS.READ, 'Read'],
+  [READING_STATUS.DNF, 'Did Not Finish'],
+];
+
+const FORMAT_LABELS = { print: 'Print', ebook: 'Ebook', audio: 'Audio' };
+
+function optionHtml(label, op) {
+  return `<button type="button" class="batch-menu-option" data-op="${escapeHtml(JSON.stringify(op))}">${escapeHtml(label)}</button>`;
+}
+
+function menuHtml(kind, entries) {
+  if (kind === 'status') {
+    return STATUS_OPTIONS.map(([status, label]) => optionHtml(label, { type: 'status', status })).join('');
+  }
+  if (kind === 'tags') {
+    const remove = selectionTags(entries).map(tag => optionHtml(`Remove “${tag}”`, { type: 'removeTag', tag }));
+    return `<button type="button" class="batch-menu-option" data-prompt="addTag">Add a tag…</button>${remove.join('')}`;
+  }
+  if (kind === 'privacy') {
+    return optionHtml('Hide from friends', { type: 'privacy', isPrivate: true }) +
+      optionHtml('Show to friends', { type: 'privacy', isPrivate: false });
+  }
+  if (kind === 'format') {
+    return BATCH_FORMATS.map(format => optionHtml(FORMAT_LABELS[format] || format, { type: 'format', format })).join('');
+  }
+  if (kind === 'owned') {
+    return optionHtml('Owned', { type: 'owned', owned: true }) + optionHtml('Not owned', { type: 'owned', owned: false });
+  }
+  return '';
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object} opts.refs - bar, count, menu, doneBtn, progress, progressFill, progressText
+ * @param {(key: string) => Object|undefined} opts.getEntry
+ * @param {(op: Object, keys: string[]) => Promise<void>} opts.onApply
+ * @param {(keys: string[]) => Promise<boolean>} opts.onDelete - true when the books went
+ * @param {() => Promise<string|null>} opts.promptTag
+ * @param {(state: {active: boolean, source: string|null}) => void} [opts.onSelectionChange]
+ * @param {Function} [opts.pushOverlayState]
+ * @param {Function} [opts.popOverlayState]
+ */
+export function createBatchSelectController({
+  refs = {},
+  getEntry = () => undefined,
+  onApply = async () => {},
+  onDelete = async () => false,
+  promptTag = async () => null,
+  onSelectionChange = () => {},
+  pushOverlayState = () => {},
+  popOverlayState = () => {},
+  documentRef,
+} = {}) {
+  const doc = documentRef || globalThis.document;
+  const selected = new Set();
+  let source = null;
+  let ownsHistory = false;
+  let busy = false;
+  let progressTimer = null;
+
+  function isActive(from) {
+    return source != null && (from == null || source === from);
+  }
+
+  function isSelected(key) {
+    return selected.has(key);
+  }
+
+  function selectedKeys() {
+    return [...selected];
+  }
+
+  function selectedEntries() {
+    return selectedKeys().map(getEntry).filter(Boolean);
+  }
+
+  function closeMenu() {
+    if (refs.menu) {
+      refs.menu.hidden = true;
+      refs.menu.innerHTML = '';
+      delete refs.menu.dataset.kind;
+    }
+    refs.bar?.querySelectorAll('[data-batch-menu]').forEach(btn => btn.setAttribute('aria-expanded', 'false'));
+  }
+
+  function renderBar() {
+    if (!refs.bar) return;
+    refs.bar.hidden = !isActive();
+    refs.bar.dataset.source = source || '';
+    const count = selected.size;
+    if (refs.count) refs.count.textContent = count ? `${count} selected` : 'Select books';
+    refs.bar.querySelectorAll('[data-batch-menu], [data-batch-action]').forEach(btn => {
+      btn.disabled = busy || count === 0;
+    });
+    if (!count) closeMenu();
+  }
+
+  function changed() {
+    renderBar();
+    onSelectionChange({ active: isActive(), source });
+  }
+
+  /**
+   * Start selecting.
+   * @param {'shelf'|'wtr'} from
+   */
+  function enter(from) {
+    if (isActive()) exit();
+    source = from;
+    ownsHistory = from === 'shelf';
+    if (ownsHistory) pushOverlayState('batch-select');
+    changed();
+  }
+
+  /** @param {boolean} [fromPopstate] */
+  function exit(fromPopstate = false) {
+    if (!isActive()) return;
+    selected.clear();
+    source = null;
+    closeMenu();
+    if (ownsHistory && !fromPopstate) popOverlayState();
+    ownsHistory = false;
+    changed();
+  }
+
+  function toggle(key) {
+    if (!isActive() || !key) return;
+    if (selected.has(key)) selected.delete(key);
+    else selected.add(key);
+    changed();
+  }
+
+  /** Drop keys that have left the library (deleted, or synced away). */
+  function prune(liveKeys) {
+    let dropped = false;
+    for (const key of selected) {
+      if (!liveKeys.has(key)) { selected.delete(key); dropped = true; }
+    }
+    if (dropped) changed();
+  }
+
+  function openMenu(kind) {
+    if (!refs.menu) return;
+    if (refs.menu.dataset.kind === kind && !refs.menu.hidden) { closeMenu(); return; }
+    closeMenu();
+    refs.menu.dataset.kind = kind;
+    refs.menu.innerHTML = menuHtml(kind, selectedEntries());
+    refs.menu.hidden = false;
+    refs.bar?.querySelector(`[data-batch-menu="${kind}"]`)?.setAttribute('aria-expanded', 'true');
+  }
+
+  async function run(action) {
+    if (busy || !selected.size) return;
+    busy = true;
+    closeMenu();
+    renderBar();
+    try {
+      await action(selectedKeys());
+    } finally {
+      busy = false;
+      renderBar();
+    }
+  }
+
+  /**
+   * Show the batch's upload progress — one indicator for the whole batch,
+   * which stays up after the selection ends (a delete ends it at once).
+   * @param {{loaded: number, total: number, done?: boolean}} event
+   */
+  function showProgress({ loaded = 0, total = 0, done = false } = {}) {
+    if (!refs.progress) return;
+    clearTimeout(progressTimer);
+    if (done || total <= 0) {
+      progressTimer = setTimeout(() => { refs.progress.hidden = true; }, done ? 600 : 0);
+      if (refs.progressFill && total > 0) refs.progressFill.style.width = `${Math.round((loaded / total) * 100)}%`;
+      return;
+    }
+    refs.progress.hidden = false;
+    if (refs.progressText) refs.progressText.textContent = `Saving ${loaded} of ${total}…`;
+    if (refs.progressFill) refs.progressFill.style.width = `${Math.round((loaded / total) * 100)}%`;
+  }
+
+  refs.doneBtn?.addEventListener('click', () => exit());
+  refs.bar?.addEventListener('click', (event) => {
+    const menuBtn = event.target.closest('[data-batch-menu]');
+    if (menuBtn && !menuBtn.disabled) { openMenu(menuBtn.dataset.batchMenu); return; }
+    const deleteBtn = event.target.closest('[data-batch-action="delete"]');
+    if (deleteBtn && !deleteBtn.disabled) {
+      run(async keys => { if (await onDelete(keys)) exit(); });
+      return;
+    }
+    const option = event.target.closest('.batch-menu-option');
+    if (!option) return;
+    if (option.dataset.prompt === 'addTag') {
+      run(async keys => {
+        const tag = await promptTag();
+        if (tag) await onApply({ type: 'addTag', tag }, keys);
+      });
+      return;
+    }
+    let op = null;
+    try { op = JSON.parse(option.dataset.op || 'null'); } catch { op = null; }
+    if (op) run(keys => onApply(op, keys));
+  });
+  doc?.addEventListener('click', (event) => {
+    if (refs.menu && !refs.menu.hidden && refs.bar && !refs.bar.contains(event.target)) closeMenu();
+  });
+
+  renderBar();
+
+  return { enter, exit, toggle, prune, isActive, isSelected, selectedKeys, showProgress, closeMenu };
+}
@@ -10,6 +10,7 @@
 //   - generatedCoverColor(title)  — deterministic gradient for cover-less books
 //   - buildCardDetails(entry, shelfContext)  — inline meta row
 //   - buildCardHTML(entry, isWtrResult)  — full inner HTML for one card
+//   - buildCardProgress(entry)  — progress bar under a currently-reading card
 //   - escapeHtml(s)
 //
 // What stays in app.js:
@@ -36,6 +37,7 @@ import { formatMonthYearDisplay } from '../core/id_core.js';
 // (tools/forever/) to render a recovered shelf with zero networked deps.
 import { READING_STATUS, normalizeReadingStatus } from '../core/reading_status.js';
 import { coverCropStyleAttr } from '../core/cover_crop.js';
+import { formatProgress, progressPercent } from '../core/reading_progress.js';
 
 // Generated covers should feel like quiet shelf objects, not generic color
 // tiles. Keep this palette muted and bookish; the CSS adds the cover frame.
@@ -71,6 +73,8 @@ export function escapeHtml(s) {
  *   - reading: plain "<Mon YYYY>" from readingStartedAt (fallback createdAt).
  *   - read:    plain "<Mon YYYY>" from dateRead
  *   - wtr:     "Added <Mon YYYY>" from createdAt
+ *   - dnf:     plain "<Mon YYYY>" from dnfAt, then a "DNF" label carrying
+ *              the stop point (if any) as its tooltip
  *
  * @param {Object} opts
  * @param {boolean} [opts.showActions] - if true and the card is on the
@@ -87,6 +91,8 @@ export function buildCardDetails(e, shelfContext, opts = {}) {
   } else if (shelfContext === 'wtr') {
     const d = formatMonthYearDisplay(e.createdAt);
     if (d) dateText = `Added ${d}`;
+  } else if (shelfContext === 'dnf') {
+    dateText = formatMonthYearDisplay(e.dnfAt);
   } else {
     // 'read' (default)
     dateText = formatMonthYearDisplay(e.dateRead);
@@ -101,7 +107,17 @@ export function buildCardDetails(e, shelfContext, opts = {}) {
     const markBtn = (showActions && cardKey)
       ? `<span role="button" tabindex="0" class="card-mark-read" data-mark-read-key="${escapeHtml(cardKey)}" title="Mark as read" aria-label="Mark as read">✓</span>`
       : '';
-    parts.push(`<span class="card-reading-status" aria-label="Currently reading">Reading${markBtn}</span>`);
+    // Quick "update progress" control: shows the current percent when one
+    // is known, otherwise a bare "+".
+    const pct = progressPercent(e);
+    const progressBtn = (showActions && cardKey)
+      ? `<span role="button" tabindex="0" class="card-progress-update" data-progress-key="${escapeHtml(cardKey)}" title="Update progress" aria-label="Update progress">${pct == null ? '+' : `${Math.round(pct)}%`}</span>`
+      : '';
+    parts.push(`<span class="card-reading-status" aria-label="Currently reading">Reading${progressBtn}${markBtn}</span>`);
+  }
+  if (shelfContext === 'dnf') {
+    const stop = e.dnfStopPoint ? `Did not finish — stopped at ${e.dnfStopPoint}` : 'Did not finish';
+    parts.push(`<span class="card-dnf-status" title="${escapeHtml(stop)}" aria-label="${escapeHtml(stop)}">DNF</span>`);
   }
   if (e.rating && e.rating >= 1 && e.rating <= 5) {
     const stars = '★'.repeat(e.rating);
@@ -111,6 +127,17 @@ export function buildCardDetails(e, shelfContext, opts = {}) {
   return `<div class="details">${parts.join('<span class="card-meta-sep" aria-hidden="true"> · </span>')}</div>`;
 }
 
+/**
+ * Thin progress bar for a currently-reading card. Empty string when the
+ * book has no progress that maps to a fraction (e.g. a page with no total).
+ */
+export function buildCardProgress(e) {
+  const pct = progressPercent(e);
+  if (pct == null) return '';
+  const label = formatProgress(e);
+  return `<div class="card-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(pct)}" aria-label="${escapeHtml(label)}" title="${escapeHtml(label)}"><div class="card-progress-fill" style="width:${pct.toFixed(1)}%"></div></div>`;
+}
+
 /**
  * Build inner HTML for a single book card. Returns the cover + meta block —
  * the surrounding `<div class="card" data-...>` wrapper is the caller's
@@ -130,6 +157,8 @@ export function buildCardHTML(e, isWtrResult, opts = {}) {
     shelfContext = 'wtr';
   } else if (isReading) {
     shelfContext = 'reading';
+  } else if (rs === READING_STATUS.DNF) {
+    shelfContext = 'dnf';
   }
   const detailsRow = buildCardDetails(e, shelfContext, opts);
   const titleSafe = escapeHtml(e.title || 'Untitled');
@@ -151,5 +180,6 @@ export function buildCardHTML(e, isWtrResult, opts = {}) {
       <div class="meta">
         ${srLabel}
         ${detailsRow}
+        ${isReading && shelfContext === 'reading' ? buildCardProgress(e) : ''}
       </div>`;
 }
@@ -0,0 +1,120 @@
+// contributors_panel.js — "Contributors" section of the book-detail page.
+//
+// Lists everyone credited on the book (core/contributors.js) with a role
+// picker each, plus an inline form to credit someone else — a translator,
+// narrator, editor or illustrator. The panel only renders and reports the
+// new list; the caller (app.js) persists it through BookRepository.update,
+// which re-derives the display author, and then re-renders.
+//
+// Like the Reads panel it sits inside #entryForm, so its controls carry no
+// `name` and Enter is intercepted so it can't submit the form.
+
+import { escapeHtml } from './book_card.js';
+import { contributorsOf, CONTRIBUTOR_ROLES, CONTRIBUTOR_ROLE_LABELS } from '../core/contributors.js';
+
+function roleOptions(selected) {
+  return Object.values(CONTRIBUTOR_ROLES)
+    .map(role => `<option value="${role}"${role === selected ? ' selected' : ''}>${escapeHtml(CONTRIBUTOR_ROLE_LABELS[role])}</option>`)
+    .join('');
+}
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} entry - the book, as it currently stands
+ * @param {Object} handlers
+ * @param {(contributors: Array<{name: string, role: string}>) => Promise<void>} handlers.onChange
+ */
+export function renderContributorsPanel(container, entry, { onChange } = {}) {
+  if (!container) return;
+  const list = contributorsOf(entry);
+
+  const rows = list.map((c, index) => `
+      <li class="contributors-item">
+        <span class="contributors-name">${escapeHtml(c.name)}</span>
+        <select class="contributors-role" data-index="${index}" aria-label="Role of ${escapeHtml(c.name)}">${roleOptions(c.role)}</select>
+        <button type="button" class="field-deactivate contributors-remove" data-index="${index}" title="Remove" aria-label="Remove ${escapeHtml(c.name)}">&times;</button>
+      </li>`).join('');
+
+  container.innerHTML = `
+    <div class="optional-field-header">
+      <label>Contributors</label>
+    </div>
+    ${list.length ? `<ul class="contributors-list">${rows}</ul>` : ''}
+    <button type="button" class="optional-chip contributors-add-chip">+ Credit a translator, narrator…</button>
+    <div class="contributors-form" hidden>
+      <input type="text" class="contributors-name-input" placeholder="Name" maxlength="200" autocomplete="off" aria-label="Contributor name">
+      <select class="contributors-role-input" aria-label="Role">${roleOptions(CONTRIBUTOR_ROLES.TRANSLATOR)}</select>
+      <div class="contributors-form-actions">
+        <button type="button" class="btn secondary contributors-cancel">Cancel</button>
+        <button type="button" class="btn primary contributors-save">Add</button>
+      </div>
+    </div>
+    <p class="contributors-error" role="alert" hidden></p>
+  `;
+
+  const chip = container.querySelector('.contributors-add-chip');
+  const formEl = container.querySelector('.contributors-form');
+  const nameInput = container.querySelector('.contributors-name-input');
+  const roleInput = container.querySelector('.contributors-role-input');
+  const saveBtn = container.querySelector('.contributors-save');
+  const errorEl = container.querySelector('.contributors-error');
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+  const showForm = (show) => {
+    formEl.hidden = !show;
+    chip.hidden = show;
+    errorEl.hidden = true;
+    if (show) nameInput.focus();
+  };
+  const commit = async (next) => {
+    try {
+      await onChange?.(next);
+    } catch (err) {
+      showError(err?.message || 'Could not save contributors.');
+      throw err;
+    }
+  };
+
+  const save = async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      showError('Enter a name.');
+      return;
+    }
+    saveBtn.disabled = true;
+    try {
+      await commit([...list, { name, role: roleInput.value }]);
+    } catch {
+      saveBtn.disabled = false;
+    }
+  };
+
+  chip.addEventListener('click', () => showForm(true));
+  container.querySelector('.contributors-cancel').addEventListener('click', () => showForm(false));
+  saveBtn.addEventListener('click', save);
+  formEl.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' || ev.target?.tagName === 'BUTTON') return;
+    ev.preventDefault();
+    save();
+  });
+  for (const select of container.querySelectorAll('.contributors-role')) {
+    select.addEventListener('change', () => {
+      const index = Number(select.dataset.index);
+      const next = list.map((c, i) => (i === index ? { ...c, role: select.value } : c));
+      select.disabled = true;
+      commit(next).catch(() => { select.disabled = false; });
+    });
+  }
+  for (const btn of container.querySelectorAll('.contributors-remove')) {
+    btn.addEventListener('click', () => {
+      const index = Number(btn.dataset.index);
+      btn.disabled = true;
+      commit(list.filter((_, i) => i !== index)).catch(() => { btn.disabled = false; });
+    });
+  }
+}
@@ -16,12 +16,14 @@
 //
 // What this issue ships:
 //   - Cover (or generated placeholder when no cover bytes)
-//   - Title + author
+//   - Title + author (and other contributors' credits)
 //   - Friend's name + avatar (attribution: "From Maya's shelf")
 //   - "Finished {Mon YYYY}" line (when readingStatus is Read + dateRead is set)
 //   - Currently-reading line ("Currently reading" with the ◐ accent) when
 //     the friend's record carries that status
 //   - Close button + ESC + overlay-history wiring
+//   - The quotes the friend chose to share from this book (core/quotes.js),
+//     loaded after the modal opens
 //
 // What this issue does NOT ship (deferred to future Friends issues):
 //   - Friend's rating display (no rating data yet on share-log records — those
@@ -34,8 +36,11 @@ import { coverCropStyleAttr } from '../core/cover_crop.js';
 import { renderFriendAvatar } from './friend_avatar.js';
 import { displayNameForConnection } from './friend_strip.js';
 import { formatMonthYearDisplay } from '../core/id_core.js';
+import { formatOtherContributors } from '../core/contributors.js';
 import { READING_STATUS, normalizeReadingStatus } from '../core/book_repository.js';
 import { pushOverlayState, popOverlayState } from '../core/overlay_history.js';
+import { fetchFriendQuotes } from '../core/friends.js';
+import { quotesForBook, formatQuoteLocation } from '../core/quotes.js';
 
 const OVERLAY_ID = 'friendBookDetailOverlay';
 const CLOSE_ID = 'friendBookDetailClose';
@@ -44,10 +49,13 @@ const TITLE_ID = 'friendBookDetailTitle';
 const AUTHOR_ID = 'friendBookDetailAuthor';
 const ATTRIBUTION_ID = 'friendBookDetailAttribution';
 const STATUS_ID = 'friendBookDetailStatus';
+const QUOTES_ID = 'friendBookDetailQuotes';
 
 let _isOpen = false;
 let _focusReturnEl = null;
 let _keydownHandler = null;
+// Bumped on every open so a slow quotes fetch can't paint into the next book.
+let _quotesGeneration = 0;
 
 function ensureMarkup() {
   if (document.getElementById(OVERLAY_ID)) return;
@@ -74,6 +82,7 @@ function ensureMarkup() {
         <div class="friend-book-detail-attribution" id="${ATTRIBUTION_ID}"></div>
         <div class="friend-book-detail-status" id="${STATUS_ID}"></div>
       </div>
+      <div class="friend-book-detail-quotes" id="${QUOTES_ID}" hidden></div>
     </div>
   `;
   document.body.appendChild(root);
@@ -112,8 +121,10 @@ function setMeta(book, connection) {
 
   if (titleEl) titleEl.textContent = book.title || 'Untitled';
   if (authorEl) {
-    if (book.author) {
-      authorEl.textContent = book.author;
+    // Other credits (translator, narrator, …) follow the author.
+    const credits = [book.author, formatOtherContributors(book)].filter(Boolean).join(' · ');
+    if (credits) {
+      authorEl.textContent = credits;
       authorEl.style.display = '';
     } else {
       authorEl.textContent = '';
@@ -144,11 +155,39 @@ function setMeta(book, connection) {
       } else {
         statusEl.innerHTML = `<span class="friend-book-detail-finished">Finished</span>`;
       }
+    } else if (rs === READING_STATUS.DNF) {
+      const dateText = formatMonthYearDisplay(book.dnfAt);
+      statusEl.innerHTML = `<span class="friend-book-detail-finished">Didn’t finish${dateText ? ` · ${escapeHtml(dateText)}` : ''}</span>`;
     }
     // Want-to-read or unknown: status line stays empty.
   }
 }
 
+async function loadQuotes(book, connection) {
+  const host = document.getElementById(QUOTES_ID);
+  if (!host) return;
+  const generation = ++_quotesGeneration;
+  host.hidden = true;
+  host.replaceChildren();
+  if (!book.bookId) return;
+  let quotes = [];
+  try {
+    quotes = quotesForBook(await fetchFriendQuotes(connection), book.bookId);
+  } catch (err) {
+    console.warn('[Bookish] friend quotes fetch failed:', err?.message || err);
+    return;
+  }
+  if (generation !== _quotesGeneration || !quotes.length) return;
+  host.innerHTML = `
+    <h3 class="friend-book-detail-quotes-heading">Quotes</h3>
+    ${quotes.map(q => {
+      const location = formatQuoteLocation(q.location);
+      return `<blockquote class="quote-item-text">${escapeHtml(q.text)}${location ? `<cite>${escapeHtml(location)}</cite>` : ''}</blockquote>${q.comment ? `<p class="quote-item-comment">${escapeHtml(q.comment)}</p>` : ''}`;
+    }).join('')}
+  `;
+  host.hidden = false;
+}
+
 function trapFocusKeydown(e) {
   if (e.key === 'Escape') {
     e.preventDefault();
@@ -188,6 +227,7 @@ export function openFriendBookDetail({ book, connection, returnFocusTo } = {}) {
 
   setCover(book);
   setMeta(book, connection);
+  loadQuotes(book, connection);
 
   overlay.style.display = 'block';
   document.body.classList.add('modal-open');
@@ -218,6 +258,7 @@ export function closeFriendBookDetail(fromPopstate = false) {
   const overlay = document.getElementById(OVERLAY_ID);
   if (!overlay) { _isOpen = false; return; }
   overlay.style.display = 'none';
+  _quotesGeneration++;
 
   // Only release the body modal-lock if no other modal/dialog is still up.
   // Drawer still open behind us → keep modal-open so its scroll-lock holds.
@@ -12,7 +12,8 @@
 //     → fills the header with friend's avatar + label
 //     → shows skeleton cards in the grid
 //     → calls friends.fetchFriendLibrary(connection)
-//     → on success: renders cards (or empty state)
+//     → on success: renders cards (or empty state), then the lists they
+//       share above them (friends.fetchFriendLists)
 //     → on failure: renders error state with [Retry]
 //     → wires close → returns to user's Library (NOT to the drawer)
 //
@@ -34,6 +35,7 @@ import { renderFriendAvatar } from './friend_avatar.js';
 import { displayNameForConnection } from './friend_strip.js';
 import { READING_STATUS, normalizeReadingStatus } from '../core/book_repository.js';
 import { pushOverlayState, popOverlayState } from '../core/overlay_history.js';
+import { compareLists, listEntries } from '../core/lists.js';
 
 const OVERLAY_ID = 'friendShelfOverlay';
 const HEADER_AVATAR_ID = 'friendShelfHeaderAvatar';
@@ -43,6 +45,7 @@ const CARDS_ID = 'friendShelfCards';
 const CLOSE_ID = 'friendShelfClose';
 const MUTE_BTN_ID = 'friendShelfMute';
 const STATE_HOST_ID = 'friendShelfState';
+const LISTS_ID = 'friendShelfLists';
 
 let _isOpen = false;
 let _focusReturnEl = null;
@@ -89,6 +92,7 @@ function ensureMarkup() {
       </header>
       <h1 id="friendShelfTitle" class="sr-only">Friend's shelf</h1>
       <main class="friend-shelf-body">
+        <section id="${LISTS_ID}" class="friend-shelf-lists" hidden></section>
         <div id="${CARDS_ID}" class="cards friend-shelf-cards" aria-live="polite"></div>
         <div id="${STATE_HOST_ID}" class="friend-shelf-state" hidden></div>
       </main>
@@ -215,20 +219,23 @@ function showSkeletons(count = 6) {
 /**
  * Sort entries the same way the Library does for the main grid:
  * currently-reading first (most-recently-started first), then read
- * (most-recent dateRead first). Unlike the user's own Library this
+ * (most-recent dateRead first), then did-not-finish (most recently put
+ * down first). Unlike the user's own Library this
  * deliberately omits Want-to-Read — friends' WTR is intentionally not
  * a public surface (per FRIENDS.md spec).
  */
 function sortFriendEntries(entries) {
   const reading = entries.filter(e => normalizeReadingStatus(e) === READING_STATUS.READING);
   const read = entries.filter(e => normalizeReadingStatus(e) === READING_STATUS.READ);
+  const dnf = entries.filter(e => normalizeReadingStatus(e) === READING_STATUS.DNF);
   reading.sort((a, b) => (b.readingStartedAt || b.createdAt || 0) - (a.readingStartedAt || a.createdAt || 0));
   read.sort((a, b) => {
     const da = a.dateRead || 0; const db = b.dateRead || 0;
     if (da !== db) return db - da;
     return (b.createdAt || 0) - (a.createdAt || 0);
   });
-  return [...reading, ...read];
+  dnf.sort((a, b) => (b.dnfAt || 0) - (a.dnfAt || 0));
+  return [...reading, ...read, ...dnf];
 }
 
 /**
@@ -254,6 +261,7 @@ export function renderFriendShelfCards(entries) {
   const sorted = sortFriendEntries(entries);
   const html = sorted.map(e => {
     const isReading = normalizeReadingStatus(e) === READING_STATUS.READING;
+    const isDnf = normalizeReadingStatus(e) === READING_STATUS.DNF;
     const rawFmt = (e.format || '').toLowerCase();
     const fmtVariant = rawFmt === 'audiobook' ? 'audio' : (rawFmt === 'ebook' ? 'ebook' : 'print');
     const ariaLabel = (e.title || 'Untitled') + (e.author ? ` by ${e.author}` : '');
@@ -265,12 +273,36 @@ export function renderFriendShelfCards(entries) {
       `data-fmt="${escapeAttr(fmtVariant)}"` +
       ` data-format="${escapeAttr(rawFmt)}"` +
       (isReading ? ' data-reading="true"' : '') +
+      (isDnf ? ' data-dnf="true"' : '') +
       ` data-friend-card="true"`;
     return `<div class="card friend-shelf-card" ${datasetAttrs} aria-label="${escapeAttr(ariaLabel)}" role="img">${buildCardHTML(e, false)}</div>`;
   }).join('');
   cards.innerHTML = html;
 }
 
+/**
+ * Render the lists a friend shares, each with its books in list order.
+ * Books that aren't in their shared library (private, or since removed)
+ * are left out, and so is a list with none left.
+ */
+export function renderFriendLists(lists, entries) {
+  const host = document.getElementById(LISTS_ID);
+  if (!host) return;
+  const byBookId = new Map((entries || []).filter(e => e.bookId).map(e => [e.bookId, e]));
+  const visible = [...(lists || [])].sort(compareLists)
+    .map(list => ({ list, books: listEntries(list, id => byBookId.get(id)) }))
+    .filter(({ books }) => books.length);
+  host.hidden = !visible.length;
+  host.innerHTML = visible.length ? `
+    <h2 class="friend-shelf-lists-heading">Their lists</h2>
+    ${visible.map(({ list, books }) => `<details class="friend-shelf-list">
+      <summary><span class="friend-shelf-list-name">${escapeAttr(list.name || 'Untitled list')}</span> <span class="friend-shelf-list-count">${books.length}</span></summary>
+      ${list.description ? `<p class="friend-shelf-list-description">${escapeAttr(list.description)}</p>` : ''}
+      <ol class="friend-shelf-list-books">${books.map(b => `<li>${escapeAttr(b.title || 'Untitled')}${b.author ? ` <span class="friend-shelf-list-author">— ${escapeAttr(b.author)}</span>` : ''}</li>`).join('')}</ol>
+    </details>`).join('')}
+  ` : '';
+}
+
 function escapeAttr(s) {
   return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
@@ -300,6 +332,7 @@ function errorStateHtml() {
 async function loadAndRender(connection) {
   const myToken = ++_fetchToken;
   showSkeletons(6);
+  renderFriendLists([], []);
   let entries = null;
   let failed = false;
   try {
@@ -318,6 +351,17 @@ async function loadAndRender(connection) {
     return;
   }
   renderFriendShelfCards(entries || []);
+
+  // Lists are extra: a failed fetch leaves the shelf as it is.
+  let lists = [];
+  try {
+    lists = await friends.fetchFriendLists(connection);
+  } catch (err) {
+    console.warn('[Bookish:FriendShelfView] fetchFriendLists failed:', err.message);
+    return;
+  }
+  if (myToken !== _fetchToken) return;
+  renderFriendLists(lists, entries || []);
 }
 
 function trapFocusKeydown(e) {
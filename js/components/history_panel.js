@@ -0,0 +1,100 @@
+// history_panel.js — "History" section of the book-detail page.
+//
+// The book's edit journal (core/edit_history.js), newest first: when, what
+// kind of edit, on which device, and each field's value before and after.
+// "Revert" puts one field back as it was before that edit; "Restore this
+// version" puts the whole book back as it stood right after it. The journal
+// is read from IndexedDB, so the list stays collapsed until asked for.
+//
+// The panel only renders and reports intent; app.js reverts through
+// BookRepository (a revert is an ordinary edit — it syncs, and shows up
+// here as a version of its own). Like the Reads panel it sits inside
+// #entryForm, so its buttons are all type="button".
+
+import { escapeHtml } from './book_card.js';
+import { describeHistoryValue, historyActionLabel, historyFieldLabel } from '../core/edit_history.js';
+
+function whenText(ms) {
+  return new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+function changeHtml(version, change) {
+  return `<li class="history-change">
+      <span class="history-change-field">${escapeHtml(historyFieldLabel(change.field))}</span>
+      <span class="history-change-values"><span class="history-from">${escapeHtml(describeHistoryValue(change.field, change.from))}</span> → <span class="history-to">${escapeHtml(describeHistoryValue(change.field, change.to))}</span></span>
+      <button type="button" class="btn secondary history-revert" data-version-id="${escapeHtml(version.id)}" data-field="${escapeHtml(change.field)}">Revert</button>
+    </li>`;
+}
+
+// The newest version is how the book stands now — nothing to restore.
+function versionHtml(version, index) {
+  const meta = [whenText(version.at), historyActionLabel(version.action), version.device].filter(Boolean).join(' · ');
+  return `<li class="history-version">
+      <div class="history-version-head">
+        <span class="history-version-meta">${escapeHtml(meta)}</span>
+        ${index > 0 ? `<button type="button" class="btn secondary history-revert" data-version-id="${escapeHtml(version.id)}">Restore this version</button>` : ''}
+      </div>
+      <ul class="history-changes">${version.changes.map(c => changeHtml(version, c)).join('')}</ul>
+    </li>`;
+}
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} handlers
+ * @param {() => Promise<Object[]>} handlers.loadHistory - the journal, newest first
+ * @param {(versionId: string, field?: string) => Promise<void>} handlers.onRevert
+ * @param {boolean} [handlers.expanded] - open with the list shown
+ */
+export function renderHistoryPanel(container, { loadHistory, onRevert, expanded = false } = {}) {
+  if (!container) return;
+  container.innerHTML = `
+    <div class="optional-field-header"><label>History</label></div>
+    <button type="button" class="optional-chip history-show-chip">Show edit history</button>
+    <div class="history-body" hidden>
+      <p class="history-empty" hidden>No edits recorded on this device yet.</p>
+      <ol class="history-list"></ol>
+    </div>
+    <p class="history-error" role="alert" hidden></p>
+  `;
+
+  const chip = container.querySelector('.history-show-chip');
+  const bodyEl = container.querySelector('.history-body');
+  const listEl = container.querySelector('.history-list');
+  const emptyEl = container.querySelector('.history-empty');
+  const errorEl = container.querySelector('.history-error');
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+
+  async function show() {
+    chip.hidden = true;
+    bodyEl.hidden = false;
+    errorEl.hidden = true;
+    let versions = [];
+    try {
+      versions = (await loadHistory?.()) || [];
+    } catch (err) {
+      showError(err?.message || 'Could not load the history.');
+      return;
+    }
+    listEl.innerHTML = versions.map(versionHtml).join('');
+    emptyEl.hidden = versions.length > 0;
+  }
+
+  chip.addEventListener('click', show);
+  listEl.addEventListener('click', (event) => {
+    const btn = event.target.closest('.history-revert');
+    if (!btn || btn.disabled) return;
+    btn.disabled = true;
+    errorEl.hidden = true;
+    Promise.resolve(onRevert?.(btn.dataset.versionId, btn.dataset.field || undefined))
+      .catch(err => showError(err?.message || 'Could not revert.'))
+      .finally(() => { btn.disabled = false; });
+  });
+
+  if (expanded) show();
+}
@@ -0,0 +1,208 @@
+// lists_drawer.js — The reader's own lists ("Book club 2026", "Comfort reads").
+//
+// Two levels in one drawer: every list by name (with its book count and
+// description), then one list's books in list order. A list's books reorder
+// by drag exactly like want-to-read (attachWtrDragReorder), and the list's
+// description, sharing, name and existence are edited from its header.
+// Books join a list from their detail page (lists_panel.js).
+//
+// Shares the WTR drawer's chrome (.wtr-drawer / .wtr-item). The controller
+// only renders and reports intent; app.js persists through the lists
+// collection, and does the prompting for names and the delete confirm.
+
+import { escapeHtml, generatedCoverColor } from './book_card.js';
+import { coverCropStyleAttr } from '../core/cover_crop.js';
+import { attachWtrDragReorder } from './wtr_drawer.js';
+import { isSharedList, listBookIds, listEntries, withBookRemoved, withBooksReordered } from '../core/lists.js';
+
+const INDEX_EMPTY = 'Make a list for a book club, your comfort reads, or books to recommend — a book can be on as many lists as you like.';
+const LIST_EMPTY = 'Nothing on this list yet. Add books from their page with "+ Add to list".';
+
+function countLabel(n) {
+  return `${n} book${n === 1 ? '' : 's'}`;
+}
+
+function listRowHtml(list, getBook) {
+  const count = listEntries(list, getBook).length;
+  return `<button type="button" class="lists-row" data-list-id="${escapeHtml(list.listId)}">
+      <span class="lists-row-name">${escapeHtml(list.name || 'Untitled list')}</span>
+      <span class="lists-row-meta">${countLabel(count)}${isSharedList(list) ? ' · shared' : ''}</span>
+      ${list.description ? `<span class="lists-row-description">${escapeHtml(list.description)}</span>` : ''}
+    </button>`;
+}
+
+function listBookHtml(entry) {
+  const coverDataUrl = entry.coverImage ? `data:${entry.mimeType || 'image/jpeg'};base64,${entry.coverImage}` : '';
+  const coverHtml = coverDataUrl
+    ? `<img src="${coverDataUrl}" data-fit="${entry.coverFit || 'contain'}"${coverCropStyleAttr(entry.coverCrop)}>`
+    : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(entry.title || '')}"><span class="wtr-mini-title">${escapeHtml(entry.title || '')}</span></div>`;
+  const key = escapeHtml(entry.bookId);
+  return `<div class="wtr-item" data-key="${key}" draggable="true">
+      <div class="wtr-item-cover">${coverHtml}</div>
+      <div class="wtr-item-info">
+        <div class="wtr-item-title">${escapeHtml(entry.title || 'Untitled')}</div>
+        <div class="wtr-item-author">${escapeHtml(entry.author || '')}</div>
+      </div>
+      <button type="button" class="field-deactivate lists-book-remove" data-key="${key}" title="Remove from list" aria-label="Remove from this list">&times;</button>
+    </div>`;
+}
+
+export function createListsDrawerController({
+  refs = {},
+  getLists = () => [],
+  getBook = () => null,
+  pushOverlayState = () => {},
+  popOverlayState = () => {},
+  attachSwipeDismiss,
+  haptic,
+  isTouchDevice = false,
+  onOpenEntry = () => {},
+  onNewList = async () => null,
+  onRename = async () => {},
+  onUpdate = async () => {},
+  onDelete = async () => false,
+  documentRef,
+} = {}) {
+  const doc = documentRef || globalThis.document;
+  let resetSwipe = null;
+  // listId of the list on show, or null for the index of lists.
+  let currentListId = null;
+
+  function currentList() {
+    return currentListId ? getLists().find(l => l.listId === currentListId) || null : null;
+  }
+
+  function renderIndex() {
+    const lists = getLists();
+    if (refs.titleEl) refs.titleEl.textContent = 'Your lists';
+    if (refs.backBtn) refs.backBtn.hidden = true;
+    if (refs.detailEl) refs.detailEl.hidden = true;
+    if (refs.newBtn) refs.newBtn.style.display = '';
+    if (refs.listEl) refs.listEl.innerHTML = lists.map(l => listRowHtml(l, getBook)).join('');
+    if (refs.emptyEl) {
+      refs.emptyEl.textContent = INDEX_EMPTY;
+      refs.emptyEl.style.display = lists.length ? 'none' : 'block';
+    }
+  }
+
+  function renderList(list) {
+    const books = listEntries(list, getBook);
+    if (refs.titleEl) refs.titleEl.textContent = list.name || 'Untitled list';
+    if (refs.backBtn) refs.backBtn.hidden = false;
+    if (refs.newBtn) refs.newBtn.style.display = 'none';
+    if (refs.detailEl) refs.detailEl.hidden = false;
+    // Don't clobber a description that's mid-edit.
+    if (refs.descriptionInput && doc?.activeElement !== refs.descriptionInput) {
+      refs.descriptionInput.value = list.description || '';
+    }
+    if (refs.sharedInput) refs.sharedInput.checked = isSharedList(list);
+    if (refs.listEl) refs.listEl.innerHTML = books.map(listBookHtml).join('');
+    if (refs.emptyEl) {
+      refs.emptyEl.textContent = LIST_EMPTY;
+      refs.emptyEl.style.display = books.length ? 'none' : 'block';
+    }
+  }
+
+  function render() {
+    const list = currentList();
+    // The list was deleted (here or on another device): back to the index.
+    if (!list) currentListId = null;
+    if (list) renderList(list);
+    else renderIndex();
+  }
+
+  function showList(listId) {
+    currentListId = listId || null;
+    render();
+    if (refs.listEl) refs.listEl.scrollTop = 0;
+  }
+
+  function isOpen() {
+    return Boolean(refs.overlay && refs.overlay.style.display !== 'none');
+  }
+
+  /** @param {string} [listId] - open straight to this list */
+  function open(listId = null) {
+    currentListId = listId;
+    render();
+    if (refs.overlay) refs.overlay.style.display = 'block';
+    doc?.body?.classList.add('modal-open');
+    pushOverlayState('lists');
+  }
+
+  function close(fromPopstate = false) {
+    if (!isOpen()) return;
+    if (resetSwipe) resetSwipe();
+    if (refs.overlay) refs.overlay.style.display = 'none';
+    doc?.body?.classList.remove('modal-open');
+    if (!fromPopstate) popOverlayState();
+  }
+
+  function updateCurrent(patch) {
+    if (!currentListId) return Promise.resolve();
+    return Promise.resolve(onUpdate(currentListId, patch));
+  }
+
+  refs.backdrop?.addEventListener('click', () => close());
+  refs.closeBtn?.addEventListener('click', () => close());
+  refs.backBtn?.addEventListener('click', () => showList(null));
+  refs.newBtn?.addEventListener('click', async () => {
+    const listId = await onNewList();
+    if (listId) showList(listId);
+  });
+  refs.renameBtn?.addEventListener('click', () => {
+    const list = currentList();
+    if (list) Promise.resolve(onRename(list)).then(render);
+  });
+  refs.deleteBtn?.addEventListener('click', async () => {
+    const list = currentList();
+    if (list && await onDelete(list)) showList(null);
+  });
+  refs.descriptionInput?.addEventListener('change', () => {
+    updateCurrent({ description: refs.descriptionInput.value });
+  });
+  refs.sharedInput?.addEventListener('change', () => {
+    const input = refs.sharedInput;
+    input.disabled = true;
+    updateCurrent({ shared: input.checked })
+      .catch(() => { input.checked = !input.checked; })
+      .finally(() => { input.disabled = false; });
+  });
+  refs.listEl?.addEventListener('click', (event) => {
+    const row = event.target.closest('.lists-row[data-list-id]');
+    if (row) { showList(row.dataset.listId); return; }
+    const list = currentList();
+    if (!list) return;
+    const removeBtn = event.target.closest('.lists-book-remove');
+    if (removeBtn) {
+      event.stopPropagation();
+      updateCurrent({ bookIds: withBookRemoved(list, removeBtn.dataset.key) });
+      return;
+    }
+    const item = event.target.closest('.wtr-item[data-key]');
+    const entry = item ? getBook(item.dataset.key) : null;
+    if (entry) { close(); onOpenEntry(entry); }
+  });
+
+  attachWtrDragReorder(refs.listEl, {
+    haptic,
+    documentRef: doc,
+    onReorder: (bookIds) => {
+      const list = currentList();
+      if (!list) return;
+      const reordered = withBooksReordered(list, bookIds);
+      if (reordered.join('\n') !== listBookIds(list).join('\n')) updateCurrent({ bookIds: reordered });
+    },
+  });
+
+  if (isTouchDevice && refs.drawer && attachSwipeDismiss) {
+    const handle = refs.drawer.querySelector('.wtr-drawer-handle');
+    const header = refs.drawer.querySelector('.wtr-header');
+    const swipeHandles = [handle, header].filter(Boolean);
+    if (swipeHandles.length) {
+      resetSwipe = attachSwipeDismiss({ sheet: refs.drawer, handles: swipeHandles, onDismiss: () => close() });
+    }
+  }
+
+  return { open, close, render, isOpen };
+}
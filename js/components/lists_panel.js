@@ -0,0 +1,72 @@
+// lists_panel.js — "Lists" section of the book-detail page.
+//
+// The reader's lists this book is on (core/lists.js), as pills — tap one to
+// open the list, × to take the book off it — and a picker to add the book
+// to another list or start a new one. The panel only renders and reports
+// intent; the caller (app.js) persists through the lists collection and
+// re-renders.
+//
+// Like the Reads panel it sits inside #entryForm, so the picker carries no
+// `name` and never reaches the form payload.
+
+import { escapeHtml } from './book_card.js';
+import { listsContaining } from '../core/lists.js';
+
+const NEW_LIST = '__new__';
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object[]} lists - all of the reader's lists, in display order
+ * @param {string} bookId
+ * @param {Object} handlers
+ * @param {(listId: string) => Promise<void>} handlers.onAdd
+ * @param {(listId: string) => Promise<void>} handlers.onRemove
+ * @param {() => Promise<void>} handlers.onCreate - new list with this book on it
+ * @param {(listId: string) => void} handlers.onOpenList
+ */
+export function renderListsPanel(container, lists, bookId, { onAdd, onRemove, onCreate, onOpenList } = {}) {
+  if (!container) return;
+  const onLists = listsContaining(lists, bookId);
+  const onIds = new Set(onLists.map(l => l.listId));
+  const others = (lists || []).filter(l => !onIds.has(l.listId));
+
+  container.innerHTML = `
+    <div class="optional-field-header"><label>Lists</label></div>
+    ${onLists.length ? `<ul class="book-lists-pills">${onLists.map(l => `<li class="book-lists-pill">
+        <button type="button" class="book-lists-open" data-list-id="${escapeHtml(l.listId)}">${escapeHtml(l.name || 'Untitled list')}</button>
+        <button type="button" class="field-deactivate book-lists-remove" data-list-id="${escapeHtml(l.listId)}" title="Remove from list" aria-label="Remove from ${escapeHtml(l.name || 'this list')}">&times;</button>
+      </li>`).join('')}</ul>` : ''}
+    <select class="book-lists-add" aria-label="Add this book to a list">
+      <option value="">+ Add to list…</option>
+      ${others.map(l => `<option value="${escapeHtml(l.listId)}">${escapeHtml(l.name || 'Untitled list')}</option>`).join('')}
+      <option value="${NEW_LIST}">New list…</option>
+    </select>
+    <p class="book-lists-error" role="alert" hidden></p>
+  `;
+
+  const errorEl = container.querySelector('.book-lists-error');
+  const run = (work, fallback) => Promise.resolve(work).catch(err => {
+    errorEl.textContent = err?.message || fallback;
+    errorEl.hidden = false;
+  });
+
+  const select = container.querySelector('.book-lists-add');
+  select.addEventListener('change', () => {
+    const value = select.value;
+    select.value = '';
+    if (!value) return;
+    if (value === NEW_LIST) run(onCreate?.(), 'Could not create the list.');
+    else run(onAdd?.(value), 'Could not add to the list.');
+  });
+  for (const btn of container.querySelectorAll('.book-lists-open')) {
+    btn.addEventListener('click', () => onOpenList?.(btn.dataset.listId));
+  }
+  for (const btn of container.querySelectorAll('.book-lists-remove')) {
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      run(onRemove?.(btn.dataset.listId), 'Could not remove from the list.').finally(() => { btn.disabled = false; });
+    });
+  }
+}
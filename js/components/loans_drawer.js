@@ -0,0 +1,121 @@
+// loans_drawer.js — The "On loan" view: every outstanding loan, library-wide.
+//
+// Three sections from core/loans.js outstandingLoans(): overdue first, then
+// books lent out, then books borrowed. Each row is the book with who has it
+// and since when; tapping it opens the book's page, and "Returned" closes
+// the loan without leaving the view. Shares the WTR drawer's chrome
+// (.wtr-drawer / .wtr-item). Loans are never shared, so unlike the quotes
+// and lists views there's nothing here about friends.
+
+import { escapeHtml, generatedCoverColor } from './book_card.js';
+import { coverCropStyleAttr } from '../core/cover_crop.js';
+import { describeLoan, outstandingLoans } from '../core/loans.js';
+import { loanDatesText } from './loans_panel.js';
+
+const SECTIONS = [
+  ['overdue', 'Overdue'],
+  ['lent', 'Lent out'],
+  ['borrowed', 'Borrowed'],
+];
+
+function loanRowHtml(loan, book, now) {
+  const coverDataUrl = book?.coverImage ? `data:${book.mimeType || 'image/jpeg'};base64,${book.coverImage}` : '';
+  const coverHtml = coverDataUrl
+    ? `<img src="${coverDataUrl}" data-fit="${book.coverFit || 'contain'}"${coverCropStyleAttr(book.coverCrop)}>`
+    : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(book?.title || '')}"><span class="wtr-mini-title">${escapeHtml(book?.title || '')}</span></div>`;
+  return `<div class="wtr-item loans-item" data-book-id="${escapeHtml(loan.bookId)}"${book ? ' role="button" tabindex="0"' : ''}>
+      <div class="wtr-item-cover">${coverHtml}</div>
+      <div class="wtr-item-info">
+        <div class="wtr-item-title">${escapeHtml(book ? book.title || 'Untitled' : 'A book no longer on your shelf')}</div>
+        <div class="wtr-item-author">${escapeHtml(describeLoan(loan))}</div>
+        <div class="loans-item-dates">${escapeHtml(loanDatesText(loan, now))}</div>
+      </div>
+      <button type="button" class="btn secondary loans-return-btn" data-loan-id="${escapeHtml(loan.loanId)}">Returned</button>
+    </div>`;
+}
+
+export function createLoansDrawerController({
+  refs = {},
+  getLoans = () => [],
+  getBook = () => null,
+  pushOverlayState = () => {},
+  popOverlayState = () => {},
+  attachSwipeDismiss,
+  isTouchDevice = false,
+  onOpenEntry = () => {},
+  onReturn = async () => {},
+  documentRef,
+} = {}) {
+  const doc = documentRef || globalThis.document;
+  let resetSwipe = null;
+
+  function render() {
+    const now = Date.now();
+    const groups = outstandingLoans(getLoans(), now);
+    const html = SECTIONS
+      .filter(([key]) => groups[key].length)
+      .map(([key, label]) => `<section class="loans-section loans-section-${key}">
+          <h4 class="loans-section-title">${label}</h4>
+          ${groups[key].map(loan => loanRowHtml(loan, getBook(loan.bookId), now)).join('')}
+        </section>`)
+      .join('');
+    if (refs.listEl) refs.listEl.innerHTML = html;
+    if (refs.emptyEl) refs.emptyEl.style.display = html ? 'none' : 'block';
+  }
+
+  function isOpen() {
+    return Boolean(refs.overlay && refs.overlay.style.display !== 'none');
+  }
+
+  function open() {
+    render();
+    if (refs.overlay) refs.overlay.style.display = 'block';
+    doc?.body?.classList.add('modal-open');
+    if (refs.listEl) refs.listEl.scrollTop = 0;
+    pushOverlayState('loans');
+  }
+
+  function close(fromPopstate = false) {
+    if (!isOpen()) return;
+    if (resetSwipe) resetSwipe();
+    if (refs.overlay) refs.overlay.style.display = 'none';
+    doc?.body?.classList.remove('modal-open');
+    if (!fromPopstate) popOverlayState();
+  }
+
+  function openItem(item) {
+    const entry = item ? getBook(item.dataset.bookId) : null;
+    if (entry) { close(); onOpenEntry(entry); }
+  }
+
+  refs.backdrop?.addEventListener('click', () => close());
+  refs.closeBtn?.addEventListener('click', () => close());
+  refs.listEl?.addEventListener('click', (event) => {
+    const returnBtn = event.target.closest('.loans-return-btn');
+    if (returnBtn) {
+      event.stopPropagation();
+      returnBtn.disabled = true;
+      Promise.resolve(onReturn(returnBtn.dataset.loanId)).catch(() => { returnBtn.disabled = false; });
+      return;
+    }
+    openItem(event.target.closest('.loans-item[data-book-id]'));
+  });
+  refs.listEl?.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    const item = event.target.closest?.('.loans-item[data-book-id]');
+    if (!item || event.target !== item) return;
+    event.preventDefault();
+    openItem(item);
+  });
+
+  if (isTouchDevice && refs.drawer && attachSwipeDismiss) {
+    const handle = refs.drawer.querySelector('.wtr-drawer-handle');
+    const header = refs.drawer.querySelector('.wtr-header');
+    const swipeHandles = [handle, header].filter(Boolean);
+    if (swipeHandles.length) {
+      resetSwipe = attachSwipeDismiss({ sheet: refs.drawer, handles: swipeHandles, onDismiss: () => close() });
+    }
+  }
+
+  return { open, close, render, isOpen };
+}
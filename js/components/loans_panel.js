@@ -0,0 +1,173 @@
+// loans_panel.js — "Loan" section of the book-detail page.
+//
+// Where the reader's copy is (core/loans.js): the outstanding loan, if any,
+// with a button to mark it returned, and a form to record a new one — lent
+// to or borrowed from someone, typed in or picked from friends, with the
+// date it went out and an optional date it's due back. Returned loans stay
+// listed underneath as the book's lending history. The panel only renders
+// and reports intent; the caller (app.js) persists through the loans
+// collection and re-renders.
+//
+// Like the Reads panel it sits inside #entryForm, so its controls carry no
+// `name` and Enter in an input is intercepted so it can't submit the form.
+
+import { escapeHtml } from './book_card.js';
+import { formatDateReadDisplay, msToDateInputUtc } from '../core/id_core.js';
+import { LOAN_DIRECTION, daysOverdue, describeLoan, isOutstanding, todayNoonUtc } from '../core/loans.js';
+
+/**
+ * "since Mar 14, 2026 · due Apr 1, 2026" / "… · 3 days overdue".
+ * Shared with the "On loan" view.
+ * @param {Object} loan
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function loanDatesText(loan, now = Date.now()) {
+  const parts = [`since ${formatDateReadDisplay(loan.loanedAt)}`];
+  const overdue = daysOverdue(loan, now);
+  if (overdue) parts.push(`${overdue} day${overdue === 1 ? '' : 's'} overdue`);
+  else if (loan.dueAt) parts.push(`due ${formatDateReadDisplay(loan.dueAt)}`);
+  return parts.join(' · ');
+}
+
+function historyItemHtml(loan) {
+  const id = escapeHtml(loan.loanId);
+  return `<li class="loan-history-item">
+      <span>${escapeHtml(describeLoan(loan))}, ${escapeHtml(formatDateReadDisplay(loan.loanedAt))} – ${escapeHtml(formatDateReadDisplay(loan.returnedAt))}</span>
+      <button type="button" class="field-deactivate loan-remove" data-loan-id="${id}" title="Delete from history" aria-label="Delete this loan">&times;</button>
+    </li>`;
+}
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object[]} loans - this book's loans (loansForBook order)
+ * @param {Object} handlers
+ * @param {() => Promise<Array<{sharePub: string, name: string}>>} [handlers.getFriends]
+ * @param {(input: {direction: string, person: string, friendSharePub: string, loanedAt: string, dueAt: string}) => Promise<void>} handlers.onAdd
+ * @param {(loanId: string) => Promise<void>} handlers.onReturn
+ * @param {(loanId: string) => Promise<void>} handlers.onDelete
+ */
+export function renderLoansPanel(container, loans, { getFriends, onAdd, onReturn, onDelete } = {}) {
+  if (!container) return;
+  const list = loans || [];
+  const current = list.find(isOutstanding) || null;
+  const history = list.filter(l => l !== current && l.returnedAt);
+  const overdue = current ? daysOverdue(current) : 0;
+
+  container.innerHTML = `
+    <div class="optional-field-header"><label>Loan</label></div>
+    ${current ? `<div class="loan-current${overdue ? ' loan-overdue' : ''}">
+        <div class="loan-current-text">
+          <strong>${escapeHtml(describeLoan(current))}</strong>
+          <span class="loan-current-dates">${escapeHtml(loanDatesText(current))}</span>
+        </div>
+        <button type="button" class="btn secondary loan-return" data-loan-id="${escapeHtml(current.loanId)}">Returned</button>
+        <button type="button" class="field-deactivate loan-remove" data-loan-id="${escapeHtml(current.loanId)}" title="Delete loan" aria-label="Delete this loan">&times;</button>
+      </div>` : '<button type="button" class="optional-chip loans-add-chip">+ Lend or borrow</button>'}
+    <div class="loans-form" hidden>
+      <select class="loans-direction-input" aria-label="Lent or borrowed">
+        <option value="${LOAN_DIRECTION.LENT}">Lent to</option>
+        <option value="${LOAN_DIRECTION.BORROWED}">Borrowed from</option>
+      </select>
+      <input type="text" class="loans-person-input" maxlength="80" placeholder="Name" autocomplete="off" aria-label="Who">
+      <select class="loans-friend-input" aria-label="Pick a friend" hidden></select>
+      <label class="loans-date-label">Since <input type="date" class="loans-loaned-input"></label>
+      <label class="loans-date-label">Due back <input type="date" class="loans-due-input"></label>
+      <div class="loans-form-actions">
+        <button type="button" class="btn secondary loans-cancel">Cancel</button>
+        <button type="button" class="btn primary loans-save">Save</button>
+      </div>
+    </div>
+    ${history.length ? `<ul class="loan-history">${history.map(historyItemHtml).join('')}</ul>` : ''}
+    <p class="loans-error" role="alert" hidden></p>
+  `;
+
+  const chip = container.querySelector('.loans-add-chip');
+  const formEl = container.querySelector('.loans-form');
+  const directionInput = container.querySelector('.loans-direction-input');
+  const personInput = container.querySelector('.loans-person-input');
+  const friendInput = container.querySelector('.loans-friend-input');
+  const loanedInput = container.querySelector('.loans-loaned-input');
+  const dueInput = container.querySelector('.loans-due-input');
+  const saveBtn = container.querySelector('.loans-save');
+  const errorEl = container.querySelector('.loans-error');
+  // share_pub of the friend picked, while the name field still says theirs.
+  let friend = null;
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+  const showForm = (show) => {
+    formEl.hidden = !show;
+    if (chip) chip.hidden = show;
+    errorEl.hidden = true;
+    if (!show) return;
+    loanedInput.value = msToDateInputUtc(todayNoonUtc());
+    personInput.focus();
+    loadFriends();
+  };
+
+  let friendsLoaded = false;
+  async function loadFriends() {
+    if (friendsLoaded || !getFriends) return;
+    friendsLoaded = true;
+    let friends = [];
+    try { friends = await getFriends(); } catch { /* offline — typing a name still works */ }
+    if (!friends?.length) return;
+    friendInput.innerHTML = `<option value="">or pick a friend…</option>${friends.map(f =>
+      `<option value="${escapeHtml(f.sharePub)}">${escapeHtml(f.name)}</option>`).join('')}`;
+    friendInput.hidden = false;
+  }
+
+  const save = async () => {
+    saveBtn.disabled = true;
+    try {
+      await onAdd?.({
+        direction: directionInput.value,
+        person: personInput.value,
+        friendSharePub: friend && friend.name === personInput.value.trim() ? friend.sharePub : '',
+        loanedAt: loanedInput.value,
+        dueAt: dueInput.value,
+      });
+    } catch (err) {
+      showError(err?.message || 'Could not save the loan.');
+      saveBtn.disabled = false;
+    }
+  };
+
+  chip?.addEventListener('click', () => showForm(true));
+  container.querySelector('.loans-cancel').addEventListener('click', () => showForm(false));
+  saveBtn.addEventListener('click', save);
+  friendInput.addEventListener('change', () => {
+    const option = friendInput.selectedOptions[0];
+    friend = friendInput.value ? { sharePub: friendInput.value, name: option.textContent } : null;
+    if (friend) personInput.value = friend.name;
+    friendInput.value = '';
+  });
+  formEl.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' || ev.target?.tagName !== 'INPUT') return;
+    ev.preventDefault();
+    save();
+  });
+
+  const returnBtn = container.querySelector('.loan-return');
+  returnBtn?.addEventListener('click', () => {
+    returnBtn.disabled = true;
+    Promise.resolve(onReturn?.(returnBtn.dataset.loanId))
+      .catch(err => {
+        showError(err?.message || 'Could not mark it returned.');
+        returnBtn.disabled = false;
+      });
+  });
+  for (const btn of container.querySelectorAll('.loan-remove')) {
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      Promise.resolve(onDelete?.(btn.dataset.loanId))
+        .catch(err => showError(err?.message || 'Could not delete the loan.'))
+        .finally(() => { btn.disabled = false; });
+    });
+  }
+}
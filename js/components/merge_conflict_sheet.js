@@ -0,0 +1,123 @@
+// merge_conflict_sheet.js — Settle edits made to one book on two devices.
+//
+// Sync merges concurrent edits field by field (core/field_merge.js); only a
+// field group both devices changed differently needs the reader. Each one
+// is listed under its book with both values side by side — "This device"
+// and "Other device" — and picking one resolves it. Until then the book
+// keeps this device's value, so closing the sheet loses nothing.
+//
+// Built on demand like the first-connect sheet (.modal-overlay chrome: a
+// centered card on desktop, a bottom sheet on touch). The sheet only
+// renders and reports the choice; app.js resolves through BookRepository.
+
+import { escapeHtml } from './book_card.js';
+import { describeGroupValues } from '../core/field_merge.js';
+import { pushOverlayState, popOverlayState } from '../core/overlay_history.js';
+
+const SHEET_ID = 'mergeConflictSheet';
+const TITLE_ID = 'mergeConflictSheetTitle';
+
+let _isOpen = false;
+let _deps = null;
+
+function choiceHtml(book, conflict, choice) {
+  const values = choice === 'local' ? conflict.local : conflict.remote;
+  return `<button type="button" class="merge-conflict-choice" data-book-id="${escapeHtml(book.bookId)}" data-group="${escapeHtml(conflict.group)}" data-choice="${choice}">
+      <span class="merge-conflict-side">${choice === 'local' ? 'This device' : 'Other device'}</span>
+      <span class="merge-conflict-value">${escapeHtml(describeGroupValues(conflict.group, values))}</span>
+    </button>`;
+}
+
+function render() {
+  const root = document.getElementById(SHEET_ID);
+  const listEl = root?.querySelector('.merge-conflict-list');
+  if (!listEl) return;
+  const books = _deps?.getConflicts?.() || [];
+  listEl.innerHTML = books.map(book => `<section class="merge-conflict-book">
+      <h3 class="merge-conflict-book-title">${escapeHtml(book.title || 'Untitled')}${book.author ? ` <span>by ${escapeHtml(book.author)}</span>` : ''}</h3>
+      ${book.conflicts.map(c => `<div class="merge-conflict-item">
+          <div class="merge-conflict-label">${escapeHtml(c.label || c.group)}</div>
+          <div class="merge-conflict-choices">${choiceHtml(book, c, 'local')}${choiceHtml(book, c, 'remote')}</div>
+        </div>`).join('')}
+    </section>`).join('');
+  if (!books.length) closeMergeConflictSheet();
+}
+
+function ensureMarkup() {
+  if (document.getElementById(SHEET_ID)) return;
+  const root = document.createElement('div');
+  root.id = SHEET_ID;
+  root.className = 'modal-overlay';
+  root.style.display = 'none';
+  root.innerHTML = `
+    <div class="modal-backdrop" data-merge-conflict-backdrop></div>
+    <div class="merge-conflict-sheet" role="dialog" aria-modal="true" aria-labelledby="${TITLE_ID}">
+      <h2 id="${TITLE_ID}" class="merge-conflict-title">Edited on two devices</h2>
+      <p class="merge-conflict-intro">These were changed on another device while this one had changes of its own. Everything else merged on its own — pick which version to keep.</p>
+      <div class="merge-conflict-list"></div>
+      <p class="merge-conflict-error" role="alert" hidden></p>
+      <div class="merge-conflict-actions">
+        <button type="button" class="btn secondary" data-merge-conflict-close>Decide later</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(root);
+
+  root.querySelector('[data-merge-conflict-backdrop]').addEventListener('click', () => closeMergeConflictSheet());
+  root.querySelector('[data-merge-conflict-close]').addEventListener('click', () => closeMergeConflictSheet());
+  root.querySelector('.merge-conflict-list').addEventListener('click', async (event) => {
+    const btn = event.target.closest('.merge-conflict-choice');
+    if (!btn || btn.disabled) return;
+    const errorEl = root.querySelector('.merge-conflict-error');
+    for (const b of btn.closest('.merge-conflict-choices').querySelectorAll('button')) b.disabled = true;
+    errorEl.hidden = true;
+    try {
+      await _deps?.onResolve?.(btn.dataset.bookId, btn.dataset.group, btn.dataset.choice);
+    } catch (err) {
+      errorEl.textContent = err?.message || 'Could not save your choice.';
+      errorEl.hidden = false;
+    }
+    render();
+  });
+}
+
+/**
+ * Open the sheet. A second call while open just re-renders.
+ *
+ * @param {Object} deps
+ * @param {() => Array<{bookId: string, title: string, author?: string, conflicts: Array}>} deps.getConflicts
+ * @param {(bookId: string, group: string, choice: 'local'|'remote') => Promise<void>} deps.onResolve
+ */
+export function openMergeConflictSheet(deps) {
+  _deps = deps;
+  ensureMarkup();
+  const root = document.getElementById(SHEET_ID);
+  if (!_isOpen) {
+    root.style.display = 'flex';
+    document.body.classList.add('modal-open');
+    _isOpen = true;
+    pushOverlayState('merge-conflicts');
+  }
+  render();
+}
+
+/** Re-render if open (a sync found or cleared conflicts). */
+export function refreshMergeConflictSheet() {
+  if (_isOpen) render();
+}
+
+/**
+ * @param {boolean} [fromPopstate]
+ */
+export function closeMergeConflictSheet(fromPopstate = false) {
+  const root = document.getElementById(SHEET_ID);
+  if (root) root.style.display = 'none';
+  if (!_isOpen) return;
+  document.body.classList.remove('modal-open');
+  _isOpen = false;
+  if (!fromPopstate) popOverlayState();
+}
+
+export function isMergeConflictSheetOpen() {
+  return _isOpen;
+}
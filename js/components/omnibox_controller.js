@@ -1,5 +1,6 @@
 import { filterBySearch } from '../core/shelf_filter.js';
 import { normalizeOLDoc, normalizeItunesItem, mergeOmniboxResults } from '../core/omnibox_merge.js';
+import { formatSeriesLabel } from '../core/series.js';
 import { escapeHtml, generatedCoverColor } from './book_card.js';
 import { renderPipOverlay } from './friend_pip.js';
 import { coverCropStyleAttr } from '../core/cover_crop.js';
@@ -69,6 +70,7 @@ export function renderOmniboxShelfResults({
     if (rs === readingStatus?.READ) { statusLabel = 'Read'; statusClass = 'status-read'; }
     else if (rs === readingStatus?.READING) { statusLabel = 'Reading'; statusClass = 'status-reading'; }
     else if (rs === readingStatus?.WANT_TO_READ) { statusLabel = 'Want to Read'; statusClass = 'status-wtr'; }
+    else if (rs === readingStatus?.DNF) { statusLabel = 'Did not finish'; statusClass = 'status-dnf'; }
     const coverHtml = coverDataUrl
       ? `<img src="${coverDataUrl}" data-fit="${entry.coverFit || 'contain'}"${coverCropStyleAttr(entry.coverCrop)}>`
       : `<div class="omnibox-result-mini" style="background:${generatedCoverColor(entry.title || '')}">${escapeHtml((entry.title || '').slice(0, 20))}</div>`;
@@ -108,7 +110,7 @@ export function renderOmniboxApiResults({ results = [], refs = {}, emptyMessage
     const coverHtml = result.coverUrl
       ? `<img src="${escapeHtml(result.coverUrl)}">`
       : `<div class="omnibox-result-mini" style="background:${generatedCoverColor(result.title || '')}">${escapeHtml((result.title || '').slice(0, 20))}</div>`;
-    const meta = [result.year, result.publisher, result.duration].filter(Boolean).join(' \u00B7 ');
+    const meta = [formatSeriesLabel(result), result.year, result.publisher, result.duration].filter(Boolean).join(' \u00B7 ');
     const workKey = (result.work_key && typeof result.work_key === 'string') ? result.work_key : '';
     const wkAttr = workKey ? ` data-work-key="${escapeHtml(workKey)}"` : '';
     const addLabel = result.title ? `Add ${result.title}` : 'Add book';
@@ -133,14 +135,15 @@ export function attachOmniboxResultPips({
   onError = () => {},
 }) {
   if (!addResults) return;
-  const rows = addResults.querySelectorAll('.omnibox-result[data-work-key]');
+  const rows = addResults.querySelectorAll('.omnibox-result[data-add-json]');
   for (const row of rows) {
     const existing = row.querySelector('.friend-pip-overlay');
     if (existing) existing.remove();
 
-    const wk = row.dataset.workKey;
-    if (!wk) continue;
-    const matchEntries = getMatchingFriendBookEntries?.(wk) || [];
+    // Matched on work_key, or on title + any of the result's authors.
+    let result = null;
+    try { result = JSON.parse(decodeURIComponent(row.dataset.addJson)); } catch { continue; }
+    const matchEntries = getMatchingFriendBookEntries?.(result) || [];
     if (!matchEntries.length) continue;
 
     const bookByShare = new Map();
@@ -456,7 +459,7 @@ export function createOmniboxController({
     const mySearch = ++apiCounter;
     const isStale = () => mySearch !== apiCounter || signal.aborted;
     const term = encodeURIComponent(query);
-    const fields = 'key,title,author_name,cover_i,first_publish_year,isbn,subtitle,language';
+    const fields = 'key,title,author_name,cover_i,first_publish_year,isbn,subtitle,language,number_of_pages_median';
     const olUrl = `https://openlibrary.org/search.json?q=${term}&limit=15&fields=${fields}`;
     const itUrl = `https://itunes.apple.com/search?media=audiobook&term=${term}&limit=8`;
 
@@ -578,6 +581,17 @@ export function createOmniboxController({
     if (!fromPopstate) popOverlayState();
   }
 
+  // Run a search as if the user had typed it (series view: find a missing
+  // volume).
+  function searchFor(query) {
+    if (!refs.input) return;
+    openSearchTakeover();
+    selectionMade = false;
+    refs.input.value = query;
+    refs.input.focus();
+    handleInput();
+  }
+
   refs.input?.addEventListener('input', handleInput);
   refs.clearBtn?.addEventListener('click', () => clear());
   refs.input?.addEventListener('mousedown', () => { selectionMade = false; });
@@ -621,6 +635,7 @@ export function createOmniboxController({
     renderApiResults,
     attachResultPips,
     searchApis,
+    searchFor,
     openSearchTakeover,
     closeSearchTakeover,
     isSearchTakeoverActive: () => searchTakeoverActive,
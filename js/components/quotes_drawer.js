@@ -0,0 +1,140 @@
+// quotes_drawer.js — The quotes view: every saved passage, library-wide.
+//
+// Quotes grouped by book (core/quotes.js groupQuotesByBook), the book most
+// recently quoted first, with a search box over the passages, comments and
+// book titles. Tapping a book's header opens its detail page; each quote
+// keeps its share toggle and delete button from the detail panel. Shares the
+// WTR drawer's chrome (.wtr-drawer / .wtr-item).
+
+import { escapeHtml, generatedCoverColor } from './book_card.js';
+import { coverCropStyleAttr } from '../core/cover_crop.js';
+import { groupQuotesByBook, searchQuotes } from '../core/quotes.js';
+import { quoteItemHtml } from './quotes_panel.js';
+
+function bookHeaderHtml(group) {
+  const { book } = group;
+  if (!book) {
+    return `<div class="quotes-book-header quotes-book-missing">
+        <div class="wtr-item-info"><div class="wtr-item-title">A book no longer on your shelf</div></div>
+      </div>`;
+  }
+  const coverDataUrl = book.coverImage ? `data:${book.mimeType || 'image/jpeg'};base64,${book.coverImage}` : '';
+  const coverHtml = coverDataUrl
+    ? `<img src="${coverDataUrl}" data-fit="${book.coverFit || 'contain'}"${coverCropStyleAttr(book.coverCrop)}>`
+    : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(book.title || '')}"><span class="wtr-mini-title">${escapeHtml(book.title || '')}</span></div>`;
+  return `<div class="wtr-item quotes-book-header" data-book-id="${escapeHtml(group.bookId)}" role="button" tabindex="0">
+      <div class="wtr-item-cover">${coverHtml}</div>
+      <div class="wtr-item-info">
+        <div class="wtr-item-title">${escapeHtml(book.title || 'Untitled')}</div>
+        <div class="wtr-item-author">${escapeHtml(book.author || '')}</div>
+      </div>
+    </div>`;
+}
+
+/**
+ * Render the quotes, grouped by book.
+ * @param {Array} groups - from groupQuotesByBook()
+ * @param {{listEl: HTMLElement, emptyEl?: HTMLElement}} refs
+ * @param {{searching?: boolean}} [opts]
+ */
+export function renderQuotesList(groups, { listEl, emptyEl } = {}, { searching = false } = {}) {
+  if (!listEl) return;
+  if (!groups.length) {
+    listEl.innerHTML = searching ? '<p class="quotes-no-match">No quotes match.</p>' : '';
+    if (emptyEl) emptyEl.style.display = searching ? 'none' : 'block';
+    return;
+  }
+  if (emptyEl) emptyEl.style.display = 'none';
+  listEl.innerHTML = groups.map(group => `<section class="quotes-book-group">
+      ${bookHeaderHtml(group)}
+      <ul class="quotes-list">${group.quotes.map(q => quoteItemHtml(q)).join('')}</ul>
+    </section>`).join('');
+}
+
+export function createQuotesDrawerController({
+  refs = {},
+  getQuotes = () => [],
+  getBook = () => null,
+  pushOverlayState = () => {},
+  popOverlayState = () => {},
+  attachSwipeDismiss,
+  isTouchDevice = false,
+  onOpenEntry = () => {},
+  onShareChange = async () => {},
+  onDelete = async () => {},
+  documentRef,
+} = {}) {
+  const doc = documentRef || globalThis.document;
+  let resetSwipe = null;
+
+  function render() {
+    const query = refs.searchInput?.value || '';
+    const quotes = searchQuotes(getQuotes(), query, getBook);
+    renderQuotesList(groupQuotesByBook(quotes, getBook), refs, { searching: !!query.trim() });
+  }
+
+  function isOpen() {
+    return Boolean(refs.overlay && refs.overlay.style.display !== 'none');
+  }
+
+  function open() {
+    if (refs.searchInput) refs.searchInput.value = '';
+    render();
+    if (refs.overlay) refs.overlay.style.display = 'block';
+    doc?.body?.classList.add('modal-open');
+    pushOverlayState('quotes');
+  }
+
+  function close(fromPopstate = false) {
+    if (!isOpen()) return;
+    if (resetSwipe) resetSwipe();
+    if (refs.overlay) refs.overlay.style.display = 'none';
+    doc?.body?.classList.remove('modal-open');
+    if (!fromPopstate) popOverlayState();
+  }
+
+  function openBook(header) {
+    const entry = getBook(header.dataset.bookId);
+    if (entry) { close(); onOpenEntry(entry); }
+  }
+
+  refs.backdrop?.addEventListener('click', () => close());
+  refs.closeBtn?.addEventListener('click', () => close());
+  refs.searchInput?.addEventListener('input', render);
+  refs.listEl?.addEventListener('click', (event) => {
+    const removeBtn = event.target.closest('.quote-remove');
+    if (removeBtn) {
+      removeBtn.disabled = true;
+      Promise.resolve(onDelete(removeBtn.dataset.quoteId)).finally(() => { removeBtn.disabled = false; });
+      return;
+    }
+    const header = event.target.closest('.quotes-book-header[data-book-id]');
+    if (header) openBook(header);
+  });
+  refs.listEl?.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    const header = event.target.closest('.quotes-book-header[data-book-id]');
+    if (!header) return;
+    event.preventDefault();
+    openBook(header);
+  });
+  refs.listEl?.addEventListener('change', (event) => {
+    const input = event.target.closest('.quote-share-input');
+    if (!input) return;
+    input.disabled = true;
+    Promise.resolve(onShareChange(input.dataset.quoteId, input.checked))
+      .catch(() => { input.checked = !input.checked; })
+      .finally(() => { input.disabled = false; });
+  });
+
+  if (isTouchDevice && refs.drawer && attachSwipeDismiss) {
+    const handle = refs.drawer.querySelector('.wtr-drawer-handle');
+    const header = refs.drawer.querySelector('.wtr-header');
+    const swipeHandles = [handle, header].filter(Boolean);
+    if (swipeHandles.length) {
+      resetSwipe = attachSwipeDismiss({ sheet: refs.drawer, handles: swipeHandles, onDismiss: () => close() });
+    }
+  }
+
+  return { open, close, render, isOpen };
+}
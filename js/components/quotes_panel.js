@@ -0,0 +1,155 @@
+// quotes_panel.js — "Quotes" section of the book-detail page.
+//
+// Lists the passages saved from this book (core/quotes.js) with their page
+// or location and the reader's comment, plus an inline form to capture
+// another. Each quote has its own share toggle: quotes are private until
+// the reader opts one in. With more than a few quotes a search box narrows
+// the list. The panel only renders and reports intent — the caller (app.js)
+// persists through the quotes collection and re-renders.
+//
+// Like the Reads panel it sits inside #entryForm, so its controls carry no
+// `name` and Enter in a single-line input is intercepted so it can't submit
+// the form (Enter in the textareas still makes a new line).
+
+import { escapeHtml } from './book_card.js';
+import { formatQuoteLocation, isSharedQuote, searchQuotes } from '../core/quotes.js';
+
+const SEARCH_THRESHOLD = 4;
+
+/**
+ * One quote as a list item — shared with the quotes view.
+ * @param {Object} quote
+ * @param {{controls?: boolean}} [opts] - include the share toggle and delete button
+ * @returns {string}
+ */
+export function quoteItemHtml(quote, { controls = true } = {}) {
+  const location = formatQuoteLocation(quote.location);
+  const shared = isSharedQuote(quote);
+  const id = escapeHtml(quote.quoteId);
+  return `<li class="quote-item" data-quote-id="${id}">
+      <blockquote class="quote-item-text">${escapeHtml(quote.text)}${location ? `<cite>${escapeHtml(location)}</cite>` : ''}</blockquote>
+      ${quote.comment ? `<p class="quote-item-comment">${escapeHtml(quote.comment)}</p>` : ''}
+      ${controls ? `<div class="quote-item-actions">
+        <label class="quote-share-toggle"><input type="checkbox" class="quote-share-input" data-quote-id="${id}"${shared ? ' checked' : ''}> Shared with friends</label>
+        <button type="button" class="field-deactivate quote-remove" data-quote-id="${id}" title="Delete quote" aria-label="Delete this quote">&times;</button>
+      </div>` : ''}
+    </li>`;
+}
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object[]} quotes - this book's quotes (quotesForBook order)
+ * @param {Object} handlers
+ * @param {(input: {text: string, location: string, comment: string, shared: boolean}) => Promise<void>} handlers.onAdd
+ * @param {(quoteId: string, shared: boolean) => Promise<void>} handlers.onShareChange
+ * @param {(quoteId: string) => Promise<void>} handlers.onDelete
+ * @param {() => void} [handlers.onOpenAll] - open the library-wide quotes view
+ */
+export function renderQuotesPanel(container, quotes, { onAdd, onShareChange, onDelete, onOpenAll } = {}) {
+  if (!container) return;
+  const list = quotes || [];
+
+  container.innerHTML = `
+    <div class="optional-field-header">
+      <label>Quotes</label>
+      ${onOpenAll ? '<button type="button" class="series-view-link quotes-all-link">All your quotes →</button>' : ''}
+    </div>
+    ${list.length >= SEARCH_THRESHOLD ? '<input type="search" class="quotes-search-input" placeholder="Search these quotes" autocomplete="off" aria-label="Search this book\'s quotes">' : ''}
+    ${list.length ? `<ul class="quotes-list">${list.map(q => quoteItemHtml(q)).join('')}</ul>` : ''}
+    <p class="quotes-no-match" hidden>No quotes match.</p>
+    <button type="button" class="optional-chip quotes-add-chip">+ Save a quote</button>
+    <div class="quotes-form" hidden>
+      <textarea class="quotes-text-input" rows="3" maxlength="5000" placeholder="The passage" aria-label="Quote"></textarea>
+      <input type="text" class="quotes-location-input" maxlength="100" placeholder="Page or location" autocomplete="off" aria-label="Page or location">
+      <textarea class="quotes-comment-input" rows="2" maxlength="2000" placeholder="Your thoughts (optional)" aria-label="Your comment"></textarea>
+      <label class="quote-share-toggle"><input type="checkbox" class="quotes-share-new"> Share with friends</label>
+      <div class="quotes-form-actions">
+        <button type="button" class="btn secondary quotes-cancel">Cancel</button>
+        <button type="button" class="btn primary quotes-save">Save quote</button>
+      </div>
+    </div>
+    <p class="quotes-error" role="alert" hidden></p>
+  `;
+
+  const chip = container.querySelector('.quotes-add-chip');
+  const formEl = container.querySelector('.quotes-form');
+  const textInput = container.querySelector('.quotes-text-input');
+  const locationInput = container.querySelector('.quotes-location-input');
+  const commentInput = container.querySelector('.quotes-comment-input');
+  const shareNew = container.querySelector('.quotes-share-new');
+  const saveBtn = container.querySelector('.quotes-save');
+  const errorEl = container.querySelector('.quotes-error');
+
+  const showError = (message) => {
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+  };
+  const showForm = (show) => {
+    formEl.hidden = !show;
+    chip.hidden = show;
+    errorEl.hidden = true;
+    if (show) textInput.focus();
+  };
+
+  const save = async () => {
+    if (!textInput.value.trim()) {
+      showError('Enter the passage.');
+      return;
+    }
+    saveBtn.disabled = true;
+    try {
+      await onAdd?.({
+        text: textInput.value,
+        location: locationInput.value,
+        comment: commentInput.value,
+        shared: shareNew.checked,
+      });
+    } catch (err) {
+      showError(err?.message || 'Could not save the quote.');
+      saveBtn.disabled = false;
+    }
+  };
+
+  chip.addEventListener('click', () => showForm(true));
+  container.querySelector('.quotes-cancel').addEventListener('click', () => showForm(false));
+  saveBtn.addEventListener('click', save);
+  formEl.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' || ev.target?.tagName !== 'INPUT') return;
+    ev.preventDefault();
+    save();
+  });
+  container.querySelector('.quotes-all-link')?.addEventListener('click', () => onOpenAll());
+
+  const searchInput = container.querySelector('.quotes-search-input');
+  if (searchInput) {
+    const noMatch = container.querySelector('.quotes-no-match');
+    searchInput.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') ev.preventDefault(); });
+    searchInput.addEventListener('input', () => {
+      const visible = new Set(searchQuotes(list, searchInput.value).map(q => q.quoteId));
+      for (const item of container.querySelectorAll('.quote-item')) item.hidden = !visible.has(item.dataset.quoteId);
+      noMatch.hidden = visible.size > 0;
+    });
+  }
+
+  for (const input of container.querySelectorAll('.quote-share-input')) {
+    input.addEventListener('change', () => {
+      input.disabled = true;
+      Promise.resolve(onShareChange?.(input.dataset.quoteId, input.checked))
+        .catch(err => {
+          input.checked = !input.checked;
+          showError(err?.message || 'Could not change sharing.');
+        })
+        .finally(() => { input.disabled = false; });
+    });
+  }
+  for (const btn of container.querySelectorAll('.quote-remove')) {
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      Promise.resolve(onDelete?.(btn.dataset.quoteId))
+        .catch(err => showError(err?.message || 'Could not delete the quote.'))
+        .finally(() => { btn.disabled = false; });
+    });
+  }
+}
@@ -0,0 +1,139 @@
+// read_history_panel.js — "Reads" section of the book-detail page.
+//
+// Lists every completed read of the book (read_history.js) with its date and,
+// when recorded, the format and rating of that read, plus an inline form to
+// log another one. The panel only renders and reports intent — the caller
+// (app.js) persists through BookRepository.addRead / removeRead and then
+// re-renders with the updated entry.
+//
+// The panel sits inside #entryForm, so its controls carry no `name` (they
+// are not book fields) and Enter is intercepted so it can't submit the form.
+
+import { escapeHtml } from './book_card.js';
+import { readHistoryOf } from '../core/read_history.js';
+import { formatDateReadDisplay, dateStringToMsNoonUtc } from '../core/id_core.js';
+
+const FORMAT_LABELS = {
+  print: 'Print',
+  paperback: 'Paperback',
+  hardcover: 'Hardcover',
+  ebook: 'Ebook',
+  audio: 'Audio',
+  audiobook: 'Audio',
+  other: 'Other',
+};
+
+function readMeta(read) {
+  const parts = [];
+  if (read.format) parts.push(escapeHtml(FORMAT_LABELS[read.format] || read.format));
+  if (read.rating) parts.push(`<span class="read-history-stars" aria-label="Rated ${read.rating} out of 5">${'★'.repeat(read.rating)}</span>`);
+  return parts.join(' · ');
+}
+
+function countLabel(n) {
+  if (n === 0) return 'Not finished yet';
+  if (n === 1) return 'Read once';
+  if (n === 2) return 'Read twice';
+  return `Read ${n} times`;
+}
+
+/**
+ * Render (or re-render) the panel for one book.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} entry - the book, as it currently stands
+ * @param {Object} handlers
+ * @param {(read: {date: number, format?: string, rating?: number}) => Promise<void>} handlers.onAdd
+ * @param {(index: number) => Promise<void>} handlers.onRemove - index into readHistoryOf(entry)
+ */
+export function renderReadHistoryPanel(container, entry, { onAdd, onRemove } = {}) {
+  if (!container) return;
+  const reads = readHistoryOf(entry);
+  const today = new Date().toISOString().slice(0, 10);
+  const defaultFormat = entry?.format === 'audiobook' ? 'audio' : (entry?.format || '');
+
+  // Newest first on screen; data-index keeps the history's own order.
+  const rows = reads.map((read, index) => ({ read, index })).reverse().map(({ read, index }) => `
+      <li class="read-history-item">
+        <span class="read-history-date">${escapeHtml(formatDateReadDisplay(read.date))}</span>
+        <span class="read-history-meta">${readMeta(read)}</span>
+        <button type="button" class="field-deactivate read-history-remove" data-index="${index}" title="Remove this read" aria-label="Remove the read finished ${escapeHtml(formatDateReadDisplay(read.date))}">&times;</button>
+      </li>`).join('');
+
+  container.innerHTML = `
+    <div class="optional-field-header">
+      <label>Reads</label>
+      <span class="read-history-count">${escapeHtml(countLabel(reads.length))}</span>
+    </div>
+    ${reads.length ? `<ul class="read-history-list">${rows}</ul>` : ''}
+    <button type="button" class="optional-chip read-history-add-chip">${reads.length ? '+ Add another read' : '+ Log a past read'}</button>
+    <div class="read-history-form" hidden>
+      <input type="date" class="read-history-date-input" value="${today}" max="${today}" aria-label="Date finished">
+      <select class="read-history-format-input" aria-label="Format for this read">
+        <option value="">Format</option>
+        <option value="print"${defaultFormat === 'print' ? ' selected' : ''}>Print</option>
+        <option value="ebook"${defaultFormat === 'ebook' ? ' selected' : ''}>Ebook</option>
+        <option value="audio"${defaultFormat === 'audio' ? ' selected' : ''}>Audio</option>
+      </select>
+      <select class="read-history-rating-input" aria-label="Rating for this read">
+        <option value="">No rating</option>
+        ${[5, 4, 3, 2, 1].map(n => `<option value="${n}">${'★'.repeat(n)}</option>`).join('')}
+      </select>
+      <div class="read-history-form-actions">
+        <button type="button" class="btn secondary read-history-cancel">Cancel</button>
+        <button type="button" class="btn primary read-history-save">Add read</button>
+      </div>
+      <p class="read-history-error" role="alert" hidden></p>
+    </div>
+  `;
+
+  const chip = container.querySelector('.read-history-add-chip');
+  const formEl = container.querySelector('.read-history-form');
+  const dateInput = container.querySelector('.read-history-date-input');
+  const formatInput = container.querySelector('.read-history-format-input');
+  const ratingInput = container.querySelector('.read-history-rating-input');
+  const saveBtn = container.querySelector('.read-history-save');
+  const errorEl = container.querySelector('.read-history-error');
+
+  const showForm = (show) => {
+    formEl.hidden = !show;
+    chip.hidden = show;
+    errorEl.hidden = true;
+    if (show) dateInput.focus();
+  };
+
+  const save = async () => {
+    const date = dateStringToMsNoonUtc(dateInput.value);
+    if (date == null) {
+      errorEl.textContent = 'Pick the day you finished it.';
+      errorEl.hidden = false;
+      return;
+    }
+    const read = { date };
+    if (formatInput.value) read.format = formatInput.value;
+    if (ratingInput.value) read.rating = Number(ratingInput.value);
+    saveBtn.disabled = true;
+    try {
+      await onAdd?.(read);
+    } catch (err) {
+      errorEl.textContent = err?.message || 'Could not add this read.';
+      errorEl.hidden = false;
+      saveBtn.disabled = false;
+    }
+  };
+
+  chip.addEventListener('click', () => showForm(true));
+  container.querySelector('.read-history-cancel').addEventListener('click', () => showForm(false));
+  saveBtn.addEventListener('click', save);
+  formEl.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' || ev.target?.tagName === 'BUTTON') return;
+    ev.preventDefault();
+    save();
+  });
+  for (const btn of container.querySelectorAll('.read-history-remove')) {
+    btn.addEventListener('click', () => {
+      btn.disabled = true;
+      Promise.resolve(onRemove?.(Number(btn.dataset.index))).catch(() => { btn.disabled = false; });
+    });
+  }
+}
@@ -0,0 +1,165 @@
+// series_drawer.js — The series view.
+//
+// Our books grouped by series (core/series.js groupBySeries), each series in
+// order with what we've read and the volumes missing from the shelf. A gap
+// row offers to find that volume: the caller (app.js) runs the omnibox
+// search and pre-fills the series on the book it adds, which lands on Want
+// to Read. Shares the WTR drawer's chrome (.wtr-drawer / .wtr-item).
+
+import { escapeHtml, generatedCoverColor } from './book_card.js';
+import { coverCropStyleAttr } from '../core/cover_crop.js';
+import { READING_STATUS } from '../core/reading_status.js';
+import { groupBySeries, describeSeriesProgress, formatSeriesPosition, formatPositionList, seriesKey } from '../core/series.js';
+
+const STATUS_LABELS = {
+  [READING_STATUS.READING]: 'Reading',
+  [READING_STATUS.WANT_TO_READ]: 'Want to read',
+  [READING_STATUS.DNF]: 'Did not finish',
+};
+
+function entryKey(entry) {
+  return entry?.txid || entry?.id || '';
+}
+
+function bookRowHtml({ entry, position, status, finished }) {
+  const coverDataUrl = entry.coverImage ? `data:${entry.mimeType || 'image/jpeg'};base64,${entry.coverImage}` : '';
+  const coverHtml = coverDataUrl
+    ? `<img src="${coverDataUrl}" data-fit="${entry.coverFit || 'contain'}"${coverCropStyleAttr(entry.coverCrop)}>`
+    : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(entry.title || '')}"><span class="wtr-mini-title">${escapeHtml(entry.title || '')}</span></div>`;
+  const statusLabel = status === READING_STATUS.READING || !finished ? (STATUS_LABELS[status] || '') : 'Read';
+  return `<div class="wtr-item series-book" data-key="${escapeHtml(entryKey(entry))}" data-finished="${finished}">
+      <span class="series-pos" aria-label="${position != null ? `Book ${formatSeriesPosition(position)}` : 'Unnumbered'}">${position != null ? escapeHtml(formatSeriesPosition(position)) : '–'}</span>
+      <div class="wtr-item-cover">${coverHtml}</div>
+      <div class="wtr-item-info">
+        <div class="wtr-item-title">${escapeHtml(entry.title || 'Untitled')}</div>
+        <div class="wtr-item-author">${escapeHtml(statusLabel)}</div>
+      </div>
+    </div>`;
+}
+
+function gapRowHtml(group, position) {
+  const label = `Book ${formatSeriesPosition(position)}`;
+  return `<div class="series-gap">
+      <span class="series-pos">${escapeHtml(formatSeriesPosition(position))}</span>
+      <span class="series-gap-text">${escapeHtml(label)} — not on your shelf</span>
+      <button type="button" class="wtr-start-btn series-gap-add" data-series="${escapeHtml(group.key)}" data-position="${position}" aria-label="Find ${escapeHtml(label)} of ${escapeHtml(group.name)} to add to Want to Read">Find &amp; add</button>
+    </div>`;
+}
+
+/**
+ * Render the given series, gap rows placed where the missing volumes fall.
+ * @param {Array} groups - from groupBySeries()
+ * @param {{listEl: HTMLElement, emptyEl?: HTMLElement}} refs
+ */
+export function renderSeriesList(groups, { listEl, emptyEl } = {}) {
+  if (!listEl) return;
+  if (!groups.length) {
+    listEl.innerHTML = '';
+    if (emptyEl) emptyEl.style.display = 'block';
+    return;
+  }
+  if (emptyEl) emptyEl.style.display = 'none';
+  listEl.innerHTML = groups.map(group => {
+    // Interleave gap rows where the missing volumes fall.
+    const rows = [];
+    const missing = [...group.missing];
+    for (const book of group.books) {
+      while (missing.length && book.position != null && missing[0] < book.position) rows.push(gapRowHtml(group, missing.shift()));
+      rows.push(bookRowHtml(book));
+    }
+    for (const position of missing) rows.push(gapRowHtml(group, position));
+    const gapNote = group.missing.length ? ` · missing ${formatPositionList(group.missing)}` : '';
+    return `<section class="series-group" data-series="${escapeHtml(group.key)}">
+      <div class="series-group-header">
+        <h4 class="series-group-name">${escapeHtml(group.name)}</h4>
+        <span class="series-group-progress">${escapeHtml(describeSeriesProgress(group) + gapNote)}</span>
+      </div>
+      ${rows.join('')}
+    </section>`;
+  }).join('');
+}
+
+export function createSeriesDrawerController({
+  refs = {},
+  getEntries = () => [],
+  pushOverlayState = () => {},
+  popOverlayState = () => {},
+  attachSwipeDismiss,
+  isTouchDevice = false,
+  onOpenEntry = () => {},
+  onFindMissing = () => {},
+  documentRef,
+} = {}) {
+  const doc = documentRef || globalThis.document;
+  let resetSwipe = null;
+  let focusKey = '';
+
+  function getGroups() {
+    const groups = groupBySeries(getEntries());
+    return focusKey ? groups.filter(group => group.key === focusKey) : groups;
+  }
+
+  function render() {
+    renderSeriesList(getGroups(), refs);
+    if (refs.titleEl) refs.titleEl.textContent = focusKey ? 'Series' : 'Your series';
+    if (refs.showAllBtn) refs.showAllBtn.style.display = focusKey ? '' : 'none';
+  }
+
+  function isOpen() {
+    return Boolean(refs.overlay && refs.overlay.style.display !== 'none');
+  }
+
+  /**
+   * @param {string} [seriesName] - open on one series (from the detail view)
+   */
+  function open(seriesName = '') {
+    focusKey = seriesName ? seriesKey(seriesName) : '';
+    render();
+    if (refs.overlay) refs.overlay.style.display = 'block';
+    doc?.body?.classList.add('modal-open');
+    pushOverlayState('series');
+  }
+
+  function close(fromPopstate = false) {
+    if (!isOpen()) return;
+    if (resetSwipe) resetSwipe();
+    if (refs.overlay) refs.overlay.style.display = 'none';
+    doc?.body?.classList.remove('modal-open');
+    if (!fromPopstate) popOverlayState();
+  }
+
+  /** True when any book on the shelf has a series. */
+  function hasSeries() {
+    return (getEntries() || []).some(entry => entry?.status !== 'tombstoned' && String(entry?.series || '').trim());
+  }
+
+  refs.backdrop?.addEventListener('click', () => close());
+  refs.closeBtn?.addEventListener('click', () => close());
+  refs.showAllBtn?.addEventListener('click', () => { focusKey = ''; render(); });
+  refs.listEl?.addEventListener('click', (event) => {
+    const addBtn = event.target.closest('.series-gap-add');
+    if (addBtn) {
+      const group = groupBySeries(getEntries()).find(g => g.key === addBtn.dataset.series);
+      if (!group) return;
+      close();
+      onFindMissing({ series: group.name, seriesPosition: Number(addBtn.dataset.position) });
+      return;
+    }
+    const row = event.target.closest('.series-book');
+    if (row) {
+      const entry = (getEntries() || []).find(e => entryKey(e) === row.dataset.key);
+      if (entry) { close(); onOpenEntry(entry); }
+    }
+  });
+
+  if (isTouchDevice && refs.drawer && attachSwipeDismiss) {
+    const handle = refs.drawer.querySelector('.wtr-drawer-handle');
+    const header = refs.drawer.querySelector('.wtr-header');
+    const swipeHandles = [handle, header].filter(Boolean);
+    if (swipeHandles.length) {
+      resetSwipe = attachSwipeDismiss({ sheet: refs.drawer, handles: swipeHandles, onDismiss: () => close() });
+    }
+  }
+
+  return { open, close, render, isOpen, hasSeries };
+}
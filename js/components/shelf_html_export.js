@@ -0,0 +1,177 @@
+// shelf_html_export.js — A single-file HTML snapshot of the shelf.
+//
+// Same idea as forever.html: the app's real stylesheet inlined (fonts as
+// data: URIs) plus the real card markup from book_card.js, so the exported
+// page looks like the Library with no server, no account and no app JS.
+// Covers are already base64 on the entry, so they inline for free.
+//
+// Layout mirrors the Library: reading + read books grouped by year
+// (shelf_filter.groupByYear, same sort as app.js render(); did-not-finish
+// books get their own section after the years), then the Want to Read
+// list in drawer order (sortWtrList). A small inline script filters cards
+// by title/author/tag.
+//
+// Private books (`is_private: true`) are left out unless the caller opts in;
+// books in the Trash always are — the page is made to be shared.
+// Pure string building — the caller fetches the stylesheet and fonts and
+// triggers the download.
+
+import { buildCardHTML, escapeHtml } from './book_card.js';
+import { sortWtrList } from './wtr_drawer.js';
+import { groupByYear } from '../core/shelf_filter.js';
+import { READING_STATUS, normalizeReadingStatus } from '../core/reading_status.js';
+import { formatDateReadDisplay } from '../core/id_core.js';
+import { isTrashed } from '../core/trash.js';
+
+/** Font files the stylesheet references, relative to css/styles.css. */
+export const SHELF_EXPORT_FONTS = [
+  '../fonts/dm-sans-latin.woff2',
+  '../fonts/fraunces-latin.woff2',
+  '../fonts/jetbrains-mono-latin.woff2',
+];
+
+// Page chrome on top of the app stylesheet. Cards get no pointer cursor or
+// entry animation: nothing on this page is clickable.
+const PAGE_CSS = `
+body { padding: 24px 16px 48px; max-width: 1100px; margin: 0 auto; }
+.shelf-export-header h1 { font-family: var(--font-display); font-weight: 600; font-size: 1.6rem; margin: 0 0 4px; }
+.shelf-export-header p { color: var(--color-text-muted); font-size: .85rem; margin: 0 0 20px; }
+.shelf-filter { display: flex; align-items: center; gap: .6rem; margin-bottom: 1.5rem; }
+.shelf-filter input { flex: 1 1 auto; max-width: 420px; margin: 0; padding: 8px 12px; border-radius: 8px; border: 1px solid var(--color-border-default); background: var(--color-bg-surface); color: inherit; font: inherit; }
+.shelf-filter-count { color: var(--color-text-muted); font-size: .88rem; white-space: nowrap; }
+.shelf-group { margin-bottom: 2rem; }
+.shelf-group-title { font-family: var(--font-display); font-size: .82rem; font-weight: 600; text-transform: uppercase; letter-spacing: .08em; color: var(--color-text-muted); margin: 0 0 .75rem; }
+.shelf-empty-note { color: var(--color-text-muted); }
+.card { cursor: default; animation: none; }
+[hidden] { display: none !important; }
+`;
+
+// Inline filter: substring match over each card's data-search. Kept free of
+// "</" so it can't close its own <script> tag.
+const FILTER_SCRIPT = `
+(function () {
+  var input = document.getElementById('shelfFilter');
+  var count = document.getElementById('shelfFilterCount');
+  var empty = document.getElementById('shelfEmpty');
+  var cards = Array.prototype.slice.call(document.querySelectorAll('.card[data-search]'));
+  var groups = Array.prototype.slice.call(document.querySelectorAll('.shelf-group'));
+  var total = cards.length;
+  function paint() {
+    var needle = input.value.trim().toLowerCase();
+    var shown = 0;
+    cards.forEach(function (card) {
+      var hit = !needle || card.getAttribute('data-search').indexOf(needle) !== -1;
+      card.hidden = !hit;
+      if (hit) shown++;
+    });
+    groups.forEach(function (g) { g.hidden = !g.querySelector('.card:not([hidden])'); });
+    count.textContent = needle ? shown + ' of ' + total : total + (total === 1 ? ' book' : ' books');
+    empty.hidden = shown !== 0;
+  }
+  input.addEventListener('input', paint);
+  paint();
+})();
+`;
+
+/**
+ * Swap the stylesheet's relative font URLs for data: URIs.
+ * @param {string} css
+ * @param {Object<string, string>} fontDataUrls - SHELF_EXPORT_FONTS path → data: URL
+ * @returns {string}
+ */
+export function inlineFontUrls(css, fontDataUrls = {}) {
+  let out = String(css || '');
+  for (const [path, dataUrl] of Object.entries(fontDataUrls)) {
+    if (dataUrl) out = out.split(`url('${path}')`).join(`url('${dataUrl}')`);
+  }
+  return out;
+}
+
+/**
+ * Books that go on the exported page.
+ * @param {Object[]} entries
+ * @param {{includePrivate?: boolean}} [opts]
+ * @returns {Object[]}
+ */
+export function shelfExportEntries(entries, { includePrivate = false } = {}) {
+  return (entries || []).filter(e =>
+    e && e.status !== 'tombstoned' && !e._deleting && !isTrashed(e) && (includePrivate || e.is_private !== true)
+  );
+}
+
+function searchText(e) {
+  const tags = Array.isArray(e.tags) ? e.tags.join(' ') : String(e.tags || '');
+  return [e.title, e.author, tags].filter(Boolean).join(' ').toLowerCase();
+}
+
+function cardHtml(e) {
+  const rawFmt = typeof e.format === 'string' ? e.format : 'print';
+  const fmt = rawFmt === 'audiobook' || rawFmt === 'audio' ? 'audio' : rawFmt === 'ebook' ? 'ebook' : 'print';
+  const rs = normalizeReadingStatus(e);
+  const reading = rs === READING_STATUS.READING ? ' data-reading="true"' : '';
+  const dnf = rs === READING_STATUS.DNF ? ' data-dnf="true"' : '';
+  return `<div class="card" data-fmt="${fmt}" data-format="${escapeHtml(rawFmt)}"${reading}${dnf} data-search="${escapeHtml(searchText(e))}">${buildCardHTML(e, rs === READING_STATUS.WANT_TO_READ)}</div>`;
+}
+
+function groupHtml(title, books) {
+  return `
+  <section class="shelf-group">
+    <h2 class="shelf-group-title">${escapeHtml(title)} (${books.length})</h2>
+    <div class="cards">${books.map(cardHtml).join('')}</div>
+  </section>`;
+}
+
+/**
+ * Build the standalone page.
+ *
+ * @param {Object[]} entries - the live shelf
+ * @param {Object} [opts]
+ * @param {string} [opts.stylesheet] - css/styles.css text, fonts already inlined
+ * @param {string} [opts.title] - page heading
+ * @param {boolean} [opts.includePrivate] - include `is_private` books (default false)
+ * @param {number} [opts.now] - snapshot time shown under the heading
+ * @returns {string}
+ */
+export function buildShelfHtml(entries, { stylesheet = '', title = 'My Bookish shelf', includePrivate = false, now = Date.now() } = {}) {
+  const books = shelfExportEntries(entries, { includePrivate });
+  const reading = books.filter(e => normalizeReadingStatus(e) === READING_STATUS.READING);
+  const read = books.filter(e => normalizeReadingStatus(e) === READING_STATUS.READ);
+  const want = books.filter(e => normalizeReadingStatus(e) === READING_STATUS.WANT_TO_READ);
+  const dnf = books.filter(e => normalizeReadingStatus(e) === READING_STATUS.DNF);
+  reading.sort((a, b) => (b.readingStartedAt || b.createdAt || 0) - (a.readingStartedAt || a.createdAt || 0));
+  read.sort((a, b) => { const da = a.dateRead || 0; const db = b.dateRead || 0; if (da !== db) return db - da; return (b.createdAt || 0) - (a.createdAt || 0); });
+  sortWtrList(want);
+
+  const sections = [];
+  for (const [year, list] of groupByYear([...reading, ...read, ...dnf])) sections.push(groupHtml(year, list));
+  if (want.length) sections.push(groupHtml('Want to Read', want));
+
+  // Keep any "</style" in the stylesheet from ending the style element early.
+  const css = String(stylesheet).replace(/<\/style/gi, '<\\/style');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="generator" content="Bookish">
+  <title>${escapeHtml(title)}</title>
+  <style>${css}</style>
+  <style>${PAGE_CSS}</style>
+</head>
+<body>
+  <header class="shelf-export-header">
+    <h1>${escapeHtml(title)}</h1>
+    <p>Snapshot from ${escapeHtml(formatDateReadDisplay(now))}</p>
+  </header>
+  <div class="shelf-filter">
+    <input type="search" id="shelfFilter" placeholder="Filter by title, author or tag…" autocomplete="off" aria-label="Filter books">
+    <span class="shelf-filter-count" id="shelfFilterCount"></span>
+  </div>
+  <main>${sections.join('')}
+    <p class="shelf-empty-note" id="shelfEmpty" hidden>No books match that filter.</p>
+  </main>
+  <script>${FILTER_SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -113,6 +113,32 @@ export function showUpdateReadyToast(options = {}) {
   return toast;
 }
 
+/** A message with one action button; the toast goes when it's tapped. */
+export function showActionToast(message, options = {}) {
+  const toast = createToast({
+    className: 'toast status-toast status-toast-with-action',
+    role: 'status',
+    html: `<span class="toast-message">${escapeHtml(message)}</span><button type="button" class="toast-action-btn">${escapeHtml(options.actionLabel || 'Open')}</button>`,
+    documentRef: options.document,
+  });
+
+  let cleared = false;
+  const remove = () => {
+    if (cleared) return;
+    cleared = true;
+    hideToast(toast);
+  };
+  const timer = setTimeout(remove, options.durationMs ?? 6000);
+
+  toast.querySelector('.toast-action-btn')?.addEventListener('click', () => {
+    clearTimeout(timer);
+    remove();
+    options.onAction?.();
+  });
+
+  return toast;
+}
+
 export function setStatusLine(statusEl, message) {
   if (!statusEl) return;
   statusEl.textContent = message;
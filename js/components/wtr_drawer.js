@@ -28,7 +28,12 @@ export function getWantToReadEntries(entries, { normalizeReadingStatus, wantToRe
   return sortWtrList(list);
 }
 
-export function renderWtrDrawerList(wantList, { listEl, emptyEl } = {}) {
+/**
+ * @param {Object[]} wantList
+ * @param {Object} refs
+ * @param {{isSelected?: (key: string) => boolean}} [opts] - multi-select state
+ */
+export function renderWtrDrawerList(wantList, { listEl, emptyEl } = {}, { isSelected } = {}) {
   if (!listEl) return;
   if (!wantList.length) {
     listEl.innerHTML = '';
@@ -43,7 +48,8 @@ export function renderWtrDrawerList(wantList, { listEl, emptyEl } = {}) {
     const coverHtml = coverDataUrl
       ? `<img src="${coverDataUrl}" data-fit="${entry.coverFit || 'contain'}"${coverCropStyleAttr(entry.coverCrop)}>`
       : `<div class="wtr-mini-cover" style="background:${generatedCoverColor(entry.title || '')}"><span class="wtr-mini-title">${escapeHtml(entry.title || '')}</span></div>`;
-    return `<div class="wtr-item" data-key="${escapeHtml(key)}" draggable="${showHandle}">
+    const selectedAttr = isSelected ? ` aria-selected="${isSelected(key) ? 'true' : 'false'}"` : '';
+    return `<div class="wtr-item" data-key="${escapeHtml(key)}" draggable="${showHandle}"${selectedAttr}>
       <div class="wtr-item-cover">${coverHtml}</div>
       <div class="wtr-item-info">
         <div class="wtr-item-title">${escapeHtml(entry.title || 'Untitled')}</div>
@@ -54,7 +60,13 @@ export function renderWtrDrawerList(wantList, { listEl, emptyEl } = {}) {
   }).join('');
 }
 
-export function attachWtrDragReorder(listEl, { getBookRepo, haptic, documentRef } = {}) {
+/**
+ * Drag (mouse) / long-press-drag (touch) reordering of `.wtr-item` rows.
+ * The new order of row keys goes to `onReorder` — the WTR drawer's default
+ * writes wtrPositions through the book repository; the lists drawer passes
+ * its own.
+ */
+export function attachWtrDragReorder(listEl, { getBookRepo, onReorder, haptic, documentRef } = {}) {
   if (!listEl) return () => {};
   const doc = documentRef || globalThis.document;
   const listeners = [];
@@ -108,7 +120,7 @@ export function attachWtrDragReorder(listEl, { getBookRepo, haptic, documentRef
 
   on(listEl, 'touchstart', (event) => {
     const item = event.target.closest('.wtr-item');
-    if (!item || event.target.closest('.wtr-start-btn')) { startedFromHandle = false; return; }
+    if (!item || event.target.closest('button')) { startedFromHandle = false; return; }
     startedFromHandle = true;
     longPressReady = false;
     dragItem = item;
@@ -208,14 +220,18 @@ export function attachWtrDragReorder(listEl, { getBookRepo, haptic, documentRef
   }
 
   function commitReorder() {
-    const repo = getBookRepo?.();
-    if (!repo) return;
+    let reorder = onReorder;
+    if (!reorder) {
+      const repo = getBookRepo?.();
+      if (!repo) return;
+      reorder = keys => repo.reorderWtr(keys);
+    }
     const items = listEl.querySelectorAll('.wtr-item');
     const keys = [];
     items.forEach(item => {
       if (item.dataset.key) keys.push(item.dataset.key);
     });
-    if (keys.length > 1) { haptic?.(); repo.reorderWtr(keys); }
+    if (keys.length > 1) { haptic?.(); reorder(keys); }
   }
 
   return () => {
@@ -242,6 +258,11 @@ export function createWtrDrawerController({
   onStartReading = () => {},
   onOpenEntry = () => {},
   onAddBook = () => {},
+  isSelecting = () => false,
+  isSelected = () => false,
+  onSelectMode = () => {},
+  onToggleSelect = () => {},
+  onClose = () => {},
   documentRef,
 } = {}) {
   const doc = documentRef || globalThis.document;
@@ -252,7 +273,14 @@ export function createWtrDrawerController({
   }
 
   function render(wantList = getWantList()) {
-    renderWtrDrawerList(wantList, refs);
+    const selecting = isSelecting();
+    refs.drawer?.classList.toggle('is-selecting', selecting);
+    if (refs.selectBtn) {
+      refs.selectBtn.textContent = selecting ? 'Done' : 'Select';
+      refs.selectBtn.setAttribute('aria-pressed', selecting ? 'true' : 'false');
+      refs.selectBtn.hidden = !wantList.length;
+    }
+    renderWtrDrawerList(wantList, refs, selecting ? { isSelected } : {});
   }
 
   function updateHeader(wantList = getWantList(), { hasShelfEntries = false } = {}) {
@@ -283,6 +311,7 @@ export function createWtrDrawerController({
   }
 
   function close(fromPopstate = false) {
+    onClose();
     if (resetSwipe) resetSwipe();
     if (refs.overlay) refs.overlay.style.display = 'none';
     doc?.body?.classList.remove('modal-open');
@@ -299,7 +328,14 @@ export function createWtrDrawerController({
   refs.addBtn?.addEventListener('click', () => { close(); onAddBook(); });
   refs.footerAddBtn?.addEventListener('click', () => { close(); onAddBook(); });
   refs.shelfEmptyBrowseBtn?.addEventListener('click', open);
+  refs.selectBtn?.addEventListener('click', () => onSelectMode(!isSelecting()));
   refs.listEl?.addEventListener('click', (event) => {
+    if (isSelecting()) {
+      const row = event.target.closest('.wtr-item');
+      const entry = row && findEntryByKey(row.dataset.key);
+      if (entry) onToggleSelect(entry);
+      return;
+    }
     const startBtn = event.target.closest('.wtr-start-btn');
     if (startBtn) {
       event.stopPropagation();
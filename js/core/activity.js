@@ -153,6 +153,8 @@ export async function getRecentFinishes(opts = {}) {
  *     own Library treats them).
  *   - dateRead must be a finite, positive number (ms-epoch). A book marked
  *     Read with no dateRead is not surfaced — we have no time to attach.
+ *   - Did-not-finish books never surface: abandoning a book isn't a finish,
+ *     even if the record still carries a dateRead from an older client.
  *
  * @param {object} book
  * @returns {number | null}
@@ -0,0 +1,150 @@
+// backup_core.js — Versioned, lossless JSON backup of the book library.
+//
+// The CSV export is a spreadsheet convenience: it drops covers, crop, tags,
+// privacy, status dates and the friend-matching identifiers. A backup file
+// carries every field declared on the `books` collection in
+// bookish_schema.js — the field list is read from the schema itself, so a
+// new schema field is backed up without touching this module.
+//
+// File shape (version 1):
+//
+//   {
+//     "format": "bookish-backup",
+//     "version": 1,
+//     "schemaVersion": 6,            // bookishSchema.version at export time
+//     "exportedAt": 1760000000000,
+//     "books": [ { bookId, title, format, … every schema field present … } ]
+//   }
+//
+// Restore is keyed by bookId: a backup book whose bookId isn't on the shelf
+// is re-created; one that is goes through pickWinner (the same rule every
+// other merge layer uses) and only overwrites the local copy when the
+// backup's copy wins. Pure — no DOM, no IndexedDB.
+//
+// The Trash isn't backed up. A backup is the library to get back; a deleted
+// book is already kept for its 30 days on every device, and restoring a
+// backup shouldn't bring it back a second time.
+
+import { bookishSchema } from './bookish_schema.js';
+import { pickWinner } from './cache_core.js';
+import { isTrashed } from './trash.js';
+
+export const BACKUP_FORMAT = 'bookish-backup';
+export const BACKUP_VERSION = 1;
+
+/** Every field a book record can carry on the wire. */
+export const BACKUP_BOOK_FIELDS = Object.keys(bookishSchema.collections.books.fields);
+
+const BOOK_FORMATS = bookishSchema.collections.books.fields.format.enum;
+
+/**
+ * Copy only schema-declared fields that carry a value. Local bookkeeping
+ * (`id`, `status`, `pending`, `contentHash`, `scope`, `_committed`, …) never
+ * reaches the file.
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function pickBackupFields(entry) {
+  const out = {};
+  for (const field of BACKUP_BOOK_FIELDS) {
+    const v = entry?.[field];
+    if (v === undefined || v === null || v === '') continue;
+    out[field] = v;
+  }
+  return out;
+}
+
+/**
+ * Build the backup document for a set of active entries.
+ * @param {Object[]} entries
+ * @param {{now?: number}} [opts]
+ * @returns {Object}
+ */
+export function buildBackup(entries, { now = Date.now() } = {}) {
+  const books = (entries || [])
+    .filter(e => e && e.status !== 'tombstoned' && !e._deleting && !isTrashed(e))
+    .map(pickBackupFields);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: bookishSchema.version,
+    exportedAt: now,
+    books,
+  };
+}
+
+/**
+ * Keep only records that look like books (a non-empty title), reduced to
+ * schema fields. Shared by backup files and libraries handed over by the
+ * forever.html recovery page. `format` is required on the wire, so a book
+ * without a valid one (an old record) is restored as 'print'.
+ * @param {Object[]} records
+ * @returns {Object[]}
+ */
+export function sanitizeBackupBooks(records) {
+  return (Array.isArray(records) ? records : [])
+    .filter(b => b && typeof b === 'object' && typeof b.title === 'string' && b.title.trim())
+    .map(pickBackupFields)
+    .map(b => (BOOK_FORMATS.includes(b.format) ? b : { ...b, format: 'print' }));
+}
+
+/**
+ * Parse and validate a backup file's text.
+ * @param {string} text
+ * @returns {{exportedAt: number|null, books: Object[]}}
+ * @throws {Error} with a user-facing message when the file isn't a usable backup
+ */
+export function parseBackup(text) {
+  let doc;
+  try { doc = JSON.parse(String(text ?? '')); }
+  catch { throw new Error('That file isn’t a Bookish backup.'); }
+  if (!doc || doc.format !== BACKUP_FORMAT || !Array.isArray(doc.books)) {
+    throw new Error('That file isn’t a Bookish backup.');
+  }
+  if (!Number.isInteger(doc.version) || doc.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Bookish. Update the app and try again.');
+  }
+  const books = sanitizeBackupBooks(doc.books);
+  return { exportedAt: Number.isFinite(doc.exportedAt) ? doc.exportedAt : null, books };
+}
+
+/**
+ * Update payload that makes a local entry match a winning backup book:
+ * every backup field, plus an explicit clear for optional fields the local
+ * copy has but the backup doesn't (so the restore is exact, not a merge of
+ * both copies' leftovers).
+ */
+function restoreUpdatePayload(local, book) {
+  const payload = { ...book };
+  delete payload.bookId;
+  for (const field of BACKUP_BOOK_FIELDS) {
+    if (field === 'bookId' || Object.prototype.hasOwnProperty.call(book, field)) continue;
+    if (local[field] === undefined || local[field] === null || local[field] === '') continue;
+    const kind = typeof local[field];
+    payload[field] = kind === 'boolean' ? false : kind === 'number' ? null : '';
+  }
+  return payload;
+}
+
+/**
+ * Decide what a restore does with each backup book.
+ *
+ *   - toCreate:  bookId not on the shelf (or no bookId) → create as-is
+ *   - toUpdate:  on the shelf, backup copy wins pickWinner → overwrite
+ *   - unchanged: on the shelf, local copy wins → left alone
+ *
+ * @param {Object[]} books - parsed backup books
+ * @param {Object[]} localEntries - the live shelf
+ * @returns {{toCreate: Object[], toUpdate: Array<{key: string, payload: Object}>, unchanged: number}}
+ */
+export function planRestore(books, localEntries) {
+  const byBookId = new Map((localEntries || []).filter(e => e.bookId).map(e => [e.bookId, e]));
+  const plan = { toCreate: [], toUpdate: [], unchanged: 0 };
+  for (const book of books || []) {
+    const local = book.bookId ? byBookId.get(book.bookId) : null;
+    if (!local) { plan.toCreate.push(book); continue; }
+    if (pickWinner(local, book) === local) { plan.unchanged++; continue; }
+    plan.toUpdate.push({ key: local.bookId, payload: restoreUpdatePayload(local, book) });
+  }
+  return plan;
+}
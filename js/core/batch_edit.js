@@ -0,0 +1,142 @@
+// batch_edit.js — One edit, many books: the shelf's multi-select.
+//
+// A batch operation is described once and turned into a per-book patch for
+// BookRepository.updateMany():
+//
+//   { type: 'status',    status }     — move to a shelf
+//   { type: 'addTag',    tag }        — add a tag (case-insensitive dedupe)
+//   { type: 'removeTag', tag }        — drop a tag
+//   { type: 'privacy',   isPrivate }  — hide from / show to friends
+//   { type: 'format',    format }
+//   { type: 'owned',     owned }
+//
+// A book the operation wouldn't change gets no patch, so it isn't written,
+// journaled or uploaded. Batch delete isn't here: it's the Trash
+// (BookRepository.trashMany()).
+//
+// Pure — no DOM, no repository.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+export const BATCH_FORMATS = Object.freeze(['print', 'ebook', 'audio']);
+
+function todayNoonUtc(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0, 0);
+}
+
+/**
+ * A book's tags as a list — stored either as an array or a comma-separated
+ * string.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+export function tagList(entry) {
+  const tags = entry?.tags;
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(t => String(t).trim()).filter(Boolean);
+}
+
+function tagsValue(list) {
+  return list.length ? list.join(', ') : '';
+}
+
+/**
+ * The update() patch one operation makes to one book.
+ * @param {Object} entry
+ * @param {Object} op - see the header
+ * @param {number} [now]
+ * @returns {Object|null} null when the book is already that way
+ */
+export function batchPatchFor(entry, op, now = Date.now()) {
+  if (!entry || !op) return null;
+  switch (op.type) {
+    case 'status': {
+      if (!Object.values(READING_STATUS).includes(op.status)) return null;
+      if (normalizeReadingStatus(entry) === op.status) return null;
+      const patch = { readingStatus: op.status };
+      // As on a single book: finishing one stamps today unless it has a date.
+      if (op.status === READING_STATUS.READ && !entry.dateRead) patch.dateRead = todayNoonUtc(now);
+      return patch;
+    }
+    case 'addTag': {
+      const tag = String(op.tag || '').trim();
+      const list = tagList(entry);
+      if (!tag || list.some(t => t.toLowerCase() === tag.toLowerCase())) return null;
+      return { tags: tagsValue([...list, tag]) };
+    }
+    case 'removeTag': {
+      const tag = String(op.tag || '').trim().toLowerCase();
+      const list = tagList(entry);
+      const kept = list.filter(t => t.toLowerCase() !== tag);
+      if (!tag || kept.length === list.length) return null;
+      return { tags: tagsValue(kept) };
+    }
+    case 'privacy': {
+      const isPrivate = op.isPrivate === true;
+      if ((entry.is_private === true) === isPrivate) return null;
+      return { is_private: isPrivate };
+    }
+    case 'format': {
+      if (!BATCH_FORMATS.includes(op.format) || entry.format === op.format) return null;
+      return { format: op.format };
+    }
+    case 'owned': {
+      const owned = op.owned === true;
+      if ((entry.owned === true) === owned) return null;
+      return { owned };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * The tags across a selection, for the remove-tag picker: each once (first
+ * spelling wins), most used first.
+ * @param {Object[]} entries
+ * @returns {string[]}
+ */
+export function selectionTags(entries) {
+  const counts = new Map();
+  for (const entry of entries || []) {
+    for (const tag of tagList(entry)) {
+      const key = tag.toLowerCase();
+      const seen = counts.get(key);
+      if (seen) seen.count++;
+      else counts.set(key, { tag, count: 1 });
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag))
+    .map(t => t.tag);
+}
+
+const STATUS_NAMES = {
+  [READING_STATUS.WANT_TO_READ]: 'Want to Read',
+  [READING_STATUS.READING]: 'Currently Reading',
+  [READING_STATUS.READ]: 'Read',
+  [READING_STATUS.DNF]: 'Did Not Finish',
+};
+
+const FORMAT_NAMES = { print: 'Print', ebook: 'Ebook', audio: 'Audio' };
+
+/**
+ * What a batch did, for the toast.
+ * @param {Object} op
+ * @param {number} count - books changed
+ * @returns {string}
+ */
+export function describeBatch(op, count) {
+  const books = `${count} book${count === 1 ? '' : 's'}`;
+  if (!count) return 'Nothing to change';
+  switch (op?.type) {
+    case 'status': return `Moved ${books} to ${STATUS_NAMES[op.status] || 'a new shelf'}`;
+    case 'addTag': return `Tagged ${books} “${op.tag}”`;
+    case 'removeTag': return `Removed “${op.tag}” from ${books}`;
+    case 'privacy': return op.isPrivate ? `Hid ${books} from friends` : `Made ${books} visible to friends`;
+    case 'format': return `Set ${books} to ${FORMAT_NAMES[op.format] || op.format}`;
+    case 'owned': return op.owned ? `Marked ${books} as owned` : `Marked ${books} as not owned`;
+    default: return `Updated ${books}`;
+  }
+}
@@ -16,6 +16,11 @@
 // `tarn.books.unshare(connection, bookId)`. Privacy toggles fire the
 // matching share/unshare-with-all. The SDK manages the shareKey internally
 // — no monkey-patching needed.
+//
+// Several open tabs share the cache: every change here is announced
+// (deps.onLocalChange) and the other tabs fold it in with reloadFromCache().
+// Only the sync-leader tab runs sync(), replayPending() and the Trash purge
+// (core/tab_sync.js).
 
 import * as friends from './friends.js';
 import { debugLog } from './debug_log.js';
@@ -24,6 +29,16 @@ import { normalizeCoverCrop } from './cover_crop.js';
 // re-exports, it doesn't bind these names in this scope.
 import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
 import { deleteTarnSdkLocalDbs } from './local_db_reset.js';
+import { planRestore } from './backup_core.js';
+import { matchClippingBook, baseTitleKey, newClippings, appendClippingsToNotes } from './kindle_clippings.js';
+import { applyProgressUpdate } from './reading_progress.js';
+import { reconcileReadHistory, addReadPatch, removeReadPatch } from './read_history.js';
+import { sanitizeContributors, displayAuthor, withAuthors } from './contributors.js';
+import { migrateRecord } from './schema_migrations.js';
+import { baseFromRecord, mergeWithBase, withConflicts, openConflicts, groupPatch, locallyChangedFields, isMergedField } from './field_merge.js';
+import { buildHistoryEntry, sortHistory, stateAt, revertPatch } from './edit_history.js';
+import { isTrashed, trashedEntries, expiredTrash } from './trash.js';
+import { bookishSchema } from './bookish_schema.js';
 
 // Reading-status vocabulary now lives in its own dependency-free module so
 // pure render code (components/book_card.js, and through it the standalone
@@ -32,8 +47,22 @@ import { deleteTarnSdkLocalDbs } from './local_db_reset.js';
 export { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
 
 const DEFAULT_EDIT_UPLOAD_DEBOUNCE_MS = 2500;
+// How long a book this tab just wrote is kept when another tab's re-read of
+// the cache doesn't have it yet (see mergeCacheReload).
+const RELOAD_GRACE_MS = 5000;
 const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key);
 
+// The fields the schema requires on a book, bar the primary key create()
+// derives. A create without one would be rejected by the SDK on every
+// upload and replay, so create() refuses it up front.
+const REQUIRED_BOOK_FIELDS = Object.entries(bookishSchema.collections.books.fields)
+  .filter(([field, spec]) => field !== 'bookId' && (typeof spec === 'string' ? !spec.endsWith('?') : spec?.required !== false))
+  .map(([field]) => field);
+
+function missingRequiredFields(payload) {
+  return REQUIRED_BOOK_FIELDS.filter(field => payload?.[field] == null || payload[field] === '');
+}
+
 /**
  * Derive a STABLE idempotency key for a book create, keyed on the record's
  * persistent identity (`bookId` — a UUID minted once at create time and stored
@@ -119,9 +148,67 @@ function buildPayloadFromEntry(entry, { forUpdate = false } = {}) {
   if (hasOwn(entry, 'owned') && typeof entry.owned === 'boolean') payload.owned = entry.owned;
   if (entry.readingStartedAt) payload.readingStartedAt = entry.readingStartedAt;
   else if (forUpdate && hasOwn(entry, 'readingStartedAt')) addUnset(unset, 'readingStartedAt');
+  if (entry.dnfAt) payload.dnfAt = entry.dnfAt;
+  else if (forUpdate && hasOwn(entry, 'dnfAt')) addUnset(unset, 'dnfAt');
+  if (hasOwn(entry, 'dnfStopPoint')) {
+    if (entry.dnfStopPoint) payload.dnfStopPoint = entry.dnfStopPoint;
+    else if (forUpdate) addUnset(unset, 'dnfStopPoint');
+  }
+  if (hasOwn(entry, 'readHistory')) {
+    if (Array.isArray(entry.readHistory) && entry.readHistory.length) payload.readHistory = entry.readHistory;
+    else if (forUpdate) addUnset(unset, 'readHistory');
+  }
+  if (hasOwn(entry, 'progressUnit') || hasOwn(entry, 'progressValue')) {
+    if (entry.progressUnit && entry.progressValue != null && entry.progressValue !== '') {
+      payload.progressUnit = entry.progressUnit;
+      payload.progressValue = Number(entry.progressValue);
+    } else if (forUpdate) {
+      addUnset(unset, 'progressUnit');
+      addUnset(unset, 'progressValue');
+    }
+  }
+  if (hasOwn(entry, 'progressTotal')) {
+    if (Number(entry.progressTotal) > 0) payload.progressTotal = Number(entry.progressTotal);
+    else if (forUpdate) addUnset(unset, 'progressTotal');
+  }
+  if (hasOwn(entry, 'progressLog')) {
+    if (Array.isArray(entry.progressLog) && entry.progressLog.length) payload.progressLog = entry.progressLog;
+    else if (forUpdate) addUnset(unset, 'progressLog');
+  }
+  if (hasOwn(entry, 'contributors')) {
+    const contributors = sanitizeContributors(entry.contributors);
+    if (contributors.length) payload.contributors = contributors;
+    else if (forUpdate) addUnset(unset, 'contributors');
+  }
+  if (hasOwn(entry, 'series')) {
+    if (entry.series) payload.series = entry.series;
+    else if (forUpdate) addUnset(unset, 'series');
+  }
+  if (hasOwn(entry, 'seriesPosition')) {
+    if (entry.seriesPosition != null && entry.seriesPosition !== '' && Number.isFinite(Number(entry.seriesPosition))) {
+      payload.seriesPosition = Number(entry.seriesPosition);
+    } else if (forUpdate) addUnset(unset, 'seriesPosition');
+  }
+  for (const field of ['pageCount', 'publishYear', 'durationMinutes']) {
+    if (!hasOwn(entry, field)) continue;
+    if (Number(entry[field]) > 0) payload[field] = Number(entry[field]);
+    else if (forUpdate) addUnset(unset, field);
+  }
+  for (const field of ['publisher', 'language']) {
+    if (!hasOwn(entry, field)) continue;
+    if (entry[field]) payload[field] = entry[field];
+    else if (forUpdate) addUnset(unset, field);
+  }
+  if (hasOwn(entry, 'trashedAt')) {
+    if (Number(entry.trashedAt) > 0) payload.trashedAt = Number(entry.trashedAt);
+    else if (forUpdate) addUnset(unset, 'trashedAt');
+  }
   if (entry.createdAt) payload.createdAt = entry.createdAt;
   if (entry.modifiedAt) payload.modifiedAt = entry.modifiedAt;
-  if (entry.wtrPosition != null) payload.wtrPosition = entry.wtrPosition;
+  if (entry.wtrPosition != null && entry.wtrPosition !== '') payload.wtrPosition = entry.wtrPosition;
+  // Cleared (a restored backup without a reading-list spot, say): unset it,
+  // or the remote's merge keeps the old position.
+  else if (forUpdate && hasOwn(entry, 'wtrPosition')) addUnset(unset, 'wtrPosition');
   if (entry.work_key) payload.work_key = entry.work_key;
   if (entry.isbn13) payload.isbn13 = entry.isbn13;
   // Always include is_private when the caller has an opinion (true OR false).
@@ -134,15 +221,34 @@ function buildPayloadFromEntry(entry, { forUpdate = false } = {}) {
   if (forUpdate) {
     if (payload.readingStatus !== READING_STATUS.READ) addUnset(unset, 'dateRead');
     if (payload.readingStatus === READING_STATUS.WANT_TO_READ) addUnset(unset, 'readingStartedAt');
+    if (payload.readingStatus !== READING_STATUS.DNF) {
+      addUnset(unset, 'dnfAt');
+      addUnset(unset, 'dnfStopPoint');
+    }
     return { payload, unset };
   }
   return payload;
 }
 
+/**
+ * The update for an edited entry. With a merge base it carries only the
+ * field groups this device changed since it last agreed with the remote
+ * (field_merge.js), plus the bookkeeping fields: the SDK merges the patch
+ * into the remote record, so a group another device changed in the
+ * meantime — a rating set on the phone while notes were edited here —
+ * keeps its value instead of being overwritten by this device's stale
+ * copy. Without a base the whole record goes, as before.
+ */
 function buildUpdateFromEntry(entry) {
   const { payload, unset } = buildPayloadFromEntry(entry, { forUpdate: true });
   const { bookId: _bookId, ...patch } = payload;
-  const opts = unset.length ? { unset } : undefined;
+  const changed = locallyChangedFields(entry);
+  const keep = field => !changed || !isMergedField(field) || changed.has(field);
+  for (const field of Object.keys(patch)) {
+    if (!keep(field)) delete patch[field];
+  }
+  const kept = unset.filter(keep);
+  const opts = kept.length ? { unset: kept } : undefined;
   return { patch, opts };
 }
 
@@ -151,8 +257,19 @@ async function updateTarnBook(client, bookId, patch, opts) {
   return client.books.update(bookId, patch);
 }
 
+function todayNoonUtc() {
+  const now = new Date();
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 12, 0, 0, 0);
+}
+
 function applyStatusDateRules(entry, status) {
   if (!status) return;
+  // The did-not-finish date and stop point only mean something on the DNF
+  // shelf; giving the book another go (or finishing it) drops them.
+  if (status !== READING_STATUS.DNF) {
+    delete entry.dnfAt;
+    delete entry.dnfStopPoint;
+  }
   if (status === READING_STATUS.WANT_TO_READ) {
     delete entry.dateRead;
     delete entry.readingStartedAt;
@@ -161,7 +278,53 @@ function applyStatusDateRules(entry, status) {
   if (status === READING_STATUS.READING) {
     delete entry.dateRead;
     if (!entry.readingStartedAt) entry.readingStartedAt = Date.now();
+    return;
+  }
+  if (status === READING_STATUS.DNF) {
+    // Not finished: no dateRead. readingStartedAt stays as a record of
+    // when the attempt began.
+    delete entry.dateRead;
+    if (!entry.dnfAt) entry.dnfAt = todayNoonUtc();
+  }
+}
+
+/** Fold a status/date edit into the entry's read history (read_history.js). */
+function syncReadHistory(before, entry) {
+  const readHistory = reconcileReadHistory(before, entry);
+  if (readHistory) entry.readHistory = readHistory;
+}
+
+/**
+ * Keep `author` and `contributors` in step (contributors.js): a new list sets
+ * the display author; a new author string rewrites the list's author roles
+ * and keeps the rest. A book with no stored list is left to derive one.
+ */
+function syncContributors(entry, payload) {
+  if (hasOwn(payload, 'contributors')) {
+    entry.contributors = sanitizeContributors(payload.contributors);
+    entry.author = displayAuthor(entry.contributors);
+  } else if (hasOwn(payload, 'author') && Array.isArray(entry.contributors) && entry.contributors.length) {
+    entry.contributors = withAuthors(entry.contributors, entry.author);
+  }
+}
+
+/**
+ * Apply an update() patch to an entry in place, with the rules that ride
+ * along: clearing the cover clears its metadata, a status change moves its
+ * dates, and read history and contributors follow. Stamps modifiedAt.
+ */
+function applyEntryPatch(entry, payload, snapshot) {
+  Object.assign(entry, payload);
+  if (payload.coverImage === '') {
+    entry.coverImage = '';
+    entry.mimeType = '';
+    entry.coverFit = '';
+    entry.coverCrop = '';
   }
+  if (hasOwn(payload, 'readingStatus')) applyStatusDateRules(entry, payload.readingStatus);
+  if (!hasOwn(payload, 'readHistory')) syncReadHistory(snapshot, entry);
+  syncContributors(entry, payload);
+  entry.modifiedAt = Date.now();
 }
 
 function markEntryPending(entry, remoteBacked) {
@@ -172,6 +335,54 @@ function markEntryPending(entry, remoteBacked) {
   entry._committed = false;
 }
 
+/**
+ * Whether this tab's copy of a book is ahead of the cache's: an edit queued
+ * for upload, a newer edit not yet written, or an upload that finished here
+ * with its cache write still on the way.
+ */
+function isAheadOfCache(live, record, queuedKeys) {
+  if (queuedKeys.has(live.bookId || live.id)) return true;
+  const liveAt = Number(live.modifiedAt) || 0;
+  const cachedAt = Number(record.modifiedAt) || 0;
+  if (liveAt !== cachedAt) return liveAt > cachedAt;
+  return live.status === 'confirmed' && record.status === 'pending';
+}
+
+/**
+ * Fold a fresh read of the cache into the in-memory entries (another tab
+ * changed the library). Books keep their identity — the edit queue holds
+ * references to them — and take the cached record unless this tab is ahead
+ * of it. A book missing from the cache leaves, unless this tab has an edit
+ * queued for it or wrote it within RELOAD_GRACE_MS (its write may not have
+ * landed before the read).
+ * @param {Object[]} entries
+ * @param {Object[]} records - cache.getAllActive()
+ * @param {{queuedKeys: Set<string>, now: number}} opts
+ * @returns {Object[]}
+ */
+function mergeCacheReload(entries, records, { queuedKeys, now }) {
+  const byKey = new Map(entries.map(e => [e.bookId || e.id, e]));
+  const cachedKeys = new Set();
+  const merged = records.map(record => {
+    const key = record.bookId || record.id;
+    cachedKeys.add(key);
+    record._committed = !!(record.status === 'confirmed' && record.seenRemote);
+    const live = byKey.get(key);
+    if (!live) return record;
+    if (isAheadOfCache(live, record, queuedKeys)) return live;
+    for (const field of Object.keys(live)) {
+      if (!hasOwn(record, field)) delete live[field];
+    }
+    return Object.assign(live, record);
+  });
+  for (const live of entries) {
+    const key = live.bookId || live.id;
+    if (cachedKeys.has(key)) continue;
+    if (queuedKeys.has(key) || now - (Number(live.modifiedAt) || 0) < RELOAD_GRACE_MS) merged.push(live);
+  }
+  return merged;
+}
+
 function isRemoteBackedEntry(entry) {
   return !!(
     entry?.bookId &&
@@ -179,6 +390,11 @@ function isRemoteBackedEntry(entry) {
   );
 }
 
+// Shared with friends: public, and not in the Trash.
+function isSharedEntry(entry) {
+  return !!entry && entry.is_private !== true && !isTrashed(entry);
+}
+
 function isAlreadyDeletedError(err) {
   const message = String(err?.message || err || '').toLowerCase();
   return message.includes('no record with primarykey') ||
@@ -217,16 +433,26 @@ function isPasskeyOnlyError(err) {
  * public→private toggle. Idempotent on the SDK side.
  */
 async function unshareFromAllFriends(client, bookId) {
+  return unshareManyFromAllFriends(client, [bookId]);
+}
+
+/**
+ * unshareFromAllFriends() for a batch: the connection list is fetched once
+ * for every book rather than once per book.
+ */
+async function unshareManyFromAllFriends(client, bookIds) {
   try {
     const conns = await client.connections.list();
     for (const conn of conns) {
-      try {
-        await client.books.unshare(conn, bookId);
-      } catch (err) {
-        // unshare on a never-shared content_id is a benign no-op for our
-        // purposes (e.g., a friend who joined after the book was already
-        // private). Quiet warn.
-        console.warn('[BookRepository] unshare failed for', conn.share_pub?.slice(0, 8), '—', err.message);
+      for (const bookId of bookIds) {
+        try {
+          await client.books.unshare(conn, bookId);
+        } catch (err) {
+          // unshare on a never-shared content_id is a benign no-op for our
+          // purposes (e.g., a friend who joined after the book was already
+          // private). Quiet warn.
+          console.warn('[BookRepository] unshare failed for', conn.share_pub?.slice(0, 8), '—', err.message);
+        }
       }
     }
   } catch (err) {
@@ -242,24 +468,34 @@ export class BookRepository {
    * @param {Function} [deps.deriveBookId] - async (payload) => string
    * @param {Function} [deps.onDirty] - () => void; signals sync manager
    * @param {number} [deps.editUploadDelayMs] - debounce before uploading edits to Tarn
+   * @param {string} [deps.deviceLabel] - names this device in the edit journal
+   * @param {Function} [deps.onLocalChange] - () => void; this tab changed the
+   *   library, the app's other tabs should re-read it (core/tab_sync.js)
+   * @param {Function} [deps.isSyncLeader] - () => boolean; whether this tab
+   *   leads (default: it does)
    */
-  constructor({ cache, tarnService, deriveBookId, onDirty, editUploadDelayMs = DEFAULT_EDIT_UPLOAD_DEBOUNCE_MS }) {
+  constructor({ cache, tarnService, deriveBookId, onDirty, editUploadDelayMs = DEFAULT_EDIT_UPLOAD_DEBOUNCE_MS, deviceLabel = '', onLocalChange, isSyncLeader }) {
     this._cache = cache;
     this._tarnService = tarnService;
     this._deriveBookId = deriveBookId;
     this._onDirty = onDirty || (() => {});
+    this._onLocalChange = onLocalChange || (() => {});
+    this._isSyncLeader = isSyncLeader || (() => true);
+    this._deviceLabel = deviceLabel;
     this._editUploadDelayMs = Math.max(0, Number(editUploadDelayMs) || 0);
 
     this._entries = [];
     this._editQueue = new Map();
     this._replaying = false;
     this._purged = false;
+    this._reloading = false;
+    this._reloadAgain = false;
     // Maps a Tarn Eid (deterministic hash of appId+collection+primaryKey) to
     // the local cache entry it represents. Populated lazily from the cache on
     // sync; used to resolve delete events emitted by getEntriesSince(), which
     // identify the removed record by Eid rather than bookId.
     this._eidIndex = new Map();
-    this._listeners = { change: [], error: [], progress: [], syncProgress: [] };
+    this._listeners = { change: [], error: [], progress: [], syncProgress: [], conflicts: [] };
   }
 
   // --- Event system ---
@@ -276,7 +512,12 @@ export class BookRepository {
     }
   }
 
-  _emitChange() { this._emit('change', this._entries); }
+  // Every change is announced to the app's other tabs; re-reading the cache
+  // isn't a change, so those paths pass { announce: false }.
+  _emitChange({ announce = true } = {}) {
+    this._emit('change', this.getAll());
+    if (announce) this._onLocalChange();
+  }
 
   _emitError(code, message) {
     this._emit('error', { code, message });
@@ -310,20 +551,30 @@ export class BookRepository {
    * On success the friend-library cache is invalidated as before.
    */
   _shareAndRefresh(client, bookId) {
-    return shareToFriends(client, bookId)
+    return this._shareManyAndRefresh(client, [bookId]);
+  }
+
+  /**
+   * _shareAndRefresh() for several books: shared one after another, the
+   * friend-library cache invalidated once at the end. The first failure
+   * stops the run and is reported once — the rest would fail the same way.
+   */
+  _shareManyAndRefresh(client, bookIds) {
+    const saved = bookIds.length === 1 ? 'Book saved' : 'Books saved';
+    return bookIds.reduce((chain, bookId) => chain.then(() => shareToFriends(client, bookId)), Promise.resolve())
       .then(() => friends.invalidateFriendLibraryCache())
       .catch((err) => {
         if (isPasskeyOnlyError(err)) {
-          console.warn('[BookRepository] share skipped — passkey-only session:', bookId);
+          console.warn('[BookRepository] share skipped — passkey-only session:', bookIds.join(', '));
           this._emitError(
             'share-needs-password',
-            'Book saved. Sharing to friends needs signing in with your password.',
+            `${saved}. Sharing to friends needs signing in with your password.`,
           );
         } else {
           console.warn('[BookRepository] shareWithAll failed:', err?.message || err);
           this._emitError(
             'share-failed',
-            'Book saved, but couldn’t share to friends — will retry on your next change.',
+            `${saved}, but couldn’t share to friends — will retry on your next change.`,
           );
         }
       });
@@ -331,7 +582,11 @@ export class BookRepository {
 
   // --- Queries ---
 
-  getAll() { return this._entries; }
+  /** The library — every book not in the Trash. */
+  getAll() { return this._entries.filter(e => !isTrashed(e)); }
+
+  /** The Trash, most recently deleted first (core/trash.js). */
+  getTrash() { return trashedEntries(this._entries); }
 
   getById(key) {
     // Address by bookId end-to-end now. Fall back to the legacy `id` field
@@ -347,7 +602,34 @@ export class BookRepository {
     this._purged = false;
     this._entries = await this._cache.getAllActive();
     this._entries.forEach(e => { e._committed = !!(e.status === 'confirmed' && e.seenRemote); });
-    this._emitChange();
+    this._emitChange({ announce: false });
+    // Every tab loads the cache; only one should send the purge's deletes.
+    if (this._isSyncLeader()) await this.purgeExpiredTrash();
+  }
+
+  /**
+   * Re-read the library after another tab changed it (core/tab_sync.js),
+   * keeping whatever this tab is ahead on (mergeCacheReload). Calls that
+   * arrive mid-read are folded into one more read.
+   */
+  async reloadFromCache() {
+    if (!this._cache || this._purged) return;
+    if (this._reloading) { this._reloadAgain = true; return; }
+    this._reloading = true;
+    try {
+      do {
+        this._reloadAgain = false;
+        const records = await this._cache.getAllActive();
+        if (this._purged) return;
+        this._entries = mergeCacheReload(this._entries, records, {
+          queuedKeys: new Set(this._editQueue.keys()),
+          now: Date.now(),
+        });
+      } while (this._reloadAgain);
+      this._emitChange({ announce: false });
+    } finally {
+      this._reloading = false;
+    }
   }
 
   clear() {
@@ -357,7 +639,7 @@ export class BookRepository {
     // the account may have changed, and the new account's first delta must
     // not run against an orphaned cursor (#230 invariant).
     this._cursorParityChecked = false;
-    this._emitChange();
+    this._emitChange({ announce: false });
   }
 
   // --- Mutations ---
@@ -365,17 +647,31 @@ export class BookRepository {
   async create(payload) {
     if (this._cache) {
       const dup = await this._cache.detectDuplicate(payload);
+      // Adding a book that's in the Trash brings it back.
+      if (dup && isTrashed(dup)) {
+        const key = dup.bookId || dup.id;
+        await this.restore(key);
+        return { entry: this.getById(key) || dup, isDuplicate: true };
+      }
       if (dup) return { entry: dup, isDuplicate: true };
     }
 
+    const missing = missingRequiredFields(payload);
+    if (missing.length) throw new Error(`Book is missing ${missing.join(', ')}`);
+
     const localId = 'local-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
-    const createdAt = Date.now();
+    const now = Date.now();
+    // A backup restore re-creates the book with its original createdAt; any
+    // other create is brand new. modifiedAt is always "now" — this is a write.
+    const createdAt = payload.createdAt || now;
+
+    if (hasOwn(payload, 'contributors')) syncContributors(payload, payload);
 
     if (!payload.bookId && this._deriveBookId) {
       try { payload.bookId = await this._deriveBookId({ ...payload, createdAt }); } catch {}
     }
 
-    const modifiedAt = createdAt;
+    const modifiedAt = now;
     const rec = {
       id: localId, ...payload, createdAt, modifiedAt,
       status: 'pending', pending: true, seenRemote: false, onArweave: false, _committed: false
@@ -405,6 +701,7 @@ export class BookRepository {
         // bookId is now the canonical id; drop the local-id sentinel.
         rec.id = rec.bookId;
         rec.pending = false; rec.status = 'confirmed'; rec.seenRemote = true; rec.remoteBacked = true;
+        rec._base = baseFromRecord(builtPayload);
         if (this._cache) await this._cache.replaceProvisional(oldId, rec);
         this._emitError(null, null);
         this._emitChange();
@@ -430,7 +727,165 @@ export class BookRepository {
     return { entry: rec, isDuplicate: false };
   }
 
-  async update(id, payload) {
+  /**
+   * Create many books in order (library imports). Each payload goes through
+   * create() so duplicate detection, bookId derivation and publish-on-save
+   * are identical to a hand-added book; one failed row doesn't stop the rest.
+   *
+   * Emits `progress` with `{ phase: 'import', loaded, total, added, duplicates, failed }`
+   * after every payload so an import sheet can drive a progress bar.
+   *
+   * @param {Object[]} payloads
+   * @returns {Promise<{added: number, duplicates: number, failed: number}>}
+   */
+  async importBooks(payloads) {
+    const list = Array.isArray(payloads) ? payloads : [];
+    const counts = { added: 0, duplicates: 0, failed: 0 };
+    const emit = loaded => this._emitProgress({ phase: 'import', loaded, total: list.length, ...counts });
+    emit(0);
+    for (let i = 0; i < list.length; i++) {
+      try {
+        const { isDuplicate } = await this.create({ ...list[i] });
+        if (isDuplicate) counts.duplicates++;
+        else counts.added++;
+      } catch (err) {
+        console.warn('[BookRepository] import row failed:', err?.message || err);
+        counts.failed++;
+      }
+      emit(i + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Merge a parsed backup (backup_core.parseBackup) into the shelf, keyed by
+   * bookId: unknown books are re-created with their original bookId, known
+   * ones are overwritten only when the backup copy wins pickWinner.
+   *
+   * Emits the same `progress` payloads as importBooks() (`phase: 'import'`),
+   * counting every backup book whether it was written or left alone.
+   *
+   * @param {Object[]} books
+   * @returns {Promise<{added: number, updated: number, unchanged: number, duplicates: number, failed: number}>}
+   */
+  async restoreBackup(books) {
+    // A backup file may predate the current schema (schema_migrations.js).
+    const plan = planRestore((books || []).map(b => migrateRecord('books', b).record), this._entries);
+    const total = plan.toCreate.length + plan.toUpdate.length + plan.unchanged;
+    const counts = { added: 0, updated: 0, unchanged: plan.unchanged, duplicates: 0, failed: 0 };
+    let loaded = plan.unchanged;
+    const emit = () => this._emitProgress({ phase: 'import', loaded, total, ...counts });
+    emit();
+    for (const book of plan.toCreate) {
+      try {
+        const { isDuplicate } = await this.create({ ...book });
+        if (isDuplicate) counts.duplicates++;
+        else counts.added++;
+      } catch (err) {
+        console.warn('[BookRepository] restore create failed:', err?.message || err);
+        counts.failed++;
+      }
+      loaded++;
+      emit();
+    }
+    for (const { key, payload } of plan.toUpdate) {
+      try {
+        await this.update(key, payload);
+        counts.updated++;
+      } catch (err) {
+        console.warn('[BookRepository] restore update failed:', err?.message || err);
+        counts.failed++;
+      }
+      loaded++;
+      emit();
+    }
+    return counts;
+  }
+
+  /**
+   * Append Kindle highlights (kindle_clippings.parseKindleClippings) to the
+   * notes of the books they belong to. Each book is matched against the
+   * live shelf as its turn comes, so only clippings not already in a book's
+   * notes are written — a re-import of the same file adds nothing — and a
+   * book an earlier item created is found again. Books with no shelf match
+   * are created (as read ebooks) only when their item says
+   * `createIfMissing`.
+   *
+   * Kindle can list one book under two author strings ("Frank Herbert",
+   * "Herbert, Frank"), which the author check in matchClippingBook keeps
+   * apart; a book created by this import is also matched on its title key
+   * alone, so the second spelling lands on it instead of a second copy.
+   *
+   * Emits the same `progress` payloads as importBooks() (`phase: 'import'`).
+   *
+   * @param {Array<{book: Object, createIfMissing?: boolean}>} items
+   * @returns {Promise<{updated: number, added: number, highlights: number, unchanged: number, failed: number}>}
+   */
+  async importClippings(items) {
+    const list = Array.isArray(items) ? items : [];
+    const createdByTitle = new Map();
+    const counts = { updated: 0, added: 0, highlights: 0, unchanged: 0, failed: 0 };
+    const emit = loaded => this._emitProgress({ phase: 'import', loaded, total: list.length, ...counts });
+    emit(0);
+    for (let i = 0; i < list.length; i++) {
+      const book = list[i].book;
+      const titleKey = baseTitleKey(book?.title);
+      try {
+        const createdKey = createdByTitle.get(titleKey);
+        // The shelf the preview planned against: books in the Trash aren't
+        // candidates (their notes would be purged with them).
+        const entry = matchClippingBook(book, this.getAll()) || (createdKey ? this.getById(createdKey) : null) || null;
+        const fresh = entry ? newClippings(entry.notes, book.clippings) : book.clippings;
+        if (entry) {
+          if (fresh.length) {
+            await this.update(entry.bookId || entry.id, { notes: appendClippingsToNotes(entry.notes, fresh) });
+            counts.updated++;
+            counts.highlights += fresh.length;
+          } else {
+            counts.unchanged++;
+          }
+        } else if (list[i].createIfMissing) {
+          const { entry: created, isDuplicate } = await this.create({
+            title: book.title,
+            author: book.author,
+            format: 'ebook',
+            readingStatus: READING_STATUS.READ,
+            notes: appendClippingsToNotes('', fresh),
+          });
+          if (titleKey) createdByTitle.set(titleKey, created.bookId || created.id);
+          if (isDuplicate) {
+            // The shelf's own duplicate check found a book the fuzzy match
+            // missed — the highlights still belong on it.
+            const missing = newClippings(created.notes, fresh);
+            if (missing.length) {
+              await this.update(created.bookId || created.id, { notes: appendClippingsToNotes(created.notes, missing) });
+              counts.updated++;
+              counts.highlights += missing.length;
+            } else {
+              counts.unchanged++;
+            }
+          } else {
+            counts.added++;
+            counts.highlights += fresh.length;
+          }
+        } else {
+          counts.unchanged++;
+        }
+      } catch (err) {
+        console.warn('[BookRepository] clippings import failed:', err?.message || err);
+        counts.failed++;
+      }
+      emit(i + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} payload - fields to set; '' clears one
+   * @param {{historyAction?: string}} [opts] - how the edit journal labels it
+   */
+  async update(id, payload, { historyAction = 'update' } = {}) {
     const old = this.getById(id);
     if (!old) throw new Error('Entry not found');
 
@@ -438,23 +893,206 @@ export class BookRepository {
     const wasRemoteBacked = isRemoteBackedEntry(old);
 
     const snapshot = { ...old };
-    Object.assign(old, payload);
-    if (payload.coverImage === '') {
-      old.coverImage = '';
-      old.mimeType = '';
-      old.coverFit = '';
-      old.coverCrop = '';
-    }
-    if (hasOwn(payload, 'readingStatus')) applyStatusDateRules(old, payload.readingStatus);
-    old.modifiedAt = Date.now();
+    applyEntryPatch(old, payload, snapshot);
     markEntryPending(old, wasRemoteBacked);
     if (this._cache) await this._cache.putEntry(old);
     this._onDirty();
     this._emitChange();
+    await this._journal(historyAction, snapshot, old);
 
     if (wasRemoteBacked) this._scheduleEditUpload(entryKey, old, snapshot);
   }
 
+  /**
+   * Record a reading-progress update: sets the current position and appends
+   * it to the book's progress log (see reading_progress.js).
+   * @param {string} id
+   * @param {{unit: string, value: number, total?: number}} progress
+   * @returns {Promise<boolean>} false when it matched the current position
+   */
+  async updateProgress(id, progress) {
+    const entry = this.getById(id);
+    if (!entry) throw new Error('Entry not found');
+    const patch = applyProgressUpdate(entry, progress);
+    if (!patch) return false;
+    await this.update(id, patch);
+    return true;
+  }
+
+  /**
+   * Log another completed read of a book (a re-read, or a past read added
+   * after the fact). See read_history.js for how dateRead follows.
+   * @param {string} id
+   * @param {{date: number, format?: string, rating?: number}} read
+   */
+  async addRead(id, read) {
+    const entry = this.getById(id);
+    if (!entry) throw new Error('Entry not found');
+    await this.update(id, addReadPatch(entry, read));
+  }
+
+  /**
+   * Remove one read, by its index in readHistoryOf() order.
+   * @param {string} id
+   * @param {number} index
+   */
+  async removeRead(id, index) {
+    const entry = this.getById(id);
+    if (!entry) throw new Error('Entry not found');
+    await this.update(id, removeReadPatch(entry, index));
+  }
+
+  /**
+   * Move a book to the Trash (core/trash.js). The stamp syncs like any
+   * edit, and the upload is sent now rather than debounced, so the book is
+   * unshared at delete time (see the fan-out in _uploadEditSnapshot).
+   * @param {string} id
+   */
+  async trash(id) {
+    const entry = this.getById(id);
+    if (!entry || isTrashed(entry)) return;
+    await this.update(id, { trashedAt: Date.now() });
+    await this._flushEditEntry(entry.bookId || entry.id, { force: true });
+  }
+
+  /**
+   * Take a book back out of the Trash. A public book is shared again when
+   * the edit uploads, which is sent right away.
+   * @param {string} id
+   */
+  async restore(id) {
+    const entry = this.getById(id);
+    if (!entry || !isTrashed(entry)) return;
+    await this.update(id, { trashedAt: '' });
+    await this._flushEditEntry(entry.bookId || entry.id, { force: true });
+  }
+
+  // --- Batch edits (core/batch_edit.js) ---
+
+  /**
+   * Apply one edit to many books — the shelf's multi-select. `patchFor`
+   * returns a book's update() patch, or null to leave it alone. Every
+   * changed book is written in one IndexedDB transaction and announced in
+   * one `change`. The uploads then go out one after another, reported as
+   * `progress` `{ phase: 'batch', loaded, total, done? }`, and the share
+   * fan-out is settled once for the lot (see _uploadBatch).
+   * @param {string[]} ids
+   * @param {(entry: Object) => Object|null} patchFor
+   * @param {{historyAction?: string}} [opts] - how the edit journal labels it
+   * @returns {Promise<string[]>} the keys of the books changed
+   */
+  async updateMany(ids, patchFor, { historyAction = 'batch' } = {}) {
+    const changed = [];
+    for (const id of new Set(ids)) {
+      const entry = this.getById(id);
+      const patch = entry ? patchFor(entry) : null;
+      if (!patch || !Object.keys(patch).length) continue;
+      const remoteBacked = isRemoteBackedEntry(entry);
+      const snapshot = { ...entry };
+      applyEntryPatch(entry, patch, snapshot);
+      markEntryPending(entry, remoteBacked);
+      changed.push({ entry, snapshot, remoteBacked });
+    }
+    if (!changed.length) return [];
+
+    if (this._cache) await this._cache.bulkPut(changed.map(c => c.entry));
+    this._onDirty();
+    this._emitChange();
+    await this._journalMany(historyAction, changed.map(c => [c.snapshot, c.entry]));
+
+    const uploads = changed.filter(c => c.remoteBacked && c.entry.bookId);
+    if (uploads.length) await this._uploadBatch(uploads);
+    return changed.map(c => c.entry.bookId || c.entry.id);
+  }
+
+  /**
+   * Move many books to the Trash at once.
+   * @param {string[]} ids
+   * @returns {Promise<string[]>} the keys of the books trashed
+   */
+  async trashMany(ids) {
+    const now = Date.now();
+    return this.updateMany(ids, entry => (isTrashed(entry) ? null : { trashedAt: now }));
+  }
+
+  /**
+   * Take many books back out of the Trash — the batch delete's undo.
+   * @param {string[]} ids
+   * @returns {Promise<string[]>}
+   */
+  async restoreMany(ids) {
+    return this.updateMany(ids, entry => (isTrashed(entry) ? { trashedAt: '' } : null));
+  }
+
+  /**
+   * Upload a batch's edits now rather than debounced. A book with a single
+   * edit still queued is folded in (its older baseline is what the remote
+   * holds). The first failed upload stops the run: it and the rest keep
+   * their queued edit ops, so replay retries them. Sharing is settled at the
+   * end — one unshare pass over the connection list for the books that left
+   * the friends' view, then the re-shares.
+   */
+  async _uploadBatch(items) {
+    for (const item of items) {
+      const entryKey = item.entry.bookId || item.entry.id;
+      const inFlight = this._editQueue.get(entryKey)?.uploadPromise;
+      if (inFlight) await inFlight;
+      const queued = this._editQueue.get(entryKey);
+      if (queued?.snapshot) item.snapshot = queued.snapshot;
+      this._clearQueuedEdit(entryKey);
+    }
+    if (this._cache?.queueOps) {
+      await this._cache.queueOps(items.map(({ entry }) => ({ type: 'edit', bookId: entry.bookId })));
+    }
+
+    const total = items.length;
+    const toShare = [];
+    const toUnshare = [];
+    let loaded = 0;
+    this._emitProgress({ phase: 'batch', loaded, total });
+    for (const { entry, snapshot } of items) {
+      const uploadEntry = { ...entry };
+      const uploaded = await this._uploadEditSnapshot(entry.bookId, entry, uploadEntry, snapshot, entry.modifiedAt, { batch: true });
+      if (!uploaded) break;
+      if (isSharedEntry(uploadEntry)) toShare.push(uploadEntry.bookId);
+      else if (isSharedEntry(snapshot)) toUnshare.push(uploadEntry.bookId);
+      this._emitProgress({ phase: 'batch', loaded: ++loaded, total });
+    }
+    // The books already re-rendered when updateMany() applied the batch;
+    // what the uploads changed is only their pending state, and the final
+    // progress event is what tells the app to refresh it.
+    this._emitProgress({ phase: 'batch', loaded, total, done: true });
+
+    if (!toShare.length && !toUnshare.length) return;
+    try {
+      const client = await this._tarnService.getClient();
+      const unshared = toUnshare.length ? unshareManyFromAllFriends(client, toUnshare) : Promise.resolve();
+      unshared.then(() => (toShare.length
+        ? this._shareManyAndRefresh(client, toShare)
+        : friends.invalidateFriendLibraryCache()))
+        .catch(err => console.warn('[BookRepository] batch share fan-out failed:', err?.message || err));
+    } catch (err) {
+      console.warn('[BookRepository] batch share fan-out skipped:', err?.message || err);
+    }
+  }
+
+  /**
+   * Purge what's been in the Trash past its retention. Runs at load and
+   * after each sync.
+   * @param {number} [now]
+   * @returns {Promise<number>} books purged
+   */
+  async purgeExpiredTrash(now = Date.now()) {
+    const expired = expiredTrash(this._entries, now);
+    for (const entry of expired) await this.delete(entry.bookId || entry.id);
+    return expired.length;
+  }
+
+  /**
+   * Delete a book for good — the Trash's purge. Tombstones it locally and
+   * deletes the remote record (queued when offline).
+   * @param {string} id
+   */
   async delete(id) {
     const entry = this.getById(id);
     if (!entry) return;
@@ -462,6 +1100,7 @@ export class BookRepository {
     const remoteBacked = isRemoteBackedEntry(entry);
     this._clearQueuedEdit(entryKey);
     if (entry.bookId && this._cache?.removeEditOp) await this._cache.removeEditOp(entry.bookId);
+    if (entry.bookId && this._cache?.deleteHistory) await this._cache.deleteHistory(entry.bookId);
 
     entry._deleting = true;
     entry._committed = false;
@@ -531,18 +1170,18 @@ export class BookRepository {
     entry.readingStatus = newStatus;
     entry.modifiedAt = Date.now();
     applyStatusDateRules(entry, newStatus);
-    if (newStatus === READING_STATUS.READ && !entry.dateRead) {
-      const now = new Date();
-      entry.dateRead = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 12, 0, 0, 0);
-    }
+    if (newStatus === READING_STATUS.READ && !entry.dateRead) entry.dateRead = todayNoonUtc();
+    syncReadHistory(snapshot, entry);
     if (remoteBacked) markEntryPending(entry, true);
 
     if (this._cache) await this._cache.putEntry(entry);
     this._onDirty();
     this._emitChange();
+    await this._journal('status', snapshot, entry);
 
     const toastMessage = newStatus === READING_STATUS.READING ? 'Moved to Currently Reading'
       : newStatus === READING_STATUS.READ ? 'Finished! Added to your shelf'
+      : newStatus === READING_STATUS.DNF ? 'Moved to Did Not Finish'
       : 'Moved to Want to Read';
 
     if (remoteBacked) {
@@ -564,12 +1203,16 @@ export class BookRepository {
     else delete entry.dateRead;
     if (snapshot.readingStartedAt != null) entry.readingStartedAt = snapshot.readingStartedAt;
     else delete entry.readingStartedAt;
+    // Undo puts the read history back exactly (the finish being undone
+    // appended a read); an empty list means "no stored history".
+    if (hasOwn(snapshot, 'readHistory')) entry.readHistory = Array.isArray(snapshot.readHistory) ? snapshot.readHistory : [];
     entry.modifiedAt = Date.now();
     if (remoteBacked) markEntryPending(entry, true);
 
     if (this._cache) await this._cache.putEntry(entry);
     this._onDirty();
     this._emitChange();
+    await this._journal('snapshot', before, entry);
 
     if (remoteBacked) {
       const entryKey = entry.bookId || entry.id;
@@ -579,6 +1222,64 @@ export class BookRepository {
     return { entry };
   }
 
+  // --- Edit journal (core/edit_history.js) ---
+
+  /** Record one edit. Best-effort: the edit is saved either way. */
+  async _journal(action, before, after) {
+    const version = buildHistoryEntry({ bookId: after.bookId, action, before, after, device: this._deviceLabel });
+    if (!version || !this._cache?.addHistory) return;
+    try {
+      await this._cache.addHistory(version);
+    } catch (err) {
+      console.warn('[BookRepository] edit journal write failed:', err?.message || err);
+    }
+  }
+
+  /** Record a batch's edits, one version per book, in one write. */
+  async _journalMany(action, pairs) {
+    const versions = pairs
+      .map(([before, after]) => buildHistoryEntry({ bookId: after.bookId, action, before, after, device: this._deviceLabel }))
+      .filter(Boolean);
+    if (!versions.length || !this._cache?.addHistory) return;
+    try {
+      await this._cache.addHistory(versions);
+    } catch (err) {
+      console.warn('[BookRepository] edit journal write failed:', err?.message || err);
+    }
+  }
+
+  /**
+   * A book's journal, newest first.
+   * @param {string} id
+   * @returns {Promise<Object[]>}
+   */
+  async getHistory(id) {
+    const entry = this.getById(id);
+    if (!entry?.bookId || !this._cache?.listHistory) return [];
+    return sortHistory(await this._cache.listHistory(entry.bookId));
+  }
+
+  /**
+   * Revert through the journal: with `field`, that field goes back to its
+   * value before the version; without, the whole record goes back to how it
+   * stood right after it. Goes through update(), so it syncs and is
+   * journaled.
+   * @param {string} id
+   * @param {string} versionId
+   * @param {string} [field]
+   * @returns {Promise<boolean>} false when nothing needed changing
+   */
+  async revertHistory(id, versionId, field) {
+    const entry = this.getById(id);
+    if (!entry) throw new Error('Entry not found');
+    const target = stateAt(entry, await this.getHistory(id), versionId, { before: Boolean(field) });
+    if (!target) throw new Error('That version is no longer in the history');
+    const patch = revertPatch(entry, target, field ? [field] : undefined);
+    if (!Object.keys(patch).length) return false;
+    await this.update(id, patch, { historyAction: 'revert' });
+    return true;
+  }
+
   async reorderWtr(orderedKeys) {
     const changed = [];
     for (let i = 0; i < orderedKeys.length; i++) {
@@ -620,17 +1321,17 @@ export class BookRepository {
 
     if (!this._tarnService.isLoggedIn()) {
       this._entries = await this._cache.getAllActive();
-      this._emitChange();
+      this._emitChange({ announce: false });
       return;
     }
 
-    // Flush any debounced edits to the ops queue, then replay every queued
-    // op (create / edit / delete) against the remote. After this returns
-    // every successful local mutation has been written to Tarn; only failures
-    // remain pending. Doing this BEFORE pulling the delta ensures we never
-    // overwrite an in-flight local change with stale remote state.
-    await this.flushPendingEdits();
-    await this.replayPending();
+    // Pull BEFORE pushing. Local edits still waiting to upload are merged
+    // field by field with whatever the other devices wrote meanwhile
+    // (field_merge.js) — uploading first would overwrite those changes
+    // wholesale. An upload already on the wire is let finish first so its
+    // result is part of what the merge sees. The queued ops (create / edit /
+    // delete) are replayed after the delta is applied, see _pushPending().
+    await this._awaitUploadsInFlight();
 
     debugLog('[BookRepository] Syncing from Tarn (delta)...');
     this._emitSyncProgress({ phase: 'fetching' });
@@ -716,10 +1417,15 @@ export class BookRepository {
       // the in-memory list here rather than re-reading from cache after the
       // apply loop — both because it avoids an unnecessary IDB round trip
       // and because the test harnesses mock putEntry as a no-op fn.
+      //
+      // Entries already in memory are reused rather than their cache copies:
+      // a queued edit upload holds the in-memory object, and a merge below
+      // must land on the same object the upload will send.
+      const liveByBookId = new Map(this._entries.filter(e => e.bookId).map(e => [e.bookId, e]));
       const workingByBookId = new Map();
       for (const e of localAll) {
         if (e.status === 'tombstoned' || !e.bookId) continue;
-        workingByBookId.set(e.bookId, e);
+        workingByBookId.set(e.bookId, liveByBookId.get(e.bookId) || e);
       }
 
       // Apply deletes first. Idempotent: an Eid we don't recognize is a
@@ -730,36 +1436,38 @@ export class BookRepository {
         if (entry) {
           await this._cache.deleteById(entry.id);
           this._eidIndex.delete(eid);
-          if (entry.bookId) workingByBookId.delete(entry.bookId);
+          if (entry.bookId) {
+            workingByBookId.delete(entry.bookId);
+            // Deleted on another device: an edit here has nothing to land on.
+            this._clearQueuedEdit(entry.bookId);
+            if (this._cache.removeEditOp) await this._cache.removeEditOp(entry.bookId);
+          }
         }
       }
 
-      // Apply upserts. Skip any entry that has a local pending mutation —
-      // replayPending() above either succeeded (status was reset to
-      // 'confirmed') or failed (op still queued, will retry next sync).
-      // A still-pending entry means the user has uncommitted local edits
-      // that haven't reached the remote yet; overwriting would lose them.
+      // Apply upserts. An entry with a local pending mutation isn't simply
+      // overwritten — the user has local edits that haven't reached the
+      // remote yet. A not-yet-uploaded create is skipped (the replay below
+      // sends it); an edited remote-backed book is merged (_mergeRemote).
       let loaded = 0;
+      let newConflicts = 0;
       const PROGRESS_INTERVAL = 25; // emit every ~25 entries to balance UI updates vs event spam
+      // The SDK has already run the schema's migrations on each record
+      // (bookish_schema.js); the remote copy catches up on its next write.
       for (const { record, eid } of entries) {
         const local = workingByBookId.get(record.bookId);
-        if (local && local.status === 'pending') {
-          loaded++;
-          continue;
-        }
         // Local delete intent (queued op or tombstoned cache row) takes
         // precedence over a stale delta that still lists the record.
         if (pendingDeleteBookIds.has(record.bookId) || localTombstonedBookIds.has(record.bookId)) {
           loaded++;
           continue;
         }
-        // Local edit intent (queued/in-flight edit op) takes precedence over
-        // a stale delta (BK-3). Skipping the overwrite leaves the pending
-        // local edit intact; the next flush/replay uploads the edit. The
-        // cursor was already advanced inside getEntriesSince(), so the delta
-        // is acked and won't be re-fetched — we skip only the local-record
-        // overwrite, not the sync progress.
-        if (pendingEditBookIds.has(record.bookId)) {
+        // Local edit intent (pending entry, or a queued/in-flight edit op —
+        // BK-3) is never overwritten. The cursor was already advanced inside
+        // getEntriesSince(), so the delta is acked and won't be re-fetched:
+        // whatever the remote changed has to be folded in now or not at all.
+        if (local && (local.status === 'pending' || pendingEditBookIds.has(record.bookId))) {
+          if (isRemoteBackedEntry(local)) newConflicts += await this._mergeRemote(local, record, eid);
           loaded++;
           continue;
         }
@@ -771,7 +1479,12 @@ export class BookRepository {
           _committed: true,
           remoteBacked: true,
           _eid: eid,
+          _base: baseFromRecord(record, local?._base),
         };
+        // A conflict outlives our own merged upload coming back, and goes
+        // once the remote holds anything else (field_merge.openConflicts).
+        const stillOpen = openConflicts(local?._conflicts, record);
+        if (stillOpen.length) merged._conflicts = stillOpen;
         await this._cache.putEntry(merged);
         this._eidIndex.set(eid, merged);
         workingByBookId.set(record.bookId, merged);
@@ -792,13 +1505,108 @@ export class BookRepository {
 
       this._emitSyncProgress({ phase: 'complete', total: entries.length, deleted: deleted.length });
       this._emitChange();
+      if (newConflicts) this._emit('conflicts', this.getConflicts());
+      await this.purgeExpiredTrash();
     } catch (e) {
       console.error('[BookRepository] Sync failed:', e.message);
       this._emitSyncProgress({ phase: 'error', error: e.message });
       this._entries = await this._cache.getAllActive();
       this._emitChange();
+      // Local changes still go up when the pull fails (e.g. a delta the SDK
+      // couldn't decrypt); they were merged on the last good pull.
+      await this._pushPending();
       throw e;
     }
+
+    await this._pushPending();
+  }
+
+  /**
+   * Flush any debounced edits, then replay every queued op (create / edit /
+   * delete) against the remote. After this returns every successful local
+   * mutation has been written to Tarn; only failures remain pending.
+   */
+  async _pushPending() {
+    await this.flushPendingEdits();
+    await this.replayPending();
+  }
+
+  async _awaitUploadsInFlight() {
+    const inFlight = [...this._editQueue.values()].map(q => q.uploadPromise).filter(Boolean);
+    if (inFlight.length) await Promise.allSettled(inFlight);
+  }
+
+  /**
+   * Fold a remote record into a local entry that has unsynced edits
+   * (field_merge.js). Remote-only changes are applied, the entry's merge
+   * base moves to the remote record, and groups both sides changed
+   * differently are kept as local values with a conflict recorded for the
+   * reader to settle. The entry stays pending; _pushPending() uploads the
+   * merged result.
+   *
+   * An entry without a merge base (last synced before bases existed) keeps
+   * the old rule: local intent wins and the remote copy is skipped.
+   *
+   * @returns {Promise<number>} conflicts found
+   */
+  async _mergeRemote(local, record, eid) {
+    const outcome = mergeWithBase(local, record);
+    if (outcome.status !== 'merged') return 0;
+    const snapshot = { ...local };
+    for (const [field, value] of Object.entries(outcome.patch)) {
+      if (value === '') delete local[field];
+      else local[field] = value;
+    }
+    local._base = baseFromRecord(record, local._base);
+    local._eid = eid;
+    this._eidIndex.set(eid, local);
+    const open = withConflicts(openConflicts(local._conflicts, record), outcome.conflicts);
+    if (open.length) local._conflicts = open;
+    else delete local._conflicts;
+    if (this._cache) await this._cache.putEntry(local);
+    if (outcome.remoteGroups.length || outcome.conflicts.length) {
+      debugLog('[BookRepository] Merged', local.bookId, '— from remote:', outcome.remoteGroups.join(', ') || 'none', '· conflicts:', outcome.conflicts.map(c => c.group).join(', ') || 'none');
+    }
+    // Queue the merged entry for upload. An edit already queued just picks
+    // up the merged values when it flushes.
+    this._scheduleEditUpload(local.bookId, local, snapshot);
+    return outcome.conflicts.length;
+  }
+
+  // --- Concurrent-edit conflicts ---
+
+  /**
+   * Books with edits made on two devices that couldn't be merged, each with
+   * the conflicting field groups: `{ group, label, local, remote }`.
+   * @returns {Array<{bookId: string, title: string, author: string, conflicts: Array}>}
+   */
+  getConflicts() {
+    return this._entries
+      .filter(e => e.bookId && Array.isArray(e._conflicts) && e._conflicts.length)
+      .map(e => ({ bookId: e.bookId, title: e.title, author: e.author, conflicts: e._conflicts }));
+  }
+
+  /**
+   * Settle one conflict. 'local' keeps what this device has (already in
+   * place and uploaded); 'remote' takes the other device's values, as an
+   * ordinary edit.
+   * @param {string} bookId
+   * @param {string} group
+   * @param {'local'|'remote'} choice
+   */
+  async resolveConflict(bookId, group, choice) {
+    const entry = this.getById(bookId);
+    const conflict = entry?._conflicts?.find(c => c.group === group);
+    if (!conflict) return;
+    const rest = entry._conflicts.filter(c => c !== conflict);
+    if (rest.length) entry._conflicts = rest;
+    else delete entry._conflicts;
+    if (choice === 'remote') {
+      await this.update(bookId, groupPatch(group, conflict.remote));
+      return;
+    }
+    if (this._cache) await this._cache.putEntry(entry);
+    this._emitChange();
   }
 
   async replayPending() {
@@ -840,10 +1648,11 @@ export class BookRepository {
             const oldId = local.id;
             local.id = local.bookId;
             local.pending = false; local.status = 'confirmed'; local.seenRemote = true; local.remoteBacked = true;
+            local._base = baseFromRecord(payload, local._base);
             await this._cache.replaceProvisional(oldId, local);
             await this._cache.removeOp(op.id);
             this._emitChange();
-            if (local.is_private !== true) {
+            if (isSharedEntry(local)) {
               this._shareAndRefresh(client, local.bookId);
             }
           } catch (e) {
@@ -860,12 +1669,14 @@ export class BookRepository {
             const { patch, opts } = buildUpdateFromEntry(local);
             await updateTarnBook(client, local.bookId, patch, opts);
             local.pending = false; local.status = 'confirmed'; local.seenRemote = true; local.remoteBacked = true;
+            local._base = baseFromRecord(local, local._base);
             await this._cache.replaceProvisional(local.id, local);
             await this._cache.removeOp(op.id);
             this._emitChange();
             // Replay-side fan-out: stay-public → re-share (publishes the new
-            // tx_id). Private → unshare. Both paths idempotent on the SDK.
-            if (local.is_private !== true) {
+            // tx_id). Private or trashed → unshare. Both paths idempotent on
+            // the SDK.
+            if (isSharedEntry(local)) {
               this._shareAndRefresh(client, local.bookId);
             } else {
               unshareFromAllFriends(client, local.bookId).then(() => friends.invalidateFriendLibraryCache());
@@ -1014,7 +1825,11 @@ export class BookRepository {
     return true;
   }
 
-  async _uploadEditSnapshot(entryKey, liveEntry, uploadEntry, snapshot, uploadStartedModifiedAt) {
+  /**
+   * Upload one edit. With `batch`, the caller (_uploadBatch) emits the
+   * `change` and runs the share fan-out once for the whole batch.
+   */
+  async _uploadEditSnapshot(entryKey, liveEntry, uploadEntry, snapshot, uploadStartedModifiedAt, { batch = false } = {}) {
     if (!uploadEntry.bookId) return false;
 
     try {
@@ -1022,6 +1837,11 @@ export class BookRepository {
       const client = await this._tarnService.getClient();
       const { patch, opts } = buildUpdateFromEntry(uploadEntry);
       await updateTarnBook(client, uploadEntry.bookId, patch, opts);
+      // The remote now holds the uploaded groups — even if the live entry has
+      // moved on since, that's what the next merge compares against. Groups
+      // left out of the patch keep their old base, so another device's
+      // change to one of them still reads as remote-only at the next pull.
+      liveEntry._base = baseFromRecord(uploadEntry, liveEntry._base);
 
       const queueEntry = this._editQueue.get(entryKey);
       const changedDuringUpload = queueEntry?.hasPendingEdit || liveEntry.modifiedAt !== uploadStartedModifiedAt;
@@ -1033,26 +1853,24 @@ export class BookRepository {
         liveEntry.id = liveEntry.bookId;
 
         if (this._cache) await this._cache.replaceProvisional(liveEntry.id, liveEntry);
-        this._emitChange();
+        if (!batch) this._emitChange();
       }
 
       if (this._cache?.removeEditOp) await this._cache.removeEditOp(uploadEntry.bookId);
 
       this._emitError(null, null);
-
-      // Share-log fan-out:
-      //   - was public, stays public: re-share (re-publishes new tx_id)
-      //   - was public, now private: unshare from all
-      //   - was private, now public: share with all (fresh publish)
-      //   - was private, stays private: no-op
-      const wasPrivate = snapshot && snapshot.is_private === true;
-      const isPrivate = uploadEntry.is_private === true;
-      if (!wasPrivate && !isPrivate) {
+      if (batch) return true;
+
+      // Share-log fan-out ("shared" = public and not in the Trash):
+      //   - was shared, stays shared: re-share (re-publishes new tx_id)
+      //   - was shared, now private or trashed: unshare from all
+      //   - now shared (made public, or restored): share with all
+      //   - not shared before or after: no-op
+      const wasShared = !snapshot || isSharedEntry(snapshot);
+      if (isSharedEntry(uploadEntry)) {
         this._shareAndRefresh(client, uploadEntry.bookId);
-      } else if (!wasPrivate && isPrivate) {
+      } else if (wasShared) {
         unshareFromAllFriends(client, uploadEntry.bookId).then(() => friends.invalidateFriendLibraryCache());
-      } else if (wasPrivate && !isPrivate) {
-        this._shareAndRefresh(client, uploadEntry.bookId);
       }
 
       return true;
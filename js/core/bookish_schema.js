@@ -21,10 +21,81 @@
 // the BookRepository payload builder.
 
 import { defineSchema } from '../lib/tarn/tarn-client.bundle.js';
+import { dateStringToMsNoonUtc } from './id_core.js';
 
-export const bookishSchema = defineSchema({
+// --- Record migrations ---
+//
+// The SDK tags every entry with the schema version it was written under
+// and, as it reads one (get, list, getEntriesSince, and the current record
+// update() merges into), runs `migrations[v]` for every v from that
+// version up to `version` - 1. Entries from before the tag existed read as
+// v1. A step takes the record in the v shape and returns it in the v + 1
+// shape; it must be idempotent, because the same steps also run over
+// records that carry no version at all (core/schema_migrations.js).
+
+const DATE_FIELDS = ['dateRead', 'readingStartedAt', 'dnfAt'];
+
+/** A stored date in any legacy shape → noon-UTC ms, ms kept as is, else null. */
+function dateToMs(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const s = value.trim();
+  if (/^\d+$/.test(s)) return Number(s);
+  const day = dateStringToMsNoonUtc(s.slice(0, 10));
+  if (day != null) return day;
+  const parsed = Date.parse(s);
+  if (!Number.isFinite(parsed)) return null;
+  const d = new Date(parsed);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0, 0);
+}
+
+/** v5 → v6: reading dates as noon-UTC ms numbers. */
+function readingDatesToMs(record) {
+  const next = { ...record };
+  for (const field of DATE_FIELDS) {
+    if (next[field] == null || typeof next[field] === 'number') continue;
+    const ms = dateToMs(next[field]);
+    if (ms == null) delete next[field];
+    else next[field] = ms;
+  }
+  return next;
+}
+
+/**
+ * Fill each collection's chain with pass-through steps for the versions
+ * that only added optional fields, so the SDK doesn't warn about a gap on
+ * every older entry it reads.
+ */
+function withMigrationChain(def) {
+  const migrations = {};
+  for (const collection of Object.keys(def.collections)) {
+    const steps = def.migrations?.[collection] || {};
+    migrations[collection] = {};
+    for (let v = 1; v < def.version; v++) migrations[collection][v] = steps[v] || (record => record);
+  }
+  return { ...def, migrations };
+}
+
+export const bookishSchema = defineSchema(withMigrationChain({
   appId: 'bookish',
-  version: 6,
+  // Bumped whenever a field or enum value is added, so an older client
+  // skips records it can't validate instead of rejecting them:
+  //   7: books carry reading progress (`progressUnit`,
+  //      `progressValue`, `progressTotal`, `progressLog`).
+  //   8: books carry `readHistory` (re-reads).
+  //   9: `readingStatus` may be 'dnf', with `dnfAt` and `dnfStopPoint`.
+  //   10: books carry `series` and `seriesPosition`.
+  //   11: books carry `contributors`.
+  //   12: books carry edition facts (`pageCount`, `publisher`,
+  //       `publishYear`, `language`, `durationMinutes`).
+  //   13: the `quotes` collection.
+  //   14: the `lists` collection.
+  //   15: the `loans` collection.
+  //   16: books carry `trashedAt` (the Trash).
+  version: 16,
+  migrations: {
+    books: { 5: readingDatesToMs },
+  },
   collections: {
     profiles: {
       primaryKey: 'profileId',
@@ -40,6 +111,12 @@ export const bookishSchema = defineSchema({
         bookId: 'string',
         title: 'string',
         author: 'string?',
+        // Everyone credited, in order: [{ name, role }] with role one of
+        // author / co-author / translator / narrator / editor / illustrator.
+        // `author` above is derived from it for display (see
+        // core/contributors.js); records from before it existed have
+        // `author` only.
+        contributors: 'json?',
         // 'print' / 'audio' are the generic values the add-book form
         // emits today (see public/index.html option values + mapFormat()
         // in app.js). 'paperback' / 'hardcover' / 'audiobook' are reserved
@@ -49,10 +126,44 @@ export const bookishSchema = defineSchema({
         format: { type: 'string', enum: ['print', 'paperback', 'hardcover', 'ebook', 'audiobook', 'audio', 'other'] },
 
         // Read-shelf metadata. dateRead is a ms-epoch number at noon UTC
-        // (legacy YYYY-MM-DD strings were normalized away pre-migration).
+        // (legacy YYYY-MM-DD strings are rewritten by the v5 → v6
+        // migration above).
         dateRead: 'number?',
-        readingStatus: { type: 'string', enum: ['want_to_read', 'reading', 'read'], required: false },
+        readingStatus: { type: 'string', enum: ['want_to_read', 'reading', 'read', 'dnf'], required: false },
         readingStartedAt: 'number?',
+        // Did-not-finish details, only while readingStatus is 'dnf':
+        // dnfAt is the day the book was put down (noon-UTC ms) and
+        // dnfStopPoint where, in the reader's words ("p. 120", "chapter 7").
+        dnfAt: 'number?',
+        dnfStopPoint: 'string?',
+        // Every completed read, oldest first: [{ date, format?, rating? }]
+        // with noon-UTC dates. dateRead mirrors the latest one. Records from
+        // before re-reads existed have dateRead only (see read_history.js).
+        readHistory: 'json?',
+
+        // Reading progress (see core/reading_progress.js). progressValue is
+        // a page, a percent or minutes listened, per progressUnit;
+        // progressTotal is the page count / runtime it is measured against.
+        // progressLog is the timestamped update history,
+        // [{ at, unit, value, total? }], oldest first and capped.
+        progressUnit: { type: 'string', enum: ['page', 'percent', 'minutes'], required: false },
+        progressValue: 'number?',
+        progressTotal: 'number?',
+        progressLog: 'json?',
+
+        // Series (see core/series.js): the name as shown and the book's
+        // number in it — fractional for in-between novellas (2.5).
+        series: 'string?',
+        seriesPosition: 'number?',
+
+        // Edition facts (see core/edition_meta.js): the edition the reader
+        // has, not the work. publishYear is a 4-digit year, language a
+        // display name ("English"), durationMinutes an audiobook's length.
+        pageCount: 'number?',
+        publisher: 'string?',
+        publishYear: 'number?',
+        language: 'string?',
+        durationMinutes: 'number?',
 
         // Want-to-read sort position (0 = top of WTR list).
         wtrPosition: 'integer?',
@@ -86,13 +197,73 @@ export const bookishSchema = defineSchema({
         // Whether the user owns this copy (paperback / hardcover toggle).
         owned: 'boolean?',
 
+        // When the book was moved to the Trash (ms); absent when it isn't
+        // there. Trashed books are hidden and purged after 30 days (see
+        // core/trash.js).
+        trashedAt: 'number?',
+
         // Audit timestamps.
         createdAt: 'number?',
         modifiedAt: 'number?',
       },
       shareable: true,
     },
+    // Passages saved from a book (see core/quotes.js), kept apart from the
+    // book's notes so each one carries its own location and comment.
+    // bookId is the book's primary key. Private unless `shared` is true —
+    // the opposite default to books' is_private.
+    quotes: {
+      primaryKey: 'quoteId',
+      fields: {
+        quoteId: 'string',
+        bookId: 'string',
+        text: 'string',
+        // Page or location as the reader wrote it ("p. 42", "loc. 1234").
+        location: 'string?',
+        comment: 'string?',
+        shared: 'boolean?',
+        createdAt: 'number?',
+        modifiedAt: 'number?',
+      },
+      shareable: true,
+    },
+    // Reader-made lists (see core/lists.js). bookIds is the list in order,
+    // top first — a book can be on any number of lists. Private unless
+    // `shared` is true, like quotes.
+    lists: {
+      primaryKey: 'listId',
+      fields: {
+        listId: 'string',
+        name: 'string',
+        description: 'string?',
+        bookIds: 'json?',
+        shared: 'boolean?',
+        createdAt: 'number?',
+        modifiedAt: 'number?',
+      },
+      shareable: true,
+    },
+    // Books lent out or borrowed (see core/loans.js). Deliberately NOT
+    // shareable: who has the reader's books is never published to friends.
+    // Dates are noon-UTC ms; a loan without returnedAt is outstanding.
+    loans: {
+      primaryKey: 'loanId',
+      fields: {
+        loanId: 'string',
+        bookId: 'string',
+        direction: { type: 'string', enum: ['lent', 'borrowed'] },
+        // Who has it / who lent it, as shown. friendSharePub links the
+        // loan to a friend connection when it was picked from the list.
+        person: 'string',
+        friendSharePub: 'string?',
+        loanedAt: 'number',
+        dueAt: 'number?',
+        returnedAt: 'number?',
+        createdAt: 'number?',
+        modifiedAt: 'number?',
+      },
+    },
   },
-});
+}));
 
 export default bookishSchema;
@@ -18,7 +18,9 @@ export async function computeContentHash(entry) {
 
 /**
  * Deterministic winner selection for conflict resolution.
- * Single source of truth — used by all dedup/merge layers.
+ * Single source of truth — used by all dedup/merge layers that keep one
+ * whole record. Concurrent edits to the same book are merged field by
+ * field in BookRepository.sync() instead (core/field_merge.js).
  * @param {Object} a
  * @param {Object} b
  * @returns {Object} the winning entry
@@ -0,0 +1,241 @@
+// contributors.js — Who made the book, and in what role.
+//
+// `contributors` on a book record is the ordered list of people credited:
+//
+//   [{ name, role }]   role: author | co-author | translator | narrator |
+//                            editor | illustrator
+//
+// `author` stays on the record as the display string derived from it — the
+// author and co-author names joined with " & " — so cards, sorting, exports,
+// friends' shelves and older clients keep working off one string.
+//
+// Migration is lazy, like read_history.js: a record with only `author`
+// reads back through contributorsOf() as that string split into names. The
+// list is written when it carries something the string can't (search
+// results, the detail page's contributors panel). If an older client edited
+// `author` under a stored list, the string wins for the author roles and the
+// other roles are kept.
+//
+// Pure — no DOM, no repository.
+
+import { normalizeAuthorKey } from './search_core.js';
+
+export const CONTRIBUTOR_ROLES = Object.freeze({
+  AUTHOR: 'author',
+  CO_AUTHOR: 'co-author',
+  TRANSLATOR: 'translator',
+  NARRATOR: 'narrator',
+  EDITOR: 'editor',
+  ILLUSTRATOR: 'illustrator',
+});
+
+export const CONTRIBUTOR_ROLE_LABELS = Object.freeze({
+  [CONTRIBUTOR_ROLES.AUTHOR]: 'Author',
+  [CONTRIBUTOR_ROLES.CO_AUTHOR]: 'Co-author',
+  [CONTRIBUTOR_ROLES.TRANSLATOR]: 'Translator',
+  [CONTRIBUTOR_ROLES.NARRATOR]: 'Narrator',
+  [CONTRIBUTOR_ROLES.EDITOR]: 'Editor',
+  [CONTRIBUTOR_ROLES.ILLUSTRATOR]: 'Illustrator',
+});
+
+const ROLE_VALUES = new Set(Object.values(CONTRIBUTOR_ROLES));
+const MAX_NAME_LENGTH = 200;
+const MAX_CONTRIBUTORS = 50;
+
+// "Translated by X" / "X (Translator)" and friends. Checked in order.
+const ROLE_HINTS = [
+  [CONTRIBUTOR_ROLES.TRANSLATOR, /\btrans(?:lat(?:ed|or|ion)|\.)/i],
+  [CONTRIBUTOR_ROLES.NARRATOR, /\b(?:narrat(?:ed|or)|read by|performed by)\b/i],
+  [CONTRIBUTOR_ROLES.ILLUSTRATOR, /\billustrat(?:ed|or|ions?)\b/i],
+  [CONTRIBUTOR_ROLES.EDITOR, /\b(?:edited|editor|ed\.)(?=\s|\)|$)/i],
+];
+const ROLE_WORDS_RE = /\(?\s*\b(?:(?:translated|narrated|read|performed|edited|illustrated)\s+by|trans(?:lator|\.)|narrator|editor|ed\.|illustrator|illustrations\s+by)\s*\)?:?/gi;
+
+// iTunes folds audiobook publishers into artistName ("Nikolai Gogol, Classic
+// Audiobooks & Hörbuch Klassiker"). Chunks like these are not people.
+const NOT_A_PERSON_RE = /\b(?:audio(?:books?)?|publishing|publishers?|press|media|productions?|studios?|h[öo]rb[üu]ch(?:er)?|klassiker|ltd|inc|llc|gmbh|entertainment|records|various authors?|anonymous)\b/i;
+
+// A credential on its own after a comma ("Bessel van der Kolk, M.D.") belongs
+// to the name before it.
+const CREDENTIAL_RE = /^(?:M\.?\s*D\.?|Ph\.?\s*D\.?|MD|PhD|Esq\.?|Jr\.?|Sr\.?|III|II|IV|MBA|MSW|RN|MS|MA|BA)$/i;
+
+function cleanName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function nameKey(name) {
+  return normalizeAuthorKey(name) || cleanName(name).toLowerCase();
+}
+
+function isAuthorRole(role) {
+  return role === CONTRIBUTOR_ROLES.AUTHOR || role === CONTRIBUTOR_ROLES.CO_AUTHOR;
+}
+
+/**
+ * Drop malformed rows, unknown roles become author, and the same person in
+ * the same role is listed once.
+ * @param {*} list
+ * @returns {Array<{name: string, role: string}>}
+ */
+export function sanitizeContributors(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  const seen = new Set();
+  for (const c of list) {
+    const name = cleanName(typeof c === 'string' ? c : c?.name);
+    if (!name) continue;
+    const role = ROLE_VALUES.has(c?.role) ? c.role : CONTRIBUTOR_ROLES.AUTHOR;
+    const key = `${role}|${nameKey(name)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ name, role });
+    if (out.length >= MAX_CONTRIBUTORS) break;
+  }
+  return out;
+}
+
+// First listed author is the author; everyone after them a co-author.
+function rankAuthors(list) {
+  let first = true;
+  return list.map(c => {
+    if (!isAuthorRole(c.role)) return c;
+    const role = first ? CONTRIBUTOR_ROLES.AUTHOR : CONTRIBUTOR_ROLES.CO_AUTHOR;
+    first = false;
+    return { ...c, role };
+  });
+}
+
+/**
+ * Split a free-text author credit into contributors. Same splitting rules
+ * as omnibox_merge.firstAuthorOnly — " & " and ";" always, ", " only when
+ * the part before it has at least two words, so "Gogol, Nikolai" stays one
+ * name — plus role hints ("translated by", "(Narrator)") and dropping
+ * publisher chunks.
+ *
+ * @param {string} text - e.g. "Haruki Murakami & Jay Rubin (Translator)"
+ * @returns {Array<{name: string, role: string}>}
+ */
+export function parseContributorString(text) {
+  const chunks = [];
+  for (const part of String(text || '').split(/\s+&\s+|\s*;\s*/)) {
+    const s = part.trim();
+    if (!s) continue;
+    const commaIdx = s.indexOf(', ');
+    const head = commaIdx === -1 ? '' : s.slice(0, commaIdx).trim();
+    if (head && head.split(/\s+/).filter(Boolean).length >= 2) chunks.push(...s.split(/\s*,\s+/));
+    else chunks.push(s);
+  }
+  const out = [];
+  for (const chunk of chunks) {
+    if (CREDENTIAL_RE.test(chunk.trim()) && out.length) {
+      out[out.length - 1].name += `, ${chunk.trim()}`;
+      continue;
+    }
+    const hint = ROLE_HINTS.find(([, re]) => re.test(chunk));
+    const name = cleanName(chunk.replace(ROLE_WORDS_RE, ' ').replace(/[()]/g, ' '));
+    if (!name || NOT_A_PERSON_RE.test(name)) continue;
+    out.push({ name, role: hint ? hint[0] : CONTRIBUTOR_ROLES.AUTHOR });
+  }
+  return sanitizeContributors(rankAuthors(out));
+}
+
+/**
+ * Contributors from a list of author names (Open Library `author_name`).
+ * @param {string[]} names
+ * @returns {Array<{name: string, role: string}>}
+ */
+export function contributorsFromNames(names) {
+  const list = (Array.isArray(names) ? names : [])
+    .map(name => ({ name, role: CONTRIBUTOR_ROLES.AUTHOR }));
+  return rankAuthors(sanitizeContributors(list));
+}
+
+/**
+ * The display `author` for a contributor list: author and co-author names,
+ * in order, joined with " & ".
+ * @param {Array<{name: string, role: string}>} list
+ * @returns {string}
+ */
+export function displayAuthor(list) {
+  return sanitizeContributors(list)
+    .filter(c => isAuthorRole(c.role))
+    .map(c => c.name)
+    .join(' & ');
+}
+
+/**
+ * Replace the author roles of a list with the names in an author string,
+ * keeping translators, narrators etc. An unchanged string returns the list
+ * as it was, so the roles the reader picked survive a re-save.
+ * @param {Array<{name: string, role: string}>} list
+ * @param {string} author
+ * @returns {Array<{name: string, role: string}>}
+ */
+export function withAuthors(list, author) {
+  const current = sanitizeContributors(list);
+  if (cleanName(author) === displayAuthor(current)) return current;
+  const authors = parseContributorString(author).filter(c => isAuthorRole(c.role));
+  const others = current.filter(c => !isAuthorRole(c.role));
+  return [...authors, ...others];
+}
+
+/**
+ * The book's contributors. Never mutates the entry.
+ * @param {Object} entry
+ * @returns {Array<{name: string, role: string}>}
+ */
+export function contributorsOf(entry) {
+  const stored = sanitizeContributors(entry?.contributors);
+  if (!stored.length) return parseContributorString(entry?.author);
+  return withAuthors(stored, entry?.author ?? displayAuthor(stored));
+}
+
+/**
+ * Every name credited with writing the book (author and co-authors).
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+export function authorNames(entry) {
+  return contributorsOf(entry).filter(c => isAuthorRole(c.role)).map(c => c.name);
+}
+
+/**
+ * Every credited name, in any role — what shelf search matches on.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+export function contributorNames(entry) {
+  return contributorsOf(entry).map(c => c.name);
+}
+
+/**
+ * Normalized keys (search_core.normalizeAuthorKey) for every author and
+ * co-author, for matching a book across shelves by any of its authors.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+export function authorKeys(entry) {
+  return [...new Set(authorNames(entry).map(normalizeAuthorKey).filter(Boolean))];
+}
+
+/**
+ * "Translated by Jay Rubin · Narrated by Kirby Heyborne" — the credits the
+ * display author doesn't show.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function formatOtherContributors(entry) {
+  const byRole = new Map();
+  for (const c of contributorsOf(entry)) {
+    if (isAuthorRole(c.role)) continue;
+    if (!byRole.has(c.role)) byRole.set(c.role, []);
+    byRole.get(c.role).push(c.name);
+  }
+  const verbs = {
+    [CONTRIBUTOR_ROLES.TRANSLATOR]: 'Translated by',
+    [CONTRIBUTOR_ROLES.NARRATOR]: 'Narrated by',
+    [CONTRIBUTOR_ROLES.EDITOR]: 'Edited by',
+    [CONTRIBUTOR_ROLES.ILLUSTRATOR]: 'Illustrated by',
+  };
+  return [...byRole].map(([role, names]) => `${verbs[role]} ${names.join(' & ')}`).join(' · ');
+}
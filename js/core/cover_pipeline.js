@@ -1,6 +1,7 @@
 // cover_pipeline.js
 // Extracted pure and async functions from book_search.js for testability.
-import { rankCover } from './search_core.js';
+import { rankCover, extractISBN10s } from './search_core.js';
+import { editionMetaFromOLEdition } from './edition_meta.js';
 
 /**
  * Minimum blob size (bytes) to consider a cover image real (not a placeholder).
@@ -77,7 +78,8 @@ export function filterEnglishRawEditions(rawEntries) {
 /**
  * Build normalized OL edition objects from raw API entries.
  * Filters to English editions (falls back to all if none found),
- * deduplicates by cover URL, sorts covers first.
+ * deduplicates by cover URL, sorts covers first. Each carries its
+ * `edition` facts (page count, publisher, year, language) for the picker.
  * @param {Array} rawEntries - Raw entries from OL /works/{id}/editions.json
  * @returns {{ editions: Array, seenCovers: Set }}
  */
@@ -88,7 +90,8 @@ export function buildOLEditions(rawEntries) {
     cover_url: e.covers && e.covers.length
       ? `https://covers.openlibrary.org/b/id/${e.covers[0]}-L.jpg` : '',
     language: e.languages
-      ? e.languages.map(l => (l.key || '').replace('/languages/', '')) : []
+      ? e.languages.map(l => (l.key || '').replace('/languages/', '')) : [],
+    edition: editionMetaFromOLEdition(e)
   }));
   const engOnly = olEditions.filter(e => isEnglishBook(e));
   let baseEditions = (engOnly.length ? engOnly : olEditions).slice();
@@ -132,6 +135,26 @@ export function buildCoverEdition(coverData, meta) {
   };
 }
 
+/**
+ * ISBN-10 → edition facts for raw OL edition entries, so a cover found by
+ * ISBN (Amazon, OL cover-by-ISBN) knows which edition it belongs to. The
+ * first edition listing an ISBN wins.
+ * @param {Array} rawEntries - Raw entries from OL /works/{id}/editions.json
+ * @returns {Map<string, Object>}
+ */
+export function editionMetaByIsbn10(rawEntries) {
+  const out = new Map();
+  for (const raw of rawEntries || []) {
+    const isbns = extractISBN10s([raw]);
+    if (!isbns.length) continue;
+    const meta = editionMetaFromOLEdition(raw);
+    for (const isbn of isbns) {
+      if (!out.has(isbn)) out.set(isbn, meta);
+    }
+  }
+  return out;
+}
+
 /**
  * Default image dimension getter using Image element.
  * Separated for testability - tests can inject a mock via deps.getImageDims.
@@ -0,0 +1,102 @@
+// csv_core.js — Pure delimited-text parsing and writing.
+//
+// Handles the RFC 4180 shape that Goodreads (and most spreadsheet tools)
+// emit: quoted fields, doubled quotes inside a quoted field, embedded
+// newlines, and CRLF line endings. No DOM, no globals — importers hand in
+// the file's text and get plain row objects back; the CSV export hands in
+// cells and gets text back.
+
+/**
+ * Split delimited text into an array of rows (each an array of cell strings).
+ * Blank lines are dropped. A leading UTF-8 BOM is ignored.
+ *
+ * @param {string} text
+ * @param {{delimiter?: string}} [opts] - single-character delimiter (default ',')
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, { delimiter = ',' } = {}) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    cell = '';
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { cell += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * Parse delimited text whose first row is a header into one object per data
+ * row, keyed by the (trimmed) header names. Short rows get '' for missing cells.
+ *
+ * @param {string} text
+ * @param {{delimiter?: string}} [opts]
+ * @returns {{headers: string[], records: Object<string, string>[]}}
+ */
+export function parseDelimitedRecords(text, opts) {
+  const [headerRow, ...dataRows] = parseDelimited(text, opts);
+  if (!headerRow) return { headers: [], records: [] };
+  const headers = headerRow.map(h => h.trim());
+  const records = dataRows.map(cells => {
+    const rec = {};
+    headers.forEach((h, i) => { rec[h] = cells[i] ?? ''; });
+    return rec;
+  });
+  return { headers, records };
+}
+
+/**
+ * Quote a cell for delimited output when it contains the delimiter, a quote,
+ * or a line break (RFC 4180 — inner quotes are doubled).
+ *
+ * @param {*} value - stringified; null/undefined become ''
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function escapeDelimitedCell(value, delimiter = ',') {
+  const str = value == null ? '' : String(value);
+  if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Serialize rows of cells into delimited text (one header row first).
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @param {{delimiter?: string}} [opts]
+ * @returns {string}
+ */
+export function toDelimited(headers, rows, { delimiter = ',' } = {}) {
+  const line = cells => cells.map(c => escapeDelimitedCell(c, delimiter)).join(delimiter);
+  return [line(headers), ...rows.map(line)].join('\n');
+}
@@ -0,0 +1,151 @@
+// csv_export.js — Configurable CSV export: columns, filters, date format, delimiter.
+//
+// Pure logic behind the Data Export view's CSV sheet. The column list covers
+// every field on the `books` collection in bookish_schema.js except the
+// cover art (coverImage / mimeType / coverFit / coverCrop): base64 image
+// data overflows spreadsheet cells, and the JSON backup is the lossless path
+// for those. The default selection is the original six-column layout, so a
+// user who never opens the picker gets the same file as before.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { groupByYear } from './shelf_filter.js';
+import { readHistoryOf } from './read_history.js';
+import { formatSeriesPosition } from './series.js';
+import { formatDuration } from './edition_meta.js';
+import { toDelimited } from './csv_core.js';
+
+const STATUS_LABELS = {
+  [READING_STATUS.WANT_TO_READ]: 'Want to Read',
+  [READING_STATUS.READING]: 'Reading',
+  [READING_STATUS.READ]: 'Read',
+  [READING_STATUS.DNF]: 'Did Not Finish',
+};
+
+/** Date formats offered in the picker. All render in UTC (noon-UTC dates). */
+export const CSV_DATE_FORMATS = {
+  iso: { label: 'YYYY-MM-DD', format: (y, m, d) => `${y}-${m}-${d}` },
+  us: { label: 'MM/DD/YYYY', format: (y, m, d) => `${m}/${d}/${y}` },
+  eu: { label: 'DD/MM/YYYY', format: (y, m, d) => `${d}/${m}/${y}` },
+};
+
+/** Delimiters offered in the picker. */
+export const CSV_DELIMITERS = {
+  comma: { label: 'Comma', char: ',' },
+  semicolon: { label: 'Semicolon', char: ';' },
+  tab: { label: 'Tab', char: '\t' },
+};
+
+function formatDate(ms, dateFormat) {
+  if (ms == null || ms === '') return '';
+  const d = new Date(typeof ms === 'number' ? ms : Number(ms));
+  if (isNaN(d.getTime())) return '';
+  const fmt = CSV_DATE_FORMATS[dateFormat] || CSV_DATE_FORMATS.iso;
+  return fmt.format(
+    String(d.getUTCFullYear()),
+    String(d.getUTCMonth() + 1).padStart(2, '0'),
+    String(d.getUTCDate()).padStart(2, '0'),
+  );
+}
+
+function yesNo(v) {
+  return typeof v === 'boolean' ? (v ? 'Yes' : 'No') : '';
+}
+
+/**
+ * Tags as a list, whichever shape the entry carries (comma string or array).
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+export function entryTags(entry) {
+  const raw = entry?.tags;
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+  return list.map(t => String(t ?? '').trim()).filter(Boolean);
+}
+
+/**
+ * Every exportable column, in file order. `value(entry, opts)` returns the
+ * raw cell (escaping happens in toDelimited).
+ */
+export const CSV_EXPORT_COLUMNS = [
+  { key: 'title', label: 'Title', defaultOn: true, value: e => e.title || '' },
+  { key: 'author', label: 'Author', defaultOn: true, value: e => e.author || '' },
+  { key: 'readingStatus', label: 'Status', value: e => STATUS_LABELS[normalizeReadingStatus(e)] },
+  { key: 'dateRead', label: 'Date Read', defaultOn: true, value: (e, o) => formatDate(e.dateRead, o.dateFormat) },
+  { key: 'readCount', label: 'Read Count', value: e => readHistoryOf(e).length || '' },
+  { key: 'readingStartedAt', label: 'Started', value: (e, o) => formatDate(e.readingStartedAt, o.dateFormat) },
+  { key: 'rating', label: 'Rating', defaultOn: true, value: e => e.rating || '' },
+  { key: 'format', label: 'Format', defaultOn: true, value: e => e.format || '' },
+  { key: 'notes', label: 'Notes', defaultOn: true, value: e => e.notes || '' },
+  { key: 'tags', label: 'Tags', value: e => entryTags(e).join(', ') },
+  { key: 'series', label: 'Series', value: e => e.series || '' },
+  { key: 'seriesPosition', label: 'Series Number', value: e => (e.series ? formatSeriesPosition(e.seriesPosition) : '') },
+  { key: 'pageCount', label: 'Pages', value: e => e.pageCount || '' },
+  { key: 'publisher', label: 'Publisher', value: e => e.publisher || '' },
+  { key: 'publishYear', label: 'Year Published', value: e => e.publishYear || '' },
+  { key: 'language', label: 'Language', value: e => e.language || '' },
+  { key: 'durationMinutes', label: 'Duration', value: e => formatDuration(e.durationMinutes) },
+  { key: 'owned', label: 'Owned', value: e => yesNo(e.owned) },
+  { key: 'is_private', label: 'Private', value: e => (e.is_private === true ? 'Yes' : 'No') },
+  { key: 'isbn13', label: 'ISBN-13', value: e => e.isbn13 || '' },
+  { key: 'work_key', label: 'Work Key', value: e => e.work_key || '' },
+  { key: 'wtrPosition', label: 'Want to Read Position', value: e => (e.wtrPosition ?? '') },
+  { key: 'bookId', label: 'Book ID', value: e => e.bookId || '' },
+  { key: 'createdAt', label: 'Created', value: (e, o) => formatDate(e.createdAt, o.dateFormat) },
+  { key: 'modifiedAt', label: 'Modified', value: (e, o) => formatDate(e.modifiedAt, o.dateFormat) },
+];
+
+/** Column keys selected when the user hasn't chosen any (the legacy layout). */
+export const DEFAULT_CSV_COLUMNS = CSV_EXPORT_COLUMNS.filter(c => c.defaultOn).map(c => c.key);
+
+/**
+ * Apply the sheet's filters. Year uses the shelf's own grouping
+ * (groupByYear), so "2024" exports exactly what the 2024 shelf shows.
+ *
+ * @param {Object[]} entries
+ * @param {{statuses?: string[], year?: string, tag?: string}} [filters]
+ *   statuses: READING_STATUS values to keep (empty/absent = all);
+ *   year: 'YYYY' or 'Undated' (absent = all); tag: case-insensitive match
+ * @returns {Object[]}
+ */
+export function filterForExport(entries, { statuses, year, tag } = {}) {
+  let list = (entries || []).filter(e => e && e.status !== 'tombstoned' && !e._deleting);
+  if (statuses?.length) list = list.filter(e => statuses.includes(normalizeReadingStatus(e)));
+  if (tag) {
+    const t = tag.toLowerCase();
+    list = list.filter(e => entryTags(e).some(x => x.toLowerCase() === t));
+  }
+  if (year) list = groupByYear(list).get(year) || [];
+  return list;
+}
+
+/**
+ * Years and tags present in the library — the choices for the filter pickers.
+ * @param {Object[]} entries
+ * @returns {{years: string[], tags: string[]}}
+ */
+export function exportFilterOptions(entries) {
+  const years = [...groupByYear(entries || []).keys()];
+  const byLower = new Map();
+  for (const e of entries || []) {
+    for (const t of entryTags(e)) if (!byLower.has(t.toLowerCase())) byLower.set(t.toLowerCase(), t);
+  }
+  const tags = [...byLower.values()].sort((a, b) => a.localeCompare(b));
+  return { years, tags };
+}
+
+/**
+ * Build the CSV text.
+ * @param {Object[]} entries - already filtered
+ * @param {{columns?: string[], dateFormat?: string, delimiter?: string}} [opts]
+ *   columns: keys from CSV_EXPORT_COLUMNS (file order is the list's order);
+ *   delimiter: a CSV_DELIMITERS key
+ * @returns {string}
+ */
+export function buildCsvExport(entries, { columns = DEFAULT_CSV_COLUMNS, dateFormat = 'iso', delimiter = 'comma' } = {}) {
+  const wanted = new Set(columns);
+  const cols = CSV_EXPORT_COLUMNS.filter(c => wanted.has(c.key));
+  const opts = { dateFormat };
+  const rows = (entries || []).map(e => cols.map(c => c.value(e, opts)));
+  const char = (CSV_DELIMITERS[delimiter] || CSV_DELIMITERS.comma).char;
+  return toDelimited(cols.map(c => c.label), rows, { delimiter: char });
+}
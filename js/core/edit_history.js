@@ -0,0 +1,241 @@
+// edit_history.js — A local journal of each book's edits, for undoing them.
+//
+// Every update, status change, reading-snapshot restore and batch edit the
+// repository makes is recorded as one version per book: the fields it
+// changed, each with the value before and after, when, and on which device.
+//
+//   { id, bookId, at, action, device, changes: [{ field, from, to }] }
+//
+// `from` / `to` are null for "not set". A version stores only the fields
+// that changed, so the record as it was at any point is reached by walking
+// back from the current one (stateAt). Reverting — one field to before an
+// edit, or the whole record to how it stood after one — is a patch for
+// BookRepository.update(), so it syncs and is journaled like any other
+// edit.
+//
+// The journal lives in IndexedDB only (cache.js `history` store) and never
+// syncs; its size is bounded per book and overall (HISTORY_LIMITS). Cover
+// art and the progress log aren't journaled — the cover is a large base64
+// blob, and the progress log is itself a history — and nor is trashedAt:
+// the Trash is its own undo.
+//
+// Pure — no DOM, no IndexedDB.
+
+import { bookishSchema } from './bookish_schema.js';
+import { formatDateReadDisplay } from './id_core.js';
+
+export const HISTORY_LIMITS = Object.freeze({
+  perBook: 50,
+  total: 2000,
+});
+
+const UNJOURNALED_FIELDS = new Set([
+  'bookId', 'createdAt', 'modifiedAt',
+  'coverImage', 'mimeType', 'coverFit', 'coverCrop',
+  'progressLog', 'trashedAt',
+]);
+
+/** The book fields a version can record. */
+export const JOURNALED_FIELDS = Object.freeze(
+  Object.keys(bookishSchema.collections.books.fields).filter(f => !UNJOURNALED_FIELDS.has(f)),
+);
+
+const FIELD_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  contributors: 'Contributors',
+  format: 'Format',
+  dateRead: 'Date read',
+  readingStatus: 'Status',
+  readingStartedAt: 'Started',
+  dnfAt: 'Stopped',
+  dnfStopPoint: 'Stopped at',
+  readHistory: 'Reads',
+  progressUnit: 'Progress unit',
+  progressValue: 'Progress',
+  progressTotal: 'Progress total',
+  series: 'Series',
+  seriesPosition: 'Series number',
+  pageCount: 'Pages',
+  publisher: 'Publisher',
+  publishYear: 'Year published',
+  language: 'Language',
+  durationMinutes: 'Duration',
+  wtrPosition: 'Reading-list order',
+  work_key: 'Work key',
+  isbn13: 'ISBN',
+  is_private: 'Privacy',
+  notes: 'Notes',
+  rating: 'Rating',
+  tags: 'Tags',
+  owned: 'Owned',
+};
+
+const ACTION_LABELS = {
+  update: 'Edited',
+  status: 'Status changed',
+  snapshot: 'Status undone',
+  revert: 'Reverted',
+  batch: 'Batch edit',
+};
+
+const STATUS_LABELS = {
+  want_to_read: 'Want to read',
+  reading: 'Reading',
+  read: 'Read',
+  dnf: 'Did not finish',
+};
+
+const DATE_FIELDS = new Set(['dateRead', 'readingStartedAt', 'dnfAt']);
+
+/** '' and [] mean "not set", as on the wire. */
+function normalizeValue(value) {
+  if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) return null;
+  return value;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The journaled fields that differ between two versions of a record.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function diffRecords(before, after) {
+  const changes = [];
+  for (const field of JOURNALED_FIELDS) {
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+    if (!sameValue(from, to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * A journal version for one edit, or null when it changed nothing
+ * journaled.
+ * @param {Object} opts
+ * @param {string} opts.bookId
+ * @param {'update'|'status'|'snapshot'|'revert'|'batch'} opts.action
+ * @param {Object} opts.before
+ * @param {Object} opts.after
+ * @param {string} [opts.device]
+ * @param {number} [opts.now]
+ * @returns {Object|null}
+ */
+export function buildHistoryEntry({ bookId, action, before, after, device = '', now = Date.now() }) {
+  if (!bookId) return null;
+  const changes = diffRecords(before, after);
+  if (!changes.length) return null;
+  return {
+    id: `h-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    bookId,
+    at: now,
+    action,
+    device,
+    changes,
+  };
+}
+
+/**
+ * Newest first; ties (two edits in one millisecond) keep insertion order
+ * reversed by id.
+ * @param {Object[]} versions
+ * @returns {Object[]}
+ */
+export function sortHistory(versions) {
+  return [...(versions || [])].sort((a, b) => (b.at - a.at) || (a.id < b.id ? 1 : -1));
+}
+
+/**
+ * The record as it stood right after a version (or, with `before`, just
+ * before it), reached by undoing every later version from the current one.
+ * @param {Object} current
+ * @param {Object[]} versions - the book's journal
+ * @param {string} versionId
+ * @param {{before?: boolean}} [opts]
+ * @returns {Object|null} null when the version isn't in the journal
+ */
+export function stateAt(current, versions, versionId, { before = false } = {}) {
+  const sorted = sortHistory(versions);
+  const index = sorted.findIndex(v => v.id === versionId);
+  if (index < 0) return null;
+  const state = { ...current };
+  for (const version of sorted.slice(0, before ? index + 1 : index)) {
+    for (const { field, from } of version.changes || []) state[field] = from;
+  }
+  return state;
+}
+
+/**
+ * A BookRepository.update() patch that puts fields back to the given
+ * values — '' clears a field.
+ * @param {Object} current
+ * @param {Object} target
+ * @param {string[]} [fields] - default: every journaled field
+ * @returns {Object} empty when nothing would change
+ */
+export function revertPatch(current, target, fields = JOURNALED_FIELDS) {
+  const patch = {};
+  for (const field of fields) {
+    const want = normalizeValue(target?.[field]);
+    if (sameValue(normalizeValue(current?.[field]), want)) continue;
+    patch[field] = want == null ? '' : want;
+  }
+  return patch;
+}
+
+/**
+ * Which versions to drop so the journal fits HISTORY_LIMITS: the oldest
+ * beyond `perBook` for each book, then the oldest overall beyond `total`.
+ * @param {Object[]} versions
+ * @param {{perBook?: number, total?: number}} [limits]
+ * @returns {string[]} ids to delete
+ */
+export function historyOverflow(versions, { perBook = HISTORY_LIMITS.perBook, total = HISTORY_LIMITS.total } = {}) {
+  const drop = new Set();
+  const byBook = new Map();
+  for (const v of sortHistory(versions)) {
+    const kept = byBook.get(v.bookId) || 0;
+    if (kept >= perBook) drop.add(v.id);
+    else byBook.set(v.bookId, kept + 1);
+  }
+  const remaining = sortHistory(versions).filter(v => !drop.has(v.id));
+  for (const v of remaining.slice(total)) drop.add(v.id);
+  return [...drop];
+}
+
+export function historyFieldLabel(field) {
+  return FIELD_LABELS[field] || field;
+}
+
+export function historyActionLabel(action) {
+  return ACTION_LABELS[action] || 'Edited';
+}
+
+const MAX_VALUE_CHARS = 120;
+
+/**
+ * A journaled value in words, for the History panel.
+ * @param {string} field
+ * @param {*} value
+ * @returns {string}
+ */
+export function describeHistoryValue(field, value) {
+  if (value == null) return '(empty)';
+  let text;
+  if (DATE_FIELDS.has(field)) text = formatDateReadDisplay(value) || String(value);
+  else if (field === 'readingStatus') text = STATUS_LABELS[value] || String(value);
+  else if (field === 'readHistory') text = `${value.length} read${value.length === 1 ? '' : 's'}`;
+  else if (field === 'contributors' && Array.isArray(value)) text = value.map(c => c?.name).filter(Boolean).join(', ');
+  else if (field === 'rating') text = `${value} ★`;
+  else if (field === 'is_private') text = value ? 'Private' : 'Visible to friends';
+  else if (typeof value === 'boolean') text = value ? 'Yes' : 'No';
+  else if (Array.isArray(value)) text = value.join(', ');
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return text.length > MAX_VALUE_CHARS ? `${text.slice(0, MAX_VALUE_CHARS - 1)}…` : text;
+}
@@ -0,0 +1,151 @@
+// edition_meta.js — Facts about the edition on the shelf.
+//
+// Optional fields on the book record, all describing the edition the reader
+// has (not the work):
+//   pageCount        pages in print
+//   publisher        "Penguin Classics"
+//   publishYear      year this edition came out (4-digit number)
+//   language         language name as shown ("English")
+//   durationMinutes  audiobook running time
+//
+// Search results carry some of these (Open Library's median page count and
+// first-publish year, iTunes' trackTimeMillis and release date) as an
+// `edition` object on the normalized result; an Open Library edition record
+// carries the rest and is what the Browse Covers picker applies when a
+// different edition is chosen.
+//
+// Pure — no DOM, no repository.
+
+import { formatMinutes, parseDuration } from './reading_progress.js';
+
+export const EDITION_FIELDS = Object.freeze(['pageCount', 'publisher', 'publishYear', 'language', 'durationMinutes']);
+
+const MAX_TEXT_LENGTH = 200;
+
+// Open Library's MARC language codes for the languages we see most.
+const LANGUAGE_NAMES = {
+  eng: 'English', spa: 'Spanish', fre: 'French', fra: 'French', ger: 'German', deu: 'German',
+  ita: 'Italian', por: 'Portuguese', dut: 'Dutch', nld: 'Dutch', swe: 'Swedish', nor: 'Norwegian',
+  dan: 'Danish', fin: 'Finnish', pol: 'Polish', cze: 'Czech', rus: 'Russian', ukr: 'Ukrainian',
+  gre: 'Greek', tur: 'Turkish', ara: 'Arabic', heb: 'Hebrew', hin: 'Hindi', jpn: 'Japanese',
+  chi: 'Chinese', zho: 'Chinese', kor: 'Korean', lat: 'Latin', ice: 'Icelandic', hun: 'Hungarian',
+};
+
+function positiveInt(value, max) {
+  if (value == null || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 && n <= max ? n : null;
+}
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+function yearFrom(value) {
+  const m = String(value ?? '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * "eng" / "/languages/eng" → "English"; unknown codes are returned as given.
+ * @param {string} code
+ * @returns {string}
+ */
+export function languageName(code) {
+  const key = String(code || '').replace('/languages/', '').trim().toLowerCase();
+  return LANGUAGE_NAMES[key] || key;
+}
+
+/**
+ * Keep only valid edition fields, dropping empty ones.
+ * @param {Object} meta
+ * @returns {{pageCount?: number, publisher?: string, publishYear?: number, language?: string, durationMinutes?: number}}
+ */
+export function sanitizeEditionMeta(meta) {
+  const out = {};
+  const pageCount = positiveInt(meta?.pageCount, 100000);
+  if (pageCount) out.pageCount = pageCount;
+  const publisher = cleanText(meta?.publisher);
+  if (publisher) out.publisher = publisher;
+  const publishYear = yearFrom(meta?.publishYear);
+  if (publishYear) out.publishYear = publishYear;
+  const language = cleanText(meta?.language);
+  if (language) out.language = language;
+  const durationMinutes = positiveInt(meta?.durationMinutes, 100000);
+  if (durationMinutes) out.durationMinutes = durationMinutes;
+  return out;
+}
+
+/**
+ * Edition facts from an Open Library search doc (needs number_of_pages_median
+ * and language in the fields= param). The year is the work's first
+ * publication — the best a search hit knows.
+ * @param {Object} doc
+ */
+export function editionMetaFromOLDoc(doc) {
+  const languages = Array.isArray(doc?.language) ? doc.language : [];
+  return sanitizeEditionMeta({
+    pageCount: doc?.number_of_pages_median,
+    publishYear: doc?.first_publish_year,
+    // Works list every translation's language; one is only meaningful alone
+    // or when it's English (the search is English-first, see #206).
+    language: languages.length === 1 ? languageName(languages[0]) : (languages.includes('eng') ? 'English' : ''),
+  });
+}
+
+/**
+ * Edition facts from an Open Library edition record (/works/…/editions.json).
+ * @param {Object} edition
+ */
+export function editionMetaFromOLEdition(edition) {
+  const languages = Array.isArray(edition?.languages) ? edition.languages : [];
+  return sanitizeEditionMeta({
+    pageCount: edition?.number_of_pages,
+    publisher: Array.isArray(edition?.publishers) ? edition.publishers[0] : '',
+    publishYear: edition?.publish_date,
+    language: languages.length ? languageName(languages[0]?.key) : '',
+  });
+}
+
+/**
+ * Edition facts from an iTunes audiobook search hit.
+ * @param {Object} item
+ */
+export function editionMetaFromItunes(item) {
+  const millis = Number(item?.trackTimeMillis);
+  return sanitizeEditionMeta({
+    durationMinutes: Number.isFinite(millis) ? millis / 60000 : null,
+    publishYear: item?.releaseDate,
+  });
+}
+
+/**
+ * Fill the gaps in one set of edition facts from another (duplicate search
+ * hits collapsing into one).
+ * @param {Object} primary - wins where both have a value
+ * @param {Object} fallback
+ */
+export function mergeEditionMeta(primary, fallback) {
+  return { ...sanitizeEditionMeta(fallback), ...sanitizeEditionMeta(primary) };
+}
+
+/**
+ * "11h 20m" for the duration field; '' when unknown.
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatDuration(minutes) {
+  return positiveInt(minutes, 100000) ? formatMinutes(minutes) : '';
+}
+
+/**
+ * Duration field text ("11h 20m", "11:20", "680") → minutes, or null.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDurationInput(text) {
+  const s = String(text || '').trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return positiveInt(s, 100000);
+  return positiveInt(parseDuration(s), 100000);
+}
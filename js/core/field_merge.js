@@ -0,0 +1,308 @@
+// field_merge.js — Three-way merge of concurrent edits to one book.
+//
+// A book edited on two devices between syncs used to be settled by
+// modifiedAt alone: the newer record won and the other device's edit was
+// lost, even when the two touched different fields (a rating on the phone,
+// notes on the laptop). Instead, each local entry remembers what the
+// remote record looked like the last time the two agreed — its merge base:
+//
+//   entry._base = { fields: { [group]: fingerprint }, seen: [recordFingerprint] }
+//
+// stamped when a remote record is applied and when an upload is confirmed
+// (baseFromRecord). `seen` remembers the last few record versions this entry
+// has already moved past, so a re-delivered old version is recognised by
+// what it is, not by comparing modifiedAt clocks from two devices. An edit
+// uploads only the groups changed against the base (locallyChangedFields),
+// so the groups another device changed meanwhile survive on the remote.
+//
+// When sync() finds a remote record for a book that also has unsynced
+// local edits, mergeWithBase() compares each field group three ways:
+// changed only remotely → take the remote value, changed only locally →
+// keep the local one, changed the same way on both → nothing to do,
+// changed differently on both → a conflict. Conflicts keep the local value
+// for now and carry the remote one along so the reader can pick.
+//
+// Fields are merged in groups that only make sense together — the reading
+// status with its dates and read history, the cover with its crop, the
+// progress position with its log. Any book field not named in a group
+// merges on its own, so a new schema field is covered without touching
+// this module. The base stores fingerprints, not values, so a cover's
+// base64 isn't kept twice.
+//
+// Pure — no DOM, no IndexedDB.
+
+import { bookishSchema } from './bookish_schema.js';
+
+// Bookkeeping fields — never merged, never a conflict.
+const UNMERGED_FIELDS = new Set(['bookId', 'createdAt', 'modifiedAt']);
+
+const GROUPS = [
+  { key: 'author', label: 'Author', fields: ['author', 'contributors'] },
+  { key: 'reading', label: 'Reading status and dates', fields: ['readingStatus', 'dateRead', 'readingStartedAt', 'dnfAt', 'dnfStopPoint', 'readHistory'] },
+  { key: 'progress', label: 'Reading progress', fields: ['progressUnit', 'progressValue', 'progressTotal', 'progressLog'] },
+  { key: 'series', label: 'Series', fields: ['series', 'seriesPosition'] },
+  { key: 'cover', label: 'Cover', fields: ['coverImage', 'mimeType', 'coverFit', 'coverCrop'] },
+  { key: 'identifiers', label: 'Edition identifiers', fields: ['work_key', 'isbn13'] },
+];
+
+const LABELS = {
+  title: 'Title',
+  format: 'Format',
+  notes: 'Notes',
+  rating: 'Rating',
+  tags: 'Tags',
+  owned: 'Owned',
+  is_private: 'Privacy',
+  wtrPosition: 'Reading-list order',
+  pageCount: 'Pages',
+  publisher: 'Publisher',
+  publishYear: 'Year published',
+  language: 'Language',
+  durationMinutes: 'Duration',
+  trashedAt: 'In Trash',
+};
+
+function buildGroups() {
+  const grouped = new Set(GROUPS.flatMap(g => g.fields));
+  const singles = Object.keys(bookishSchema.collections.books.fields)
+    .filter(f => !UNMERGED_FIELDS.has(f) && !grouped.has(f))
+    .map(f => ({ key: f, label: LABELS[f] || f, fields: [f] }));
+  return Object.freeze([...GROUPS, ...singles].map(g => Object.freeze(g)));
+}
+
+/** Every merge group: `{ key, label, fields }`. */
+export const MERGE_GROUPS = buildGroups();
+
+const GROUP_BY_KEY = new Map(MERGE_GROUPS.map(g => [g.key, g]));
+
+/** Empty-ish values all mean "not set" — '' and [] never reach the wire. */
+function isUnset(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Small, stable string hash (FNV-1a) for long values like covers.
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+const INLINE_FINGERPRINT_MAX = 200;
+
+// Date fields, as the conflict sheet names them.
+const DATE_LABELS = {
+  dateRead: 'Read',
+  readingStartedAt: 'Started',
+  dnfAt: 'Stopped',
+  trashedAt: 'In Trash since',
+};
+
+/**
+ * A group's values as one comparable string.
+ * @param {Object} record
+ * @param {{fields: string[]}} group
+ * @returns {string}
+ */
+function groupFingerprint(record, group) {
+  const json = JSON.stringify(group.fields.map(f => (isUnset(record?.[f]) ? null : record[f])));
+  return json.length > INLINE_FINGERPRINT_MAX ? `#${hashString(json)}:${json.length}` : json;
+}
+
+// How many superseded record versions a base remembers.
+const SEEN_MAX = 8;
+
+/**
+ * One version of a record as a comparable string. modifiedAt is part of
+ * it: it isn't compared as a clock, it just tells a re-delivered version
+ * apart from a later edit that happens to restore the same values.
+ * @param {Object} record
+ * @param {Object<string, string>} fields - the record's group fingerprints
+ * @returns {string}
+ */
+function recordFingerprint(record, fields) {
+  const groups = MERGE_GROUPS.map(g => fields[g.key]).join('|');
+  return `${record?.modifiedAt || 0}:${hashString(groups)}`;
+}
+
+/**
+ * The merge base for a record as it stands on the remote.
+ * @param {Object} record
+ * @param {Object} [previous] - the base this one replaces; its version joins `seen`
+ * @returns {{fields: Object<string, string>, record: string, seen: string[]}}
+ */
+export function baseFromRecord(record, previous) {
+  const fields = {};
+  for (const group of MERGE_GROUPS) fields[group.key] = groupFingerprint(record, group);
+  const fingerprint = recordFingerprint(record, fields);
+  const seen = [...(previous?.seen || [])];
+  if (previous?.record && previous.record !== fingerprint) seen.push(previous.record);
+  return { fields, record: fingerprint, seen: seen.filter(f => f !== fingerprint).slice(-SEEN_MAX) };
+}
+
+/**
+ * The groups whose local values differ from the base — what this device
+ * has changed since it last agreed with the remote.
+ * @param {Object} entry - carries `_base`
+ * @returns {string[]|null} group keys, or null without a base
+ */
+export function locallyChangedGroups(entry) {
+  const base = entry?._base?.fields;
+  if (!base) return null;
+  return MERGE_GROUPS.filter(g => base[g.key] !== groupFingerprint(entry, g)).map(g => g.key);
+}
+
+/**
+ * The fields of every group locallyChangedGroups() names — what an edit
+ * upload needs to send.
+ * @param {Object} entry - carries `_base`
+ * @returns {Set<string>|null} null without a base
+ */
+export function locallyChangedFields(entry) {
+  const groups = locallyChangedGroups(entry);
+  if (!groups) return null;
+  return new Set(groups.flatMap(key => GROUP_BY_KEY.get(key).fields));
+}
+
+/** Whether a field is merged at all (bookkeeping fields aren't). */
+export function isMergedField(field) {
+  return !UNMERGED_FIELDS.has(field);
+}
+
+/**
+ * A group's values from a record.
+ * @param {Object} record
+ * @param {string} groupKey
+ * @returns {Object}
+ */
+export function groupValues(record, groupKey) {
+  const out = {};
+  for (const f of GROUP_BY_KEY.get(groupKey)?.fields || []) {
+    if (!isUnset(record?.[f])) out[f] = record[f];
+  }
+  return out;
+}
+
+/**
+ * A patch that sets a group to the given values, clearing the group's
+ * fields they don't carry (for BookRepository.update).
+ * @param {string} groupKey
+ * @param {Object} values - from groupValues()
+ * @returns {Object}
+ */
+export function groupPatch(groupKey, values) {
+  const patch = {};
+  for (const f of GROUP_BY_KEY.get(groupKey)?.fields || []) {
+    // No contributor list means "derive it from the author line", not
+    // "clear the author" — leave the list out rather than sending it empty.
+    if (f === 'contributors' && isUnset(values?.[f])) continue;
+    patch[f] = isUnset(values?.[f]) ? '' : values[f];
+  }
+  return patch;
+}
+
+/**
+ * Three-way merge of a local entry with unsynced edits and a remote record.
+ *
+ * @param {Object} local - the local entry, with `_base`
+ * @param {Object} remote - the remote record (already migrated)
+ * @returns {{
+ *   status: 'no-base' | 'stale' | 'merged',
+ *   patch: Object,
+ *   remoteGroups: string[],
+ *   conflicts: Array<{group: string, label: string, local: Object, remote: Object}>,
+ * }}
+ *   no-base — the entry predates merge bases; the caller falls back to
+ *   modifiedAt. stale — the remote record is a version the base has
+ *   already moved past (re-delivered), so it has nothing new. merged — `patch` holds
+ *   the remote-only changes to apply locally; `conflicts` the groups both
+ *   sides changed differently.
+ */
+export function mergeWithBase(local, remote) {
+  const result = { status: 'merged', patch: {}, remoteGroups: [], conflicts: [] };
+  const base = local?._base;
+  if (!base?.fields) return { ...result, status: 'no-base' };
+  if (base.seen?.length) {
+    const fields = {};
+    for (const group of MERGE_GROUPS) fields[group.key] = groupFingerprint(remote, group);
+    if (base.seen.includes(recordFingerprint(remote, fields))) return { ...result, status: 'stale' };
+  }
+
+  for (const group of MERGE_GROUPS) {
+    const b = base.fields[group.key];
+    const l = groupFingerprint(local, group);
+    const r = groupFingerprint(remote, group);
+    if (l === r || r === b) continue; // same on both, or only changed here
+    if (l === b) {
+      // Changed only on the other device.
+      Object.assign(result.patch, groupPatch(group.key, groupValues(remote, group.key)));
+      result.remoteGroups.push(group.key);
+      continue;
+    }
+    result.conflicts.push({
+      group: group.key,
+      label: group.label,
+      local: groupValues(local, group.key),
+      remote: groupValues(remote, group.key),
+    });
+  }
+  return result;
+}
+
+/**
+ * Fold newly found conflicts into the ones an entry already carries. A
+ * group keeps one conflict — the latest remote value replaces an older one.
+ * @param {Array} existing
+ * @param {Array} found
+ * @param {number} [now]
+ * @returns {Array}
+ */
+export function withConflicts(existing, found, now = Date.now()) {
+  const byGroup = new Map((existing || []).map(c => [c.group, c]));
+  for (const c of found || []) byGroup.set(c.group, { ...c, detectedAt: now });
+  return [...byGroup.values()];
+}
+
+/**
+ * The conflicts still open once a newer remote record arrives. Until the
+ * reader picks, the merged upload keeps this device's value on the remote;
+ * a remote holding anything else (the other device's value, or a later
+ * edit) has moved past the choice, and the conflict goes.
+ * @param {Array} conflicts
+ * @param {Object} record - the remote record
+ * @returns {Array}
+ */
+export function openConflicts(conflicts, record) {
+  return (conflicts || []).filter(c => {
+    const group = GROUP_BY_KEY.get(c.group);
+    return group && groupFingerprint(record, group) === groupFingerprint(c.local, group);
+  });
+}
+
+/**
+ * A group's values in words, for the resolution sheet.
+ * @param {string} groupKey
+ * @param {Object} values
+ * @returns {string}
+ */
+export function describeGroupValues(groupKey, values) {
+  const v = values || {};
+  const parts = [];
+  for (const f of GROUP_BY_KEY.get(groupKey)?.fields || []) {
+    if (isUnset(v[f])) continue;
+    const value = v[f];
+    if (f === 'coverImage') parts.push('A cover image');
+    else if (f === 'mimeType' || f === 'coverFit' || f === 'coverCrop' || f === 'progressLog') continue;
+    else if (f === 'readHistory') parts.push(`${value.length} read${value.length === 1 ? '' : 's'} logged`);
+    else if (f === 'contributors') continue; // the author line already says it
+    else if (DATE_LABELS[f] && typeof value === 'number') parts.push(`${DATE_LABELS[f]} ${new Date(value).toISOString().slice(0, 10)}`);
+    else if (f === 'rating') parts.push(`${value} ★`);
+    else if (typeof value === 'boolean') parts.push(f === 'is_private' ? (value ? 'Private' : 'Visible to friends') : (value ? 'Yes' : 'No'));
+    else if (Array.isArray(value)) parts.push(value.join(', '));
+    else if (typeof value === 'object') parts.push(JSON.stringify(value));
+    else parts.push(String(value));
+  }
+  return parts.join(' · ') || '(empty)';
+}
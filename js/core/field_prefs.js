@@ -12,8 +12,8 @@
 
 const STORAGE_KEY = 'bookish.fieldPrefs';
 
-/** The four optional fields controlled by user preferences. */
-export const FIELDS = ['notes', 'rating', 'owned', 'tags'];
+/** The optional fields controlled by user preferences. */
+export const FIELDS = ['notes', 'rating', 'owned', 'tags', 'series', 'edition'];
 
 /** Defaults for new users — everything hidden (matches pre-#104 behavior). */
 const DEFAULTS = Object.fromEntries(FIELDS.map(f => [f, false]));
@@ -63,7 +63,7 @@ function capitalize(s) {
 /**
  * Get the preference for a single field. Returns false if the field is unknown
  * or if localStorage is inaccessible and no in-memory fallback exists.
- * @param {string} fieldName — one of FIELDS ('notes', 'rating', 'owned', 'tags')
+ * @param {string} fieldName — one of FIELDS ('notes', 'rating', 'owned', 'tags', 'series', 'edition')
  * @returns {boolean}
  */
 export function getFieldPref(fieldName) {
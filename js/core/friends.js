@@ -31,6 +31,10 @@
 // Net effect: ~200 lines removed; the module is now a facade.
 
 import * as tarnService from './tarn_service.js';
+import { normalizeTitleKey } from './search_core.js';
+import { authorKeys } from './contributors.js';
+import { migrateRecord } from './schema_migrations.js';
+import { isTrashed } from './trash.js';
 
 // localStorage key for the recipient-side pending-label map.
 // Shape: { [share_pub]: { label: string, set_at: number } }
@@ -616,7 +620,45 @@ export async function fetchFriendLibrary(connection /* opts unused (legacy fetch
   }
   const tarn = await tarnService.getClient();
   const records = await tarn.books.listShared(connection);
-  return filterOutPrivate(records || []);
+  // listShared() returns records without the version they were written
+  // under, so the SDK can't migrate them (schema_migrations.js does).
+  return filterOutPrivate(records || []).map(r => migrateRecord('books', r).record);
+}
+
+/**
+ * Fetch the quotes a friend has chosen to share (core/quotes.js), via
+ * `listShared` on the quotes collection. Like fetchFriendLibrary, anything
+ * not explicitly shared is dropped even though it should never have been
+ * published.
+ *
+ * @param {{ share_pub: string, signing_pub: string, label?: string|null }} connection
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchFriendQuotes(connection) {
+  if (!connection || !connection.share_pub || !connection.signing_pub) {
+    throw new Error('fetchFriendQuotes: connection.share_pub and signing_pub are required');
+  }
+  const tarn = await tarnService.getClient();
+  const records = await tarn.quotes.listShared(connection);
+  return (records || []).filter(q => q && q.shared === true).map(q => migrateRecord('quotes', q).record);
+}
+
+/**
+ * Fetch the lists a friend has chosen to share (core/lists.js), via
+ * `listShared` on the lists collection — same rules as fetchFriendQuotes.
+ * A list's bookIds point into the friend's library; books they keep
+ * private simply don't resolve.
+ *
+ * @param {{ share_pub: string, signing_pub: string, label?: string|null }} connection
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchFriendLists(connection) {
+  if (!connection || !connection.share_pub || !connection.signing_pub) {
+    throw new Error('fetchFriendLists: connection.share_pub and signing_pub are required');
+  }
+  const tarn = await tarnService.getClient();
+  const records = await tarn.lists.listShared(connection);
+  return (records || []).filter(l => l && l.shared === true).map(l => migrateRecord('lists', l).record);
 }
 
 // ============ Friend-library matching cache ============
@@ -628,21 +670,53 @@ export async function fetchFriendLibrary(connection /* opts unused (legacy fetch
 // Cache shape: Map<workKey, Array<{ connection, book }>>
 // - Built once per refresh.
 // - Friends with the work in WTR are excluded.
-// - Books without a work_key contribute nothing (strict equality only).
 // - Muted connections are excluded.
 // - Invalidates on connection changes.
+//
+// A second index catches the same book under a different (or no) work_key —
+// manual adds, iTunes-only hits, another OL work for the same book. It is
+// keyed by normalized title + ONE author, once per author and co-author
+// (contributors.js authorKeys), so "Good Omens" by Pratchett matches a
+// friend's copy filed under Gaiman & Pratchett.
+//
+// Cache shape: Map<`${titleKey}|${authorKey}`, Array<{ connection, book }>>
 
 let _matchCacheDeps = null;
 let _matchCache = null;
+let _titleAuthorCache = null;
 let _primingPromise = null;
 let _cacheGeneration = 0;
 
+/** Title + author keys for the secondary index (see above). */
+function titleAuthorKeys(book) {
+  const title = normalizeTitleKey(book?.title || '');
+  if (!title) return [];
+  return authorKeys(book).map(author => `${title}|${author}`);
+}
+
+function addMatch(index, key, conn, book) {
+  const list = index.get(key);
+  if (list) {
+    if (!list.some(entry => entry.connection.share_pub === conn.share_pub)) {
+      list.push({ connection: conn, book });
+    }
+  } else {
+    index.set(key, [{ connection: conn, book }]);
+  }
+}
+
+function setMatchCaches(byWorkKey, byTitleAuthor = new Map()) {
+  _matchCache = byWorkKey;
+  _titleAuthorCache = byTitleAuthor;
+}
+
 export function filterPippableBooks(books) {
   if (!Array.isArray(books)) return [];
   const out = [];
   for (const b of books) {
     if (!b || typeof b !== 'object') continue;
-    if (typeof b.work_key !== 'string' || !b.work_key) continue;
+    const hasWorkKey = typeof b.work_key === 'string' && b.work_key;
+    if (!hasWorkKey && !titleAuthorKeys(b).length) continue;
     if (b.readingStatus === 'want_to_read') continue;
     out.push(b);
   }
@@ -657,7 +731,7 @@ export async function primeFriendLibraryCache(opts = {}) {
 
   const promise = (async () => {
     if (!tarnService.isLoggedIn()) {
-      _matchCache = new Map();
+      setMatchCaches(new Map());
       return { generation: _cacheGeneration, friendCount: 0, workKeyCount: 0 };
     }
 
@@ -668,11 +742,11 @@ export async function primeFriendLibraryCache(opts = {}) {
     try {
       connections = await listFn();
     } catch {
-      _matchCache = new Map();
+      setMatchCaches(new Map());
       return { generation: _cacheGeneration, friendCount: 0, workKeyCount: 0 };
     }
     if (!connections.length) {
-      _matchCache = new Map();
+      setMatchCaches(new Map());
       _cacheGeneration++;
       _emitLibrariesRefreshed();
       return { generation: _cacheGeneration, friendCount: 0, workKeyCount: 0 };
@@ -685,6 +759,7 @@ export async function primeFriendLibraryCache(opts = {}) {
     const results = await Promise.allSettled(visible.map(conn => fetchFn(conn)));
 
     const next = new Map();
+    const nextByTitleAuthor = new Map();
     results.forEach((r, idx) => {
       if (r.status !== 'fulfilled') {
         console.warn(
@@ -697,18 +772,12 @@ export async function primeFriendLibraryCache(opts = {}) {
       const conn = visible[idx];
       const books = filterPippableBooks(r.value || []);
       for (const book of books) {
-        const list = next.get(book.work_key);
-        if (list) {
-          if (!list.some(entry => entry.connection.share_pub === conn.share_pub)) {
-            list.push({ connection: conn, book });
-          }
-        } else {
-          next.set(book.work_key, [{ connection: conn, book }]);
-        }
+        if (typeof book.work_key === 'string' && book.work_key) addMatch(next, book.work_key, conn, book);
+        for (const key of titleAuthorKeys(book)) addMatch(nextByTitleAuthor, key, conn, book);
       }
     });
 
-    _matchCache = next;
+    setMatchCaches(next, nextByTitleAuthor);
     _cacheGeneration++;
     _emitLibrariesRefreshed();
     return {
@@ -738,21 +807,39 @@ function _emitLibrariesRefreshed() {
 
 export function invalidateFriendLibraryCache() {
   _matchCache = null;
+  _titleAuthorCache = null;
 }
 
-export function getMatchingFriends(workKey) {
-  return getMatchingFriendBookEntries(workKey).map(entry => entry.connection);
+export function getMatchingFriends(bookOrWorkKey) {
+  return getMatchingFriendBookEntries(bookOrWorkKey).map(entry => entry.connection);
 }
 
-export function getMatchingFriendBookEntries(workKey) {
-  if (!workKey || typeof workKey !== 'string') return [];
+/**
+ * Friends who have this book on Reading or Read, one match per friend.
+ * A bare work_key matches strictly on it; a book (or search result) also
+ * matches by title + any of its authors.
+ * @param {string|{work_key?: string, title?: string, author?: string, contributors?: Array}} bookOrWorkKey
+ * @returns {Array<{connection: Object, book: Object}>}
+ */
+export function getMatchingFriendBookEntries(bookOrWorkKey) {
+  const book = typeof bookOrWorkKey === 'string' ? { work_key: bookOrWorkKey } : bookOrWorkKey;
+  const workKey = typeof book?.work_key === 'string' ? book.work_key : '';
+  const keys = typeof bookOrWorkKey === 'string' ? [] : titleAuthorKeys(book);
+  if (!workKey && !keys.length) return [];
   if (_matchCache === null) {
     primeFriendLibraryCache().catch(() => { /* swallow */ });
     return [];
   }
-  const list = _matchCache.get(workKey);
-  if (!list || list.length === 0) return [];
-  return [...list].sort((a, b) => {
+  const byShare = new Map();
+  const candidates = [
+    ...((workKey && _matchCache.get(workKey)) || []),
+    ...keys.flatMap(key => _titleAuthorCache?.get(key) || []),
+  ];
+  for (const match of candidates) {
+    if (!byShare.has(match.connection.share_pub)) byShare.set(match.connection.share_pub, match);
+  }
+  if (byShare.size === 0) return [];
+  return [...byShare.values()].sort((a, b) => {
     const ea = a.connection.established_at || 0;
     const eb = b.connection.established_at || 0;
     if (ea !== eb) return eb - ea;
@@ -764,6 +851,7 @@ export function _getMatchCacheGenerationForTest() { return _cacheGeneration; }
 
 export function _resetMatchCacheForTest() {
   _matchCache = null;
+  _titleAuthorCache = null;
   _primingPromise = null;
   _cacheGeneration = 0;
   _matchCacheDeps = null;
@@ -774,10 +862,12 @@ export function _setMatchCacheDepsForTest(deps) {
 }
 
 // ============ Defense-in-depth: filter is_private ============
+// Trashed books are unshared when they're deleted; one still readable (the
+// unshare hasn't gone through yet) is hidden all the same.
 
 export function filterOutPrivate(entries) {
   if (!Array.isArray(entries)) return [];
-  return entries.filter(e => !e || e.is_private !== true);
+  return entries.filter(e => !e || (e.is_private !== true && !isTrashed(e)));
 }
 
 // Storage key exports for tests + cleanup paths.
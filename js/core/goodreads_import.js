@@ -0,0 +1,69 @@
+// goodreads_import.js — Map a Goodreads library export ("goodreads_library_export.csv")
+// onto Bookish create payloads.
+//
+// Pure: the caller reads the file, this module turns its text into preview
+// rows, and the accepted rows' payloads go through BookRepository.create()
+// unchanged (so duplicate detection, bookId derivation, and publish-on-save
+// behave exactly as for a book added by hand). Field normalization is the
+// shared import_mapping.js layer; this file is just the Goodreads spec.
+//
+// Goodreads quirks handled here:
+//   - ISBN / ISBN13 cells are wrapped as ="9780..." (an Excel text guard),
+//     and empty ones come through as ="".
+//   - Date Read is YYYY/MM/DD, not the ISO form dateStringToMsNoonUtc takes.
+//   - "My Rating" is 0 for unrated books.
+//   - Bookshelves repeats the exclusive shelf ("to-read", "read", …) next
+//     to the user's own shelves; only the latter become tags.
+
+import { parseDelimitedRecords } from './csv_core.js';
+import { READING_STATUS } from './reading_status.js';
+import { mapImportRecords } from './import_mapping.js';
+
+/** Goodreads' built-in exclusive shelves → Bookish reading status. */
+export const GOODREADS_SHELF_STATUS = {
+  'read': READING_STATUS.READ,
+  'currently-reading': READING_STATUS.READING,
+  'to-read': READING_STATUS.WANT_TO_READ,
+  // Common custom exclusive shelves for abandoned books.
+  'did-not-finish': READING_STATUS.DNF,
+  'dnf': READING_STATUS.DNF,
+  'abandoned': READING_STATUS.DNF,
+};
+
+/** Goodreads export columns → import draft fields (keys are columnKey()s). */
+export const GOODREADS_SPEC = {
+  source: 'Goodreads',
+  requiredColumns: ['title', 'author', 'exclusiveshelf'],
+  columns: {
+    title: 'title',
+    author: 'author',
+    binding: 'format',
+    exclusiveshelf: 'status',
+    dateread: 'dateRead',
+    myrating: 'rating',
+    isbn13: 'isbn',
+    bookshelves: 'tags',
+    myreview: 'notes',
+    privatenotes: 'notes',
+    // "Owned Copies" is a count; only a positive one says anything.
+    ownedcopies: (value, draft) => { if (Number(value) > 0) draft.owned = true; },
+  },
+  statuses: GOODREADS_SHELF_STATUS,
+  excludeTags: new Set(Object.keys(GOODREADS_SHELF_STATUS)),
+  // Same data as mapped columns in another shape.
+  ignoredColumns: new Set(['authorlf', 'isbn', 'bookshelveswithpositions']),
+};
+
+/**
+ * Parse a Goodreads export into preview rows. Each row carries its 1-based
+ * data-line number (for "row 12 skipped" messages) and the mapped payload;
+ * `report` lists the columns that weren't imported.
+ *
+ * @param {string} text - the CSV file's contents
+ * @returns {{rows: Array<{line: number, payload: Object}>, skipped: number[], report: Object}}
+ * @throws {Error} when the file doesn't look like a Goodreads export
+ */
+export function parseGoodreadsCsv(text) {
+  const { headers, records } = parseDelimitedRecords(text);
+  return mapImportRecords(headers, records, GOODREADS_SPEC);
+}
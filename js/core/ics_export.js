@@ -0,0 +1,147 @@
+// ics_export.js — Reading timeline as an iCalendar (.ics) file.
+//
+// Each book with dates becomes one all-day VEVENT:
+//   - read, with readingStartedAt → spans start day .. finish day
+//   - read, dateRead only         → the finish day alone
+//   - reading                     → start day .. the export day ("so far");
+//                                   re-exporting later extends it
+// Want-to-Read books and read books with no date have no place on a
+// calendar and are left out.
+//
+// Dates are noon-UTC ms (see id_core.js), so the calendar day is read with
+// UTC getters (msToDateInputUtc) and written as VALUE=DATE — floating
+// all-day dates carry no time or zone, so no viewer sees a shifted day.
+// UIDs are derived from bookId: importing a newer export updates events
+// instead of duplicating them.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { msToDateInputUtc } from './id_core.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A raw timestamp (the export time, createdAt) → its local calendar day at
+ * noon UTC, the shape stored dates have. Read with UTC getters as is, an
+ * evening export west of UTC would land on tomorrow.
+ */
+function localDayNoonUtc(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), 12, 0, 0, 0);
+}
+
+/** ms → "YYYYMMDD" (UTC calendar day), or '' when not a date. */
+function icsDate(ms) {
+  return msToDateInputUtc(ms).replace(/-/g, '');
+}
+
+/** ms → "YYYYMMDDTHHMMSSZ". */
+function icsTimestamp(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** RFC 5545 TEXT escaping. */
+function escapeText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line to 75 octets (continuation lines start with a space). */
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    const limit = out.length ? 74 : 75;
+    if (size + n > limit) { out.push(current); current = ''; size = 0; }
+    current += ch;
+    size += n;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+/**
+ * The calendar span for one book, or null when it has none.
+ * @param {Object} entry
+ * @param {number} now - export time; the provisional end of a current read
+ * @returns {{start: number, end: number, reading: boolean}|null} start/end are
+ *   noon-UTC ms of the first and last day (inclusive)
+ */
+export function readingSpan(entry, now = Date.now()) {
+  const rs = normalizeReadingStatus(entry);
+  const started = Number(entry?.readingStartedAt);
+  if (rs === READING_STATUS.READING) {
+    const created = Number(entry?.createdAt);
+    const start = Number.isFinite(started) && started > 0 ? started
+      : Number.isFinite(created) && created > 0 ? localDayNoonUtc(created) : NaN;
+    if (!Number.isFinite(start)) return null;
+    return { start, end: Math.max(start, localDayNoonUtc(now)), reading: true };
+  }
+  if (rs !== READING_STATUS.READ) return null;
+  const finished = Number(entry?.dateRead);
+  if (entry?.dateRead == null || entry.dateRead === '' || !Number.isFinite(finished)) return null;
+  if (Number.isFinite(started) && started > 0 && started <= finished) return { start: started, end: finished, reading: false };
+  return { start: finished, end: finished, reading: false };
+}
+
+/**
+ * Stable UID for a book's event.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function icsUid(entry) {
+  return `book-${entry.bookId || entry.id}@bookish`;
+}
+
+function eventLines(entry, span, stamp) {
+  const title = entry.title || 'Untitled';
+  const summary = span.reading ? `Reading: ${title}` : title;
+  const details = [];
+  if (entry.author) details.push(`by ${entry.author}`);
+  if (entry.rating) details.push('★'.repeat(entry.rating));
+  if (span.reading) details.push('Still reading');
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${icsUid(entry)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${icsDate(span.start)}`,
+    // DTEND is exclusive for all-day events: the day after the last day.
+    `DTEND;VALUE=DATE:${icsDate(span.end + DAY_MS)}`,
+    `SUMMARY:${escapeText(entry.author ? `${summary} — ${entry.author}` : summary)}`,
+  ];
+  if (details.length) lines.push(`DESCRIPTION:${escapeText(details.join('\n'))}`);
+  if (Number.isFinite(entry.modifiedAt)) lines.push(`LAST-MODIFIED:${icsTimestamp(entry.modifiedAt)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build the .ics text.
+ * @param {Object[]} entries - the live shelf
+ * @param {{now?: number}} [opts]
+ * @returns {{ics: string, count: number}} count = events written
+ */
+export function buildIcs(entries, { now = Date.now() } = {}) {
+  const stamp = icsTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bookish//Reading timeline//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Reading',
+  ];
+  let count = 0;
+  for (const entry of entries || []) {
+    if (!entry || entry.status === 'tombstoned' || entry._deleting) continue;
+    if (!entry.bookId && !entry.id) continue;
+    const span = readingSpan(entry, now);
+    if (!span) continue;
+    lines.push(...eventLines(entry, span, stamp));
+    count++;
+  }
+  lines.push('END:VCALENDAR');
+  return { ics: lines.map(foldLine).join('\r\n') + '\r\n', count };
+}
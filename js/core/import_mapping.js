@@ -0,0 +1,255 @@
+// import_mapping.js — Shared column-mapping layer for library importers.
+//
+// Every importer (Goodreads, StoryGraph, LibraryThing) describes its export
+// as an import spec: which source column feeds which draft field, plus how
+// the source's status vocabulary maps onto READING_STATUS. This module turns
+// source records into BookRepository.create() payloads, normalizing each
+// field onto what bookish_schema.js accepts:
+//
+//   - format     → the form's 'print' | 'ebook' | 'audio' subset of the enum
+//   - dateRead   → ms epoch at noon UTC (dateStringToMsNoonUtc)
+//   - rating     → integer 1–5 (fractional stars are rounded, and counted)
+//   - tags       → comma-separated string, de-duplicated (the form's shape)
+//   - owned      → boolean, only when the source actually says
+//   - isbn13     → 13 digits, only when one is present
+//
+// Columns a spec doesn't map are never silently dropped: they are listed in
+// the per-import report (with how many rows had a value) so the preview can
+// tell the user exactly what didn't come across.
+//
+// Pure — no DOM, no globals.
+
+import { READING_STATUS } from './reading_status.js';
+import { dateStringToMsNoonUtc } from './id_core.js';
+
+/**
+ * Canonical lookup key for a column name: lowercase alphanumerics only, so
+ * "Date Read", "date_read" and "dateread" all match the spec key 'dateread'.
+ * @param {string} name
+ * @returns {string}
+ */
+export function columnKey(name) {
+  return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Source format/binding/media text → 'print' | 'ebook' | 'audio'.
+ * @param {string} raw
+ * @returns {string}
+ */
+export function normalizeFormat(raw) {
+  const s = String(raw ?? '').toLowerCase();
+  if (/audio|mp3|audible|\bcd\b/.test(s)) return 'audio';
+  if (/kindle|ebook|e-book|digital|nook|kobo|epub|pdf/.test(s)) return 'ebook';
+  return 'print';
+}
+
+/**
+ * Source date → ms epoch at noon UTC. Accepts YYYY-MM-DD and YYYY/MM/DD
+ * (single-digit month/day allowed) with an optional trailing time part.
+ * @param {string} raw
+ * @returns {number|null}
+ */
+export function normalizeImportDate(raw) {
+  const m = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})(?:[ T].*)?$/.exec(String(raw ?? '').trim());
+  if (!m) return null;
+  return dateStringToMsNoonUtc(`${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`);
+}
+
+/**
+ * Source star rating → integer 1–5, or null for unrated (0 / blank).
+ * @param {string|number} raw
+ * @returns {{rating: number|null, rounded: boolean}}
+ */
+export function normalizeRating(raw) {
+  const n = typeof raw === 'number' ? raw : parseFloat(String(raw ?? '').trim());
+  if (!Number.isFinite(n) || n <= 0) return { rating: null, rounded: false };
+  const rating = Math.max(1, Math.min(5, Math.round(n)));
+  return { rating, rounded: rating !== n };
+}
+
+/**
+ * Yes/no-ish source value → boolean, or undefined when it says nothing.
+ * @param {string|boolean} raw
+ * @returns {boolean|undefined}
+ */
+export function normalizeOwned(raw) {
+  if (typeof raw === 'boolean') return raw;
+  const s = String(raw ?? '').trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'owned'].includes(s)) return true;
+  if (['no', 'n', 'false', '0'].includes(s)) return false;
+  return undefined;
+}
+
+/**
+ * First 13-digit ISBN found in a cell that may hold several identifiers
+ * ("[0441013597]", "9780441013593, 0441013597", ="9780441013593").
+ * @param {string} raw
+ * @returns {string} the ISBN-13 or ''
+ */
+export function normalizeIsbn13(raw) {
+  const tokens = String(raw ?? '').replace(/-/g, '').split(/[^0-9Xx]+/);
+  return tokens.find(t => /^97[89]\d{10}$/.test(t)) || '';
+}
+
+/**
+ * Split a tag-ish cell into individual tags. Accepts arrays (JSON exports)
+ * and comma/semicolon-separated strings.
+ * @param {string|string[]} raw
+ * @returns {string[]}
+ */
+export function splitTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(/[,;]/);
+  return list.map(t => String(t ?? '').trim()).filter(Boolean);
+}
+
+/** Fresh per-import report. */
+function createReport(source) {
+  return { source, unmappedColumns: [], unknownStatuses: {}, roundedRatings: 0 };
+}
+
+/**
+ * Apply one spec column to the row draft. A string target names the draft
+ * field (tags, notes and isbn accumulate across columns; other fields keep
+ * the first non-empty value); a function target gets `(value, draft)`.
+ */
+function applyColumn(target, value, draft) {
+  if (typeof target === 'function') { target(value, draft); return; }
+  if (target === 'tags') { draft.tags.push(...splitTags(value)); return; }
+  const text = Array.isArray(value) ? value.join(', ') : String(value ?? '').trim();
+  if (!text) return;
+  if (target === 'notes') { draft.notes.push(text); return; }
+  if (target === 'isbn') { draft.isbn = draft.isbn ? `${draft.isbn} ${text}` : text; return; }
+  if (draft[target] == null || draft[target] === '') draft[target] = text;
+}
+
+function isEmptyCell(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value == null || String(value).trim() === '';
+}
+
+/**
+ * Resolve the draft's status: the spec's vocabulary first, then the shared
+ * fallback (a dated book is read, anything else want-to-read). Unrecognized
+ * source statuses are tallied in the report.
+ */
+function resolveStatus(draft, spec, report) {
+  if (Object.values(READING_STATUS).includes(draft.readingStatus)) return draft.readingStatus;
+  const raw = String(draft.status ?? '').trim().toLowerCase();
+  if (raw && spec.statuses?.[raw]) return spec.statuses[raw];
+  if (raw) report.unknownStatuses[raw] = (report.unknownStatuses[raw] || 0) + 1;
+  return draft.dateRead != null ? READING_STATUS.READ : READING_STATUS.WANT_TO_READ;
+}
+
+/**
+ * Normalize a filled draft into a create payload (null when untitled).
+ * @param {Object} draft
+ * @param {Object} spec
+ * @param {Object} report - mutated (status + rating tallies)
+ * @returns {Object|null}
+ */
+function draftToPayload(draft, spec, report) {
+  const title = String(draft.title ?? '').trim();
+  if (!title) return null;
+  draft.dateRead = normalizeImportDate(draft.dateRead);
+  const readingStatus = resolveStatus(draft, spec, report);
+
+  const payload = {
+    title,
+    author: String(draft.author ?? '').trim(),
+    format: normalizeFormat(draft.format),
+    readingStatus,
+  };
+  // Status-specific dates mirror the add form: dateRead only on the Read
+  // shelf, readingStartedAt only while reading.
+  if (readingStatus === READING_STATUS.READ && draft.dateRead != null) payload.dateRead = draft.dateRead;
+  if (readingStatus === READING_STATUS.READING) {
+    const started = normalizeImportDate(draft.readingStartedAt);
+    if (started != null) payload.readingStartedAt = started;
+  }
+
+  const { rating, rounded } = normalizeRating(draft.rating);
+  if (rating) payload.rating = rating;
+  if (rounded) report.roundedRatings++;
+
+  const owned = normalizeOwned(draft.owned);
+  if (owned !== undefined) payload.owned = owned;
+
+  const isbn13 = normalizeIsbn13(draft.isbn);
+  if (isbn13) payload.isbn13 = isbn13;
+
+  // A shelf that doubles as the row's status (Goodreads lists the exclusive
+  // shelf among Bookshelves) is already captured by readingStatus.
+  const statusTag = String(draft.status ?? '').trim().toLowerCase();
+  const seen = new Set();
+  const tags = draft.tags.filter(t => {
+    const k = t.toLowerCase();
+    if (seen.has(k) || k === statusTag || spec.excludeTags?.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+  if (tags.length) payload.tags = tags.join(', ');
+
+  if (draft.notes.length) payload.notes = draft.notes.join('\n\n');
+  return payload;
+}
+
+/**
+ * Map source records through an import spec.
+ *
+ * Spec shape:
+ *   {
+ *     source: 'StoryGraph',                  // label for the report / preview
+ *     requiredColumns: ['title', …],         // columnKey()s; missing → throws
+ *     columns: { [columnKey]: field | (value, draft) => void },
+ *     statuses: { [lowercased source status]: READING_STATUS value },
+ *     excludeTags?: Set<string>,             // lowercased tags to drop
+ *     ignoredColumns?: Set<string>,          // columnKey()s that only repeat mapped data
+ *   }
+ *
+ * Draft fields a column can target: title, author, format, status,
+ * readingStatus (already-resolved), dateRead, readingStartedAt, rating,
+ * owned, isbn, tags, notes.
+ *
+ * @param {string[]} headers - source column names, in file order
+ * @param {Object[]} records - one object per row keyed by those names
+ * @param {Object} spec
+ * @returns {{rows: Array<{line: number, payload: Object}>, skipped: number[], report: Object}}
+ * @throws {Error} when required columns are missing (wrong file for this importer)
+ */
+export function mapImportRecords(headers, records, spec) {
+  const keyed = headers.map(name => ({ name, key: columnKey(name) }));
+  const present = new Set(keyed.map(c => c.key));
+  const missing = (spec.requiredColumns || []).filter(k => !present.has(k));
+  if (missing.length) {
+    throw new Error(`This doesn’t look like a ${spec.source} export.`);
+  }
+
+  const report = createReport(spec.source);
+  const unmapped = new Map();
+  for (const { name, key } of keyed) {
+    if (!spec.columns[key] && !spec.ignoredColumns?.has(key) && !unmapped.has(name)) unmapped.set(name, 0);
+  }
+
+  const rows = [];
+  const skipped = [];
+  records.forEach((rec, i) => {
+    const draft = { tags: [], notes: [] };
+    for (const { name, key } of keyed) {
+      const value = rec[name];
+      if (isEmptyCell(value)) continue;
+      const target = spec.columns[key];
+      if (target) applyColumn(target, value, draft);
+      else if (unmapped.has(name)) unmapped.set(name, unmapped.get(name) + 1);
+    }
+    const payload = draftToPayload(draft, spec, report);
+    if (payload) rows.push({ line: i + 1, payload });
+    else skipped.push(i + 1);
+  });
+
+  // Only columns that actually carried data are worth reporting.
+  report.unmappedColumns = [...unmapped]
+    .filter(([, filled]) => filled > 0)
+    .map(([name, filled]) => ({ name, filled }));
+  return { rows, skipped, report };
+}
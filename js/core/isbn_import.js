@@ -0,0 +1,200 @@
+// isbn_import.js — Bulk "paste or upload ISBNs" import.
+//
+// A barcode-scanner app exports a bare list of ISBNs; this module turns that
+// list into create payloads. Parsing is pure. Lookup resolves each ISBN
+// through the same OpenLibrary sources the search/cover pipeline uses —
+// search.json (parsed by parseOLSearchResponse) for title/author/work_key,
+// then fetchAndValidateCover over the Amazon / OL cover URLs — with every
+// network call going through an injectable `deps.fetchFn`, so the whole
+// lookup runs against fixture responses in tests.
+//
+// An ISBN that doesn't resolve (no OL record, or the request failed) is
+// reported back rather than dropped, so the sheet can offer a retry.
+
+import { detectISBN, convertISBN13to10, cleanTitle, amazonCoverUrl, olCoverByISBN, coverFitMode } from './search_core.js';
+import { parseOLSearchResponse, fetchAndValidateCover } from './cover_pipeline.js';
+
+/** Parallel OpenLibrary lookups — polite to OL, still quick for a shelf of books. */
+export const ISBN_LOOKUP_CONCURRENCY = 4;
+
+const OL_SEARCH_FIELDS = 'key,title,subtitle,author_name,cover_i,first_publish_year,isbn,language';
+
+function isbn10CheckOk(isbn10) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const c = isbn10[i];
+    const v = c === 'X' ? 10 : Number(c);
+    if (c === 'X' && i !== 9) return false;
+    sum += v * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+function isbn13CheckOk(isbn13) {
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(isbn13[i]) * (i % 2 ? 3 : 1);
+  return sum % 10 === 0;
+}
+
+/** ISBN-10 → 978-prefixed ISBN-13. */
+function isbn10To13(isbn10) {
+  const body = '978' + isbn10.slice(0, 9);
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(body[i]) * (i % 2 ? 3 : 1);
+  return body + String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Validate one token from the list. ISBN-10s may end in "X", which
+ * detectISBN's digits-only test doesn't allow, so that check digit is
+ * set aside before detection and restored after.
+ * @param {string} raw
+ * @returns {{isbn13: string, isbn10: string}|null} null when not a valid ISBN
+ */
+export function normalizeIsbnToken(raw) {
+  const compact = String(raw ?? '').replace(/[\s-]/g, '').toUpperCase();
+  const xCheck = /^\d{9}X$/.test(compact);
+  const detected = detectISBN(xCheck ? compact.slice(0, 9) + '0' : compact);
+  if (!detected.isISBN) return null;
+  const isbn = xCheck ? compact : detected.isbn;
+  if (isbn.length === 10) {
+    if (!isbn10CheckOk(isbn)) return null;
+    return { isbn13: isbn10To13(isbn), isbn10: isbn };
+  }
+  if (!/^97[89]/.test(isbn) || !isbn13CheckOk(isbn)) return null;
+  return { isbn13: isbn, isbn10: convertISBN13to10(isbn) || '' };
+}
+
+/**
+ * Split a pasted or uploaded list (one per line, or comma/semicolon/tab
+ * separated — scanner apps vary) into valid ISBNs and rejects. The 10- and
+ * 13-digit forms of the same book count once.
+ * @param {string} text
+ * @returns {{isbns: Array<{isbn13: string, isbn10: string}>, invalid: string[], repeated: number}}
+ */
+export function parseIsbnList(text) {
+  const isbns = [];
+  const invalid = [];
+  const seen = new Set();
+  let repeated = 0;
+  for (const token of String(text ?? '').split(/[\r\n,;\t]+/)) {
+    const raw = token.trim();
+    if (!raw) continue;
+    const parsed = normalizeIsbnToken(raw);
+    if (!parsed) { invalid.push(raw); continue; }
+    if (seen.has(parsed.isbn13)) { repeated++; continue; }
+    seen.add(parsed.isbn13);
+    isbns.push(parsed);
+  }
+  return { isbns, invalid, repeated };
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight. Results
+ * keep the input order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+  const lanes = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * First cover that validates, in the order the cover pipeline prefers:
+ * Amazon by ISBN-10, the OL record's own cover, then OL cover-by-ISBN.
+ * Returns null without trying when no `resizeFn` is supplied.
+ */
+async function lookupCover({ isbn13, isbn10 }, doc, deps) {
+  if (!deps.resizeFn) return null;
+  const urls = [];
+  if (isbn10) urls.push([amazonCoverUrl(isbn10), 'amazon']);
+  if (doc.cover_url) urls.push([doc.cover_url, 'ol']);
+  urls.push([olCoverByISBN(isbn10 || isbn13), 'ol']);
+  for (const [url, source] of urls) {
+    const cover = await fetchAndValidateCover(url, source, deps);
+    if (cover) return cover;
+  }
+  return null;
+}
+
+/**
+ * Resolve one ISBN to a create payload (title, author, work_key, isbn13 and,
+ * when one validates, the cover). The format is 'print' — a scanned barcode
+ * is a physical copy — until the sheet's Format picker says otherwise.
+ *
+ * @param {{isbn13: string, isbn10: string}} isbn - from parseIsbnList
+ * @param {Object} [deps] - Injectable dependencies for testing
+ * @param {Function} [deps.fetchFn] - fetch implementation (default: global fetch)
+ * @param {Function} [deps.resizeFn] - resizeImageToBase64 implementation; covers are skipped without it
+ * @param {Function} [deps.getImageDims] - async fn(dataUrl) => {w,h} or null
+ * @returns {Promise<Object|null>} null when OpenLibrary has no record or the lookup failed
+ */
+export async function lookupIsbn(isbn, deps = {}) {
+  const { fetchFn = globalThis.fetch } = deps;
+  let doc;
+  try {
+    const url = `https://openlibrary.org/search.json?isbn=${encodeURIComponent(isbn.isbn13)}&limit=1&fields=${OL_SEARCH_FIELDS}`;
+    const resp = await fetchFn(url);
+    if (!resp.ok) return null;
+    doc = parseOLSearchResponse(await resp.json())[0];
+  } catch (err) {
+    console.warn('[Bookish:ISBN] lookup failed for', isbn.isbn13, ':', err?.message || err);
+    return null;
+  }
+  if (!doc || !doc.title) return null;
+  const payload = {
+    title: cleanTitle(doc.title),
+    author: doc.author_name.join(', '),
+    isbn13: isbn.isbn13,
+    format: 'print',
+  };
+  if (doc.key) payload.work_key = doc.key;
+  const cover = await lookupCover(isbn, doc, deps);
+  if (cover) {
+    payload.coverImage = cover.base64;
+    payload.mimeType = cover.mime;
+    payload.coverFit = coverFitMode(cover.width, cover.height);
+  }
+  return payload;
+}
+
+/**
+ * Look up a batch of ISBNs with a concurrency cap.
+ *
+ * @param {Array<{isbn13: string, isbn10: string}>} isbns
+ * @param {Object} [opts]
+ * @param {number} [opts.concurrency] - default ISBN_LOOKUP_CONCURRENCY
+ * @param {(done: number, total: number) => void} [opts.onProgress]
+ * @param {Object} [opts.deps] - passed to lookupIsbn
+ * @returns {Promise<{resolved: Array<{isbn: Object, payload: Object}>, unresolved: Array<{isbn13: string, isbn10: string}>}>}
+ */
+export async function lookupIsbns(isbns, { concurrency = ISBN_LOOKUP_CONCURRENCY, onProgress, deps } = {}) {
+  const list = Array.isArray(isbns) ? isbns : [];
+  let done = 0;
+  onProgress?.(0, list.length);
+  const payloads = await mapWithConcurrency(list, concurrency, async isbn => {
+    const payload = await lookupIsbn(isbn, deps);
+    onProgress?.(++done, list.length);
+    return payload;
+  });
+  const resolved = [];
+  const unresolved = [];
+  list.forEach((isbn, i) => {
+    if (payloads[i]) resolved.push({ isbn, payload: payloads[i] });
+    else unresolved.push(isbn);
+  });
+  return { resolved, unresolved };
+}
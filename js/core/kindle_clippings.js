@@ -0,0 +1,200 @@
+// kindle_clippings.js — Parse a Kindle "My Clippings.txt" and plan how its
+// highlights land in book notes.
+//
+// A clippings file is a flat log of every highlight, note and bookmark made
+// on the device, separated by "==========" lines:
+//
+//   Dune (Herbert, Frank)
+//   - Your Highlight on page 12 | Location 150-152 | Added on Tuesday, March 14, 2023 9:32:10 PM
+//
+//   I must not fear. Fear is the mind-killer.
+//   ==========
+//
+// We group clippings by book, fuzzy-match each book to a library entry with
+// the same title/author keys the search dedup uses (normalizeTitleKey /
+// normalizeAuthorKey), and append one line per clipping to that entry's
+// notes. A clipping whose text is already in the notes is skipped, which is
+// what makes re-importing the same (ever-growing) file safe. Bookmarks carry
+// no text and are ignored. Pure — no DOM, no globals.
+
+import { normalizeTitleKey, normalizeAuthorKey } from './search_core.js';
+import { formatDateReadDisplay } from './id_core.js';
+
+const SEPARATOR_RE = /^={10}\s*$/m;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/** Heading written above the first batch of highlights appended to a book's notes. */
+export const KINDLE_NOTES_HEADING = '— Kindle highlights —';
+
+/**
+ * "Title (Series) (Last, First)" → { title, author }. The author is the last
+ * parenthesized group; "Last, First" is flipped to "First Last".
+ */
+function parseTitleLine(line) {
+  const m = /^(.*)\(([^()]*)\)\s*$/.exec(line);
+  if (!m) return { title: line.trim(), author: '' };
+  let author = m[2].trim();
+  const lf = /^([^,;]+),\s*([^,;]+)$/.exec(author);
+  if (lf) author = `${lf[2]} ${lf[1]}`;
+  return { title: m[1].trim(), author };
+}
+
+/** "Added on Tuesday, March 14, 2023 9:32:10 PM" → noon-UTC ms of that day (or null). */
+function parseAddedDate(text) {
+  const m = /([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})/.exec(text) || /(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})/.exec(text);
+  if (!m) return null;
+  const [monthName, day] = /^\d/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]];
+  const month = MONTHS.indexOf(monthName.toLowerCase());
+  if (month < 0) return null;
+  return Date.UTC(Number(m[3]), month, Number(day), 12, 0, 0, 0);
+}
+
+/**
+ * Parse the metadata line ("- Your Highlight on page 12 | Location 150-152 | Added on …").
+ * @returns {{kind: string, page: string, location: string, addedAt: number|null}|null}
+ */
+function parseMetaLine(line) {
+  const kindMatch = /your\s+(highlight|note|bookmark)/i.exec(line);
+  if (!kindMatch) return null;
+  const page = /page\s+([\w-]+)/i.exec(line)?.[1] || '';
+  const location = /location\s+([\d-]+)/i.exec(line)?.[1] || '';
+  const added = /added on\s+(.*)$/i.exec(line)?.[1] || '';
+  return { kind: kindMatch[1].toLowerCase(), page, location, addedAt: parseAddedDate(added) };
+}
+
+/**
+ * Parse My Clippings.txt into books, each with its highlights and notes in
+ * file order. Exact repeats within a book (Kindle logs a highlight again when
+ * it is extended or re-synced) are collapsed.
+ *
+ * @param {string} text
+ * @returns {Array<{title: string, author: string, clippings: Array<{kind: string, text: string, page: string, location: string, addedAt: number|null}>}>}
+ */
+export function parseKindleClippings(text) {
+  const books = new Map();
+  const blocks = String(text ?? '').replace(/\uFEFF/g, '').split(SEPARATOR_RE);
+  for (const block of blocks) {
+    const lines = block.split(/\r?\n/).map(l => l.trim());
+    while (lines.length && !lines[0]) lines.shift();
+    if (lines.length < 2) continue;
+    const meta = parseMetaLine(lines[1]);
+    if (!meta || meta.kind === 'bookmark') continue;
+    const body = lines.slice(2).join('\n').trim();
+    if (!body) continue;
+    const { title, author } = parseTitleLine(lines[0]);
+    if (!title) continue;
+    const key = `${title}\u0000${author}`;
+    if (!books.has(key)) books.set(key, { title, author, clippings: [] });
+    const book = books.get(key);
+    if (book.clippings.some(c => c.text === body)) continue;
+    book.clippings.push({ kind: meta.kind, text: body, page: meta.page, location: meta.location, addedAt: meta.addedAt });
+  }
+  return [...books.values()];
+}
+
+/** Title key without subtitle or trailing "(Series Book 1)". */
+export function baseTitleKey(title) {
+  const base = String(title || '').replace(/\s*\([^)]*\)\s*$/, '').split(/[:—]/)[0];
+  return normalizeTitleKey(base);
+}
+
+function surnameOf(name) {
+  const parts = String(name || '').replace(/[.,]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  return (parts[parts.length - 1] || '').toLowerCase();
+}
+
+function authorsAgree(a, b) {
+  if (!a || !b) return true;
+  return normalizeAuthorKey(a) === normalizeAuthorKey(b) || surnameOf(a) === surnameOf(b);
+}
+
+/**
+ * Find the library entry a Kindle book belongs to. Titles match when their
+ * base keys are equal, or one is a prefix of the other (Kindle titles often
+ * carry an edition subtitle the shelf entry doesn't); authors must not
+ * disagree when both are known.
+ *
+ * @param {{title: string, author: string}} book
+ * @param {Object[]} entries
+ * @returns {Object|null}
+ */
+export function matchClippingBook(book, entries) {
+  const key = baseTitleKey(book.title);
+  if (!key) return null;
+  const candidates = (entries || []).filter(e => {
+    if (!e || e.status === 'tombstoned' || e._deleting) return false;
+    const k = baseTitleKey(e.title);
+    if (!k) return false;
+    if (k === key) return true;
+    const [shorter, longer] = k.length < key.length ? [k, key] : [key, k];
+    return shorter.length >= 6 && longer.startsWith(shorter);
+  }).filter(e => authorsAgree(book.author, e.author));
+  if (!candidates.length) return null;
+  return candidates.find(e => baseTitleKey(e.title) === key) || candidates[0];
+}
+
+/**
+ * One notes line for a clipping:
+ *   “I must not fear.” (p. 12 · Loc 150-152 · Mar 14, 2023)
+ *   Note: remember this (Loc 153 · Mar 14, 2023)
+ * @param {{kind: string, text: string, page: string, location: string, addedAt: number|null}} clip
+ * @returns {string}
+ */
+export function formatClipping(clip) {
+  const where = [];
+  if (clip.page) where.push(`p. ${clip.page}`);
+  if (clip.location) where.push(`Loc ${clip.location}`);
+  if (clip.addedAt != null) where.push(formatDateReadDisplay(clip.addedAt));
+  const suffix = where.length ? ` (${where.join(' · ')})` : '';
+  return clip.kind === 'note' ? `Note: ${clip.text}${suffix}` : `“${clip.text}”${suffix}`;
+}
+
+// The part of formatClipping's line that identifies a clipping: the quoted
+// highlight or the "Note:" text, without the location/date suffix.
+function clippingMarker(clip) {
+  return clip.kind === 'note' ? `Note: ${clip.text}` : `“${clip.text}”`;
+}
+
+/**
+ * Clippings not yet present in `notes`. Matched on the quoted text (or the
+ * "Note:" line), not the whole line, so an edited date/location format
+ * doesn't defeat the duplicate check — and not on the bare text, which a
+ * short highlight ("Yes.") would find anywhere in the notes.
+ * @param {string} notes
+ * @param {Object[]} clippings
+ * @returns {Object[]}
+ */
+export function newClippings(notes, clippings) {
+  const existing = String(notes || '');
+  return (clippings || []).filter(c => !existing.includes(clippingMarker(c)));
+}
+
+/**
+ * Notes with `clippings` appended under the Kindle heading (the heading is
+ * written once per book).
+ * @param {string} notes
+ * @param {Object[]} clippings
+ * @returns {string}
+ */
+export function appendClippingsToNotes(notes, clippings) {
+  const base = String(notes || '').trimEnd();
+  const lines = clippings.map(formatClipping);
+  if (!lines.length) return base;
+  const block = base.includes(KINDLE_NOTES_HEADING) ? lines.join('\n\n') : `${KINDLE_NOTES_HEADING}\n\n${lines.join('\n\n')}`;
+  return base ? `${base}\n\n${block}` : block;
+}
+
+/**
+ * Per-book import plan: which entry it matched (or null), and which of its
+ * clippings are new.
+ * @param {ReturnType<typeof parseKindleClippings>} books
+ * @param {Object[]} entries
+ * @returns {Array<{book: Object, entry: Object|null, fresh: Object[]}>}
+ */
+export function planClippingImport(books, entries) {
+  return (books || []).map(book => {
+    const entry = matchClippingBook(book, entries);
+    const fresh = entry ? newClippings(entry.notes, book.clippings) : book.clippings;
+    return { book, entry, fresh };
+  });
+}
@@ -0,0 +1,132 @@
+// librarything_import.js — Map a LibraryThing export onto Bookish create payloads.
+//
+// LibraryThing (More → Import/Export → Export) offers tab-delimited text,
+// CSV and JSON with the same fields. The delimited forms use title-case
+// headers ("Primary Author", "Date Read"); the JSON form is an object keyed
+// by LibraryThing book id whose keys are the lowercase run-together names
+// ("primaryauthor", "datefinished") and whose multi-valued fields are
+// arrays or objects. Both land on the same spec because columnKey() folds
+// the header spellings together.
+//
+// Reading status and ownership live in Collections: the built-in
+// "Currently reading" / "To read" / "Wishlist" / "Read but unowned" decide
+// the shelf, "Your library" means owned, and any user-made collection
+// becomes a tag.
+
+import { parseDelimitedRecords } from './csv_core.js';
+import { READING_STATUS } from './reading_status.js';
+import { mapImportRecords, splitTags } from './import_mapping.js';
+
+/** Built-in collections that say which shelf a book is on, in priority order. */
+export const LIBRARYTHING_COLLECTION_STATUS = {
+  'currently reading': READING_STATUS.READING,
+  'read but unowned': READING_STATUS.READ,
+  'to read': READING_STATUS.WANT_TO_READ,
+  'wishlist': READING_STATUS.WANT_TO_READ,
+};
+
+const STATUS_PRIORITY = Object.keys(LIBRARYTHING_COLLECTION_STATUS);
+const UNOWNED_COLLECTIONS = new Set(['wishlist', 'read but unowned']);
+
+function applyCollections(value, draft) {
+  for (const name of splitTags(value)) {
+    const key = name.toLowerCase();
+    if (LIBRARYTHING_COLLECTION_STATUS[key]) {
+      const current = STATUS_PRIORITY.indexOf(draft.status);
+      if (current === -1 || STATUS_PRIORITY.indexOf(key) < current) draft.status = key;
+      if (UNOWNED_COLLECTIONS.has(key) && draft.owned == null) draft.owned = 'no';
+    } else if (key === 'your library') {
+      draft.owned = 'yes';
+    } else {
+      draft.tags.push(name);
+    }
+  }
+}
+
+// "Primary Author" is last-name-first ("Herbert, Frank"); the shelf shows
+// authors the way the add form captures them ("Frank Herbert").
+function applyPrimaryAuthor(value, draft) {
+  const name = String(value ?? '').trim();
+  const m = /^([^,]+),\s*([^,]+)$/.exec(name);
+  if (!draft.author) draft.author = m ? `${m[2]} ${m[1]}` : name;
+}
+
+/** LibraryThing columns / JSON keys → import draft fields (keys are columnKey()s). */
+export const LIBRARYTHING_SPEC = {
+  source: 'LibraryThing',
+  requiredColumns: ['title', 'primaryauthor'],
+  columns: {
+    title: 'title',
+    primaryauthor: applyPrimaryAuthor,
+    media: 'format',
+    format: 'format',
+    rating: 'rating',
+    review: 'notes',
+    comment: 'notes',
+    tags: 'tags',
+    collections: applyCollections,
+    dateread: 'dateRead',
+    datefinished: 'dateRead',
+    datestarted: 'readingStartedAt',
+    isbns: 'isbn',
+    isbn: 'isbn',
+    ean: 'isbn',
+  },
+  statuses: LIBRARYTHING_COLLECTION_STATUS,
+  ignoredColumns: new Set(['sortcharacter']),
+};
+
+/**
+ * JSON cell → string or string[] the mapping layer understands:
+ * `[{code, text}]` (format) → texts, `{0: isbn, 2: isbn}` → values.
+ */
+function flattenJsonValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object') ? String(item.text ?? item.fl ?? Object.values(item).join(' ')) : String(item ?? ''));
+  }
+  if (value && typeof value === 'object') return Object.values(value).map(v => String(v ?? ''));
+  return value;
+}
+
+/**
+ * Normalize a LibraryThing JSON export into headers + flat records.
+ * @param {Object|Object[]} data
+ * @returns {{headers: string[], records: Object[]}}
+ */
+function jsonToRecords(data) {
+  const books = Array.isArray(data) ? data : Object.values(data || {});
+  const headers = [];
+  const seen = new Set();
+  const records = books.filter(b => b && typeof b === 'object').map(book => {
+    const rec = {};
+    for (const [key, value] of Object.entries(book)) {
+      if (!seen.has(key)) { seen.add(key); headers.push(key); }
+      rec[key] = flattenJsonValue(value);
+    }
+    return rec;
+  });
+  return { headers, records };
+}
+
+/**
+ * Parse any LibraryThing export (TSV, CSV, or JSON — sniffed from the
+ * content) into preview rows plus the import report.
+ *
+ * @param {string} text - the export file's contents
+ * @returns {{rows: Array<{line: number, payload: Object}>, skipped: number[], report: Object}}
+ * @throws {Error} when the file doesn't look like a LibraryThing export
+ */
+export function parseLibraryThingExport(text) {
+  const trimmed = String(text ?? '').replace(/^\uFEFF/, '').trim();
+  let parsed;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data;
+    try { data = JSON.parse(trimmed); }
+    catch { throw new Error('This LibraryThing JSON file couldn’t be read.'); }
+    parsed = jsonToRecords(data);
+  } else {
+    const firstLine = trimmed.split(/\r?\n/, 1)[0];
+    parsed = parseDelimitedRecords(trimmed, { delimiter: firstLine.includes('\t') ? '\t' : ',' });
+  }
+  return mapImportRecords(parsed.headers, parsed.records, LIBRARYTHING_SPEC);
+}
@@ -0,0 +1,131 @@
+// lists.js — Reader-made lists ("Book club 2026", "Comfort reads").
+//
+// Want-to-read is the one list the shelf has built in, ordered by each
+// book's wtrPosition. A user list is a record of its own in the `lists`
+// collection (bookish_schema.js) that points at books by bookId, so a book
+// can sit on any number of lists and each list keeps its own order:
+//
+//   { listId, name, description?, bookIds: [bookId, …], shared?, createdAt, modifiedAt }
+//
+// bookIds is the order — first is the top of the list. Lists are private
+// until the reader shares one (`shared: true`, published like a shared
+// quote by synced_collection.js).
+//
+// Pure — no DOM, no repository.
+
+export const MAX_LIST_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Normalize a list's editable fields.
+ * @param {{name?: string, description?: string, shared?: boolean}} input
+ * @returns {{name: string, description: string, shared: boolean}}
+ */
+export function sanitizeListInput(input) {
+  return {
+    name: String(input?.name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_LIST_NAME_LENGTH),
+    description: String(input?.description ?? '').replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    shared: input?.shared === true,
+  };
+}
+
+/**
+ * Whether a list is shared with friends.
+ * @param {Object} list
+ * @returns {boolean}
+ */
+export function isSharedList(list) {
+  return list?.shared === true;
+}
+
+/**
+ * A list's bookIds, deduplicated, in list order.
+ * @param {Object} list
+ * @returns {string[]}
+ */
+export function listBookIds(list) {
+  const ids = Array.isArray(list?.bookIds) ? list.bookIds : [];
+  return [...new Set(ids.filter(id => typeof id === 'string' && id))];
+}
+
+/**
+ * Lists by name, case-insensitively.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareLists(a, b) {
+  return String(a?.name || '').localeCompare(String(b?.name || ''), undefined, { sensitivity: 'base' })
+    || (a?.createdAt || 0) - (b?.createdAt || 0);
+}
+
+/**
+ * The list with this name, ignoring case, or null.
+ * @param {Object[]} lists
+ * @param {string} name
+ * @param {string} [exceptListId] - ignore this list (renaming it)
+ * @returns {Object|null}
+ */
+export function findListByName(lists, name, exceptListId = null) {
+  const key = sanitizeListInput({ name }).name.toLowerCase();
+  if (!key) return null;
+  return (lists || []).find(l => l.listId !== exceptListId && String(l.name || '').toLowerCase() === key) || null;
+}
+
+/**
+ * bookIds with a book added at the bottom (no-op when already there).
+ * @param {Object} list
+ * @param {string} bookId
+ * @returns {string[]}
+ */
+export function withBookAdded(list, bookId) {
+  const ids = listBookIds(list);
+  return !bookId || ids.includes(bookId) ? ids : [...ids, bookId];
+}
+
+/**
+ * bookIds without a book.
+ * @param {Object} list
+ * @param {string} bookId
+ * @returns {string[]}
+ */
+export function withBookRemoved(list, bookId) {
+  return listBookIds(list).filter(id => id !== bookId);
+}
+
+/**
+ * bookIds in a new order. The order usually comes from the drawer, which
+ * only shows books still on the shelf — ids it doesn't mention keep their
+ * place at the end rather than being dropped.
+ * @param {Object} list
+ * @param {string[]} orderedBookIds
+ * @returns {string[]}
+ */
+export function withBooksReordered(list, orderedBookIds) {
+  const ids = listBookIds(list);
+  const known = new Set(ids);
+  const ordered = [...new Set((orderedBookIds || []).filter(id => known.has(id)))];
+  const placed = new Set(ordered);
+  return [...ordered, ...ids.filter(id => !placed.has(id))];
+}
+
+/**
+ * The lists a book is on.
+ * @param {Object[]} lists
+ * @param {string} bookId
+ * @returns {Object[]}
+ */
+export function listsContaining(lists, bookId) {
+  if (!bookId) return [];
+  return (lists || []).filter(l => listBookIds(l).includes(bookId));
+}
+
+/**
+ * A list's books in list order, skipping ids no longer on the shelf.
+ * @param {Object} list
+ * @param {(bookId: string) => Object|null} getBook
+ * @returns {Object[]}
+ */
+export function listEntries(list, getBook) {
+  return listBookIds(list).map(id => getBook(id)).filter(Boolean);
+}
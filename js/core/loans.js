@@ -0,0 +1,131 @@
+// loans.js — Books lent out and borrowed.
+//
+// `owned` says whether the reader has a copy; a loan says where that copy
+// is. Each loan is a record of its own in the `loans` collection
+// (bookish_schema.js), so a book keeps its lending history:
+//
+//   { loanId, bookId, direction: 'lent' | 'borrowed', person,
+//     friendSharePub?, loanedAt, dueAt?, returnedAt?, createdAt, modifiedAt }
+//
+// `person` is whoever has it (or lent it), as the reader wrote it or, when
+// picked from their friends, that friend's name at the time — with the
+// connection's share_pub kept in friendSharePub. Dates are noon-UTC ms like
+// dateRead. A loan is outstanding until it has a returnedAt.
+//
+// Loans are the reader's own bookkeeping: the collection isn't shareable
+// and nothing here is ever published to friends.
+//
+// Pure — no DOM, no repository.
+
+import { dateStringToMsNoonUtc } from './id_core.js';
+
+export const LOAN_DIRECTION = Object.freeze({ LENT: 'lent', BORROWED: 'borrowed' });
+
+const MAX_PERSON_LENGTH = 80;
+
+/**
+ * Today at noon UTC (the stored shape of a calendar day).
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function todayNoonUtc(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0, 0);
+}
+
+/**
+ * Validate and normalize what the loan form produced.
+ * @param {{direction?: string, person?: string, friendSharePub?: string, loanedAt?: string, dueAt?: string}} input
+ *   dates as YYYY-MM-DD (date-input values)
+ * @returns {{fields?: Object, error?: string}}
+ */
+export function sanitizeLoanInput(input) {
+  const direction = input?.direction === LOAN_DIRECTION.BORROWED ? LOAN_DIRECTION.BORROWED : LOAN_DIRECTION.LENT;
+  const person = String(input?.person ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_PERSON_LENGTH);
+  if (!person) return { error: direction === LOAN_DIRECTION.LENT ? 'Who did you lend it to?' : 'Who lent it to you?' };
+  const loanedAt = dateStringToMsNoonUtc(input?.loanedAt) ?? todayNoonUtc();
+  const dueAt = dateStringToMsNoonUtc(input?.dueAt);
+  if (dueAt != null && dueAt < loanedAt) return { error: 'The return date is before the loan date.' };
+  const fields = { direction, person, loanedAt };
+  if (dueAt != null) fields.dueAt = dueAt;
+  if (input?.friendSharePub) fields.friendSharePub = String(input.friendSharePub);
+  return { fields };
+}
+
+/**
+ * @param {Object} loan
+ * @returns {boolean}
+ */
+export function isOutstanding(loan) {
+  return !!loan && !loan.returnedAt;
+}
+
+/**
+ * Whole days past the expected return date; 0 when not overdue.
+ * @param {Object} loan
+ * @param {number} [now]
+ * @returns {number}
+ */
+export function daysOverdue(loan, now = Date.now()) {
+  if (!isOutstanding(loan) || !loan.dueAt) return 0;
+  return Math.max(0, Math.round((todayNoonUtc(now) - loan.dueAt) / 86400000));
+}
+
+/**
+ * @param {Object} loan
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isOverdue(loan, now = Date.now()) {
+  return daysOverdue(loan, now) > 0;
+}
+
+/**
+ * "Lent to Sam" / "Borrowed from Sam".
+ * @param {Object} loan
+ * @returns {string}
+ */
+export function describeLoan(loan) {
+  return `${loan?.direction === LOAN_DIRECTION.BORROWED ? 'Borrowed from' : 'Lent to'} ${loan?.person || 'someone'}`;
+}
+
+/**
+ * A book's loans, newest first.
+ * @param {Object[]} loans
+ * @param {string} bookId
+ * @returns {Object[]}
+ */
+export function loansForBook(loans, bookId) {
+  if (!bookId) return [];
+  return (loans || []).filter(l => l?.bookId === bookId).sort((a, b) => (b.loanedAt || 0) - (a.loanedAt || 0));
+}
+
+/**
+ * The book's outstanding loan, if any (the newest, should there be several).
+ * @param {Object[]} loans
+ * @param {string} bookId
+ * @returns {Object|null}
+ */
+export function currentLoan(loans, bookId) {
+  return loansForBook(loans, bookId).find(isOutstanding) || null;
+}
+
+/**
+ * Outstanding loans for the "On loan" view: overdue ones first (most
+ * overdue at the top), then what's lent out and what's borrowed, each by
+ * due date with undated loans last.
+ * @param {Object[]} loans
+ * @param {number} [now]
+ * @returns {{overdue: Object[], lent: Object[], borrowed: Object[]}}
+ */
+export function outstandingLoans(loans, now = Date.now()) {
+  const byDue = (a, b) => (a.dueAt || Infinity) - (b.dueAt || Infinity) || (a.loanedAt || 0) - (b.loanedAt || 0);
+  const open = (loans || []).filter(isOutstanding);
+  const overdue = open.filter(l => isOverdue(l, now)).sort(byDue);
+  const rest = open.filter(l => !isOverdue(l, now));
+  return {
+    overdue,
+    lent: rest.filter(l => l.direction !== LOAN_DIRECTION.BORROWED).sort(byDue),
+    borrowed: rest.filter(l => l.direction === LOAN_DIRECTION.BORROWED).sort(byDue),
+  };
+}
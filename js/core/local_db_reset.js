@@ -32,6 +32,11 @@
 // cursor data does not. Clearing must come first for a second reason:
 // `open()` issued AFTER a pending blocked delete queues behind it and
 // would itself hang.
+//
+// A sign-out in one tab now reaches the others over the tab channel
+// (core/tab_sync.js): they stop syncing and reload, dropping their handles.
+// The clear-first order stays — a reloading tab can still hold the database
+// open for a moment.
 
 /** The Tarn SDK's per-account local IndexedDB databases. */
 export const TARN_SDK_LOCAL_DBS = ['tarn-sync-cursors', 'tarn-blob-cache'];
@@ -0,0 +1,154 @@
+// markdown_export.js — Obsidian-friendly Markdown vault export.
+//
+// One note per book, named after its bookId so a re-export unzipped over
+// the same folder overwrites each note in place (a retitled book keeps its
+// file; the title lives in the frontmatter and as an alias, which is what
+// Obsidian links resolve against). Layout inside the zip:
+//
+//   Bookish/
+//     Books/<bookId>.md        frontmatter + notes
+//     Books/<bookId>.jpg       cover, when the book has one
+//     Years/2024.md            index: the year's books, as the shelf groups them
+//     Years/Undated.md
+//     Years/Want to Read.md
+//
+// Pure — the caller zips the returned files (zip_core.buildZip) and saves.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { groupByYear } from './shelf_filter.js';
+import { msToDateInputUtc } from './id_core.js';
+import { formatSeriesPosition } from './series.js';
+import { entryTags } from './csv_export.js';
+import { base64ToBytes } from './zip_core.js';
+
+export const MARKDOWN_VAULT_ROOT = 'Bookish';
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+/** YAML scalar: JSON string syntax is a valid YAML double-quoted scalar. */
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+/** Obsidian tags can't contain spaces or commas. */
+function obsidianTag(tag) {
+  return tag.trim().replace(/[\s,]+/g, '-').replace(/^#/, '');
+}
+
+/**
+ * Stable file stem for a book: its bookId (local id for a book that hasn't
+ * been assigned one yet), with characters that are unsafe in file names
+ * replaced.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function markdownFileStem(entry) {
+  return String(entry?.bookId || entry?.id || 'book').replace(/[\\/:*?"<>|#^[\]]/g, '_');
+}
+
+function coverFileName(entry) {
+  if (!entry?.coverImage) return '';
+  const ext = COVER_EXTENSIONS[entry.mimeType] || 'jpg';
+  return `${markdownFileStem(entry)}.${ext}`;
+}
+
+/**
+ * YAML frontmatter block for a book. Empty fields are omitted rather than
+ * written as blanks, so Obsidian's Properties view stays tidy.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function bookFrontmatter(entry) {
+  const lines = ['---'];
+  const put = (key, value) => { lines.push(`${key}: ${value}`); };
+  put('title', yamlString(entry.title || 'Untitled'));
+  if (entry.author) put('author', yamlString(entry.author));
+  put('status', normalizeReadingStatus(entry));
+  const dateRead = msToDateInputUtc(entry.dateRead);
+  if (dateRead) put('dateRead', dateRead);
+  const started = msToDateInputUtc(entry.readingStartedAt);
+  if (started) put('readingStartedAt', started);
+  if (entry.rating) put('rating', Number(entry.rating));
+  const tags = entryTags(entry).map(obsidianTag).filter(Boolean);
+  if (tags.length) {
+    lines.push('tags:');
+    for (const t of tags) lines.push(`  - ${yamlString(t)}`);
+  }
+  if (entry.series) {
+    put('series', yamlString(entry.series));
+    const position = formatSeriesPosition(entry.seriesPosition);
+    if (position) put('seriesPosition', Number(position));
+  }
+  if (entry.format) put('format', entry.format);
+  if (typeof entry.owned === 'boolean') put('owned', entry.owned);
+  if (entry.isbn13) put('isbn13', yamlString(entry.isbn13));
+  if (entry.work_key) put('work_key', yamlString(entry.work_key));
+  const cover = coverFileName(entry);
+  if (cover) put('cover', yamlString(cover));
+  put('bookId', yamlString(entry.bookId || ''));
+  lines.push('aliases:', `  - ${yamlString(entry.title || 'Untitled')}`);
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * The whole note for one book: frontmatter, heading, cover embed, notes.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function bookMarkdown(entry) {
+  const parts = [bookFrontmatter(entry), '', `# ${entry.title || 'Untitled'}`];
+  if (entry.author) parts.push('', `*${entry.author}*`);
+  const cover = coverFileName(entry);
+  if (cover) parts.push('', `![[${cover}|200]]`);
+  const notes = String(entry.notes || '').trim();
+  if (notes) parts.push('', notes);
+  return parts.join('\n') + '\n';
+}
+
+function indexLine(entry) {
+  const title = String(entry.title || 'Untitled').replace(/[|\]]/g, ' ');
+  const by = entry.author ? ` — ${entry.author}` : '';
+  const stars = entry.rating ? ` ${'★'.repeat(entry.rating)}` : '';
+  return `- [[${markdownFileStem(entry)}|${title}]]${by}${stars}`;
+}
+
+function indexMarkdown(heading, entries) {
+  return `# ${heading}\n\n${entries.map(indexLine).join('\n')}\n`;
+}
+
+/**
+ * Every file in the vault export.
+ * @param {Object[]} entries - the live shelf
+ * @returns {Array<{name: string, data: string|Uint8Array, modifiedAt?: number}>}
+ */
+export function buildMarkdownVault(entries) {
+  const books = (entries || []).filter(e => e && e.status !== 'tombstoned' && !e._deleting);
+  const files = [];
+  for (const e of books) {
+    files.push({ name: `${MARKDOWN_VAULT_ROOT}/Books/${markdownFileStem(e)}.md`, data: bookMarkdown(e), modifiedAt: e.modifiedAt });
+    const cover = coverFileName(e);
+    if (cover) {
+      try {
+        files.push({ name: `${MARKDOWN_VAULT_ROOT}/Books/${cover}`, data: base64ToBytes(e.coverImage), modifiedAt: e.modifiedAt });
+      } catch { /* malformed base64 — the note still links the name; skip the image */ }
+    }
+  }
+
+  const shelf = books.filter(e => normalizeReadingStatus(e) !== READING_STATUS.WANT_TO_READ);
+  shelf.sort((a, b) => { const da = a.dateRead || 0; const db = b.dateRead || 0; if (da !== db) return db - da; return (b.createdAt || 0) - (a.createdAt || 0); });
+  for (const [year, list] of groupByYear(shelf)) {
+    files.push({ name: `${MARKDOWN_VAULT_ROOT}/Years/${year}.md`, data: indexMarkdown(year, list) });
+  }
+  const want = books.filter(e => normalizeReadingStatus(e) === READING_STATUS.WANT_TO_READ);
+  if (want.length) {
+    want.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    files.push({ name: `${MARKDOWN_VAULT_ROOT}/Years/Want to Read.md`, data: indexMarkdown('Want to Read', want) });
+  }
+  return files;
+}
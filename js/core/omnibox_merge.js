@@ -30,8 +30,14 @@
 // surname lowercased. Catches Bessel van der Kolk vs Bessel van der
 // Kolk, M.D.; also collapses "Nikolai Gogol, Classic Audiobooks & Hörbuch
 // Klassiker" → "Nikolai Gogol" so the audiobook variant shares a key with
-// the canonical OL row. firstAuthorOnly is applied for the KEY only — the
-// displayed author string remains the full original.
+// the canonical OL row. firstAuthorOnly is applied for the KEY only.
+//
+// Every credited name is kept as `contributors` (core/contributors.js): the
+// whole OL author_name array, and the iTunes artistName split the same way
+// firstAuthorOnly splits it, minus publisher chunks. The displayed `author`
+// is derived from that list (authors joined with " & "), so "Nikolai Gogol,
+// Classic Audiobooks & Hörbuch Klassiker" now shows as "Nikolai Gogol"; the
+// first author, and with it the dedupe key, is unchanged.
 //
 // The Phase 2 search-quality audit (5,032-query corpus, tools/audit-search)
 // established the pattern inventories and confirmed the impact: #201
@@ -74,8 +80,21 @@
 // aggressive bracket strip subsumes it). It is still applied at iTunes
 // mapping time inside normalizeItunesItem — that asymmetry predates the
 // audit-driven cleanup and is intentionally preserved.
+//
+// Series tags are read off the RAW title at mapping time (series.js
+// parseSeriesTag) and carried as `series` / `seriesPosition` on the entry,
+// so the bracket strip above no longer loses them. Like work_key/isbn, a
+// collapsed duplicate's series transfers to the survivor when it has none.
+// normalizeItunesItem also drops a numbered ": <Series>, Book N" title tail.
+//
+// Edition facts (edition_meta.js: OL's median page count, iTunes' running
+// time and release year) ride along as `edition`; a collapsed duplicate
+// fills the survivor's gaps, so an iTunes survivor keeps OL's page count.
 
 import { stripNoise, normalizeAuthorKey, isEnglish, scoreDocument, tokenize } from './search_core.js';
+import { parseSeriesTag, stripSeriesTail } from './series.js';
+import { contributorsFromNames, parseContributorString, displayAuthor } from './contributors.js';
+import { editionMetaFromOLDoc, editionMetaFromItunes, mergeEditionMeta, formatDuration } from './edition_meta.js';
 
 // Dash-prefixed format-marker stoplist. iTunes regularly returns titles
 // of the form "Dead Souls - Audiobook" (the format marker appears after a
@@ -246,7 +265,7 @@ export function firstInitialKey(author) {
 }
 
 // Extract the first author from a multi-author iTunes string. Used ONLY for
-// the dedupe key — the displayed author string remains the full original.
+// the dedupe key — contributors.parseContributorString keeps the rest.
 //
 // iTunes concatenates narrators and audiobook publishers into the artistName
 // (e.g. "Nikolai Gogol, Classic Audiobooks & Hörbuch Klassiker"), which
@@ -269,6 +288,12 @@ export function firstAuthorOnly(author) {
   return firstAmpChunk;
 }
 
+// Series tag → entry fields (absent when the title carries none).
+function seriesFields(tag) {
+  if (!tag) return {};
+  return tag.position != null ? { series: tag.series, seriesPosition: tag.position } : { series: tag.series };
+}
+
 /**
  * Map a raw Open Library search-hit doc to the normalized omnibox entry shape.
  * NOTE: title is NOT pre-stripped here — that happens inside mergeOmniboxResults
@@ -277,9 +302,11 @@ export function firstAuthorOnly(author) {
  */
 export function normalizeOLDoc(doc) {
   const d = doc || {};
+  const contributors = contributorsFromNames(d.author_name);
   return {
     title: d.title || '',
-    author: d.author_name?.[0] || '',
+    author: displayAuthor(contributors),
+    contributors,
     year: d.first_publish_year ? String(d.first_publish_year) : '',
     coverUrl: d.cover_i ? `https://covers.openlibrary.org/b/id/${d.cover_i}-M.jpg` : '',
     publisher: '',
@@ -287,6 +314,8 @@ export function normalizeOLDoc(doc) {
     source: 'ol',
     work_key: d.key || '',
     isbn: (d.isbn || [])[0] || '',
+    edition: editionMetaFromOLDoc(d),
+    ...seriesFields(parseSeriesTag(d.title, d.subtitle)),
     // #206: preserve language array so the post-merge filter can drop
     // foreign-language OL entries that would otherwise survive dedup
     // because their non-Latin author keys don't collide with Latin spellings.
@@ -297,19 +326,26 @@ export function normalizeOLDoc(doc) {
 /**
  * Map a raw iTunes search-hit item to the normalized omnibox entry shape.
  * iTunes titles ARE pre-stripped of noise here (Unabridged markers, trailing
- * years) — this is the asymmetry called out above.
+ * years, numbered series tails) — this is the asymmetry called out above.
+ * The series tag itself is read from the raw name first.
  */
 export function normalizeItunesItem(item) {
   const i = item || {};
+  const rawTitle = i.collectionName || i.trackName || '';
+  const contributors = parseContributorString(i.artistName);
+  const edition = editionMetaFromItunes(i);
   return {
-    title: stripNoise(i.collectionName || i.trackName || ''),
-    author: i.artistName || '',
-    year: '',
+    title: stripSeriesTail(stripNoise(rawTitle)),
+    author: displayAuthor(contributors) || i.artistName || '',
+    contributors,
+    year: edition.publishYear ? String(edition.publishYear) : '',
     coverUrl: i.artworkUrl100 || '',
     publisher: '',
-    duration: '',
+    duration: formatDuration(edition.durationMinutes),
     source: 'itunes',
-    artwork: i.artworkUrl100 || ''
+    edition,
+    artwork: i.artworkUrl100 || '',
+    ...seriesFields(parseSeriesTag(rawTitle))
   };
 }
 
@@ -335,8 +371,8 @@ export function omniboxDedupeKey(entry) {
  * survivor lacks, those values transfer to the survivor. The survivor's
  * display `title` is set to
  *   stripMarketingSubtitles(stripAllBracketed(stripFormatSuffix(rawTitle))).
- * The survivor's display `author` is left as the full original string —
- * firstAuthorOnly is applied to the KEY only.
+ * The survivor's display `author` and `contributors` are left as they were
+ * mapped — firstAuthorOnly is applied to the KEY only.
  *
  * Pure: no DOM, no fetch, no app state.
  */
@@ -351,6 +387,8 @@ export function mergeOmniboxResults({ itunesResults = [], olResults = [], query
       const existing = seen.get(k);
       if (r.work_key && !existing.work_key) existing.work_key = r.work_key;
       if (r.isbn && !existing.isbn) existing.isbn = r.isbn;
+      if (r.series && !existing.series) { existing.series = r.series; existing.seriesPosition = r.seriesPosition; }
+      existing.edition = mergeEditionMeta(existing.edition, r.edition);
       continue;
     }
     const entry = { ...r, title: cleanTitle };
@@ -372,6 +410,8 @@ export function mergeOmniboxResults({ itunesResults = [], olResults = [], query
         const dropped = combined[j];
         if (dropped.work_key && !combined[i].work_key) combined[i].work_key = dropped.work_key;
         if (dropped.isbn && !combined[i].isbn) combined[i].isbn = dropped.isbn;
+        if (dropped.series && !combined[i].series) { combined[i].series = dropped.series; combined[i].seriesPosition = dropped.seriesPosition; }
+        combined[i].edition = mergeEditionMeta(combined[i].edition, dropped.edition);
         combined.splice(j, 1);
         j--;
       }
@@ -439,6 +479,8 @@ export function mergeOmniboxResults({ itunesResults = [], olResults = [], query
       const survivor = filtered[keepIdx];
       if (dropped.work_key && !survivor.work_key) survivor.work_key = dropped.work_key;
       if (dropped.isbn && !survivor.isbn) survivor.isbn = dropped.isbn;
+      if (dropped.series && !survivor.series) { survivor.series = dropped.series; survivor.seriesPosition = dropped.seriesPosition; }
+      survivor.edition = mergeEditionMeta(survivor.edition, dropped.edition);
       dropForCollapse.add(dropIdx);
       if (dropIdx === i) break;
     }
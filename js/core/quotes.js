@@ -0,0 +1,116 @@
+// quotes.js — Passages saved from a book.
+//
+// Notes are one free-text blob per book; a quote is its own record in the
+// `quotes` collection (bookish_schema.js), so each passage keeps where it
+// came from and what the reader thought of it:
+//
+//   { quoteId, bookId, text, location?, comment?, shared?, createdAt, modifiedAt }
+//
+// `location` is whatever the reader writes ("p. 42", "loc. 1234",
+// "ch. 3"). Quotes are private: `shared: true` is the per-quote opt-in that
+// publishes it to friends (synced_collection.js does the sharing).
+//
+// Pure — no DOM, no repository.
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_LOCATION_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 2000;
+
+function cleanLine(value, max) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function cleanBlock(value, max) {
+  return String(value ?? '').replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim().slice(0, max);
+}
+
+/**
+ * Normalize what the capture form produced into quote fields.
+ * @param {{text?: string, location?: string, comment?: string, shared?: boolean}} input
+ * @returns {{text: string, location: string, comment: string, shared: boolean}}
+ */
+export function sanitizeQuoteInput(input) {
+  return {
+    // Surrounding quote marks are typing habit, not part of the passage.
+    text: cleanBlock(input?.text, MAX_TEXT_LENGTH).replace(/^["“”]+|["“”]+$/g, '').trim(),
+    location: cleanLine(input?.location, MAX_LOCATION_LENGTH),
+    comment: cleanBlock(input?.comment, MAX_COMMENT_LENGTH),
+    shared: input?.shared === true,
+  };
+}
+
+/**
+ * "42" → "p. 42"; anything with words in it is shown as written.
+ * @param {string} location
+ * @returns {string}
+ */
+export function formatQuoteLocation(location) {
+  const s = cleanLine(location, MAX_LOCATION_LENGTH);
+  return /^\d+$/.test(s) ? `p. ${s}` : s;
+}
+
+/**
+ * Whether a quote is shared with friends.
+ * @param {Object} quote
+ * @returns {boolean}
+ */
+export function isSharedQuote(quote) {
+  return quote?.shared === true;
+}
+
+/**
+ * One book's quotes, in reading order where the locations are page numbers,
+ * else oldest first.
+ * @param {Object[]} quotes
+ * @param {string} bookId
+ * @returns {Object[]}
+ */
+export function quotesForBook(quotes, bookId) {
+  if (!bookId) return [];
+  const page = q => {
+    const m = String(q.location || '').match(/\d+/);
+    return m ? Number(m[0]) : Infinity;
+  };
+  return (quotes || [])
+    .filter(q => q?.bookId === bookId)
+    .sort((a, b) => (page(a) - page(b)) || ((a.createdAt || 0) - (b.createdAt || 0)));
+}
+
+/**
+ * Quotes matching every word of a query, in the passage, the comment, the
+ * location or the book's title and author.
+ * @param {Object[]} quotes
+ * @param {string} query
+ * @param {(bookId: string) => Object|null} [getBook]
+ * @returns {Object[]}
+ */
+export function searchQuotes(quotes, query, getBook = () => null) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return quotes || [];
+  return (quotes || []).filter(q => {
+    const book = getBook(q.bookId);
+    const haystack = [q.text, q.comment, q.location, book?.title, book?.author].join(' ').toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+}
+
+/**
+ * All quotes grouped by book for the quotes view: books by their most recent
+ * quote, newest first. Quotes whose book is no longer on the shelf are
+ * grouped under a null book.
+ * @param {Object[]} quotes
+ * @param {(bookId: string) => Object|null} getBook
+ * @returns {Array<{bookId: string, book: Object|null, quotes: Object[]}>}
+ */
+export function groupQuotesByBook(quotes, getBook) {
+  const groups = new Map();
+  for (const q of quotes || []) {
+    if (!groups.has(q.bookId)) groups.set(q.bookId, { bookId: q.bookId, book: getBook(q.bookId) || null, quotes: [], latest: 0 });
+    const group = groups.get(q.bookId);
+    group.quotes.push(q);
+    group.latest = Math.max(group.latest, q.createdAt || 0);
+  }
+  return [...groups.values()]
+    .sort((a, b) => b.latest - a.latest)
+    .map(({ bookId, book, quotes: list }) => ({ bookId, book, quotes: quotesForBook(list, bookId) }));
+}
@@ -0,0 +1,179 @@
+// read_history.js — One book, several reads.
+//
+// `readHistory` on a book record is the list of completed reads, oldest
+// first:
+//
+//   [{ date, format?, rating? }]   date: noon-UTC ms (same as dateRead)
+//
+// `dateRead` stays on the record as the *latest* finish, so everything that
+// only cares about "when did I last finish this" (card dates, sorting,
+// friends' activity, exports) keeps working unchanged. The history is the
+// source of truth for years and counts.
+//
+// Migration is lazy: a record written before readHistory existed (or by an
+// older client) has only `dateRead`, and readHistoryOf() reads that as a
+// one-read history. The repository writes the real list the next time the
+// book's reads change. A finish date that isn't in a stored history — an
+// older client edited the record — is folded in as a read of its own.
+//
+// Pure — no DOM, no repository.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+
+const READ_FORMATS = new Set(['print', 'paperback', 'hardcover', 'ebook', 'audiobook', 'audio', 'other']);
+
+function validDate(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function sanitizeRead(read) {
+  const date = validDate(read?.date);
+  if (date == null) return null;
+  const out = { date };
+  if (READ_FORMATS.has(read.format)) out.format = read.format;
+  const rating = Number(read.rating);
+  if (Number.isInteger(rating) && rating >= 1 && rating <= 5) out.rating = rating;
+  return out;
+}
+
+function sortReads(reads) {
+  return reads.sort((a, b) => a.date - b.date);
+}
+
+function finishedDate(entry) {
+  return normalizeReadingStatus(entry) === READING_STATUS.READ ? validDate(entry?.dateRead) : null;
+}
+
+/**
+ * The book's completed reads, oldest first. Never mutates the entry.
+ * @param {Object} entry
+ * @returns {Array<{date: number, format?: string, rating?: number}>}
+ */
+export function readHistoryOf(entry) {
+  const reads = Array.isArray(entry?.readHistory)
+    ? entry.readHistory.map(sanitizeRead).filter(Boolean)
+    : [];
+  const finished = finishedDate(entry);
+  if (finished != null && !reads.some(r => r.date === finished)) reads.push({ date: finished });
+  return sortReads(reads);
+}
+
+/**
+ * Calendar years (UTC) the book was finished in, each with the latest
+ * finish that year.
+ * @param {Object} entry
+ * @returns {Map<string, number>} "2024" → noon-UTC ms
+ */
+export function readYears(entry) {
+  const years = new Map();
+  for (const read of readHistoryOf(entry)) {
+    const year = String(new Date(read.date).getUTCFullYear());
+    if (!/^\d{4}$/.test(year)) continue;
+    if (!years.has(year) || years.get(year) < read.date) years.set(year, read.date);
+  }
+  return years;
+}
+
+/**
+ * Number of completed reads in a calendar year across a list of books.
+ * @param {Object[]} entries
+ * @param {string} year - "2024"
+ * @returns {number}
+ */
+export function countReadsInYear(entries, year) {
+  let reads = 0;
+  for (const e of entries || []) {
+    for (const read of readHistoryOf(e)) {
+      if (String(new Date(read.date).getUTCFullYear()) === year) reads++;
+    }
+  }
+  return reads;
+}
+
+function sameReads(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Keep the history in step after a status/date change. Called by the
+ * repository with the record before and after the edit:
+ *
+ *   - not finished → finished          a new read (dated dateRead, in the
+ *                                      book's current format) is appended
+ *   - finished → finished, new date    the old date's read moves to the new
+ *                                      date (an edit, not a re-read)
+ *   - finished → finished, date cleared   that read is dropped
+ *   - anything → not finished          earlier reads are kept
+ *
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<Object>|null} the new history, or null when unchanged
+ */
+export function reconcileReadHistory(before, after) {
+  const previous = readHistoryOf(before);
+  const wasFinished = finishedDate(before);
+
+  const reads = previous.map(r => ({ ...r }));
+  const isFinished = finishedDate(after);
+  const afterIsRead = normalizeReadingStatus(after) === READING_STATUS.READ;
+
+  if (isFinished != null && wasFinished == null) {
+    if (!reads.some(r => r.date === isFinished)) {
+      const read = { date: isFinished };
+      if (READ_FORMATS.has(after.format)) read.format = after.format;
+      reads.push(read);
+    }
+  } else if (isFinished != null && wasFinished !== isFinished) {
+    const i = reads.map(r => r.date).lastIndexOf(wasFinished);
+    if (i >= 0) reads[i].date = isFinished;
+    else reads.push({ date: isFinished });
+  } else if (isFinished == null && afterIsRead && wasFinished != null) {
+    const i = reads.map(r => r.date).lastIndexOf(wasFinished);
+    if (i >= 0) reads.splice(i, 1);
+  }
+  sortReads(reads);
+
+  // Unchanged when the record as it now stands already reads back as this
+  // history (which keeps an untouched legacy record un-migrated).
+  return sameReads(readHistoryOf(after), reads) ? null : reads;
+}
+
+/**
+ * Patch that logs another completed read. On a finished book the latest
+ * read becomes `dateRead`; a book being read or on the Want to Read list
+ * keeps its status and just gains the past read.
+ * @param {Object} entry
+ * @param {{date: number, format?: string, rating?: number}} read
+ * @returns {{readHistory: Object[], dateRead?: number}}
+ */
+export function addReadPatch(entry, read) {
+  const clean = sanitizeRead(read);
+  if (!clean) throw new Error('A read needs a date');
+  const reads = readHistoryOf(entry);
+  reads.push(clean);
+  sortReads(reads);
+  const patch = { readHistory: reads };
+  if (normalizeReadingStatus(entry) === READING_STATUS.READ) patch.dateRead = reads[reads.length - 1].date;
+  return patch;
+}
+
+/**
+ * Patch that removes one read (by its index in readHistoryOf order). On a
+ * finished book `dateRead` falls back to the latest remaining read, or is
+ * cleared.
+ * @param {Object} entry
+ * @param {number} index
+ * @returns {{readHistory: Object[], dateRead?: number|string}}
+ */
+export function removeReadPatch(entry, index) {
+  const reads = readHistoryOf(entry);
+  if (!(index >= 0 && index < reads.length)) throw new Error('No such read');
+  reads.splice(index, 1);
+  const patch = { readHistory: reads };
+  if (normalizeReadingStatus(entry) === READING_STATUS.READ) {
+    patch.dateRead = reads.length ? reads[reads.length - 1].date : '';
+  }
+  return patch;
+}
@@ -0,0 +1,220 @@
+// reading_progress.js — How far into a book the reader is.
+//
+// Progress lives on the book record and syncs with it:
+//   progressUnit   'page' | 'percent' | 'minutes' (audiobooks)
+//   progressValue  current page / percent / minutes listened
+//   progressTotal  page count / runtime in minutes (unused for percent)
+//   progressLog    [{ at, unit, value, total? }] — one row per update,
+//                  oldest first, capped at MAX_PROGRESS_LOG
+//
+// The quick "update progress" control on reading cards takes one line of
+// free text ("120", "120/320", "45%", "3h 20m of 11h"), parsed here.
+// Pure — no DOM, no repository.
+
+export const PROGRESS_UNITS = Object.freeze({
+  PAGE: 'page',
+  PERCENT: 'percent',
+  MINUTES: 'minutes',
+});
+
+/** Oldest rows are dropped past this, so the record can't grow unbounded. */
+export const MAX_PROGRESS_LOG = 200;
+
+const UNIT_VALUES = new Set(Object.values(PROGRESS_UNITS));
+
+function isAudio(entry) {
+  return entry?.format === 'audio' || entry?.format === 'audiobook';
+}
+
+function positiveNumber(n) {
+  const v = Number(n);
+  return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+/**
+ * The unit a new update is read in when the input doesn't say: the book's
+ * current unit, else minutes for audiobooks and pages for everything else.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function defaultProgressUnit(entry) {
+  if (UNIT_VALUES.has(entry?.progressUnit)) return entry.progressUnit;
+  return isAudio(entry) ? PROGRESS_UNITS.MINUTES : PROGRESS_UNITS.PAGE;
+}
+
+/**
+ * Whether the entry has any recorded progress.
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function hasProgress(entry) {
+  return UNIT_VALUES.has(entry?.progressUnit) && Number.isFinite(Number(entry?.progressValue)) && entry.progressValue !== '' && entry.progressValue != null;
+}
+
+/**
+ * Progress as 0–100, or null when it can't be known (pages with no total).
+ * @param {Object} entry
+ * @returns {number|null}
+ */
+export function progressPercent(entry) {
+  if (!hasProgress(entry)) return null;
+  const value = Number(entry.progressValue);
+  if (entry.progressUnit === PROGRESS_UNITS.PERCENT) return Math.max(0, Math.min(100, value));
+  const total = positiveNumber(entry.progressTotal);
+  if (!total) return null;
+  return Math.max(0, Math.min(100, (value / total) * 100));
+}
+
+/**
+ * Minutes → "3h 20m" / "45m" / "11h".
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+  const m = Math.max(0, Math.round(Number(minutes) || 0));
+  const h = Math.floor(m / 60);
+  const rest = m % 60;
+  if (!h) return `${rest}m`;
+  return rest ? `${h}h ${rest}m` : `${h}h`;
+}
+
+/**
+ * Human label for an update row or the entry's current progress:
+ * "p. 120 of 320", "p. 120", "45%", "3h 20m of 11h".
+ * @param {{progressUnit?: string, progressValue?: number, progressTotal?: number}|{unit: string, value: number, total?: number}} p
+ * @returns {string}
+ */
+export function formatProgress(p) {
+  const unit = p?.unit ?? p?.progressUnit;
+  const value = p?.value ?? p?.progressValue;
+  const total = positiveNumber(p?.total ?? p?.progressTotal);
+  if (!UNIT_VALUES.has(unit) || value == null || !Number.isFinite(Number(value))) return '';
+  if (unit === PROGRESS_UNITS.PERCENT) return `${Math.round(Number(value))}%`;
+  if (unit === PROGRESS_UNITS.MINUTES) return total ? `${formatMinutes(value)} of ${formatMinutes(total)}` : formatMinutes(value);
+  return total ? `p. ${Math.round(Number(value))} of ${Math.round(total)}` : `p. ${Math.round(Number(value))}`;
+}
+
+/**
+ * The entry's progress as text to pre-fill the quick-update field.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function progressInputValue(entry) {
+  if (!hasProgress(entry)) return '';
+  const { progressUnit: unit, progressValue: value } = entry;
+  const total = positiveNumber(entry.progressTotal);
+  if (unit === PROGRESS_UNITS.PERCENT) return `${Math.round(value)}%`;
+  if (unit === PROGRESS_UNITS.MINUTES) return total ? `${formatMinutes(value)} / ${formatMinutes(total)}` : formatMinutes(value);
+  return total ? `${Math.round(value)} / ${Math.round(total)}` : String(Math.round(value));
+}
+
+/**
+ * "3:20", "3h 20m", "3h", "200m", "200 min" → minutes; null when not a time.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseDuration(text) {
+  const s = text.trim().toLowerCase();
+  let m = s.match(/^(\d+):([0-5]?\d)$/);
+  if (m) return Number(m[1]) * 60 + Number(m[2]);
+  m = s.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+  if (m && (m[1] || m[2])) return Math.round(Number(m[1] || 0) * 60 + Number(m[2] || 0));
+  return null;
+}
+
+function parseNumber(text) {
+  const s = text.trim();
+  if (!/^\d+(?:\.\d+)?$/.test(s)) return null;
+  return Number(s);
+}
+
+/**
+ * Parse the quick-update field.
+ *
+ *   "45%"             → percent
+ *   "3h 20m", "3:20"  → minutes (optionally "… of 11h" / "… / 11:00")
+ *   "120", "120/320"  → pages, or minutes for an audiobook ("120 of 600")
+ *   "p. 120 of 320"   → pages
+ *
+ * A bare value keeps the book's known total when the unit is unchanged.
+ *
+ * @param {string} text
+ * @param {Object} entry - the book being updated
+ * @returns {{unit: string, value: number, total?: number}|null} null when
+ *   the text isn't a valid position (e.g. past the end, or over 100%)
+ */
+export function parseProgressInput(text, entry) {
+  const raw = String(text || '').trim().toLowerCase().replace(/^(?:p\.?|page)\s*/, '');
+  if (!raw) return null;
+
+  const pct = raw.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (pct) {
+    const value = Number(pct[1]);
+    return value <= 100 ? { unit: PROGRESS_UNITS.PERCENT, value } : null;
+  }
+
+  const [head, tail, ...extra] = raw.split(/\s*(?:\/|\bof\b)\s*/);
+  if (extra.length || !head) return null;
+  const fallbackUnit = defaultProgressUnit(entry) === PROGRESS_UNITS.PERCENT
+    ? (isAudio(entry) ? PROGRESS_UNITS.MINUTES : PROGRESS_UNITS.PAGE)
+    : defaultProgressUnit(entry);
+
+  let unit;
+  let value;
+  let total;
+  const headNumber = parseNumber(head);
+  if (headNumber != null && !(tail && parseNumber(tail) == null)) {
+    // Plain numbers: pages, or minutes when that's how this book is tracked.
+    if (entry?.progressUnit === PROGRESS_UNITS.PERCENT && !tail && headNumber <= 100) {
+      return { unit: PROGRESS_UNITS.PERCENT, value: headNumber };
+    }
+    unit = fallbackUnit;
+    value = headNumber;
+    total = tail ? parseNumber(tail) : undefined;
+  } else {
+    const headMinutes = parseDuration(head);
+    const tailMinutes = tail ? parseDuration(tail) : undefined;
+    if (headMinutes == null || tailMinutes === null) return null;
+    unit = PROGRESS_UNITS.MINUTES;
+    value = headMinutes;
+    total = tailMinutes;
+  }
+  if (unit === PROGRESS_UNITS.PAGE) value = Math.round(value);
+
+  if (total == null && entry?.progressUnit === unit) total = positiveNumber(entry.progressTotal) ?? undefined;
+  if (total != null && !(total > 0)) return null;
+  if (total != null && value > total) return null;
+  return total != null ? { unit, value, total } : { unit, value };
+}
+
+/**
+ * The record patch for a progress update: new current position plus the
+ * update appended to the log. Returns null when nothing changed.
+ *
+ * @param {Object} entry
+ * @param {{unit: string, value: number, total?: number}} update
+ * @param {number} [now]
+ * @returns {{progressUnit: string, progressValue: number, progressTotal: number|null, progressLog: Object[]}|null}
+ */
+export function applyProgressUpdate(entry, update, now = Date.now()) {
+  if (!update || !UNIT_VALUES.has(update.unit)) throw new Error('Unknown progress unit');
+  const value = Number(update.value);
+  if (!Number.isFinite(value) || value < 0) throw new Error('Progress must be a positive number');
+  const total = update.unit === PROGRESS_UNITS.PERCENT ? null : positiveNumber(update.total);
+
+  if (entry?.progressUnit === update.unit && Number(entry.progressValue) === value &&
+      (positiveNumber(entry.progressTotal) ?? null) === total) {
+    return null;
+  }
+
+  const row = { at: now, unit: update.unit, value };
+  if (total != null) row.total = total;
+  const log = Array.isArray(entry?.progressLog) ? entry.progressLog.filter(r => r && UNIT_VALUES.has(r.unit)) : [];
+  log.push(row);
+  return {
+    progressUnit: update.unit,
+    progressValue: value,
+    progressTotal: total,
+    progressLog: log.slice(-MAX_PROGRESS_LOG),
+  };
+}
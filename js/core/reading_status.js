@@ -17,16 +17,21 @@
 // `import { READING_STATUS } from './book_repository.js'` keeps working —
 // this extraction is additive, not a migration.
 
-/** The three shelves a book can live on. Values are the persisted wire
- *  strings (see bookish_schema.js `readingStatus` enum) — do not rename. */
+/** The four shelves a book can live on. Values are the persisted wire
+ *  strings (see bookish_schema.js `readingStatus` enum) — do not rename.
+ *  DNF ("did not finish") is an abandoned book: off the Reading shelf, but
+ *  not finished either, so it never counts as a read. */
 export const READING_STATUS = {
   WANT_TO_READ: 'want_to_read',
   READING: 'reading',
   READ: 'read',
+  DNF: 'dnf',
 };
 
+const KNOWN_STATUSES = new Set(Object.values(READING_STATUS));
+
 /**
- * Total function: map an entry to one of the three statuses.
+ * Total function: map an entry to one of the four statuses.
  *
  * Anything unrecognized (absent, legacy, malformed) resolves to READ — the
  * historical default, since Bookish began as a read-log and pre-status
@@ -37,6 +42,6 @@ export const READING_STATUS = {
  */
 export function normalizeReadingStatus(entry) {
   const s = entry?.readingStatus;
-  if (s === READING_STATUS.WANT_TO_READ || s === READING_STATUS.READING || s === READING_STATUS.READ) return s;
+  if (KNOWN_STATUSES.has(s)) return s;
   return READING_STATUS.READ;
 }
@@ -0,0 +1,120 @@
+// recovery_handoff.js — Hand a library recovered by forever.html to the app.
+//
+// forever.html decrypts a library straight from Arweave with no Bookish
+// servers. When it is served from the same origin as the app, its "Restore
+// into Bookish" button writes the recovered book records into a tiny
+// IndexedDB database here and navigates to `./?restore=recovered`
+// (handOffRecoveredBooks); the app picks them up and runs them through
+// BookRepository.restoreBackup (original bookIds and statuses, nothing
+// duplicated), then deletes the database. Both sides live in this module:
+// the forever.html bundle (tools/forever) takes the write side from here,
+// as it does id_core.js and book_card.js — rebuild it after changing them.
+//
+// A page opened from disk (file://) has a different origin and no handoff;
+// forever.html falls back to downloading a bookish-backup file instead.
+
+export const RECOVERY_HANDOFF_DB = 'bookish-recovery-handoff';
+export const RECOVERY_HANDOFF_STORE = 'handoff';
+export const RECOVERY_HANDOFF_KEY = 'books';
+export const RECOVERY_RESTORE_PARAM = 'restore';
+export const RECOVERY_RESTORE_VALUE = 'recovered';
+
+/**
+ * A stash older than this is stale (the user walked away) and is dropped.
+ * The handoff is a page navigation away; this only has to cover signing in
+ * or creating an account first, and a decrypted library shouldn't sit in
+ * the browser longer than that.
+ */
+const MAX_STASH_AGE_MS = 30 * 60 * 1000;
+
+function openHandoffDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(RECOVERY_HANDOFF_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(RECOVERY_HANDOFF_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openHandoffDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(RECOVERY_HANDOFF_STORE, mode);
+      const req = fn(tx.objectStore(RECOVERY_HANDOFF_STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * forever.html's side: write the recovered books for the app to pick up.
+ * @param {Object[]} books
+ * @returns {Promise<void>}
+ */
+export async function stashRecoveredBooks(books) {
+  await withStore('readwrite', store => store.put({ books, recoveredAt: Date.now() }, RECOVERY_HANDOFF_KEY));
+}
+
+/**
+ * forever.html's side: stash the books and open the app to restore them.
+ * Only a page served over http(s) shares the app's origin.
+ * @param {Object[]} books
+ * @param {{location?: Location}} [opts]
+ * @returns {Promise<{handedOff: boolean, reason?: 'no-origin'|'stash-failed', error?: Error}>}
+ *   not handed off — the caller falls back to a backup file
+ */
+export async function handOffRecoveredBooks(books, { location = window.location } = {}) {
+  if (location.protocol !== 'http:' && location.protocol !== 'https:') return { handedOff: false, reason: 'no-origin' };
+  try {
+    await stashRecoveredBooks(books);
+  } catch (error) {
+    return { handedOff: false, reason: 'stash-failed', error };
+  }
+  location.href = new URL(`./?${RECOVERY_RESTORE_PARAM}=${RECOVERY_RESTORE_VALUE}`, location.href).toString();
+  return { handedOff: true };
+}
+
+/**
+ * The recovered books waiting to be restored, or null.
+ * @returns {Promise<{books: Object[], recoveredAt: number}|null>}
+ */
+export async function readRecoveredBooks() {
+  if (typeof indexedDB === 'undefined') return null;
+  let stash;
+  try { stash = await withStore('readonly', store => store.get(RECOVERY_HANDOFF_KEY)); }
+  catch { return null; }
+  if (!stash || !Array.isArray(stash.books)) return null;
+  if (!Number.isFinite(stash.recoveredAt) || Date.now() - stash.recoveredAt > MAX_STASH_AGE_MS) {
+    await clearRecoveredBooks();
+    return null;
+  }
+  return { books: stash.books, recoveredAt: stash.recoveredAt };
+}
+
+/** Delete the handoff database (once restored, or when stale). */
+export async function clearRecoveredBooks() {
+  if (typeof indexedDB === 'undefined') return;
+  await new Promise(resolve => {
+    const req = indexedDB.deleteDatabase(RECOVERY_HANDOFF_DB);
+    // Blocked by a connection still closing: it goes when that one does.
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+/**
+ * True when this page load came from forever.html's handoff. Strips the
+ * query param so a refresh doesn't re-trigger it.
+ * @returns {boolean}
+ */
+export function consumeRecoveryRestoreParam() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get(RECOVERY_RESTORE_PARAM) !== RECOVERY_RESTORE_VALUE) return false;
+  params.delete(RECOVERY_RESTORE_PARAM);
+  const search = params.toString();
+  window.history.replaceState({}, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
+  return true;
+}
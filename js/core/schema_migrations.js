@@ -0,0 +1,87 @@
+// schema_migrations.js — The schema's record migrations, for records the SDK
+// doesn't read.
+//
+// Migrations are declared with the schema (`migrations` in
+// bookish_schema.js), and the Tarn SDK runs them on every remote entry it
+// reads, starting from the version the entry is tagged with. Three kinds
+// of record never pass through that path and are brought up to date here
+// with the same steps:
+//
+//   - IndexedDB: cache.js runSchemaMigrations() at boot, over books and the
+//     synced-collection records in every scope. `{ dryRun: true }` reports
+//     what would change without writing.
+//   - Friends' shelves: listShared() returns bare records (friends.js).
+//   - Backup files being restored (BookRepository.restoreBackup()).
+//
+// None of these carries a version, so every step runs. Steps are
+// idempotent — a record already in shape comes back unchanged, and is
+// counted as up to date.
+//
+// Pure — no DOM, no IndexedDB.
+
+import { bookishSchema } from './bookish_schema.js';
+
+export const SCHEMA_VERSION = bookishSchema.version;
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Run a collection's migration chain over one record. Never mutates the
+ * input.
+ *
+ * @param {string} collection - collection name in bookish_schema.js
+ * @param {Object} record
+ * @returns {{record: Object, changed: boolean, fields: string[]}}
+ *   changed — the record needs writing back; fields — fields whose value
+ *   changed
+ */
+export function migrateRecord(collection, record) {
+  const steps = bookishSchema.migrations?.[collection];
+  if (!record || !steps) return { record, changed: false, fields: [] };
+  let next = { ...record };
+  for (let v = 1; v < SCHEMA_VERSION; v++) {
+    if (typeof steps[v] === 'function') next = steps[v](next) || next;
+  }
+  const keys = new Set([...Object.keys(record), ...Object.keys(next)]);
+  const fields = [...keys].filter(k => !sameValue(record[k], next[k]));
+  if (!fields.length) return { record, changed: false, fields };
+  return { record: next, changed: true, fields };
+}
+
+/**
+ * Summarize migrateRecord() results — the dry-run report, and the log line
+ * after a real run.
+ *
+ * @param {Array<{collection: string, id: string, result: ReturnType<typeof migrateRecord>}>} results
+ * @param {{sampleLimit?: number}} [opts]
+ */
+export function summarizeMigrations(results, { sampleLimit = 20 } = {}) {
+  const report = { targetVersion: SCHEMA_VERSION, total: 0, upToDate: 0, transformed: 0, collections: {}, samples: [] };
+  for (const { collection, id, result } of results || []) {
+    const c = report.collections[collection] ||= { total: 0, upToDate: 0, transformed: 0, fields: {} };
+    report.total++;
+    c.total++;
+    if (!result.changed) {
+      report.upToDate++;
+      c.upToDate++;
+      continue;
+    }
+    report.transformed++;
+    c.transformed++;
+    for (const field of result.fields) c.fields[field] = (c.fields[field] || 0) + 1;
+    if (report.samples.length < sampleLimit) report.samples.push({ collection, id, fields: result.fields });
+  }
+  return report;
+}
+
+/**
+ * Dry run over in-memory records: what migrateRecord would do to each.
+ * @param {string} collection
+ * @param {Object[]} records
+ * @param {(record: Object) => string} [getId]
+ */
+export function planMigrations(collection, records, getId = r => r?.bookId || r?.id) {
+  return summarizeMigrations((records || []).map(record => ({ collection, id: getId(record), result: migrateRecord(collection, record) })));
+}
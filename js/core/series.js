@@ -0,0 +1,232 @@
+// series.js — Series name and position for a book, and the series view.
+//
+// Two optional fields on the book record:
+//   series          the series name as the reader wants it shown
+//                   ("The Lord of the Rings")
+//   seriesPosition  the book's number in it (1, 2, 2.5 for a novella)
+//
+// Search results carry series tags inside their titles —
+// "The Fellowship of the Ring (The Lord of the Rings, #1)",
+// "Fourth Wing (Empyrean)", "Leviathan Wakes: The Expanse, Book 1".
+// parseSeriesTag() reads them so the add flow can keep what
+// omnibox_merge.js strips from the display title.
+//
+// groupBySeries() builds the series view: our books per series in order,
+// which volumes we've finished, and the whole-number gaps no book on the
+// shelf fills. Pure — no DOM, no repository.
+
+import { READING_STATUS, normalizeReadingStatus } from './reading_status.js';
+import { readHistoryOf } from './read_history.js';
+
+const MAX_SERIES_LENGTH = 200;
+
+// Bracketed segments that are edition/format/marketing noise, not a series.
+const NOT_A_SERIES_RE = /\b(?:unabridged|abridged|edition|award|finalist|winner|annotated|illustrated|novel|memoir|book club|bestsellers?|classics?|dramati[sz]ed|audio(?:book)?|narrated|translat(?:ed|ion)|reprint|paperback|hardcover|ebook|kindle|large print|box(?:ed)? set|collection|omnibus|anniversary|revised|expanded|complete|deluxe|tie-in|english|spanish|french|german|italian|version|original|pick|selection|summary|study guide)\b/i;
+
+// "<series>, #1" / "<series> #1" / "<series>, Book 1" / "<series>, Vol. 1"
+const POSITIONED_RE = /^(.+?)[,;]?\s*(?:#|No\.?\s*|Nr\.?\s*|Book\s+|Bk\.?\s*|Vol(?:ume|\.)?\s*|Part\s+)(\d{1,4}(?:\.\d+)?)$/i;
+// "Book 1 of the Expanse" / "Book 1 of The Expanse"
+const BOOK_OF_RE = /^(?:Book|Volume|Vol\.?|Part)\s+(\d{1,4}(?:\.\d+)?)\s+(?:of|in)\s+(.+)$/i;
+// Title ending ": <series>, Book 1" (iTunes audiobooks).
+const COLON_TAIL_RE = /\s*:\s*([^:]+?)[,;]?\s*(?:#|Book\s+|Vol(?:ume|\.)?\s*)(\d{1,4}(?:\.\d+)?)\s*$/i;
+
+function cleanName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_SERIES_LENGTH);
+}
+
+function toPosition(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n < 10000 ? n : null;
+}
+
+/**
+ * Read a series tag from the text inside one pair of brackets.
+ * @param {string} inner - e.g. "The Lord of the Rings, #1"
+ * @returns {{series: string, position?: number}|null}
+ */
+function parseBracketTag(inner) {
+  const s = cleanName(inner);
+  if (!s || NOT_A_SERIES_RE.test(s)) return null;
+  let m = s.match(BOOK_OF_RE);
+  if (m) {
+    const name = cleanName(m[2]);
+    return { series: name.charAt(0).toUpperCase() + name.slice(1), position: toPosition(m[1]) };
+  }
+  m = s.match(POSITIONED_RE);
+  if (m && cleanName(m[1])) return { series: cleanName(m[1]), position: toPosition(m[2]) };
+  // Unnumbered tag ("(Empyrean)"): needs a letter and can't be a bare year,
+  // part marker ("1/2") or the whole subtitle of a book.
+  if (!/[a-z]/i.test(s) || /\d\s*$/.test(s) || /\d+\s*\/\s*\d+/.test(s) || s.length > 60) return null;
+  return { series: s };
+}
+
+/**
+ * The series tag carried in a raw search-result title, if any. A numbered
+ * tag beats an unnumbered one when a title has several bracketed segments.
+ *
+ * OpenLibrary sometimes carries the series as the subtitle ("The Expanse,
+ * Book 1"). A subtitle only counts when it is numbered, so a descriptive
+ * subtitle is never taken for a series.
+ *
+ * @param {string} title - raw title, before omnibox_merge's cleanup
+ * @param {string} [subtitle]
+ * @returns {{series: string, position?: number}|null}
+ */
+export function parseSeriesTag(title, subtitle = '') {
+  const raw = String(title || '');
+  let best = null;
+  for (const m of raw.matchAll(/\(([^)]*)\)|\[([^\]]*)\]/g)) {
+    const tag = parseBracketTag(m[1] ?? m[2]);
+    if (!tag) continue;
+    if (tag.position != null) return tag;
+    if (!best) best = tag;
+  }
+  if (best) return best;
+  const tail = raw.replace(/\s*\([^)]*\)\s*|\s*\[[^\]]*\]\s*/g, ' ').trim().match(COLON_TAIL_RE);
+  if (tail && !NOT_A_SERIES_RE.test(tail[1])) {
+    return { series: cleanName(tail[1]), position: toPosition(tail[2]) };
+  }
+  const fromSubtitle = subtitle ? parseBracketTag(subtitle) : null;
+  return fromSubtitle?.position != null ? fromSubtitle : null;
+}
+
+/**
+ * Drop a numbered ": <series>, Book N" tail from a title
+ * ("Leviathan Wakes: The Expanse, Book 1" → "Leviathan Wakes"). Bracketed
+ * tags are left to omnibox_merge.stripAllBracketed.
+ * @param {string} title
+ * @returns {string}
+ */
+export function stripSeriesTail(title) {
+  const s = String(title || '');
+  const m = s.match(COLON_TAIL_RE);
+  if (!m || NOT_A_SERIES_RE.test(m[1]) || m.index === 0) return s;
+  return s.slice(0, m.index).trim();
+}
+
+/**
+ * Key that treats "The Expanse", "Expanse" and "The Expanse Series" as one
+ * series.
+ * @param {string} name
+ * @returns {string}
+ */
+export function seriesKey(name) {
+  return cleanName(name).toLowerCase()
+    .replace(/^(?:the|a|an)\s+/, '')
+    .replace(/\s+(?:series|saga|sequence)$/, '')
+    .replace(/[^a-z0-9à-ÿ]+/g, '');
+}
+
+/**
+ * 1 → "1", 2.5 → "2.5".
+ * @param {number} position
+ * @returns {string}
+ */
+export function formatSeriesPosition(position) {
+  const n = toPosition(position);
+  if (n == null) return '';
+  return Number.isInteger(n) ? String(n) : String(Math.round(n * 100) / 100);
+}
+
+/**
+ * "Book 2 of The Expanse" / "The Expanse" — for the detail view and cards.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function formatSeriesLabel(entry) {
+  const name = cleanName(entry?.series);
+  if (!name) return '';
+  const pos = formatSeriesPosition(entry.seriesPosition);
+  return pos ? `Book ${pos} of ${name}` : name;
+}
+
+/**
+ * "1", "1 and 2", "1, 2 and 4".
+ * @param {number[]} positions
+ * @returns {string}
+ */
+export function formatPositionList(positions) {
+  const parts = positions.map(formatSeriesPosition);
+  if (parts.length <= 1) return parts.join('');
+  return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function finishedOnce(entry) {
+  return readHistoryOf(entry).length > 0;
+}
+
+/**
+ * Our books grouped by series, for the series view. Series are sorted by
+ * name (ignoring a leading article), books by position with unnumbered ones
+ * last. `missing` is every whole-number volume from 1 to the highest one we
+ * have that no book on the shelf (in any status) fills.
+ *
+ * @param {Object[]} entries
+ * @returns {Array<{
+ *   key: string,
+ *   name: string,
+ *   books: Array<{entry: Object, position: number|null, status: string, finished: boolean}>,
+ *   read: number[],
+ *   missing: number[],
+ * }>}
+ */
+export function groupBySeries(entries) {
+  const groups = new Map();
+  for (const entry of entries || []) {
+    if (!entry || entry.status === 'tombstoned' || entry._deleting) continue;
+    const name = cleanName(entry.series);
+    const key = seriesKey(name);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { key, names: new Map(), books: [] });
+    const group = groups.get(key);
+    group.names.set(name, (group.names.get(name) || 0) + 1);
+    group.books.push({
+      entry,
+      position: toPosition(entry.seriesPosition),
+      status: normalizeReadingStatus(entry),
+      finished: finishedOnce(entry),
+    });
+  }
+
+  const out = [];
+  for (const group of groups.values()) {
+    // Most-used spelling wins; first seen on a tie.
+    let name = '';
+    let best = 0;
+    for (const [candidate, count] of group.names) {
+      if (count > best) { name = candidate; best = count; }
+    }
+    group.books.sort((a, b) => {
+      if (a.position == null && b.position == null) return String(a.entry.title || '').localeCompare(String(b.entry.title || ''));
+      if (a.position == null) return 1;
+      if (b.position == null) return -1;
+      return a.position - b.position;
+    });
+    const held = new Set(group.books.filter(b => b.position != null).map(b => b.position));
+    const read = [...new Set(group.books.filter(b => b.finished && b.position != null).map(b => b.position))];
+    const highest = Math.floor(Math.max(0, ...held));
+    const missing = [];
+    for (let n = 1; n < highest; n++) {
+      if (!held.has(n)) missing.push(n);
+    }
+    out.push({ key: group.key, name, books: group.books, read, missing });
+  }
+  const sortName = (name) => name.toLowerCase().replace(/^(?:the|a|an)\s+/, '');
+  out.sort((a, b) => sortName(a.name).localeCompare(sortName(b.name)));
+  return out;
+}
+
+/**
+ * One line for a series: "You've read 1, 2 and 4" / "You've read 3 books"
+ * (unnumbered) / "None read yet".
+ * @param {{books: Array, read: number[]}} group
+ * @returns {string}
+ */
+export function describeSeriesProgress(group) {
+  if (group.read.length) return `You've read ${formatPositionList(group.read)}`;
+  const finished = group.books.filter(b => b.finished).length;
+  if (finished) return `You've read ${finished === 1 ? '1 book' : `${finished} books`}`;
+  const reading = group.books.some(b => b.status === READING_STATUS.READING);
+  return reading ? 'Reading now' : 'None read yet';
+}
@@ -1,7 +1,14 @@
 // shelf_filter.js — Pure functions for shelf search filtering and year-grouped display
 
+import { readYears, countReadsInYear } from './read_history.js';
+import { contributorNames } from './contributors.js';
+
+/** Group key for abandoned (did-not-finish) books, shown after the years. */
+export const DNF_GROUP = 'Did not finish';
+
 /**
- * Filter entries by search query (substring match on title and author, case-insensitive)
+ * Filter entries by search query (substring match on title, author, any other
+ * contributor — translator, narrator, … — and series, case-insensitive)
  * @param {Array} entries - book entries to filter
  * @param {string} query - search string (already trimmed)
  * @returns {Array} matching entries
@@ -12,70 +19,94 @@ export function filterBySearch(entries, query) {
   return entries.filter(e => {
     const t = (e.title || '').toLowerCase();
     const a = (e.author || '').toLowerCase();
-    return t.includes(q) || a.includes(q);
+    const s = (e.series || '').toLowerCase();
+    return t.includes(q) || a.includes(q) || s.includes(q) ||
+      contributorNames(e).some(name => name.toLowerCase().includes(q));
   });
 }
 
 /**
- * Group entries by year extracted from dateRead.
+ * Group entries by the years they were read in.
  * "Currently reading" books (readingStatus === 'reading') are placed in the current year.
- * Entries without dateRead go into "Undated" at the end.
- * Returns a Map ordered by year descending, with "Undated" last.
+ * A re-read book appears in every year it was finished (read_history.js);
+ * a Read entry with no finish date goes into "Undated" at the end.
+ * Did-not-finish books get their own DNF_GROUP section instead of a year —
+ * they were never finished (an earlier completed read still lists the book
+ * in that year).
+ * Returns a Map ordered by year descending, then "Undated", then DNF_GROUP.
  *
- * `dateRead` is a ms-epoch number (schema v0.3.0). Year is read in UTC so the
+ * Dates are ms-epoch numbers (schema v0.3.0). Year is read in UTC so the
  * grouping matches the calendar day the user picked, regardless of viewer
  * timezone.
  *
+ * Within a year, currently-reading books keep their incoming order ahead of
+ * finished ones; finished books are ordered by their latest finish *in that
+ * year*, so an old read of a re-read book sits where it was read rather
+ * than where its latest dateRead would put it.
+ *
  * @param {Array} entries - book entries (already sorted within each status group)
  * @returns {Map<string, Array>} year -> entries, ordered by year desc, "Undated" last
  */
 export function groupByYear(entries) {
   const yearMap = new Map();
   const undated = [];
+  const dnf = [];
   const currentYear = new Date().getFullYear().toString();
+  const add = (year, e, at) => {
+    if (!yearMap.has(year)) yearMap.set(year, []);
+    yearMap.get(year).push({ e, at });
+  };
 
   for (const e of entries) {
-    // Currently reading books go into the current year
+    const years = readYears(e);
+    // Currently reading books go into the current year (past reads still
+    // list them in the years they were finished).
     if (e.readingStatus === 'reading') {
-      if (!yearMap.has(currentYear)) yearMap.set(currentYear, []);
-      yearMap.get(currentYear).push(e);
-      continue;
-    }
-    let year = null;
-    if (e.dateRead != null && e.dateRead !== '') {
-      const d = new Date(e.dateRead);
-      if (!isNaN(d.getTime())) year = String(d.getUTCFullYear());
-    }
-    if (year && /^\d{4}$/.test(year)) {
-      if (!yearMap.has(year)) yearMap.set(year, []);
-      yearMap.get(year).push(e);
-    } else {
+      add(currentYear, e, Infinity);
+      years.delete(currentYear);
+    } else if (e.readingStatus === 'dnf') {
+      dnf.push(e);
+    } else if (!years.size) {
       undated.push(e);
+      continue;
     }
+    for (const [year, at] of years) add(year, e, at);
   }
 
   // Sort years descending
   const sortedYears = [...yearMap.keys()].sort((a, b) => b.localeCompare(a));
   const result = new Map();
   for (const y of sortedYears) {
-    result.set(y, yearMap.get(y));
+    // Stable: equal dates keep the caller's order (e.g. newest-added first).
+    const list = yearMap.get(y).sort((a, b) => (a.at === b.at ? 0 : b.at > a.at ? 1 : -1));
+    result.set(y, list.map(item => item.e));
   }
   if (undated.length) {
     result.set('Undated', undated);
   }
+  if (dnf.length) {
+    // Most recently abandoned first.
+    dnf.sort((a, b) => (Number(b.dnfAt) || 0) - (Number(a.dnfAt) || 0));
+    result.set(DNF_GROUP, dnf);
+  }
 
   return result;
 }
 
 /**
  * Get sorted list of years from a year-grouped map (for spine navigator).
+ * `count` is books; `reads` is completed reads that year, which is higher
+ * when a book was finished more than once in it (and lower when some of
+ * the year's books are still being read). Undated books count one read each;
+ * the DNF_GROUP section counts none (only reads that year-group elsewhere).
  * @param {Map<string, Array>} yearGroups - from groupByYear()
- * @returns {Array<{year: string, count: number}>}
+ * @returns {Array<{year: string, count: number, reads: number}>}
  */
 export function getYearList(yearGroups) {
   return [...yearGroups.entries()].map(([year, entries]) => ({
     year,
     count: entries.length,
+    reads: year === 'Undated' ? entries.length : year === DNF_GROUP ? 0 : countReadsInYear(entries, year),
   }));
 }
 
@@ -0,0 +1,52 @@
+// storygraph_import.js — Map a StoryGraph CSV export onto Bookish create payloads.
+//
+// StoryGraph's export (Manage Account → Export StoryGraph Library) is a
+// plain CSV: "Read Status" uses hyphenated slugs, "Star Rating" allows
+// quarter stars (rounded to whole stars by the shared mapping layer and
+// counted in the report), "Last Date Read" is YYYY/MM/DD, and moods are a
+// comma list alongside the user's own Tags. Moods come across as tags so
+// they stay searchable on the shelf.
+
+import { parseDelimitedRecords } from './csv_core.js';
+import { READING_STATUS } from './reading_status.js';
+import { mapImportRecords } from './import_mapping.js';
+
+/** StoryGraph "Read Status" values → Bookish reading status. */
+export const STORYGRAPH_STATUS = {
+  'read': READING_STATUS.READ,
+  'currently-reading': READING_STATUS.READING,
+  'paused': READING_STATUS.READING,
+  'to-read': READING_STATUS.WANT_TO_READ,
+  'did-not-finish': READING_STATUS.DNF,
+};
+
+/** StoryGraph export columns → import draft fields (keys are columnKey()s). */
+export const STORYGRAPH_SPEC = {
+  source: 'StoryGraph',
+  requiredColumns: ['title', 'readstatus'],
+  columns: {
+    title: 'title',
+    authors: 'author',
+    isbnuid: 'isbn',
+    format: 'format',
+    readstatus: 'status',
+    lastdateread: 'dateRead',
+    starrating: 'rating',
+    review: 'notes',
+    tags: 'tags',
+    moods: 'tags',
+    owned: 'owned',
+  },
+  statuses: STORYGRAPH_STATUS,
+};
+
+/**
+ * Parse a StoryGraph export into preview rows plus the import report.
+ * @param {string} text - the CSV file's contents
+ * @returns {{rows: Array<{line: number, payload: Object}>, skipped: number[], report: Object}}
+ * @throws {Error} when the file doesn't look like a StoryGraph export
+ */
+export function parseStoryGraphCsv(text) {
+  const { headers, records } = parseDelimitedRecords(text);
+  return mapImportRecords(headers, records, STORYGRAPH_SPEC);
+}
@@ -0,0 +1,458 @@
+// synced_collection.js — Local-first store for a small Tarn collection.
+//
+// BookRepository owns the books collection, with everything the shelf needs
+// (duplicate detection, status-date rules, the debounced edit chain). The
+// collections that hang off a book — quotes, lists, loans — need much less: keep
+// the records in IndexedDB (the `records` store in cache.js), upload each
+// write, retry what didn't make it, and pull other devices' changes on sync.
+// This class is that, once, for any collection declared in
+// bookish_schema.js.
+//
+// Same rules as the books path:
+//   - Writes land in IndexedDB first and render immediately; the upload is
+//     best-effort and a failed one leaves the record `pending` for the next
+//     sync's replay.
+//   - Local intent wins over a stale delta: a pending record (edit or
+//     delete) is never overwritten by what the remote sends.
+//   - A cache emptied under a live delta cursor would only ever see recent
+//     changes (#230), so the first sync of a page life with no remote-backed
+//     records does a full list() first.
+//
+// Several open tabs share the cache: every change here is announced
+// (deps.onLocalChange) and the other tabs fold it in with reloadFromCache(),
+// as BookRepository does.
+//
+// Sharing is opt-in per record (`isShared(record)`), the inverse of books'
+// `is_private`: a shared record is re-published with shareWithAll after
+// every upload (the share carries the new tx_id), and unshared from every
+// connection when it stops being shared or is deleted.
+
+import * as friends from './friends.js';
+import { bookishSchema } from './bookish_schema.js';
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj || {}, key);
+
+function isRequiredField(spec) {
+  if (typeof spec === 'string') return !spec.endsWith('?');
+  return spec?.required !== false;
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isAlreadyDeletedError(err) {
+  const message = String(err?.message || err || '').toLowerCase();
+  return message.includes('no record') || message.includes('not found') || message.includes('404');
+}
+
+function isRemoteBacked(record) {
+  return record?.remoteBacked === true || record?.status === 'confirmed';
+}
+
+export class SyncedCollection {
+  /**
+   * @param {Object} deps
+   * @param {string} deps.collection - collection name in bookish_schema.js
+   * @param {Object} deps.cache - IndexedDB cache (window.bookishCache)
+   * @param {Object} deps.tarnService - tarn_service module
+   * @param {(record: Object) => boolean} [deps.isShared] - share this record with friends?
+   * @param {(a: Object, b: Object) => number} [deps.compare] - order of getAll()
+   * @param {Function} [deps.onDirty] - () => void; signals sync manager
+   * @param {Function} [deps.onLocalChange] - () => void; this tab changed the
+   *   collection, the app's other tabs should re-read it (core/tab_sync.js)
+   */
+  constructor({ collection, cache, tarnService, isShared = () => false, compare, onDirty, onLocalChange }) {
+    const spec = bookishSchema.collections[collection];
+    if (!spec) throw new Error(`Unknown collection: ${collection}`);
+    this._collection = collection;
+    this._primaryKey = spec.primaryKey;
+    this._fields = spec.fields;
+    this._cache = cache;
+    this._tarnService = tarnService;
+    this._isShared = isShared;
+    this._compare = compare || ((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    this._onDirty = onDirty || (() => {});
+    this._onLocalChange = onLocalChange || (() => {});
+
+    this._records = [];
+    this._replaying = false;
+    this._purged = false;
+    this._reloading = false;
+    this._reloadAgain = false;
+    this._parityChecked = false;
+    this._listeners = { change: [], error: [] };
+  }
+
+  // --- Event system ---
+
+  on(event, fn) {
+    if (!this._listeners[event]) return () => {};
+    this._listeners[event].push(fn);
+    return () => { this._listeners[event] = this._listeners[event].filter(f => f !== fn); };
+  }
+
+  _emit(event, data) {
+    for (const fn of (this._listeners[event] || [])) {
+      try { fn(data); } catch (e) { console.error(`[SyncedCollection:${this._collection}] listener error:`, e); }
+    }
+  }
+
+  // Re-reading the cache isn't a change, so those paths pass
+  // { announce: false }.
+  _emitChange({ announce = true } = {}) {
+    this._emit('change', this.getAll());
+    if (announce) this._onLocalChange();
+  }
+
+  // --- Queries ---
+
+  /** Every live record (pending deletes excluded), in `compare` order. */
+  getAll() {
+    return this._records.filter(r => r.status !== 'tombstoned').sort(this._compare);
+  }
+
+  getById(id) {
+    return this._records.find(r => r[this._primaryKey] === id && r.status !== 'tombstoned') || null;
+  }
+
+  // --- Lifecycle ---
+
+  async loadFromCache() {
+    if (!this._cache?.listRecords) return;
+    this._purged = false;
+    this._records = await this._cache.listRecords(this._collection);
+    this._emitChange({ announce: false });
+  }
+
+  /**
+   * Re-read the collection after another tab changed it (core/tab_sync.js).
+   * Records keep their identity — an in-flight upload holds the object —
+   * and a pending one this tab is ahead on, or hasn't finished writing,
+   * stays as it is. Calls that arrive mid-read are folded into one more
+   * read.
+   */
+  async reloadFromCache() {
+    if (!this._cache?.listRecords || this._purged) return;
+    if (this._reloading) { this._reloadAgain = true; return; }
+    this._reloading = true;
+    try {
+      do {
+        this._reloadAgain = false;
+        const stored = await this._cache.listRecords(this._collection);
+        if (this._purged) return;
+        this._records = this._mergeReload(stored);
+      } while (this._reloadAgain);
+      this._emitChange({ announce: false });
+    } finally {
+      this._reloading = false;
+    }
+  }
+
+  _mergeReload(stored) {
+    const live = new Map(this._records.map(r => [r[this._primaryKey], r]));
+    const merged = stored.map(record => {
+      const current = live.get(record[this._primaryKey]);
+      live.delete(record[this._primaryKey]);
+      if (!current) return record;
+      if (current.pending && (current.modifiedAt || 0) > (record.modifiedAt || 0)) return current;
+      for (const field of Object.keys(current)) {
+        if (!hasOwn(record, field)) delete current[field];
+      }
+      return Object.assign(current, record);
+    });
+    // Gone from the cache: deleted in another tab — unless this tab has a
+    // write of its own still pending.
+    for (const current of live.values()) {
+      if (current.pending) merged.push(current);
+    }
+    return merged;
+  }
+
+  clear() {
+    this._purged = true;
+    this._records = [];
+    this._parityChecked = false;
+    this._emitChange({ announce: false });
+  }
+
+  // --- Mutations ---
+
+  /**
+   * @param {Object} fields - schema fields; the primary key is minted when absent
+   * @returns {Promise<Object>} the stored record
+   */
+  async create(fields) {
+    const now = Date.now();
+    const record = {
+      ...fields,
+      [this._primaryKey]: fields[this._primaryKey] || crypto.randomUUID(),
+      createdAt: fields.createdAt || now,
+      modifiedAt: now,
+      status: 'pending',
+      pending: true,
+      remoteBacked: false,
+    };
+    this._records.push(record);
+    await this._save(record);
+    this._upload(record);
+    return record;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} patch
+   * @returns {Promise<Object>} the updated record
+   */
+  async update(id, patch) {
+    const record = this.getById(id);
+    if (!record) throw new Error('Record not found');
+    Object.assign(record, patch, { modifiedAt: Date.now(), status: 'pending', pending: true });
+    await this._save(record);
+    this._upload(record);
+    return record;
+  }
+
+  async delete(id) {
+    const record = this.getById(id);
+    if (!record) return;
+    if (!isRemoteBacked(record)) {
+      // Never reached the remote: nothing to tombstone or unshare.
+      this._records = this._records.filter(r => r !== record);
+      if (this._cache?.deleteRecord) await this._cache.deleteRecord(this._collection, id);
+      this._emitChange();
+      return;
+    }
+    // Keep a tombstone until the remote delete is confirmed, so a refresh or
+    // a stale delta can't bring the record back.
+    record.status = 'tombstoned';
+    record.pending = true;
+    await this._save(record);
+    this._uploadDelete(record);
+  }
+
+  async _put(record) {
+    if (this._cache?.putRecord) await this._cache.putRecord(this._collection, record[this._primaryKey], record);
+  }
+
+  async _save(record) {
+    await this._put(record);
+    this._onDirty();
+    this._emitChange();
+  }
+
+  // --- Upload ---
+
+  _payloadFrom(record, { forUpdate = false } = {}) {
+    const payload = {};
+    const unset = [];
+    for (const [field, spec] of Object.entries(this._fields)) {
+      if (!isEmptyValue(record[field])) payload[field] = record[field];
+      else if (forUpdate && !isRequiredField(spec) && hasOwn(record, field)) unset.push(field);
+    }
+    return { payload, unset };
+  }
+
+  _upload(record) {
+    if (!this._tarnService.isLoggedIn()) return;
+    this._uploadRecord(record).catch(err => {
+      console.warn(`[SyncedCollection:${this._collection}] upload failed, will retry on sync:`, err?.message || err);
+    });
+  }
+
+  _uploadDelete(record) {
+    if (!this._tarnService.isLoggedIn()) return;
+    this._deleteRemote(record).catch(err => {
+      console.warn(`[SyncedCollection:${this._collection}] delete failed, will retry on sync:`, err?.message || err);
+    });
+  }
+
+  async _uploadRecord(record) {
+    const client = await this._tarnService.getClient();
+    const api = client[this._collection];
+    const id = record[this._primaryKey];
+    const uploadedAt = record.modifiedAt;
+    if (isRemoteBacked(record)) {
+      const { payload, unset } = this._payloadFrom(record, { forUpdate: true });
+      delete payload[this._primaryKey];
+      if (unset.length) await api.update(id, payload, { unset });
+      else await api.update(id, payload);
+    } else {
+      const { payload } = this._payloadFrom(record);
+      await api.create(payload, { idempotencyKey: `${this._collection}-create:${id}` });
+      // Deleted while the create was in flight: delete() dropped it locally
+      // as never uploaded, so the remote copy just made has to go too —
+      // writing it back here would resurrect it.
+      if (!this._purged && !this._records.includes(record)) {
+        try {
+          await api.delete(id);
+        } catch (err) {
+          if (!isAlreadyDeletedError(err)) throw err;
+        }
+        return;
+      }
+    }
+    record.remoteBacked = true;
+    // An edit made while this upload was in flight stays pending for the
+    // next upload.
+    if (record.modifiedAt === uploadedAt && record.status !== 'tombstoned') {
+      record.status = 'confirmed';
+      record.pending = false;
+    }
+    await this._put(record);
+    this._emitChange();
+    await this._syncShare(client, record);
+  }
+
+  async _deleteRemote(record) {
+    const client = await this._tarnService.getClient();
+    const id = record[this._primaryKey];
+    try {
+      await client[this._collection].delete(id);
+    } catch (err) {
+      if (!isAlreadyDeletedError(err)) throw err;
+    }
+    this._records = this._records.filter(r => r !== record);
+    if (this._cache?.deleteRecord) await this._cache.deleteRecord(this._collection, id);
+    if (record.sharedRemote || this._isShared(record)) await this._unshareFromAll(client, id);
+  }
+
+  /** Publish or withdraw the record from friends to match isShared(). */
+  async _syncShare(client, record) {
+    const id = record[this._primaryKey];
+    const shared = this._isShared(record);
+    if (!shared && !record.sharedRemote) return;
+    try {
+      if (shared) {
+        const result = await client[this._collection].shareWithAll(id);
+        for (const f of result?.failed || []) {
+          console.warn(`[SyncedCollection:${this._collection}] share failed for`, f.connection?.share_pub?.slice(0, 8), '—', f.error);
+        }
+      } else {
+        await this._unshareFromAll(client, id);
+      }
+      record.sharedRemote = shared;
+      await this._put(record);
+    } catch (err) {
+      // Same wording as the books path: the record is saved either way.
+      console.warn(`[SyncedCollection:${this._collection}] share update failed:`, err?.message || err);
+      this._emit('error', {
+        code: err?.name === 'TarnPasskeyOnlyError' ? 'share-needs-password' : 'share-failed',
+        message: err?.name === 'TarnPasskeyOnlyError'
+          ? 'Saved. Sharing to friends needs signing in with your password.'
+          : 'Saved, but couldn’t share to friends — will retry on your next change.',
+      });
+    }
+  }
+
+  async _unshareFromAll(client, id) {
+    const conns = await client.connections.list();
+    for (const conn of conns) {
+      try {
+        await client[this._collection].unshare(conn, id);
+      } catch (err) {
+        console.warn(`[SyncedCollection:${this._collection}] unshare failed for`, conn.share_pub?.slice(0, 8), '—', err.message);
+      }
+    }
+    friends.invalidateFriendLibraryCache();
+  }
+
+  // --- Sync pipeline ---
+
+  /**
+   * Upload what's pending, then apply other devices' changes. Failures are
+   * logged and reported through `error`; they never fail the caller's sync
+   * cycle (the shelf is what the sync banner is about).
+   */
+  async sync() {
+    if (!this._cache?.listRecords) return;
+    if (this._purged) {
+      if (!this._tarnService.isLoggedIn()) return;
+      this._purged = false;
+    }
+    if (!this._tarnService.isLoggedIn()) return;
+
+    try {
+      await this.replayPending();
+      const client = await this._tarnService.getClient();
+      const api = client[this._collection];
+      // The in-memory records are the live objects in-flight uploads hold;
+      // after a logout clear() they come from the cache again.
+      const fromMemory = this._records.length > 0;
+      const local = fromMemory ? [...this._records] : await this._cache.listRecords(this._collection);
+      const byId = new Map(local.map(r => [r[this._primaryKey], r]));
+
+      if (!this._parityChecked) {
+        this._parityChecked = true;
+        if (!local.some(isRemoteBacked)) {
+          for (const record of await api.list()) await this._applyRemote(byId, record, null);
+        }
+      }
+
+      const { entries, deleted } = await api.getEntriesSince();
+      const byEid = new Map(local.filter(r => r._eid).map(r => [r._eid, r]));
+      for (const eid of deleted) {
+        const record = byEid.get(eid);
+        if (!record) continue;
+        byId.delete(record[this._primaryKey]);
+        await this._cache.deleteRecord(this._collection, record[this._primaryKey]);
+      }
+      for (const { record, eid } of entries) await this._applyRemote(byId, record, eid);
+
+      // The pull awaited: records created meanwhile aren't in `local`, and
+      // ones deleted meanwhile still are. Fold both in rather than swapping
+      // in the older snapshot.
+      const snapshot = new Set(local);
+      const current = new Set(this._records);
+      for (const record of this._records) {
+        const id = record[this._primaryKey];
+        if (!snapshot.has(record) && !byId.has(id)) byId.set(id, record);
+      }
+      if (fromMemory) {
+        for (const record of local) {
+          const id = record[this._primaryKey];
+          if (!current.has(record) && byId.get(id) === record) byId.delete(id);
+        }
+      }
+      this._records = [...byId.values()];
+      this._emitChange();
+    } catch (err) {
+      console.warn(`[SyncedCollection:${this._collection}] sync failed:`, err?.message || err);
+      this._emit('error', { code: 'sync-failed', message: err?.message || String(err) });
+    }
+  }
+
+  async _applyRemote(byId, remote, eid) {
+    if (!remote) return;
+    const id = remote[this._primaryKey];
+    if (!id) return;
+    const local = byId.get(id);
+    // Local intent (a pending edit or delete) wins over what the remote sent.
+    if (local?.pending) return;
+    const merged = {
+      ...remote,
+      status: 'confirmed',
+      pending: false,
+      remoteBacked: true,
+      sharedRemote: local?.sharedRemote ?? this._isShared(remote),
+      _eid: eid || local?._eid,
+    };
+    await this._put(merged);
+    byId.set(id, merged);
+  }
+
+  async replayPending() {
+    if (this._replaying || this._purged || !this._tarnService.isLoggedIn()) return;
+    this._replaying = true;
+    try {
+      const pending = this._records.filter(r => r.pending);
+      for (const record of pending) {
+        if (record.status === 'tombstoned') await this._deleteRemote(record);
+        else await this._uploadRecord(record);
+      }
+      if (pending.length) this._emitChange();
+    } finally {
+      this._replaying = false;
+    }
+  }
+}
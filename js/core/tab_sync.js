@@ -0,0 +1,151 @@
+// tab_sync.js — Several Bookish tabs, one sync loop.
+//
+// Every tab of the app shares one IndexedDB cache and one Tarn session. Left
+// alone, each ran its own sync loop, replayed the same queued ops and wrote
+// over the others' cache — and a second tab holding the database open is what
+// blocks deleteDatabase() on the wipe paths (local_db_reset.js). Tabs now
+// coordinate over a BroadcastChannel:
+//
+//   - One tab is the sync leader. Leadership is a Web Lock held for the life
+//     of the page, so it passes to another tab as soon as the leader closes —
+//     no heartbeat for a background tab's throttled timers to miss. Only the
+//     leader runs sync_manager's loop and replays queued ops; the others
+//     relay their sync requests to it and re-read the cache when it's done.
+//   - A tab that changed the library, or its quotes, lists or loans,
+//     announces it, and the others re-read the cache (reloadFromCache() on
+//     BookRepository and SyncedCollection).
+//   - Signing out or in is announced, so it reaches every tab at once
+//     (account_ui.js; app.js reloads the other tabs).
+//
+// Messages are `{ type, tabId, ...data }`; a tab never hears its own. Without
+// BroadcastChannel or Web Locks a tab is on its own and leads itself, as
+// before.
+
+export const TAB_CHANNEL_NAME = 'bookish-tabs';
+export const SYNC_LEADER_LOCK = 'bookish-sync-leader';
+
+// announce() coalesces a burst of changes into one message. Long enough for
+// the write that prompted the first one to land before another tab reads.
+const ANNOUNCE_DELAY_MS = 100;
+
+function newTabId() {
+  return `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {(leader: boolean) => void} [opts.onLeaderChange]
+ * @param {string} [opts.channelName]
+ * @param {string} [opts.lockName]
+ * @param {Function} [opts.BroadcastChannelImpl] - default: globalThis.BroadcastChannel
+ * @param {Object} [opts.locks] - default: navigator.locks
+ * @param {string} [opts.tabId]
+ */
+export function createTabSync({
+  onLeaderChange = () => {},
+  channelName = TAB_CHANNEL_NAME,
+  lockName = SYNC_LEADER_LOCK,
+  BroadcastChannelImpl = globalThis.BroadcastChannel,
+  locks = globalThis.navigator?.locks,
+  tabId = newTabId(),
+} = {}) {
+  const handlers = new Map();
+  const announceTimers = new Map();
+  let channel = null;
+  let leader = false;
+  let releaseLock = null;
+  let closed = false;
+
+  try {
+    if (typeof BroadcastChannelImpl === 'function') channel = new BroadcastChannelImpl(channelName);
+  } catch (err) {
+    console.warn('[Bookish:TabSync] BroadcastChannel unavailable:', err?.message || err);
+    channel = null;
+  }
+
+  function setLeader(value) {
+    if (leader === value) return;
+    leader = value;
+    try { onLeaderChange(value); } catch (err) { console.error('[Bookish:TabSync] leader listener error:', err); }
+  }
+
+  function isLeader() {
+    return leader;
+  }
+
+  /**
+   * Tell the other tabs something now.
+   * @param {string} type
+   * @param {Object} [data]
+   */
+  function post(type, data = {}) {
+    if (!channel || closed) return;
+    try {
+      channel.postMessage({ ...data, type, tabId });
+    } catch (err) {
+      console.warn('[Bookish:TabSync] post failed:', err?.message || err);
+    }
+  }
+
+  /**
+   * post() once for a burst of calls of one type.
+   * @param {string} type
+   */
+  function announce(type) {
+    if (!channel || closed || announceTimers.has(type)) return;
+    announceTimers.set(type, setTimeout(() => {
+      announceTimers.delete(type);
+      post(type);
+    }, ANNOUNCE_DELAY_MS));
+  }
+
+  /**
+   * @param {string} type
+   * @param {(message: Object) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  function on(type, fn) {
+    if (!handlers.has(type)) handlers.set(type, []);
+    handlers.get(type).push(fn);
+    return () => handlers.set(type, handlers.get(type).filter(f => f !== fn));
+  }
+
+  function receive(event) {
+    const message = event?.data;
+    if (closed || !message || typeof message.type !== 'string' || message.tabId === tabId) return;
+    for (const fn of handlers.get(message.type) || []) {
+      try { fn(message); } catch (err) { console.error('[Bookish:TabSync] listener error:', err); }
+    }
+  }
+
+  /** Stop listening and give up leadership (the lock goes to another tab). */
+  function close() {
+    if (closed) return;
+    closed = true;
+    for (const timer of announceTimers.values()) clearTimeout(timer);
+    announceTimers.clear();
+    if (releaseLock) releaseLock();
+    releaseLock = null;
+    try { channel?.close(); } catch {}
+    setLeader(false);
+  }
+
+  if (channel) channel.onmessage = receive;
+
+  if (channel && typeof locks?.request === 'function') {
+    // The lock is granted to one tab at a time, in request order, and held
+    // until the promise below settles — on close(), or when the page goes.
+    locks.request(lockName, () => new Promise((resolve) => {
+      if (closed) { resolve(); return; }
+      releaseLock = resolve;
+      setLeader(true);
+    })).catch((err) => {
+      console.warn('[Bookish:TabSync] leader lock failed, leading this tab alone:', err?.message || err);
+      if (!closed) setLeader(true);
+    });
+  } else {
+    setLeader(true);
+  }
+
+  return { tabId, isLeader, post, announce, on, close };
+}
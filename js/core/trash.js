@@ -0,0 +1,64 @@
+// trash.js — Deleted books wait 30 days before they're gone.
+//
+// Deleting a book moves it to the Trash: the record stays, stamped with
+// `trashedAt` (ms), and syncs like any other edit, so every device hides it
+// and lists it under Account → Trash. From there it can be restored (the
+// stamp is cleared) or purged for good (BookRepository.delete(), the old
+// tombstone-and-remote-delete path). Anything still in the Trash after
+// TRASH_RETENTION_DAYS is purged on its own.
+//
+// A trashed book is never shared: it is unshared when it goes in, and a
+// public book is shared again when it comes back out.
+//
+// Pure — no DOM, no repository.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 86400000;
+
+/**
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isTrashed(entry) {
+  return Number(entry?.trashedAt) > 0;
+}
+
+/**
+ * When a trashed book will be purged.
+ * @param {Object} entry
+ * @returns {number|null} ms, or null when it isn't in the Trash
+ */
+export function trashExpiresAt(entry) {
+  return isTrashed(entry) ? Number(entry.trashedAt) + TRASH_RETENTION_DAYS * DAY_MS : null;
+}
+
+/**
+ * Whole days left before the purge — 0 on the last day.
+ * @param {Object} entry
+ * @param {number} [now]
+ * @returns {number|null}
+ */
+export function daysLeftInTrash(entry, now = Date.now()) {
+  const expires = trashExpiresAt(entry);
+  return expires == null ? null : Math.max(0, Math.floor((expires - now) / DAY_MS));
+}
+
+/**
+ * The books in the Trash, most recently deleted first.
+ * @param {Object[]} entries
+ * @returns {Object[]}
+ */
+export function trashedEntries(entries) {
+  return (entries || []).filter(isTrashed).sort((a, b) => b.trashedAt - a.trashedAt);
+}
+
+/**
+ * The trashed books past their retention.
+ * @param {Object[]} entries
+ * @param {number} [now]
+ * @returns {Object[]}
+ */
+export function expiredTrash(entries, now = Date.now()) {
+  return (entries || []).filter(e => isTrashed(e) && trashExpiresAt(e) <= now);
+}
@@ -1,5 +1,6 @@
 // sync_manager.js — Sync coordination for Bookish + Tarn
 // Manages: periodic remote sync, pending operation replay, adaptive intervals.
+// With several tabs open only the elected leader runs the loop (core/tab_sync.js).
 // No longer manages: balance checking, wallet info, auto-persistence.
 
 import * as tarnService from './core/tarn_service.js';
@@ -11,6 +12,12 @@ let isSyncing = false;
 let initialSynced = false;
 let syncCycleCount = 0;
 
+// Cross-tab leadership (core/tab_sync.js). A tab that isn't the leader
+// remembers startSync() — it takes effect if the tab is elected — and relays
+// markDirty() / triggerSyncNow() to the leader.
+let isLeader = true;
+let wantsSync = false;
+
 // Adaptive interval state
 let lastWriteAt = 0;
 let dirtyFlag = false;
@@ -26,6 +33,8 @@ const COOLING_WINDOW_MS   = 300000;  // 5min
 let statusCallback = null;
 let bookSyncCallback = null;
 let connectionPollCallback = null;
+let cycleCompleteCallback = null;
+let relayCallback = null;
 
 // Transient state for UI status manager
 let transientSyncState = {
@@ -59,16 +68,44 @@ function computeSyncInterval() {
  * @param {Function} [config.onConnectionPoll] — friend-handshake heartbeat,
  *   piggybacked on each sync cycle. The callback owns its own cadence
  *   gating; failures are logged and never surface in the sync error banner.
+ * @param {Function} [config.onCycleComplete] — after every cycle this tab
+ *   ran, so the other tabs can re-read the cache
+ * @param {Function} [config.relayToLeader] — (request: 'dirty'|'sync') => void;
+ *   carries a non-leader tab's markDirty() / triggerSyncNow() to the leader
  */
 export function initSyncManager(config) {
   statusCallback = config.onStatusChange;
   bookSyncCallback = config.onBookSync;
   connectionPollCallback = config.onConnectionPoll || null;
+  cycleCompleteCallback = config.onCycleComplete || null;
+  relayCallback = config.relayToLeader || null;
   debugLog('[Bookish:SyncManager] Initialized');
 }
 
+/**
+ * Whether this tab runs the sync loop. Losing leadership stops the loop;
+ * gaining it starts the loop if startSync() was called meanwhile.
+ * @param {boolean} leader
+ */
+export function setSyncLeader(leader) {
+  if (isLeader === leader) return;
+  isLeader = leader;
+  debugLog('[Bookish:SyncManager]', leader ? 'This tab is the sync leader' : 'Another tab is the sync leader');
+  if (leader) {
+    if (wantsSync) startSync();
+  } else if (syncInterval) {
+    clearTimeout(syncInterval);
+    syncInterval = null;
+  }
+}
+
+export function isSyncLeader() {
+  return isLeader;
+}
+
 export function startSync() {
-  if (syncInterval) return;
+  wantsSync = true;
+  if (!isLeader || syncInterval) return;
   debugLog('[Bookish:SyncManager] Starting sync loop');
   lastWriteAt = Date.now();
 
@@ -83,6 +120,7 @@ export function startSync() {
 }
 
 export function stopSync() {
+  wantsSync = false;
   if (syncInterval) {
     clearTimeout(syncInterval);
     syncInterval = null;
@@ -94,6 +132,7 @@ export function stopSync() {
 export function markDirty() {
   dirtyFlag = true;
   lastWriteAt = Date.now();
+  if (!isLeader && relayCallback) relayCallback('dirty');
 }
 
 export async function triggerSyncNow() {
@@ -101,6 +140,10 @@ export async function triggerSyncNow() {
   lastWriteAt = Date.now();
   dirtyFlag = true;
 
+  if (!isLeader) {
+    if (relayCallback) relayCallback('sync');
+    return;
+  }
   if (isSyncing) return;
 
   if (syncInterval) {
@@ -180,6 +223,7 @@ async function runSyncCycle() {
     isSyncing = false;
     if (statusCallback) statusCallback();
     if (typeof window.updateBookDots === 'function') window.updateBookDots();
+    if (cycleCompleteCallback) cycleCompleteCallback();
   }
 }
 
@@ -209,6 +253,8 @@ export function resetForTesting() {
   isSyncing = false;
   initialSynced = false;
   syncCycleCount = 0;
+  isLeader = true;
+  wantsSync = false;
   lastWriteAt = 0;
   dirtyFlag = false;
   transientSyncState = {